@@ -10,11 +10,101 @@
      * Initialize all modules when DOM is ready
      */
     function init() {
+        // Initialize the command palette; modules register their commands as they start
+        if (typeof CommandPalette !== 'undefined') {
+            CommandPalette.init();
+        }
+
+        // Initialize rebindable keyboard shortcuts for those commands
+        if (typeof Keymap !== 'undefined') {
+            Keymap.init();
+        }
+
         // Initialize modules
         Editor.init();
         Preview.init();
         Export.init();
 
+        // Initialize the table dialog and CSV/spreadsheet paste
+        if (typeof TableEditor !== 'undefined') {
+            TableEditor.init();
+        }
+
+        // Initialize the link and image dialog
+        if (typeof LinkDialog !== 'undefined') {
+            LinkDialog.init();
+        }
+
+        // Initialize formatted paste (runs before the table paste)
+        if (typeof RichPaste !== 'undefined') {
+            RichPaste.init();
+        }
+
+        // Initialize editor/preview scroll sync
+        if (typeof ScrollSync !== 'undefined') {
+            ScrollSync.init();
+        }
+
+        // Initialize the heading outline
+        if (typeof Outline !== 'undefined') {
+            Outline.init();
+        }
+
+        // Initialize focus mode and writing sessions
+        if (typeof FocusMode !== 'undefined') {
+            FocusMode.init();
+        }
+
+        // Initialize writing statistics
+        if (typeof Statistics !== 'undefined') {
+            Statistics.init();
+        }
+
+        // Initialize spell checking
+        if (typeof SpellCheck !== 'undefined') {
+            SpellCheck.init();
+        }
+
+        // Initialize the Markdown linter
+        if (typeof Linter !== 'undefined') {
+            Linter.init();
+        }
+
+        // Initialize the Markdown formatter
+        if (typeof MarkdownFormatter !== 'undefined') {
+            MarkdownFormatter.init();
+        }
+
+        // Initialize find & replace
+        if (typeof FindReplace !== 'undefined') {
+            FindReplace.init();
+        }
+
+        // Initialize publishing into the local site folder
+        if (typeof SiteFolder !== 'undefined') {
+            SiteFolder.init();
+        }
+
+        // Initialize draft library and restore the last session
+        if (typeof Drafts !== 'undefined') {
+            Drafts.init();
+        }
+
+        // Initialize revision history
+        if (typeof Revisions !== 'undefined') {
+            Revisions.init();
+        }
+
+        // Initialize post templates and snippets
+        if (typeof Templates !== 'undefined') {
+            Templates.init();
+        }
+
+        // Initialize workspace backup and transfer
+        if (typeof Workspace !== 'undefined') {
+            Workspace.init();
+        }
+
         // Initialize PDF converter if available
         if (typeof PdfConverter !== 'undefined') {
             PdfConverter.init();
@@ -25,6 +115,11 @@
             DocxConverter.init();
         }
 
+        // Initialize published post (HTML) import if available
+        if (typeof HtmlImporter !== 'undefined') {
+            HtmlImporter.init();
+        }
+
         // Initialize collapse button
         if (typeof Editor !== 'undefined' && Editor.initCollapseButton) {
             Editor.initCollapseButton();
@@ -56,6 +151,20 @@
 
         if (!postTypeSelect) return;
 
+        if (typeof CommandPalette !== 'undefined') {
+            CommandPalette.register({
+                id: 'post.toggleType',
+                title: 'Switch Between Article and Project',
+                category: 'Post',
+                keywords: 'post type',
+                run: () => {
+                    postTypeSelect.value = postTypeSelect.value === 'project' ? 'article' : 'project';
+                    postTypeSelect.dispatchEvent(new Event('change'));
+                    Export.showToast(`Post type: ${postTypeSelect.value}`, 'info');
+                }
+            });
+        }
+
         postTypeSelect.addEventListener('change', (e) => {
             const isProject = e.target.value === 'project';
 
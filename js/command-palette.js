@@ -0,0 +1,385 @@
+/**
+ * Command Palette Module
+ * Ctrl+Shift+P opens a searchable list of every command in the app.
+ * Modules add their own commands with CommandPalette.register(); Keymap
+ * turns their shortcuts into working key bindings.
+ */
+
+const CommandPalette = (function () {
+    const RECENT_KEY = 'blog-editor-recent-commands';
+    const MAX_RECENT = 8;
+    const MAX_RESULTS = 50;
+
+    // Registered commands by id:
+    // {id, title, category, shortcut, keywords, run, isAvailable, when}
+    const commands = new Map();
+
+    // DOM Elements
+    let palette;
+    let input;
+    let list;
+
+    let results = [];
+    let selected = 0;
+    let returnFocus = null;
+
+    /**
+     * Initialize the command palette module
+     */
+    function init() {
+        palette = document.getElementById('command-palette');
+        input = document.getElementById('command-input');
+        list = document.getElementById('command-list');
+
+        if (!palette || !input || !list) return;
+
+        setupEventListeners();
+
+        // Works from any field, including the palette's own input to close it again
+        register({
+            id: 'palette.open',
+            title: 'Show All Commands',
+            category: 'View',
+            shortcut: 'Ctrl+Shift+P',
+            keywords: 'command palette',
+            run: () => (isOpen() ? close() : open()),
+            when: () => true
+        });
+    }
+
+    /**
+     * Set up event listeners for the palette
+     */
+    function setupEventListeners() {
+        document.getElementById('command-palette-btn')?.addEventListener('click', open);
+
+        input.addEventListener('input', () => {
+            selected = 0;
+            renderResults();
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (results.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                selected = (selected + step + results.length) % results.length;
+                updateSelection();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (results[selected]) execute(results[selected].command.id);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-command]');
+            if (item) execute(item.dataset.command);
+        });
+
+        palette.addEventListener('click', (e) => {
+            if (e.target === palette) close();
+        });
+    }
+
+    /**
+     * Add commands to the palette; re-registering an id replaces it
+     * @param {Object|Array<Object>} entries - {id, title, run} plus optional
+     *        category, shortcut (default key binding, e.g. 'Ctrl+B'), keywords,
+     *        isAvailable() and when(keyEvent) (whether the shortcut applies where
+     *        it was pressed; by default not while typing in fields other than the editor)
+     */
+    function register(entries) {
+        (Array.isArray(entries) ? entries : [entries]).forEach(command => {
+            if (!command.id || !command.title || typeof command.run !== 'function') {
+                console.warn('CommandPalette: Ignoring invalid command', command);
+                return;
+            }
+            commands.set(command.id, { category: '', shortcut: '', keywords: '', ...command });
+        });
+    }
+
+    /**
+     * Remove a command
+     * @param {string} id
+     */
+    function unregister(id) {
+        commands.delete(id);
+    }
+
+    /**
+     * List registered commands
+     * @returns {Array<Object>}
+     */
+    function getCommands() {
+        return Array.from(commands.values());
+    }
+
+    /**
+     * Run a command by id
+     * @param {string} id
+     * @returns {boolean} Whether the command exists and is available
+     */
+    function run(id) {
+        const command = commands.get(id);
+        if (!command || !isAvailable(command)) return false;
+
+        const fail = (error) => {
+            console.error(`CommandPalette: Command "${id}" failed`, error);
+            showToast(`${command.title} failed: ${error.message}`, 'error');
+        };
+
+        try {
+            // Async commands report their errors once they settle
+            Promise.resolve(command.run()).catch(fail);
+        } catch (error) {
+            fail(error);
+        }
+        return true;
+    }
+
+    /**
+     * Check whether a command can run right now
+     * @param {Object} command
+     * @returns {boolean}
+     */
+    function isAvailable(command) {
+        return typeof command.isAvailable !== 'function' || Boolean(command.isAvailable());
+    }
+
+    /**
+     * Check whether the palette is showing
+     * @returns {boolean}
+     */
+    function isOpen() {
+        return palette.style.display !== 'none';
+    }
+
+    /**
+     * Show the palette
+     */
+    function open() {
+        returnFocus = document.activeElement;
+        palette.style.display = 'flex';
+        input.value = '';
+        selected = 0;
+        renderResults();
+        input.focus();
+    }
+
+    /**
+     * Hide the palette and give focus back
+     */
+    function close() {
+        palette.style.display = 'none';
+        if (returnFocus && typeof returnFocus.focus === 'function') {
+            returnFocus.focus();
+        }
+        returnFocus = null;
+    }
+
+    /**
+     * Close the palette and run a command
+     * @param {string} id
+     */
+    function execute(id) {
+        close();
+        rememberRecent(id);
+        run(id);
+    }
+
+    /**
+     * Recently run command ids, most recent first
+     * @returns {Array<string>}
+     */
+    function getRecent() {
+        try {
+            return JSON.parse(localStorage.getItem(RECENT_KEY) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Move a command to the front of the recent list
+     * @param {string} id
+     */
+    function rememberRecent(id) {
+        const recent = [id, ...getRecent().filter(other => other !== id)].slice(0, MAX_RECENT);
+        localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+    }
+
+    /**
+     * Score how well a query fuzzy-matches a text: every query character must
+     * appear in order; consecutive characters and word starts score higher
+     * @param {string} query - Lowercase query without spaces
+     * @param {string} text
+     * @returns {{score: number, positions: Array<number>}|null} Null if no match
+     */
+    function fuzzyMatch(query, text) {
+        const lower = text.toLowerCase();
+        const positions = [];
+        let score = 0;
+        let from = 0;
+        let previous = -2;
+
+        for (const char of query) {
+            const index = lower.indexOf(char, from);
+            if (index === -1) return null;
+
+            const wordStart = index === 0 || /[\s\-_:/(]/.test(text[index - 1]) ||
+                (text[index] !== lower[index] && text[index - 1] === lower[index - 1]);
+            score += 1;
+            if (index === previous + 1) score += 5;
+            if (wordStart) score += 3;
+            score -= Math.min(3, (index - from) * 0.1);
+
+            positions.push(index);
+            previous = index;
+            from = index + 1;
+        }
+
+        return { score, positions };
+    }
+
+    /**
+     * Find commands for the current query
+     * @returns {Array<{command: Object, positions: Array<number>, score: number}>}
+     */
+    function search() {
+        const query = input.value.toLowerCase().replace(/\s+/g, '');
+        const available = getCommands().filter(isAvailable);
+
+        if (!query) {
+            const recent = getRecent();
+            const rank = (command) => {
+                const index = recent.indexOf(command.id);
+                return index === -1 ? recent.length : index;
+            };
+            return available
+                .map(command => ({ command, positions: [], score: 0 }))
+                .sort((a, b) => rank(a.command) - rank(b.command) ||
+                    labelFor(a.command).localeCompare(labelFor(b.command)));
+        }
+
+        return available
+            .map(command => {
+                const label = labelFor(command);
+                const match = fuzzyMatch(query, label);
+                if (match) return { command, positions: match.positions, score: match.score };
+
+                // Keywords can match too, without highlighting
+                const keywordMatch = command.keywords ? fuzzyMatch(query, command.keywords) : null;
+                return keywordMatch ? { command, positions: [], score: keywordMatch.score - 2 } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || labelFor(a.command).length - labelFor(b.command).length)
+            .slice(0, MAX_RESULTS);
+    }
+
+    /**
+     * Text shown (and searched) for a command
+     * @param {Object} command
+     * @returns {string}
+     */
+    function labelFor(command) {
+        return command.category ? `${command.category}: ${command.title}` : command.title;
+    }
+
+    /**
+     * Shortcut currently bound to a command
+     * @param {Object} command
+     * @returns {string}
+     */
+    function shortcutFor(command) {
+        return typeof Keymap !== 'undefined' ? Keymap.getBinding(command.id) : command.shortcut;
+    }
+
+    /**
+     * Wrap the matched characters of a label in <mark>
+     * @param {string} label
+     * @param {Array<number>} positions
+     * @returns {string} HTML
+     */
+    function highlight(label, positions) {
+        const matched = new Set(positions);
+        return Array.from(label).map((char, i) => {
+            const escaped = escapeHtml(char);
+            return matched.has(i) ? `<mark>${escaped}</mark>` : escaped;
+        }).join('');
+    }
+
+    /**
+     * Render the result list
+     */
+    function renderResults() {
+        results = search();
+
+        if (results.length === 0) {
+            list.innerHTML = '<li class="command-empty">No matching commands</li>';
+            return;
+        }
+
+        list.innerHTML = results.map((result, i) => {
+            const shortcut = shortcutFor(result.command);
+            return `
+                <li class="command-item" role="option" data-command="${escapeHtml(result.command.id)}" data-index="${i}">
+                    <span class="command-label">${highlight(labelFor(result.command), result.positions)}</span>
+                    ${shortcut ? `<kbd>${escapeHtml(shortcut)}</kbd>` : ''}
+                </li>
+            `;
+        }).join('');
+        updateSelection();
+    }
+
+    /**
+     * Mark the selected result and keep it in view
+     */
+    function updateSelection() {
+        list.querySelectorAll('.command-item').forEach(item => {
+            const isSelected = Number(item.dataset.index) === selected;
+            item.classList.toggle('selected', isSelected);
+            item.setAttribute('aria-selected', String(isSelected));
+            if (isSelected) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        register,
+        unregister,
+        getCommands,
+        run,
+        open,
+        close
+    };
+})();
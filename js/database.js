@@ -0,0 +1,173 @@
+/**
+ * Database Module
+ * Promise-based wrapper around the IndexedDB database that stores drafts
+ * with their revision history and undo stacks, post templates and snippets,
+ * plus granted folder handles
+ */
+
+const Database = (function () {
+    const DB_NAME = 'blog-editor';
+    const DB_VERSION = 5;
+
+    let dbPromise = null;
+
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean}
+     */
+    function isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!isSupported()) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (e) => {
+                upgrade(request.result, e.oldVersion);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+        });
+
+        // Allow a retry after a failed open
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Create or migrate object stores
+     * @param {IDBDatabase} db
+     * @param {number} oldVersion - Version the database is upgrading from
+     */
+    function upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            const drafts = db.createObjectStore('drafts', { keyPath: 'id' });
+            drafts.createIndex('updatedAt', 'updatedAt');
+        }
+        if (oldVersion < 2) {
+            const revisions = db.createObjectStore('revisions', { keyPath: 'id' });
+            revisions.createIndex('draftId', 'draftId');
+        }
+        if (oldVersion < 3) {
+            db.createObjectStore('undo', { keyPath: 'draftId' });
+        }
+        if (oldVersion < 4) {
+            db.createObjectStore('handles', { keyPath: 'name' });
+        }
+        if (oldVersion < 5) {
+            db.createObjectStore('templates', { keyPath: 'id' });
+        }
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request
+     * @returns {Promise<*>}
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>}
+     */
+    async function withStore(storeName, mode, callback) {
+        const db = await open();
+        const tx = db.transaction(storeName, mode);
+        return promisify(callback(tx.objectStore(storeName)));
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} storeName
+     * @param {*} key
+     * @returns {Promise<Object|undefined>}
+     */
+    function get(storeName, key) {
+        return withStore(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Get all records in a store
+     * @param {string} storeName
+     * @returns {Promise<Array>}
+     */
+    function getAll(storeName) {
+        return withStore(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Get all records matching an index key
+     * @param {string} storeName
+     * @param {string} indexName
+     * @param {*} key
+     * @returns {Promise<Array>}
+     */
+    function getAllByIndex(storeName, indexName, key) {
+        return withStore(storeName, 'readonly', store => store.index(indexName).getAll(key));
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName
+     * @param {Object} value
+     * @returns {Promise<*>} The record key
+     */
+    function put(storeName, value) {
+        return withStore(storeName, 'readwrite', store => store.put(value));
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName
+     * @param {*} key
+     * @returns {Promise<void>}
+     */
+    function remove(storeName, key) {
+        return withStore(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Generate a unique record id
+     * @param {string} prefix - Id prefix, e.g. 'draft'
+     * @returns {string}
+     */
+    function generateId(prefix) {
+        return prefix + '-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 6);
+    }
+
+    // Public API
+    return {
+        isSupported,
+        open,
+        get,
+        getAll,
+        getAllByIndex,
+        put,
+        remove,
+        generateId
+    };
+})();
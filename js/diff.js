@@ -0,0 +1,184 @@
+/**
+ * Diff Module
+ * Line and word level diffs (Myers algorithm) used by the revision history
+ */
+
+const Diff = (function () {
+    // Edit distance past which a diff is reported as a plain replacement
+    const MAX_EDITS = 2000;
+
+    /**
+     * Diff two sequences of comparable items
+     * @param {Array} a - Old sequence
+     * @param {Array} b - New sequence
+     * @returns {Array<{type: string, items: Array}>} Runs of 'equal', 'delete' and 'insert'
+     */
+    function diffSequences(a, b) {
+        // Trim the common prefix and suffix, the O(ND) search only needs the middle
+        let prefix = 0;
+        while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+        let suffix = 0;
+        while (suffix < a.length - prefix && suffix < b.length - prefix &&
+            a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+        const midA = a.slice(prefix, a.length - suffix);
+        const midB = b.slice(prefix, b.length - suffix);
+
+        const runs = [];
+        pushRun(runs, 'equal', a.slice(0, prefix));
+        myers(midA, midB).forEach(run => pushRun(runs, run.type, run.items));
+        pushRun(runs, 'equal', a.slice(a.length - suffix));
+        return runs;
+    }
+
+    /**
+     * Append items to the run list, merging with the previous run of the same type
+     * @param {Array} runs
+     * @param {string} type
+     * @param {Array} items
+     */
+    function pushRun(runs, type, items) {
+        if (items.length === 0) return;
+
+        const last = runs[runs.length - 1];
+        if (last && last.type === type) {
+            last.items.push(...items);
+        } else {
+            runs.push({ type, items: items.slice() });
+        }
+    }
+
+    /**
+     * Myers shortest edit script. The search keeps one row of diagonals per
+     * edit, so past MAX_EDITS it gives up and reports the whole span as
+     * replaced rather than using unbounded memory.
+     * @param {Array} a
+     * @param {Array} b
+     * @returns {Array<{type: string, items: Array}>}
+     */
+    function myers(a, b) {
+        const n = a.length;
+        const m = b.length;
+        if (n === 0 && m === 0) return [];
+        if (n === 0) return [{ type: 'insert', items: b.slice() }];
+        if (m === 0) return [{ type: 'delete', items: a.slice() }];
+
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 2);
+        // trace[d] holds diagonals -d-1..d+1 as they were before edit d
+        const trace = [];
+        let found = false;
+
+        outer:
+        for (let d = 0; d <= Math.min(max, MAX_EDITS); d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+            for (let k = -d; k <= d; k += 2) {
+                let x;
+                if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                    x = v[offset + k + 1];
+                } else {
+                    x = v[offset + k - 1] + 1;
+                }
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = true;
+                    break outer;
+                }
+            }
+        }
+
+        if (!found) {
+            return [{ type: 'delete', items: a.slice() }, { type: 'insert', items: b.slice() }];
+        }
+
+        // Walk the trace backwards to recover the edit script
+        const edits = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+            const row = trace[d];
+            const vd = (k) => row[k + d + 1];
+            const k = x - y;
+            let prevK;
+            if (k === -d || (k !== d && vd(k - 1) < vd(k + 1))) {
+                prevK = k + 1;
+            } else {
+                prevK = k - 1;
+            }
+            const prevX = vd(prevK);
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                edits.push({ type: 'equal', item: a[x - 1] });
+                x--;
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    edits.push({ type: 'insert', item: b[y - 1] });
+                } else {
+                    edits.push({ type: 'delete', item: a[x - 1] });
+                }
+            }
+            x = prevX;
+            y = prevY;
+        }
+
+        const runs = [];
+        edits.reverse().forEach(edit => pushRun(runs, edit.type, [edit.item]));
+        return runs;
+    }
+
+    /**
+     * Diff two texts line by line
+     * @param {string} oldText
+     * @param {string} newText
+     * @returns {Array<{type: string, items: Array<string>}>}
+     */
+    function diffLines(oldText, newText) {
+        return diffSequences(oldText.split('\n'), newText.split('\n'));
+    }
+
+    /**
+     * Diff two lines word by word (whitespace is kept as its own token)
+     * @param {string} oldLine
+     * @param {string} newLine
+     * @returns {Array<{type: string, text: string}>}
+     */
+    function diffWords(oldLine, newLine) {
+        const tokenize = line => line.match(/\s+|[\w'-]+|[^\w\s]/g) || [];
+
+        return diffSequences(tokenize(oldLine), tokenize(newLine)).map(run => ({
+            type: run.type,
+            text: run.items.join('')
+        }));
+    }
+
+    /**
+     * Count changed lines
+     * @param {Array} runs - Result of diffLines
+     * @returns {{added: number, removed: number}}
+     */
+    function summarize(runs) {
+        return runs.reduce((stats, run) => {
+            if (run.type === 'insert') stats.added += run.items.length;
+            if (run.type === 'delete') stats.removed += run.items.length;
+            return stats;
+        }, { added: 0, removed: 0 });
+    }
+
+    // Public API
+    return {
+        diffSequences,
+        diffLines,
+        diffWords,
+        summarize
+    };
+})();
@@ -5,6 +5,15 @@
  */
 
 const DocxConverter = (function () {
+    // htmlToMarkdown() options, tuned for mammoth output by default
+    const DEFAULT_OPTIONS = {
+        boldParagraphsAsCode: true, // Word has no code style, so bold paragraphs stand in for code
+        indentAfterLists: true,     // Word splits list item paragraphs out of the list, so indent them back
+        markdownImages: false       // Write images as centered <img> HTML instead of ![alt](src)
+    };
+
+    // Options of the conversion in progress
+    let activeOptions = DEFAULT_OPTIONS;
 
     /**
      * Initialize the DOCX converter module
@@ -24,6 +33,16 @@ const DocxConverter = (function () {
             fileInput.addEventListener('change', handleFileSelect);
         }
 
+        if (fileInput && typeof CommandPalette !== 'undefined') {
+            CommandPalette.register({
+                id: 'import.docx',
+                title: 'Word Document (.docx)',
+                category: 'Import',
+                keywords: 'doc microsoft convert open',
+                run: () => fileInput.click()
+            });
+        }
+
         if (dropZone) {
             dropZone.addEventListener('dragover', handleDragOver);
             dropZone.addEventListener('dragleave', handleDragLeave);
@@ -109,7 +128,7 @@ const DocxConverter = (function () {
             }
 
             // Set the markdown content in editor
-            Editor.setContent(result.markdown);
+            Editor.importContent(result.markdown, file.name);
 
             showProgress(false);
             showToast('Document converted successfully!', 'success');
@@ -172,20 +191,30 @@ const DocxConverter = (function () {
 
     /**
      * Convert HTML to Markdown
-     * @param {string} html - HTML content from mammoth
+     * @param {string|Element} html - HTML content from mammoth, or an element to convert
+     * @param {Object} options - Overrides for DEFAULT_OPTIONS
      * @returns {string} Markdown content
      */
-    function htmlToMarkdown(html) {
+    function htmlToMarkdown(html, options = {}) {
         // Create a temporary div to parse the HTML
         const temp = document.createElement('div');
-        temp.innerHTML = html;
+        if (typeof html === 'string') {
+            temp.innerHTML = html;
+        } else {
+            temp.append(...Array.from(html.childNodes, node => node.cloneNode(true)));
+        }
 
         // Preprocess: merge consecutive ordered lists (mammoth outputs each item as separate <ol>)
         mergeConsecutiveLists(temp);
 
-        // Process the HTML nodes recursively with list continuation tracking
-        const state = { listNumber: 0, lastListType: null };
-        return processNodesWithState(temp.childNodes, state).trim();
+        activeOptions = { ...DEFAULT_OPTIONS, ...options };
+        try {
+            // Process the HTML nodes recursively with list continuation tracking
+            const state = { listNumber: 0, lastListType: null };
+            return processNodesWithState(temp.childNodes, state).trim();
+        } finally {
+            activeOptions = DEFAULT_OPTIONS;
+        }
     }
 
     /**
@@ -255,7 +284,7 @@ const DocxConverter = (function () {
                 if (tag === 'ol' || tag === 'ul') {
                     result += processElement(node, '');
                     lastWasListItem = true;
-                } else if (tag === 'p' && lastWasListItem) {
+                } else if (tag === 'p' && lastWasListItem && activeOptions.indentAfterLists) {
                     // Paragraph after list item - indent it
                     const content = processNodes(node.childNodes, '').trim();
                     if (content) {
@@ -323,9 +352,14 @@ const DocxConverter = (function () {
                 const pContent = children().trim();
                 if (!pContent) return '';
 
+                // Keep HTML-aligned paragraphs (centered images) as HTML
+                if (activeOptions.markdownImages && element.hasAttribute('align')) {
+                    return '<p align="' + escapeHtml(element.getAttribute('align')) + '">' + pContent + '</p>\n\n';
+                }
+
                 // heuristic: if paragraph is entirely bold, treat as code block
                 // Bold text from children() comes as **text**
-                if (pContent.startsWith('**') && pContent.endsWith('**')) {
+                if (activeOptions.boldParagraphsAsCode && pContent.startsWith('**') && pContent.endsWith('**')) {
                     const inner = pContent.substring(2, pContent.length - 2);
                     // Ensure it doesn't contain other bold markers inside (which would mean multiple bold segments)
                     if (!inner.includes('**')) {
@@ -386,9 +420,13 @@ const DocxConverter = (function () {
                 }
                 return '`' + children() + '`';
 
-            // Code blocks
-            case 'pre':
-                return '\n```\n' + children().trim() + '\n```\n\n';
+            // Code blocks, keeping the language from class="language-x"
+            case 'pre': {
+                const codeElement = element.querySelector('code');
+                const languageMatch = codeElement && codeElement.className.match(/language-(\S+)/);
+                const language = languageMatch ? languageMatch[1] : '';
+                return '\n```' + language + '\n' + children().replace(/^\n+|\s+$/g, '') + '\n```\n\n';
+            }
 
             // Blockquotes
             case 'blockquote':
@@ -412,7 +450,7 @@ const DocxConverter = (function () {
                 const href = element.getAttribute('href') || '';
                 const linkText = children().trim();
                 if (href) {
-                    return '[' + linkText + '](' + href + ')';
+                    return '[' + linkText + '](' + writeLinkTarget(href, element.getAttribute('title')) + ')';
                 }
                 return linkText;
 
@@ -420,6 +458,14 @@ const DocxConverter = (function () {
             case 'img':
                 const src = element.getAttribute('src') || '';
                 const alt = element.getAttribute('alt') || 'Image';
+                if (activeOptions.markdownImages) {
+                    // Images that were centered with HTML stay HTML
+                    const parent = element.parentElement;
+                    if (parent && parent.tagName.toLowerCase() === 'p' && parent.hasAttribute('align')) {
+                        return '<img src="' + src + '" alt="' + alt + '" style="max-width: 100%;">';
+                    }
+                    return '![' + (element.getAttribute('alt') || '') + '](' + src + ')';
+                }
                 // Center images using HTML
                 return '\n<p align="center"><img src="' + src + '" alt="' + alt + '" style="max-width: 100%;"></p>\n\n';
 
@@ -497,6 +543,31 @@ const DocxConverter = (function () {
         return result;
     }
 
+    /**
+     * Write a link's target and title, wrapping the target in <...> when it
+     * has spaces or parentheses
+     * @param {string} href
+     * @param {string|null} title
+     * @returns {string}
+     */
+    function writeLinkTarget(href, title) {
+        const target = /[\s()]/.test(href) ? '<' + href + '>' : href;
+        return title ? target + ' "' + title.replace(/(["\\])/g, '\\$1') + '"' : target;
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     /**
      * Process HTML table to Markdown table
      * @param {Element} tableElement 
@@ -553,6 +624,7 @@ const DocxConverter = (function () {
 
     // Public API
     return {
-        init
+        init,
+        htmlToMarkdown
     };
 })();
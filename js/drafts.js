@@ -0,0 +1,688 @@
+/**
+ * Drafts Module
+ * Multi-draft library stored in IndexedDB, with a panel to list,
+ * open, duplicate, rename and delete drafts
+ */
+
+const Drafts = (function () {
+    const STORE = 'drafts';
+    const CURRENT_DRAFT_KEY = 'blog-editor-current-draft';
+    const SORT_KEY = 'blog-editor-drafts-sort';
+    const LEGACY_AUTOSAVE_KEY = 'blog-editor-autosave';
+    const RESTORE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+    // Id of the draft the editor is currently bound to (null = not yet saved)
+    let currentDraftId = null;
+
+    // Pending save, so writes happen in order
+    let saveQueue = Promise.resolve();
+
+    // DOM Elements
+    let draftsBtn;
+    let draftsModal;
+    let closeDraftsBtn;
+    let draftsList;
+    let sortSelect;
+    let newDraftBtn;
+    let recoveryBanner;
+
+    /**
+     * Initialize the drafts module and restore the last session
+     */
+    function init() {
+        draftsBtn = document.getElementById('drafts-btn');
+        draftsModal = document.getElementById('drafts-modal');
+        closeDraftsBtn = document.getElementById('close-drafts');
+        draftsList = document.getElementById('drafts-list');
+        sortSelect = document.getElementById('drafts-sort');
+        newDraftBtn = document.getElementById('new-draft-btn');
+        recoveryBanner = document.getElementById('recovery-banner');
+
+        currentDraftId = localStorage.getItem(CURRENT_DRAFT_KEY);
+
+        setupEventListeners();
+        registerCommands();
+
+        if (!Database.isSupported()) {
+            console.warn('Drafts: IndexedDB not available, drafts will not be saved');
+            if (draftsBtn) draftsBtn.disabled = true;
+            return;
+        }
+
+        restoreLastSession();
+    }
+
+    /**
+     * Set up panel event listeners
+     */
+    function setupEventListeners() {
+        if (draftsBtn) {
+            draftsBtn.addEventListener('click', showModal);
+        }
+
+        if (closeDraftsBtn) {
+            closeDraftsBtn.addEventListener('click', hideModal);
+        }
+
+        if (draftsModal) {
+            draftsModal.addEventListener('click', (e) => {
+                if (e.target === draftsModal) hideModal();
+            });
+        }
+
+        if (sortSelect) {
+            sortSelect.value = localStorage.getItem(SORT_KEY) || 'updated';
+            sortSelect.addEventListener('change', () => {
+                localStorage.setItem(SORT_KEY, sortSelect.value);
+                renderList();
+            });
+        }
+
+        if (newDraftBtn) {
+            newDraftBtn.addEventListener('click', async () => {
+                try {
+                    await createNew();
+                    hideModal();
+                } catch (error) {
+                    reportFailure(error);
+                }
+            });
+        }
+
+        if (draftsList) {
+            draftsList.addEventListener('click', handleListClick);
+        }
+
+        document.addEventListener('workspace:imported', handleWorkspaceImport);
+    }
+
+    /**
+     * Add draft commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        const hasDatabase = () => Database.isSupported();
+        const hasCurrent = () => hasDatabase() && Boolean(currentDraftId);
+
+        CommandPalette.register([
+            { id: 'drafts.library', title: 'Open Draft Library', category: 'Drafts', run: showModal, isAvailable: hasDatabase },
+            { id: 'drafts.new', title: 'New Draft', category: 'Drafts', run: createNew, isAvailable: hasDatabase },
+            {
+                id: 'drafts.duplicate', title: 'Duplicate Current Draft', category: 'Drafts',
+                run: () => duplicate(currentDraftId).catch(reportFailure), isAvailable: hasCurrent
+            },
+            {
+                id: 'drafts.rename', title: 'Rename Current Draft', category: 'Drafts',
+                run: () => renameCurrent().catch(reportFailure), isAvailable: hasCurrent
+            }
+        ]);
+    }
+
+    /**
+     * Ask for a new name for the open draft
+     */
+    async function renameCurrent() {
+        const draft = await Database.get(STORE, currentDraftId);
+        if (!draft) return;
+
+        const newName = prompt('Rename draft:', getDraftName(draft));
+        if (newName === null) return;
+        await rename(draft.id, newName);
+        showToast('Draft renamed', 'success');
+    }
+
+    /**
+     * Report a failed draft action
+     * @param {Error} error
+     */
+    function reportFailure(error) {
+        console.error('Drafts: Action failed', error);
+        showToast('Draft action failed: ' + error.message, 'error');
+    }
+
+    /**
+     * Refresh after a workspace import, reloading the open draft if it was overwritten
+     * @param {CustomEvent} e
+     */
+    async function handleWorkspaceImport(e) {
+        if (sortSelect && e.detail.settings) {
+            sortSelect.value = localStorage.getItem(SORT_KEY) || 'updated';
+        }
+
+        if (currentDraftId && e.detail.replaced.includes(currentDraftId)) {
+            try {
+                const draft = await Database.get(STORE, currentDraftId);
+                if (draft) loadDraft(draft);
+            } catch (error) {
+                reportFailure(error);
+            }
+        }
+
+        if (draftsModal && draftsModal.style.display === 'flex') {
+            renderList();
+        }
+    }
+
+    /**
+     * Move a pre-library autosave into the draft store
+     */
+    async function migrateLegacyAutosave() {
+        const saved = localStorage.getItem(LEGACY_AUTOSAVE_KEY);
+        if (!saved) return;
+
+        try {
+            const state = JSON.parse(saved);
+            if (state.content && state.content.trim()) {
+                const draft = createRecord({ content: state.content });
+                draft.createdAt = draft.updatedAt = state.timestamp || Date.now();
+                await Database.put(STORE, draft);
+                setCurrentDraftId(draft.id);
+            }
+            localStorage.removeItem(LEGACY_AUTOSAVE_KEY);
+        } catch (e) {
+            console.warn('Drafts: Failed to migrate old auto-save:', e);
+        }
+    }
+
+    /**
+     * Offer to reopen the draft that was active in the last session
+     */
+    async function restoreLastSession() {
+        try {
+            await migrateLegacyAutosave();
+            if (!currentDraftId) return;
+
+            const draft = await Database.get(STORE, currentDraftId);
+
+            // Until the user decides, new typing goes into a fresh draft.
+            // The stored id stays so a reload still offers the banner.
+            currentDraftId = null;
+            if (!draft) {
+                setCurrentDraftId(null);
+                return;
+            }
+
+            const isRecent = Date.now() - draft.updatedAt < RESTORE_MAX_AGE;
+            const hasContent = draft.content.trim() || draft.details.title;
+
+            if (isRecent && hasContent) {
+                showRecoveryBanner(draft);
+            }
+        } catch (e) {
+            console.warn('Drafts: Failed to restore last session:', e);
+        }
+    }
+
+    /**
+     * Show a non-blocking banner offering to restore a draft, with a preview
+     * @param {Object} draft
+     */
+    function showRecoveryBanner(draft) {
+        if (!recoveryBanner) return;
+
+        const summary = PostState.summarize(draft);
+        recoveryBanner.innerHTML = '';
+
+        const info = document.createElement('div');
+        info.className = 'recovery-info';
+
+        const heading = document.createElement('strong');
+        heading.textContent = `Restore "${getDraftName(draft)}"?`;
+
+        const meta = document.createElement('span');
+        meta.className = 'recovery-meta';
+        meta.textContent = [
+            summary.type,
+            summary.date,
+            `${summary.words} words`,
+            `last edited ${new Date(draft.updatedAt).toLocaleString()}`
+        ].filter(Boolean).join(' · ');
+
+        const excerpt = document.createElement('pre');
+        excerpt.className = 'recovery-excerpt';
+        excerpt.textContent = summary.excerpt || '(no body text)';
+
+        info.append(heading, meta, excerpt);
+
+        const actions = document.createElement('div');
+        actions.className = 'recovery-actions';
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'btn-primary';
+        restoreBtn.textContent = '↩️ Restore';
+        restoreBtn.addEventListener('click', async () => {
+            hideRecoveryBanner();
+            try {
+                await open(draft.id);
+            } catch (error) {
+                reportFailure(error);
+            }
+        });
+
+        const dismissBtn = document.createElement('button');
+        dismissBtn.type = 'button';
+        dismissBtn.className = 'btn-secondary';
+        dismissBtn.textContent = 'Start fresh';
+        dismissBtn.title = 'The draft stays in the library';
+        dismissBtn.addEventListener('click', hideRecoveryBanner);
+
+        actions.append(restoreBtn, dismissBtn);
+        recoveryBanner.append(info, actions);
+        recoveryBanner.style.display = 'flex';
+    }
+
+    /**
+     * Hide the recovery banner
+     */
+    function hideRecoveryBanner() {
+        if (recoveryBanner) {
+            recoveryBanner.style.display = 'none';
+        }
+    }
+
+    /**
+     * Persist the current draft id so the next session can find it
+     * @param {string|null} id
+     */
+    function setCurrentDraftId(id) {
+        currentDraftId = id;
+        if (id) {
+            localStorage.setItem(CURRENT_DRAFT_KEY, id);
+        } else {
+            localStorage.removeItem(CURRENT_DRAFT_KEY);
+        }
+    }
+
+    /**
+     * Build a new draft record
+     * @param {Object} state - Post state (see PostState)
+     * @returns {Object} Draft record
+     */
+    function createRecord(state) {
+        const now = Date.now();
+        return {
+            ...PostState.migrate(state),
+            id: Database.generateId('draft'),
+            name: null, // Derived from the title until renamed
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Get the display name of a draft
+     * @param {Object} draft
+     * @returns {string}
+     */
+    function getDraftName(draft) {
+        if (draft.name) return draft.name;
+        if (draft.details && draft.details.title) return draft.details.title;
+
+        const heading = draft.content.match(/^#{1,6}\s+(.+)$/m);
+        return heading ? heading[1].trim() : 'Untitled draft';
+    }
+
+    /**
+     * Save the post state into the current draft.
+     * Creates the draft on first save and skips writes when nothing changed.
+     * Saves run one at a time so concurrent callers can't create duplicate drafts.
+     * @param {Object} snapshot - Post state to save, captured now unless given
+     * @returns {Promise<boolean>} True if a write happened
+     */
+    function saveCurrent(snapshot = PostState.capture()) {
+        const run = saveQueue.then(() => writeDraft(snapshot));
+        saveQueue = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Add a writing session to a draft's log
+     * @param {string|null} id - Draft the session belongs to
+     * @param {{startedAt: number, endedAt: number, words: number, goal: number}} session
+     * @returns {Promise<boolean>} True if the session was logged
+     */
+    function logSession(id, session) {
+        const run = saveQueue.then(async () => {
+            const draft = id ? await Database.get(STORE, id) : null;
+            if (!draft) return false;
+
+            draft.sessions = [...(draft.sessions || []), session];
+            await Database.put(STORE, draft);
+            return true;
+        });
+        saveQueue = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Write a post state into the current draft
+     * @param {Object} snapshot - Post state
+     * @returns {Promise<boolean>} True if a write happened
+     */
+    async function writeDraft(snapshot) {
+        const state = PostState.migrate(snapshot);
+        let draft = currentDraftId ? await Database.get(STORE, currentDraftId) : null;
+
+        if (!draft) {
+            // Don't fill the library with empty drafts
+            if (!state.content.trim() && !state.details.title) return false;
+            draft = createRecord(state);
+        } else if (PostState.isSame(draft, state)) {
+            return false;
+        }
+
+        Object.assign(draft, state);
+        draft.updatedAt = Date.now();
+        if (typeof Statistics !== 'undefined') {
+            draft.wordHistory = Statistics.recordHistory(draft.wordHistory, draft.content, draft.updatedAt);
+        }
+
+        await Database.put(STORE, draft);
+        setCurrentDraftId(draft.id);
+        document.dispatchEvent(new CustomEvent('draft:saved', {
+            detail: { draft }
+        }));
+        return true;
+    }
+
+    /**
+     * Load a draft record into the editor and Post Details form
+     * @param {Object} draft
+     */
+    function loadDraft(draft) {
+        notifyBeforeSwitch();
+        // Switch first so autosaves triggered by the form updates land in this draft
+        setCurrentDraftId(draft.id);
+        PostState.apply(draft);
+        notifySwitch();
+    }
+
+    /**
+     * Announce that the editor is about to show a different draft, while it
+     * still holds the current one
+     */
+    function notifyBeforeSwitch() {
+        document.dispatchEvent(new CustomEvent('draft:beforeswitch', {
+            detail: { id: currentDraftId }
+        }));
+    }
+
+    /**
+     * Announce that the editor now shows a different draft
+     */
+    function notifySwitch() {
+        document.dispatchEvent(new CustomEvent('draft:switched', {
+            detail: { id: currentDraftId }
+        }));
+    }
+
+    /**
+     * Get all drafts, sorted
+     * @param {string} sortBy - 'updated', 'created' or 'name'
+     * @returns {Promise<Array>}
+     */
+    async function list(sortBy = 'updated') {
+        const drafts = await Database.getAll(STORE);
+
+        const comparators = {
+            updated: (a, b) => b.updatedAt - a.updatedAt,
+            created: (a, b) => b.createdAt - a.createdAt,
+            name: (a, b) => getDraftName(a).localeCompare(getDraftName(b))
+        };
+
+        return drafts.sort(comparators[sortBy] || comparators.updated);
+    }
+
+    /**
+     * Open a draft by id, saving the current one first
+     * @param {string} id
+     */
+    async function open(id) {
+        if (id === currentDraftId) return;
+        hideRecoveryBanner();
+
+        await saveCurrent();
+        const draft = await Database.get(STORE, id);
+        if (!draft) {
+            showToast('Draft not found', 'error');
+            return;
+        }
+
+        loadDraft(draft);
+        showToast(`Opened "${getDraftName(draft)}"`, 'success');
+    }
+
+    /**
+     * Save the current draft and start a blank one
+     */
+    async function createNew() {
+        await saveCurrent();
+        notifyBeforeSwitch();
+        setCurrentDraftId(null);
+        Editor.setContent('');
+        Export.setPostDetails({ date: new Date().toISOString().split('T')[0] });
+        notifySwitch();
+        showToast('Started a new draft', 'info');
+    }
+
+    /**
+     * Copy a draft into a new library entry
+     * @param {string} id
+     */
+    async function duplicate(id) {
+        if (id === currentDraftId) await saveCurrent();
+
+        const draft = await Database.get(STORE, id);
+        if (!draft) return;
+
+        const copy = createRecord(draft);
+        copy.name = getDraftName(draft) + ' (copy)';
+        await Database.put(STORE, copy);
+        showToast(`Duplicated "${getDraftName(draft)}"`, 'success');
+    }
+
+    /**
+     * Rename a draft
+     * @param {string} id
+     * @param {string} name - New name, empty to fall back to the title
+     */
+    async function rename(id, name) {
+        const draft = await Database.get(STORE, id);
+        if (!draft) return;
+
+        draft.name = name.trim() || null;
+        await Database.put(STORE, draft);
+    }
+
+    /**
+     * Delete a draft. Deleting the open draft clears the editor.
+     * @param {string} id
+     */
+    async function remove(id) {
+        await Database.remove(STORE, id);
+        document.dispatchEvent(new CustomEvent('draft:deleted', {
+            detail: { id }
+        }));
+
+        if (id === currentDraftId) {
+            notifyBeforeSwitch();
+            setCurrentDraftId(null);
+            Editor.setContent('');
+            Export.setPostDetails({});
+            notifySwitch();
+        }
+    }
+
+    /**
+     * Handle clicks on draft row buttons
+     * @param {MouseEvent} e
+     */
+    async function handleListClick(e) {
+        const button = e.target.closest('button[data-draft-action]');
+        if (!button) return;
+
+        const item = button.closest('.draft-item');
+        const id = item.dataset.id;
+        const name = item.querySelector('.draft-name').textContent;
+
+        try {
+            switch (button.dataset.draftAction) {
+                case 'open':
+                    await open(id);
+                    hideModal();
+                    return;
+                case 'duplicate':
+                    await duplicate(id);
+                    break;
+                case 'rename': {
+                    const newName = prompt('Rename draft:', name);
+                    if (newName === null) return;
+                    await rename(id, newName);
+                    break;
+                }
+                case 'delete':
+                    if (!confirm(`Delete "${name}"? This cannot be undone!`)) return;
+                    await remove(id);
+                    showToast(`Deleted "${name}"`, 'info');
+                    break;
+            }
+            renderList();
+        } catch (error) {
+            console.error('Drafts: Action failed', error);
+            showToast('Draft action failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Render the draft list into the panel. Never rejects: a failure to read
+     * the library is shown in the list and as a toast.
+     */
+    async function renderList() {
+        if (!draftsList) return;
+
+        let drafts = null;
+        try {
+            drafts = await list(sortSelect ? sortSelect.value : 'updated');
+        } catch (error) {
+            console.error('Drafts: Failed to list drafts', error);
+            showToast('Could not load drafts: ' + error.message, 'error');
+        }
+        draftsList.innerHTML = '';
+
+        if (!drafts || drafts.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'drafts-empty';
+            empty.textContent = drafts
+                ? 'No saved drafts yet. Start typing and your work is saved automatically.'
+                : 'The draft library could not be read.';
+            draftsList.appendChild(empty);
+            return;
+        }
+
+        drafts.forEach(draft => {
+            draftsList.appendChild(createListItem(draft));
+        });
+    }
+
+    /**
+     * Create a list row for a draft
+     * @param {Object} draft
+     * @returns {HTMLLIElement}
+     */
+    function createListItem(draft) {
+        const item = document.createElement('li');
+        item.className = 'draft-item' + (draft.id === currentDraftId ? ' current' : '');
+        item.dataset.id = draft.id;
+
+        const info = document.createElement('div');
+        info.className = 'draft-info';
+
+        const name = document.createElement('span');
+        name.className = 'draft-name';
+        name.textContent = getDraftName(draft);
+
+        const words = draft.content.trim().split(/\s+/).filter(w => w.length > 0).length;
+        const type = draft.details.type === 'project' ? 'Project' : 'Article';
+        const meta = document.createElement('span');
+        meta.className = 'draft-meta';
+        meta.textContent = `${type} · ${words} words · Edited ${new Date(draft.updatedAt).toLocaleString()}`;
+        if (draft.id === currentDraftId) meta.textContent += ' · Open';
+
+        info.append(name, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'draft-actions';
+        [
+            ['open', '📂 Open'],
+            ['duplicate', '📄 Duplicate'],
+            ['rename', '✏️ Rename'],
+            ['delete', '🗑️ Delete']
+        ].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-smart-small';
+            button.dataset.draftAction = action;
+            button.textContent = label;
+            actions.appendChild(button);
+        });
+
+        item.append(info, actions);
+        return item;
+    }
+
+    /**
+     * Show the draft library panel
+     */
+    async function showModal() {
+        if (!draftsModal) return;
+
+        // Save first so the open draft shows up to date
+        try {
+            await saveCurrent();
+        } catch (e) {
+            console.warn('Drafts: Failed to save before listing:', e);
+        }
+
+        await renderList();
+        draftsModal.style.display = 'flex';
+    }
+
+    /**
+     * Hide the draft library panel
+     */
+    function hideModal() {
+        if (draftsModal) {
+            draftsModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        saveCurrent,
+        list,
+        open,
+        createNew,
+        duplicate,
+        rename,
+        remove,
+        getDraftName,
+        logSession,
+        getCurrentDraftId: () => currentDraftId
+    };
+})();
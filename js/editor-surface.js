@@ -0,0 +1,613 @@
+/**
+ * Editor Surface Module
+ * Turns the Markdown textarea into a code-editor surface: a highlighted
+ * backdrop with line numbers, active line and bracket matching is drawn
+ * behind the (transparent) textarea, so the textarea keeps handling input,
+ * selection, undo and every toolbar action.
+ *
+ * Other modules can mark text ranges with setDecorations(source, ranges)
+ * and lines with setLineMarkers(source, markers), shown in the gutter.
+ */
+
+const EditorSurface = (function () {
+    const WRAP_KEY = 'blog-editor-soft-wrap';
+    const BRACKET_SCAN_LIMIT = 20000; // Characters searched for a matching bracket
+    const BRACKET_PAIRS = {
+        '(': ')', '[': ']', '{': '}',
+        ')': '(', ']': '[', '}': '{'
+    };
+
+    let textarea = null;
+    let surface;
+    let backdrop;
+    let linesLayer;
+    let decorationsLayer;
+    let wrapBtn;
+
+    // Rendered highlight lines: [{key, node, state}]
+    let lineEntries = [];
+    let renderedValue = null;
+    let activeNode = null;
+
+    // Decorations by source name: [{from, to, className}]
+    const decorations = {};
+    let decorationEntries = [];
+    let decorationsDirty = false;
+
+    // Gutter markers by source name: [{line, className}], and the nodes carrying them
+    const lineMarkers = {};
+    let markedNodes = [];
+    let markersDirty = false;
+
+    let softWrap = true;
+    let frameRequested = false;
+
+    // Dim every paragraph but the caret's (focus mode); lines as last dimmed
+    let paragraphFocus = false;
+    let focusedLines = null;
+
+    /**
+     * Attach the surface to the editor textarea
+     * @param {HTMLTextAreaElement} element - Must sit inside .editor-surface
+     */
+    function attach(element) {
+        textarea = element;
+        surface = textarea.closest('.editor-surface');
+        backdrop = surface && surface.querySelector('.editor-backdrop');
+        if (!backdrop) {
+            console.error('EditorSurface: .editor-surface markup not found');
+            textarea = null;
+            return;
+        }
+
+        linesLayer = backdrop.querySelector('.editor-lines');
+        decorationsLayer = backdrop.querySelector('.editor-decorations');
+        wrapBtn = document.getElementById('soft-wrap-btn');
+
+        surface.classList.add('enhanced');
+
+        ['input', 'keyup', 'mouseup', 'select', 'focus', 'blur'].forEach(eventName => {
+            textarea.addEventListener(eventName, scheduleRender);
+        });
+        textarea.addEventListener('scroll', syncScroll);
+
+        // Programmatic changes (toolbar, undo, imports) announce themselves
+        document.addEventListener('editor:update', scheduleRender);
+        document.addEventListener('undo:change', scheduleRender);
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => {
+                syncSize();
+                syncScroll();
+            }).observe(textarea);
+        }
+
+        if (wrapBtn) {
+            wrapBtn.addEventListener('click', () => setSoftWrap(!softWrap));
+        }
+        setSoftWrap(localStorage.getItem(WRAP_KEY) !== 'off');
+
+        if (typeof CommandPalette !== 'undefined') {
+            CommandPalette.register({
+                id: 'view.softWrap',
+                title: 'Toggle Soft Wrap',
+                category: 'View',
+                keywords: 'word wrap lines',
+                run: () => setSoftWrap(!softWrap)
+            });
+        }
+
+        render();
+    }
+
+    /**
+     * Render on the next animation frame
+     */
+    function scheduleRender() {
+        if (frameRequested || !textarea) return;
+        frameRequested = true;
+        requestAnimationFrame(() => {
+            frameRequested = false;
+            render();
+        });
+    }
+
+    /**
+     * Bring the backdrop in line with the textarea
+     */
+    function render() {
+        if (!textarea) return;
+
+        const value = textarea.value;
+        if (value !== renderedValue) {
+            renderLines(value);
+            renderedValue = value;
+            decorationsDirty = true;
+            markersDirty = true;
+        }
+
+        updateActiveLine();
+        updateBracketMatch();
+        updateParagraphFocus();
+
+        if (decorationsDirty) {
+            renderDecorations();
+            decorationsDirty = false;
+        }
+
+        if (markersDirty) {
+            renderLineMarkers();
+            markersDirty = false;
+        }
+
+        syncSize();
+        syncScroll();
+    }
+
+    /**
+     * Re-render highlighted lines, reusing the DOM for unchanged lines
+     * @param {string} value
+     */
+    function renderLines(value) {
+        const pool = createPool(lineEntries);
+        const entries = [];
+        let state = MarkdownHighlighter.INITIAL_STATE;
+
+        value.split('\n').forEach(line => {
+            const key = MarkdownHighlighter.stateKey(state) + '\n' + line;
+            let entry = takeFromPool(pool, key);
+
+            if (!entry) {
+                const result = MarkdownHighlighter.highlightLine(line, state);
+                entry = { key, node: createLine(result.html), state: result.state };
+            }
+
+            entries.push(entry);
+            state = entry.state;
+        });
+
+        patchLayer(linesLayer, lineEntries, entries);
+        lineEntries = entries;
+    }
+
+    /**
+     * Index entries by key so they can be reused
+     * @param {Array} entries
+     * @returns {Map<string, Array>}
+     */
+    function createPool(entries) {
+        const pool = new Map();
+        entries.forEach(entry => {
+            if (!pool.has(entry.key)) pool.set(entry.key, []);
+            pool.get(entry.key).push(entry);
+        });
+        return pool;
+    }
+
+    /**
+     * Take a reusable entry from the pool
+     * @param {Map<string, Array>} pool
+     * @param {string} key
+     * @returns {Object|undefined}
+     */
+    function takeFromPool(pool, key) {
+        const matches = pool.get(key);
+        return matches && matches.length > 0 ? matches.shift() : undefined;
+    }
+
+    /**
+     * Create a line element
+     * @param {string} html
+     * @returns {HTMLDivElement}
+     */
+    function createLine(html) {
+        const node = document.createElement('div');
+        node.className = 'cm-line';
+        // Empty lines still need their height
+        node.innerHTML = html || '<br>';
+        return node;
+    }
+
+    /**
+     * Replace only the changed middle section of a layer's children
+     * @param {HTMLElement} layer
+     * @param {Array} oldEntries
+     * @param {Array} newEntries
+     */
+    function patchLayer(layer, oldEntries, newEntries) {
+        let start = 0;
+        while (start < oldEntries.length && start < newEntries.length &&
+            oldEntries[start].node === newEntries[start].node) {
+            start++;
+        }
+
+        let oldEnd = oldEntries.length;
+        let newEnd = newEntries.length;
+        while (oldEnd > start && newEnd > start &&
+            oldEntries[oldEnd - 1].node === newEntries[newEnd - 1].node) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const anchor = oldEnd < oldEntries.length ? oldEntries[oldEnd].node : null;
+        for (let i = start; i < oldEnd; i++) {
+            oldEntries[i].node.remove();
+        }
+
+        const fragment = document.createDocumentFragment();
+        for (let i = start; i < newEnd; i++) {
+            fragment.appendChild(newEntries[i].node);
+        }
+        layer.insertBefore(fragment, anchor);
+    }
+
+    /**
+     * Get the line index at a text offset
+     * @param {number} offset
+     * @returns {number}
+     */
+    function lineIndexAt(offset) {
+        let index = 0;
+        let position = textarea.value.indexOf('\n');
+        while (position !== -1 && position < offset) {
+            index++;
+            position = textarea.value.indexOf('\n', position + 1);
+        }
+        return index;
+    }
+
+    /**
+     * Highlight the line holding the caret
+     */
+    function updateActiveLine() {
+        const entry = lineEntries[lineIndexAt(textarea.selectionStart)];
+        const node = entry && document.activeElement === textarea ? entry.node : null;
+
+        if (node === activeNode) return;
+        if (activeNode) activeNode.classList.remove('cm-active');
+        if (node) node.classList.add('cm-active');
+        activeNode = node;
+    }
+
+    /**
+     * Dim the lines outside the caret's paragraph (a run of non-blank lines)
+     */
+    function updateParagraphFocus() {
+        if (!paragraphFocus) {
+            if (focusedLines) {
+                lineEntries.forEach(entry => entry.node.classList.remove('cm-dimmed'));
+                focusedLines = null;
+            }
+            return;
+        }
+
+        const lines = textarea.value.split('\n');
+        const caretLine = lineIndexAt(textarea.selectionStart);
+        let from = caretLine;
+        let to = caretLine;
+        if (lines[caretLine].trim() !== '') {
+            while (from > 0 && lines[from - 1].trim() !== '') from--;
+            while (to < lines.length - 1 && lines[to + 1].trim() !== '') to++;
+        }
+
+        // Reused line nodes may carry an old state, so every line is set each time
+        focusedLines = { from, to };
+        lineEntries.forEach((entry, i) => {
+            entry.node.classList.toggle('cm-dimmed', i < from || i > to);
+        });
+    }
+
+    /**
+     * Turn dimming of the other paragraphs on or off
+     * @param {boolean} enabled
+     */
+    function setParagraphFocus(enabled) {
+        paragraphFocus = enabled;
+        scheduleRender();
+    }
+
+    /**
+     * Mark the bracket next to the caret and its partner
+     */
+    function updateBracketMatch() {
+        const ranges = [];
+
+        if (textarea.selectionStart === textarea.selectionEnd && document.activeElement === textarea) {
+            const value = textarea.value;
+            const caret = textarea.selectionStart;
+
+            // Prefer the bracket before the caret, like most editors
+            const position = BRACKET_PAIRS[value[caret - 1]] ? caret - 1 :
+                (BRACKET_PAIRS[value[caret]] ? caret : -1);
+
+            if (position !== -1) {
+                const match = findMatchingBracket(value, position);
+                const className = match === -1 ? 'cm-bracket-mismatch' : 'cm-bracket-match';
+                ranges.push({ from: position, to: position + 1, className });
+                if (match !== -1) ranges.push({ from: match, to: match + 1, className });
+            }
+        }
+
+        const previous = decorations.brackets || [];
+        if (JSON.stringify(previous) !== JSON.stringify(ranges)) {
+            decorations.brackets = ranges;
+            decorationsDirty = true;
+        }
+    }
+
+    /**
+     * Find the bracket matching the one at a position
+     * @param {string} value
+     * @param {number} position
+     * @returns {number} Index of the match, or -1
+     */
+    function findMatchingBracket(value, position) {
+        const open = value[position];
+        const close = BRACKET_PAIRS[open];
+        const forward = '([{'.includes(open);
+        const step = forward ? 1 : -1;
+        const limit = forward
+            ? Math.min(value.length, position + BRACKET_SCAN_LIMIT)
+            : Math.max(-1, position - BRACKET_SCAN_LIMIT);
+
+        let depth = 0;
+        for (let i = position; i !== limit; i += step) {
+            if (value[i] === open) depth++;
+            else if (value[i] === close && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Set the ranges one source wants marked; replaces that source's earlier ranges
+     * @param {string} source - e.g. 'find', 'spellcheck'
+     * @param {Array<{from: number, to: number, className: string, title: string}>} ranges
+     */
+    function setDecorations(source, ranges) {
+        decorations[source] = ranges || [];
+        decorationsDirty = true;
+        scheduleRender();
+    }
+
+    /**
+     * Remove all ranges of a source
+     * @param {string} source
+     */
+    function clearDecorations(source) {
+        if (!decorations[source] || decorations[source].length === 0) return;
+        setDecorations(source, []);
+    }
+
+    /**
+     * Draw decorations as marks over transparent text, one layer line per text line
+     */
+    function renderDecorations() {
+        const ranges = Object.values(decorations)
+            .flat()
+            .filter(range => range.to > range.from)
+            .sort((a, b) => a.from - b.from);
+
+        if (ranges.length === 0) {
+            decorationsLayer.replaceChildren();
+            decorationEntries = [];
+            return;
+        }
+
+        const pool = createPool(decorationEntries);
+        const entries = [];
+        const lines = textarea.value.split('\n');
+        let lineStart = 0;
+        let next = 0; // First range that may touch the current line
+
+        lines.forEach(line => {
+            const lineEnd = lineStart + line.length;
+
+            while (next < ranges.length && ranges[next].to <= lineStart) next++;
+            const onLine = [];
+            for (let i = next; i < ranges.length && ranges[i].from <= lineEnd; i++) {
+                if (ranges[i].to > lineStart) onLine.push(ranges[i]);
+            }
+
+            const key = line + '\n' +
+                JSON.stringify(onLine.map(r => [r.from - lineStart, r.to - lineStart, r.className, r.title]));
+            let entry = takeFromPool(pool, key);
+            if (!entry) {
+                entry = { key, node: createLine(decorateLine(line, lineStart, onLine)) };
+            }
+            entries.push(entry);
+
+            lineStart = lineEnd + 1;
+        });
+
+        patchLayer(decorationsLayer, decorationEntries, entries);
+        decorationEntries = entries;
+    }
+
+    /**
+     * Build the HTML of one decoration line
+     * @param {string} line
+     * @param {number} lineStart - Offset of the line in the text
+     * @param {Array} ranges - Ranges touching the line
+     * @returns {string}
+     */
+    function decorateLine(line, lineStart, ranges) {
+        const escape = MarkdownHighlighter.escapeHtml;
+
+        let html = '';
+        let position = 0;
+        ranges.forEach(range => {
+            const from = Math.max(range.from - lineStart, position);
+            const to = Math.min(range.to - lineStart, line.length);
+            if (to <= from) return;
+
+            const title = range.title ? ` title="${escape(range.title).replace(/"/g, '&quot;')}"` : '';
+            html += escape(line.substring(position, from)) +
+                `<mark class="${range.className}"${title}>${escape(line.substring(from, to))}</mark>`;
+            position = to;
+        });
+
+        return html + escape(line.substring(position));
+    }
+
+    /**
+     * Set the lines one source wants marked in the gutter; replaces that source's earlier markers
+     * @param {string} source - e.g. 'lint'
+     * @param {Array<{line: number, className: string}>} markers - Line indexes
+     */
+    function setLineMarkers(source, markers) {
+        lineMarkers[source] = markers || [];
+        markersDirty = true;
+        scheduleRender();
+    }
+
+    /**
+     * Put the marker classes on their line nodes
+     */
+    function renderLineMarkers() {
+        // Lines are reused between renders, so clear the old markers first
+        markedNodes.forEach(({ node, className }) => node.classList.remove(className));
+        markedNodes = [];
+
+        Object.values(lineMarkers).flat().forEach(marker => {
+            const entry = lineEntries[marker.line];
+            if (!entry) return;
+            entry.node.classList.add(marker.className);
+            markedNodes.push({ node: entry.node, className: marker.className });
+        });
+    }
+
+    /**
+     * Scroll the textarea so a text offset is comfortably in view
+     * @param {number} offset
+     */
+    function scrollToOffset(offset) {
+        if (!textarea) return;
+        render();
+
+        const entry = lineEntries[lineIndexAt(offset)];
+        if (!entry) return;
+
+        const top = entry.node.offsetTop;
+        const bottom = top + entry.node.offsetHeight;
+        if (top < textarea.scrollTop || bottom > textarea.scrollTop + textarea.clientHeight) {
+            textarea.scrollTop = Math.max(0, top - textarea.clientHeight / 3);
+            syncScroll();
+        }
+    }
+
+    /**
+     * Get the vertical position of a line in the textarea's scroll coordinates
+     * @param {number} line - Line index; fractions interpolate into the line
+     * @returns {number}
+     */
+    function lineTop(line) {
+        if (lineEntries.length === 0) return 0;
+
+        const index = Math.max(0, Math.min(Math.floor(line), lineEntries.length - 1));
+        const node = lineEntries[index].node;
+        return node.offsetTop + (line - index) * node.offsetHeight;
+    }
+
+    /**
+     * Get the vertical position of a text offset, following soft-wrapped lines
+     * @param {number} offset
+     * @returns {number} Top of the offset's row in the textarea's scroll coordinates
+     */
+    function offsetTop(offset) {
+        if (!textarea) return 0;
+        render();
+
+        const entry = lineEntries[lineIndexAt(offset)];
+        if (!entry) return 0;
+
+        // Find the character inside the highlighted line and measure it
+        let remaining = offset - (textarea.value.lastIndexOf('\n', offset - 1) + 1);
+        const walker = document.createTreeWalker(entry.node, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const text = walker.currentNode;
+            if (remaining <= text.length) {
+                const range = document.createRange();
+                range.setStart(text, remaining);
+                range.setEnd(text, remaining);
+                const rect = range.getBoundingClientRect();
+                return entry.node.offsetTop + Math.max(0, rect.top - entry.node.getBoundingClientRect().top);
+            }
+            remaining -= text.length;
+        }
+        return entry.node.offsetTop;
+    }
+
+    /**
+     * Get the line at a vertical position in the textarea's scroll coordinates
+     * @param {number} y
+     * @returns {number} Line index, with the fraction of the way through the line
+     */
+    function lineAtY(y) {
+        let low = 0;
+        let high = lineEntries.length - 1;
+        if (high < 0) return 0;
+
+        // Last line starting at or above y
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineEntries[middle].node.offsetTop <= y) low = middle;
+            else high = middle - 1;
+        }
+
+        const node = lineEntries[low].node;
+        const fraction = node.offsetHeight > 0 ? (y - node.offsetTop) / node.offsetHeight : 0;
+        return low + Math.max(0, Math.min(1, fraction));
+    }
+
+    /**
+     * Match the backdrop width to the textarea's content area (minus scrollbar)
+     */
+    function syncSize() {
+        backdrop.style.width = textarea.clientWidth + 'px';
+        backdrop.style.height = textarea.clientHeight + 'px';
+    }
+
+    /**
+     * Scroll the backdrop with the textarea
+     */
+    function syncScroll() {
+        if (!textarea) return;
+        backdrop.scrollTop = textarea.scrollTop;
+        backdrop.scrollLeft = textarea.scrollLeft;
+    }
+
+    /**
+     * Turn soft wrapping of long lines on or off
+     * @param {boolean} enabled
+     */
+    function setSoftWrap(enabled) {
+        softWrap = enabled;
+        localStorage.setItem(WRAP_KEY, enabled ? 'on' : 'off');
+
+        textarea.setAttribute('wrap', enabled ? 'soft' : 'off');
+        surface.classList.toggle('no-wrap', !enabled);
+        if (wrapBtn) {
+            wrapBtn.classList.toggle('active', enabled);
+            wrapBtn.title = enabled ? 'Soft wrap is on' : 'Soft wrap is off';
+        }
+
+        scheduleRender();
+    }
+
+    // Public API
+    return {
+        attach,
+        refresh: scheduleRender,
+        setDecorations,
+        clearDecorations,
+        setLineMarkers,
+        scrollToOffset,
+        lineTop,
+        offsetTop,
+        lineAtY,
+        lineIndexAt: (offset) => (textarea ? lineIndexAt(offset) : 0),
+        setSoftWrap,
+        isSoftWrap: () => softWrap,
+        setParagraphFocus
+    };
+})();
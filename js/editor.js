@@ -21,17 +21,13 @@ const Editor = (function () {
     let fullscreenBtn;
     let tocBtn;
 
+    // Pending toolbar active-state update
+    let activeFormatsFrame = null;
+
     // Auto-save settings
-    const AUTOSAVE_KEY = 'blog-editor-autosave';
     const AUTOSAVE_DELAY = 2000; // 2 seconds
     let autosaveTimer;
 
-    // Undo/Redo history
-    const MAX_HISTORY = 50;
-    let history = [];
-    let historyIndex = -1;
-    let isUndoRedo = false;
-
     /**
      * Initialize the editor module
      */
@@ -57,6 +53,13 @@ const Editor = (function () {
             return;
         }
 
+        UndoManager.attach(editorTextarea);
+
+        // Highlighting, line numbers and bracket matching behind the textarea
+        if (typeof EditorSurface !== 'undefined') {
+            EditorSurface.attach(editorTextarea);
+        }
+
         setupToolbarListeners();
         setupKeyboardShortcuts();
         setupInputListeners();
@@ -67,7 +70,7 @@ const Editor = (function () {
         setupSmartButtons();
         setupFullscreen();
         setupDragDrop();
-        restoreAutoSave(); // Restore previous work
+        registerCommands();
         updateWordCount(); // Initial count
         updateUndoRedoButtons(); // Initial button state
     }
@@ -84,6 +87,27 @@ const Editor = (function () {
             const action = button.dataset.action;
             handleToolbarAction(action);
         });
+
+        // Highlight the buttons for the formatting at the cursor
+        ['keyup', 'mouseup', 'input', 'focus'].forEach(eventName => {
+            editorTextarea.addEventListener(eventName, scheduleActiveFormats);
+        });
+        document.addEventListener('editor:update', scheduleActiveFormats);
+    }
+
+    /**
+     * Update the toolbar's active states on the next animation frame
+     */
+    function scheduleActiveFormats() {
+        if (activeFormatsFrame) return;
+        activeFormatsFrame = requestAnimationFrame(() => {
+            activeFormatsFrame = null;
+            const active = Formatting.getActiveFormats(
+                editorTextarea.value, editorTextarea.selectionStart, editorTextarea.selectionEnd);
+            toolbar.querySelectorAll('button[data-action]').forEach(button => {
+                button.classList.toggle('active', active.includes(button.dataset.action));
+            });
+        });
     }
 
     /**
@@ -91,78 +115,191 @@ const Editor = (function () {
      * @param {string} action - The action to perform
      */
     function handleToolbarAction(action) {
+        // The table and link dialogs take focus and apply their own edits
+        if (action === 'table' && typeof TableEditor !== 'undefined') {
+            TableEditor.open();
+            return;
+        }
+        if ((action === 'link' || action === 'image') && typeof LinkDialog !== 'undefined') {
+            LinkDialog.open(action);
+            return;
+        }
+
         const actions = {
-            'h1': () => insertLinePrefix('# '),
-            'h2': () => insertLinePrefix('## '),
-            'h3': () => insertLinePrefix('### '),
-            'bold': () => wrapSelection('**', '**'),
-            'italic': () => wrapSelection('*', '*'),
-            'code': () => wrapSelection('`', '`'),
-            'ul': () => insertLinePrefix('- '),
-            'ol': () => insertOrderedList(),
-            'quote': () => insertLinePrefix('> '),
-            'link': () => insertLink(),
-            'image': () => insertImage(),
-            'codeblock': () => insertCodeBlock(),
-            'strikethrough': () => wrapSelection('~~', '~~'),
+            'h1': () => applyFormat(Formatting.toggleHeading, 1),
+            'h2': () => applyFormat(Formatting.toggleHeading, 2),
+            'h3': () => applyFormat(Formatting.toggleHeading, 3),
+            'bold': () => applyFormat(Formatting.toggleInline, 'bold'),
+            'italic': () => applyFormat(Formatting.toggleInline, 'italic'),
+            'code': () => applyFormat(Formatting.toggleInline, 'code'),
+            'ul': () => applyFormat(Formatting.toggleLinePrefix, 'ul'),
+            'ol': () => applyFormat(Formatting.toggleLinePrefix, 'ol'),
+            'quote': () => applyFormat(Formatting.toggleLinePrefix, 'quote'),
+            'link': () => applyFormat(Formatting.removeLink, 'link') || insertLink(),
+            'image': () => applyFormat(Formatting.removeLink, 'image') || insertImage(),
+            'codeblock': () => applyFormat(Formatting.removeCodeBlock) || insertCodeBlock(),
+            'strikethrough': () => applyFormat(Formatting.toggleInline, 'strikethrough'),
             'table': () => insertTable(),
-            'hr': () => insertHorizontalRule()
+            'hr': () => applyFormat(Formatting.removeHorizontalRule) || insertHorizontalRule()
         };
 
         if (actions[action]) {
             actions[action]();
+            renumberLists();
             editorTextarea.focus();
+            saveToHistory();
             triggerPreviewUpdate();
         }
     }
 
     /**
-     * Set up keyboard shortcuts
+     * Add the editor's actions to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        const formats = [
+            ['bold', 'Bold', 'Ctrl+B'],
+            ['italic', 'Italic', 'Ctrl+I'],
+            ['code', 'Inline Code'],
+            ['strikethrough', 'Strikethrough'],
+            ['h1', 'Heading 1'],
+            ['h2', 'Heading 2'],
+            ['h3', 'Heading 3'],
+            ['ul', 'Bullet List'],
+            ['ol', 'Numbered List'],
+            ['quote', 'Blockquote'],
+            ['link', 'Link', 'Ctrl+K'],
+            ['image', 'Image'],
+            ['codeblock', 'Code Block'],
+            ['table', 'Table'],
+            ['hr', 'Horizontal Rule']
+        ];
+
+        CommandPalette.register(formats.map(([action, title, shortcut]) => ({
+            id: `format.${action}`,
+            title,
+            category: 'Format',
+            shortcut,
+            run: () => handleToolbarAction(action)
+        })));
+
+        CommandPalette.register([
+            { id: 'edit.undo', title: 'Undo', category: 'Edit', shortcut: 'Ctrl+Z', run: undo },
+            { id: 'edit.redo', title: 'Redo', category: 'Edit', shortcut: 'Ctrl+Y', run: redo },
+            {
+                id: 'edit.clear', title: 'Clear All Content', category: 'Edit',
+                run: () => clearButton && clearButton.click(),
+                isAvailable: () => Boolean(clearButton)
+            },
+            {
+                id: 'insert.toc', title: 'Table of Contents', category: 'Insert',
+                keywords: 'toc headings', run: generateTableOfContents
+            },
+            {
+                id: 'view.collapseImages', title: 'Toggle Image Data', category: 'View',
+                keywords: 'collapse hide show base64', run: toggleImageCollapse
+            },
+            {
+                id: 'view.fullscreen', title: 'Toggle Fullscreen Editor', category: 'View',
+                keywords: 'distraction', run: toggleFullscreen
+            },
+            { id: 'help.shortcuts', title: 'Keyboard Shortcuts', category: 'Help', shortcut: 'Ctrl+/', run: showShortcutsModal },
+            { id: 'help.markdown', title: 'Markdown Guide', category: 'Help', shortcut: 'Ctrl+?', run: showMarkdownModal },
+            {
+                id: 'post.today', title: 'Set Date to Today', category: 'Post',
+                run: () => todayBtn && todayBtn.click(),
+                isAvailable: () => Boolean(todayBtn)
+            },
+            {
+                id: 'post.generateSlug', title: 'Generate Slug from Title', category: 'Post',
+                run: () => autoSlugBtn.click(),
+                isAvailable: () => Boolean(autoSlugBtn)
+            }
+        ]);
+    }
+
+    /**
+     * Set up the editing keys; command shortcuts (Ctrl+B, Ctrl+Z, ...) come from Keymap
      */
     function setupKeyboardShortcuts() {
         editorTextarea.addEventListener('keydown', (e) => {
-            // Ctrl/Cmd + B = Bold
-            if ((e.ctrlKey || e.metaKey) && e.key === 'b') {
-                e.preventDefault();
-                handleToolbarAction('bold');
-            }
-            // Ctrl/Cmd + I = Italic
-            if ((e.ctrlKey || e.metaKey) && e.key === 'i') {
-                e.preventDefault();
-                handleToolbarAction('italic');
-            }
-            // Ctrl/Cmd + K = Link
-            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-                e.preventDefault();
-                handleToolbarAction('link');
-            }
-            // Ctrl/Cmd + Z = Undo
-            if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
-                e.preventDefault();
-                undo();
-            }
-            // Ctrl/Cmd + Y = Redo
-            if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
-                e.preventDefault();
-                redo();
-            }
-            // ? = Show shortcuts
-            if (e.key === '?' && !e.shiftKey) {
-                e.preventDefault();
-                showShortcutsModal();
+            const start = editorTextarea.selectionStart;
+            const end = editorTextarea.selectionEnd;
+
+            // Enter = Add a table row, or continue or end a list item
+            if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey && !e.isComposing) {
+                const edit = (typeof TableEditor !== 'undefined' && TableEditor.continueTable(editorTextarea.value, start, end)) ||
+                    (typeof SmartLists !== 'undefined' && SmartLists.continueList(editorTextarea.value, start, end));
+                if (edit) {
+                    e.preventDefault();
+                    applyEdit(edit);
+                }
             }
-            // Shift + ?= Show markdown guide
-            if (e.key === '?' && e.shiftKey) {
+            // Tab / Shift+Tab = Next or previous table cell, or indent or outdent list items and selected lines
+            if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey) {
                 e.preventDefault();
-                showMarkdownModal();
+                const edit = typeof TableEditor !== 'undefined' &&
+                    TableEditor.nextCell(editorTextarea.value, start, end, e.shiftKey);
+                if (edit) applyEdit(edit);
+                else handleTab(e.shiftKey);
             }
-            // Tab = Insert spaces instead of moving focus
-            if (e.key === 'Tab') {
-                e.preventDefault();
+        });
+    }
+
+    /**
+     * Indent or outdent the current block, or insert spaces at the caret
+     * @param {boolean} outdent - Shift+Tab
+     */
+    function handleTab(outdent) {
+        const start = editorTextarea.selectionStart;
+        const end = editorTextarea.selectionEnd;
+        const value = editorTextarea.value;
+
+        if (typeof SmartLists === 'undefined') {
+            if (!outdent) {
                 insertAtCursor('    ');
+                saveToHistory();
                 triggerPreviewUpdate();
             }
-        });
+            return;
+        }
+
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        let lineEnd = value.indexOf('\n', start);
+        if (lineEnd === -1) lineEnd = value.length;
+
+        const multiLine = value.substring(start, end).includes('\n');
+        const onListItem = SmartLists.parseItem(value.substring(lineStart, lineEnd)) !== null;
+
+        if (outdent || multiLine || onListItem) {
+            const edit = SmartLists.indentLines(value, start, end, outdent);
+            if (edit) applyEdit(edit);
+        } else {
+            replaceRange(start, end, '    ');
+        }
+    }
+
+    /**
+     * Apply an edit returned by SmartLists or TableEditor
+     * @param {{from: number, to: number, text: string, selectionStart: number, selectionEnd: number}} edit
+     */
+    function applyEdit(edit) {
+        replaceRange(edit.from, edit.to, edit.text, edit.selectionStart, edit.selectionEnd);
+    }
+
+    /**
+     * Bring ordered list numbers back in sequence after a change
+     */
+    function renumberLists() {
+        if (typeof SmartLists === 'undefined') return;
+
+        const result = SmartLists.renumber(
+            editorTextarea.value, editorTextarea.selectionStart, editorTextarea.selectionEnd);
+        if (result) {
+            editorTextarea.value = result.value;
+            editorTextarea.setSelectionRange(result.selectionStart, result.selectionEnd);
+        }
     }
 
     /**
@@ -171,10 +308,10 @@ const Editor = (function () {
     function setupInputListeners() {
         // Debounced input for performance
         let debounceTimer;
-        editorTextarea.addEventListener('input', () => {
-            if (!isUndoRedo) {
-                saveToHistory();
-            }
+        editorTextarea.addEventListener('input', (e) => {
+            // Leave IME composition alone; the final input event renumbers
+            if (!e.isComposing) renumberLists();
+            saveToHistory('typing');
 
             clearTimeout(debounceTimer);
             debounceTimer = setTimeout(() => {
@@ -183,6 +320,13 @@ const Editor = (function () {
                 scheduleAutoSave();
             }, 150);
         });
+
+        // Post Details are saved with the draft too
+        const metadataPanel = document.querySelector('.metadata-panel');
+        if (metadataPanel) {
+            metadataPanel.addEventListener('input', scheduleAutoSave);
+            metadataPanel.addEventListener('change', scheduleAutoSave);
+        }
     }
 
     /**
@@ -199,67 +343,19 @@ const Editor = (function () {
     }
 
     /**
-     * Wrap selected text with prefix and suffix
-     * @param {string} prefix - Text before selection
-     * @param {string} suffix - Text after selection
+     * Apply a Formatting edit to the selection
+     * @param {Function} format - Formatting function, called with args then (value, start, end)
+     * @param {...*} args - Leading arguments, e.g. the heading level
+     * @returns {boolean} Whether anything changed
      */
-    function wrapSelection(prefix, suffix) {
-        const start = editorTextarea.selectionStart;
-        const end = editorTextarea.selectionEnd;
-        const value = editorTextarea.value;
-        const selectedText = value.substring(start, end) || 'text';
+    function applyFormat(format, ...args) {
+        const edit = format(...args, editorTextarea.value, editorTextarea.selectionStart, editorTextarea.selectionEnd);
+        if (!edit) return false;
 
-        const newText = prefix + selectedText + suffix;
-        editorTextarea.value = value.substring(0, start) + newText + value.substring(end);
-
-        // Select the inserted text (excluding markers)
-        editorTextarea.selectionStart = start + prefix.length;
-        editorTextarea.selectionEnd = start + prefix.length + selectedText.length;
-    }
-
-    /**
-     * Insert prefix at the start of the current line
-     * @param {string} prefix - Text to insert at line start
-     */
-    function insertLinePrefix(prefix) {
-        const start = editorTextarea.selectionStart;
-        const value = editorTextarea.value;
-
-        // Find the start of the current line
-        let lineStart = value.lastIndexOf('\n', start - 1) + 1;
-
-        // Insert prefix at line start
-        editorTextarea.value = value.substring(0, lineStart) + prefix + value.substring(lineStart);
-        editorTextarea.selectionStart = editorTextarea.selectionEnd = start + prefix.length;
-    }
-
-    /**
-     * Insert ordered list item
-     */
-    function insertOrderedList() {
-        const start = editorTextarea.selectionStart;
         const value = editorTextarea.value;
-
-        // Find the start of the current line
-        let lineStart = value.lastIndexOf('\n', start - 1) + 1;
-
-        // Count existing list items to get the next number
-        const textBefore = value.substring(0, lineStart);
-        const lines = textBefore.split('\n');
-        let listNumber = 1;
-
-        // Check previous line for list item number
-        if (lines.length > 1) {
-            const prevLine = lines[lines.length - 2];
-            const match = prevLine.match(/^(\d+)\. /);
-            if (match) {
-                listNumber = parseInt(match[1]) + 1;
-            }
-        }
-
-        const prefix = `${listNumber}. `;
-        editorTextarea.value = value.substring(0, lineStart) + prefix + value.substring(lineStart);
-        editorTextarea.selectionStart = editorTextarea.selectionEnd = start + prefix.length;
+        editorTextarea.value = value.substring(0, edit.from) + edit.text + value.substring(edit.to);
+        editorTextarea.setSelectionRange(edit.selectionStart, edit.selectionEnd);
+        return true;
     }
 
     /**
@@ -319,9 +415,19 @@ const Editor = (function () {
      * Insert a table
      */
     function insertTable() {
-        const start = editorTextarea.selectionStart;
+        let start = editorTextarea.selectionStart;
         const value = editorTextarea.value;
 
+        // Never split an existing table; add the new one after it
+        const tableRow = /^\s*\|/;
+        if (tableRow.test(value.substring(value.lastIndexOf('\n', start - 1) + 1))) {
+            let lineEnd = value.indexOf('\n', start);
+            while (lineEnd !== -1 && tableRow.test(value.substring(lineEnd + 1))) {
+                lineEnd = value.indexOf('\n', lineEnd + 1);
+            }
+            start = lineEnd === -1 ? value.length : lineEnd;
+        }
+
         const table = `\n| Header 1 | Header 2 | Header 3 |\n|----------|----------|----------|\n| Cell 1   | Cell 2   | Cell 3   |\n| Cell 4   | Cell 5   | Cell 6   |\n\n`;
         editorTextarea.value = value.substring(0, start) + table + value.substring(start);
         editorTextarea.selectionStart = editorTextarea.selectionEnd = start + 4;
@@ -339,6 +445,28 @@ const Editor = (function () {
         editorTextarea.selectionStart = editorTextarea.selectionEnd = start + hr.length;
     }
 
+    /**
+     * Replace part of the text as a single undo step
+     * @param {number} from - Start offset of the replaced text
+     * @param {number} to - End offset of the replaced text
+     * @param {string} text - Replacement
+     * @param {number} selectionStart - Selection after the edit (defaults to the end of the replacement)
+     * @param {number} selectionEnd
+     */
+    function replaceRange(from, to, text, selectionStart = from + text.length, selectionEnd = selectionStart) {
+        if (!editorTextarea) return;
+
+        const value = editorTextarea.value;
+        editorTextarea.value = value.substring(0, from) + text + value.substring(to);
+        editorTextarea.setSelectionRange(selectionStart, selectionEnd);
+        renumberLists();
+
+        saveToHistory();
+        triggerPreviewUpdate();
+        updateWordCount();
+        scheduleAutoSave();
+    }
+
     /**
      * Trigger preview update event
      */
@@ -355,14 +483,15 @@ const Editor = (function () {
         if (!wordCountDisplay || !editorTextarea) return;
 
         const text = editorTextarea.value;
-        const words = text.trim().split(/\s+/).filter(w => w.length > 0).length;
         const chars = text.length;
 
+        // Count the prose like the statistics panel: no code or image data
+        const words = Statistics.countWords(text);
+
         wordCountDisplay.textContent = `${words} words / ${chars} chars`;
 
-        // Update reading time (average 200 words per minute)
         if (readingTime) {
-            const minutes = Math.max(1, Math.ceil(words / 200));
+            const minutes = Statistics.readingMinutes(words);
             readingTime.textContent = `📖 ${minutes} min read`;
         }
     }
@@ -373,23 +502,20 @@ const Editor = (function () {
     function scheduleAutoSave() {
         clearTimeout(autosaveTimer);
         autosaveTimer = setTimeout(() => {
-            saveToLocalStorage();
+            saveDraft();
         }, AUTOSAVE_DELAY);
     }
 
     /**
-     * Save current state to localStorage
+     * Save current state to the draft library
      */
-    function saveToLocalStorage() {
-        if (!editorTextarea) return;
-
-        const state = {
-            content: editorTextarea.value,
-            timestamp: Date.now()
-        };
+    async function saveDraft() {
+        if (!editorTextarea || typeof Drafts === 'undefined') return;
 
         try {
-            localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(state));
+            const saved = await Drafts.saveCurrent();
+            if (!saved) return;
+
             if (autosaveIndicator) {
                 autosaveIndicator.textContent = '💾 Saved';
                 autosaveIndicator.className = 'autosave-indicator saved';
@@ -407,44 +533,18 @@ const Editor = (function () {
         }
     }
 
-    /**
-     * Restore from localStorage
-     */
-    function restoreAutoSave() {
-        try {
-            const saved = localStorage.getItem(AUTOSAVE_KEY);
-            if (!saved) return;
-
-            const state = JSON.parse(saved);
-            const ageMinutes = (Date.now() - state.timestamp) / 1000 / 60;
-
-            // Only restore if less than 7 days old
-            if (ageMinutes < 7 * 24 * 60 && state.content && state.content.trim()) {
-                if (confirm(`Restore your last session from ${new Date(state.timestamp).toLocaleString()}?`)) {
-                    editorTextarea.value = state.content;
-                    triggerPreviewUpdate();
-                    updateWordCount();
-                }
-            }
-        } catch (e) {
-            console.warn('Failed to restore auto-save:', e);
-        }
-    }
-
     /**
      * Setup clear button
      */
     function setupClearButton() {
         if (clearButton) {
             clearButton.addEventListener('click', () => {
-                if (confirm('Clear all content? This cannot be undone!')) {
+                if (confirm('Clear all content? You can bring it back with Undo.')) {
                     editorTextarea.value = '';
-                    localStorage.removeItem(AUTOSAVE_KEY);
-                    history = [];
-                    historyIndex = -1;
+                    saveToHistory();
                     triggerPreviewUpdate();
                     updateWordCount();
-                    updateUndoRedoButtons();
+                    scheduleAutoSave();
                 }
             });
         }
@@ -460,33 +560,20 @@ const Editor = (function () {
         if (redoBtn) {
             redoBtn.addEventListener('click', redo);
         }
+
+        // Stack restored from a previous session
+        document.addEventListener('undo:change', updateUndoRedoButtons);
     }
 
     /**
-     * Save current state to history
+     * Record the latest change as an undo step
+     * @param {string} kind - 'typing' groups into word-level steps, 'action' (default)
+     *                        and 'import' are single steps
      */
-    function saveToHistory() {
+    function saveToHistory(kind = 'action') {
         if (!editorTextarea) return;
 
-        const currentContent = editorTextarea.value;
-
-        // Don't save if content hasn't changed
-        if (history[historyIndex] === currentContent) return;
-
-        // Remove any future history if we're not at the end
-        if (historyIndex < history.length - 1) {
-            history = history.slice(0, historyIndex + 1);
-        }
-
-        history.push(currentContent);
-
-        // Limit history size
-        if (history.length > MAX_HISTORY) {
-            history.shift();
-        } else {
-            historyIndex++;
-        }
-
+        UndoManager.record(kind);
         updateUndoRedoButtons();
     }
 
@@ -494,14 +581,8 @@ const Editor = (function () {
      * Undo last change
      */
     function undo() {
-        if (historyIndex > 0) {
-            historyIndex--;
-            isUndoRedo = true;
-            editorTextarea.value = history[historyIndex];
-            isUndoRedo = false;
-            triggerPreviewUpdate();
-            updateWordCount();
-            updateUndoRedoButtons();
+        if (UndoManager.undo()) {
+            afterHistoryChange();
         }
     }
 
@@ -509,26 +590,31 @@ const Editor = (function () {
      * Redo last undone change
      */
     function redo() {
-        if (historyIndex < history.length - 1) {
-            historyIndex++;
-            isUndoRedo = true;
-            editorTextarea.value = history[historyIndex];
-            isUndoRedo = false;
-            triggerPreviewUpdate();
-            updateWordCount();
-            updateUndoRedoButtons();
+        if (UndoManager.redo()) {
+            afterHistoryChange();
         }
     }
 
+    /**
+     * Refresh dependent UI after undo/redo changed the content
+     */
+    function afterHistoryChange() {
+        editorTextarea.focus();
+        triggerPreviewUpdate();
+        updateWordCount();
+        updateUndoRedoButtons();
+        scheduleAutoSave();
+    }
+
     /**
      * Update undo/redo button states
      */
     function updateUndoRedoButtons() {
         if (undoBtn) {
-            undoBtn.disabled = historyIndex <= 0;
+            undoBtn.disabled = !UndoManager.canUndo();
         }
         if (redoBtn) {
-            redoBtn.disabled = historyIndex >= history.length - 1;
+            redoBtn.disabled = !UndoManager.canRedo();
         }
     }
 
@@ -570,7 +656,13 @@ const Editor = (function () {
      */
     function showShortcutsModal() {
         const modal = document.getElementById('shortcuts-modal');
-        if (modal) modal.style.display = 'flex';
+        if (!modal) return;
+
+        // List the shortcuts as currently bound
+        if (typeof Keymap !== 'undefined') {
+            Keymap.renderShortcuts(modal.querySelector('.shortcuts-grid'));
+        }
+        modal.style.display = 'flex';
     }
 
     /**
@@ -697,14 +789,17 @@ const Editor = (function () {
         const after = content.substring(cursorPos);
 
         editorTextarea.value = before + toc + after;
+        saveToHistory();
         triggerPreviewUpdate();
         updateWordCount();
 
         // Visual feedback
-        tocBtn.textContent = '✅ Added!';
-        setTimeout(() => {
-            tocBtn.textContent = '📑 TOC';
-        }, 2000);
+        if (tocBtn) {
+            tocBtn.textContent = '✅ Added!';
+            setTimeout(() => {
+                tocBtn.textContent = '📑 TOC';
+            }, 2000);
+        }
     }
 
     /**
@@ -796,10 +891,9 @@ const Editor = (function () {
 
                 reader.onload = (event) => {
                     if (confirm('Load this file? Current content will be replaced.')) {
-                        editorTextarea.value = event.target.result;
-                        triggerPreviewUpdate();
-                        updateWordCount();
-                        saveToHistory();
+                        // Front matter fills the Post Details form instead of the body
+                        const { data, body, hasFrontMatter } = FrontMatter.parse(event.target.result);
+                        importContent(body, file.name, hasFrontMatter ? data : null);
                     }
                 };
 
@@ -827,11 +921,36 @@ const Editor = (function () {
             editorTextarea.value = content;
             imagesCollapsed = false; // Reset collapse state when loading new content
             imageStore = {}; // Clear any stored images
+            saveToHistory('import');
             triggerPreviewUpdate();
+            updateWordCount();
             updateCollapseButtonState();
+            scheduleAutoSave();
         }
     }
 
+    /**
+     * Replace the editor content with imported content.
+     * Fires editor:beforeimport / editor:import so the previous content can be kept.
+     * @param {string} content - The imported markdown
+     * @param {string} source - Where it came from, e.g. the file name
+     * @param {Object|null} details - Post Details to fill in, if the source had them
+     */
+    function importContent(content, source, details = null) {
+        document.dispatchEvent(new CustomEvent('editor:beforeimport', {
+            detail: { source }
+        }));
+
+        setContent(content);
+        if (details && typeof Export !== 'undefined') {
+            Export.setPostDetails(details);
+        }
+
+        document.dispatchEvent(new CustomEvent('editor:import', {
+            detail: { source }
+        }));
+    }
+
     // Image collapse state
     let imagesCollapsed = false;
     let imageStore = {}; // Store image data by ID
@@ -869,8 +988,10 @@ const Editor = (function () {
             imagesCollapsed = true;
         }
 
+        saveToHistory();
         updateCollapseButtonState();
         triggerPreviewUpdate();
+        scheduleAutoSave();
     }
 
     /**
@@ -914,6 +1035,25 @@ const Editor = (function () {
         });
     }
 
+    /**
+     * Hide the base64 images of text about to be inserted, while images are collapsed
+     * @param {string} text
+     * @returns {string}
+     */
+    function collapseInserted(text) {
+        return imagesCollapsed ? collapseImages(text) : text;
+    }
+
+    /**
+     * Collapse or expand images to match the given state
+     * @param {boolean} collapsed
+     */
+    function setImagesCollapsed(collapsed) {
+        if (collapsed !== imagesCollapsed) {
+            toggleImageCollapse();
+        }
+    }
+
     /**
      * Update collapse button text based on state
      */
@@ -948,7 +1088,13 @@ const Editor = (function () {
             return currentContent;
         },
         setContent,
+        replaceRange,
+        importContent,
+        scheduleAutoSave,
         toggleImageCollapse,
+        setImagesCollapsed,
+        collapseInserted,
+        isImagesCollapsed: () => imagesCollapsed,
         initCollapseButton
     };
 })();
@@ -0,0 +1,133 @@
+/**
+ * Embedded Images Module
+ * Helpers for the base64 data URL images embedded in post markdown:
+ * moving them out into files and putting them back
+ */
+
+const EmbeddedImages = (function () {
+    // File extensions that differ from the MIME subtype
+    const EXTENSIONS = {
+        'image/jpeg': 'jpg',
+        'image/svg+xml': 'svg'
+    };
+
+    /**
+     * Rewrite the source of every markdown and HTML image
+     * @param {string} markdown
+     * @param {Function} callback - Receives the source, returns the new source
+     * @returns {string}
+     */
+    function replaceSources(markdown, callback) {
+        return markdown
+            .replace(/(!\[[^\]]*\]\()([^)\s]+)/g, (match, prefix, src) => prefix + callback(src))
+            .replace(/(<img[^>]*\ssrc=")([^"]+)/g, (match, prefix, src) => prefix + callback(src));
+    }
+
+    /**
+     * Move embedded images out of the markdown into image files
+     * @param {string} markdown
+     * @param {string} prefix - File name prefix, e.g. the post slug
+     * @param {string} basePath - Path the files are linked from, e.g. '../Images/'
+     * @param {Array} images - Images found so far, shared to reuse files across texts
+     * @returns {{markdown: string, images: Array<{filename: string, blob: Blob, dataUrl: string}>}}
+     */
+    function extract(markdown, prefix, basePath, images = []) {
+        const result = replaceSources(markdown, (src) => {
+            if (!src.startsWith('data:image')) return src;
+
+            let image = images.find(existing => existing.dataUrl === src);
+            if (!image) {
+                const blob = dataUrlToBlob(src);
+                image = {
+                    filename: `${prefix}-${images.length + 1}.${extensionFor(blob.type)}`,
+                    blob: blob,
+                    dataUrl: src
+                };
+                images.push(image);
+            }
+            return basePath + image.filename;
+        });
+
+        return { markdown: result, images };
+    }
+
+    /**
+     * Put extracted images back into the markdown as data URLs
+     * @param {string} markdown
+     * @param {string} basePath - Path the files were linked from
+     * @param {Object} dataUrls - Data URL for each file name
+     * @returns {string}
+     */
+    function inline(markdown, basePath, dataUrls) {
+        return replaceSources(markdown, (src) => {
+            if (!src.startsWith(basePath)) return src;
+            return dataUrls[src.substring(basePath.length)] || src;
+        });
+    }
+
+    /**
+     * Decode a data URL into a Blob
+     * @param {string} dataUrl
+     * @returns {Blob}
+     */
+    function dataUrlToBlob(dataUrl) {
+        const commaIndex = dataUrl.indexOf(',');
+        const header = dataUrl.substring(0, commaIndex);
+        const data = dataUrl.substring(commaIndex + 1);
+        const mimeType = (header.match(/^data:([^;,]+)/) || [])[1] || 'image/png';
+
+        if (!/;base64/.test(header)) {
+            return new Blob([decodeURIComponent(data)], { type: mimeType });
+        }
+
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    /**
+     * Read a Blob as a data URL
+     * @param {Blob} blob
+     * @returns {Promise<string>}
+     */
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * File extension for an image MIME type
+     * @param {string} mimeType
+     * @returns {string}
+     */
+    function extensionFor(mimeType) {
+        return EXTENSIONS[mimeType] || mimeType.split('/')[1] || 'png';
+    }
+
+    /**
+     * Image MIME type for a file name
+     * @param {string} filename
+     * @returns {string}
+     */
+    function mimeTypeFor(filename) {
+        const extension = filename.split('.').pop().toLowerCase();
+        const known = Object.keys(EXTENSIONS).find(type => EXTENSIONS[type] === extension);
+        return known || 'image/' + extension;
+    }
+
+    // Public API
+    return {
+        extract,
+        inline,
+        dataUrlToBlob,
+        blobToDataUrl,
+        mimeTypeFor
+    };
+})();
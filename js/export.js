@@ -75,6 +75,49 @@ const Export = (function () {
         loadCustomNavbar();
         setupCustomFooter();
         loadCustomFooter();
+        registerCommands();
+    }
+
+    /**
+     * Add export and page-option commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        // Clear buttons only show while something is uploaded
+        const isShown = (button) => () => Boolean(button) && button.style.display !== 'none';
+
+        CommandPalette.register([
+            { id: 'export.html', title: 'Download HTML', category: 'Export', run: downloadHtml },
+            { id: 'export.markdown', title: 'Download Markdown', category: 'Export', run: downloadMarkdown },
+            {
+                id: 'export.snippet', title: 'Blog Index Snippet', category: 'Export',
+                keywords: 'copy card listing', run: showSnippetModal
+            },
+            {
+                id: 'settings.uploadCss', title: 'Upload Custom CSS', category: 'Settings',
+                run: () => cssUploadInput.click(), isAvailable: () => Boolean(cssUploadInput)
+            },
+            { id: 'settings.clearCss', title: 'Remove Custom CSS', category: 'Settings', run: clearCustomCss, isAvailable: isShown(cssClearBtn) },
+            {
+                id: 'settings.uploadNavbar', title: 'Upload Navbar HTML', category: 'Settings',
+                run: () => navbarUploadInput.click(), isAvailable: () => Boolean(navbarUploadInput)
+            },
+            { id: 'settings.clearNavbar', title: 'Remove Navbar HTML', category: 'Settings', run: clearCustomNavbar, isAvailable: isShown(navbarClearBtn) },
+            {
+                id: 'settings.uploadFooter', title: 'Upload Footer HTML', category: 'Settings',
+                run: () => footerUploadInput.click(), isAvailable: () => Boolean(footerUploadInput)
+            },
+            { id: 'settings.clearFooter', title: 'Remove Footer HTML', category: 'Settings', run: clearCustomFooter, isAvailable: isShown(footerClearBtn) },
+            {
+                id: 'settings.useCustomCss', title: 'Toggle Use Custom CSS', category: 'Settings',
+                run: () => useCustomCssCheckbox.click(), isAvailable: () => Boolean(useCustomCssCheckbox)
+            },
+            {
+                id: 'settings.includeNavbarFooter', title: 'Toggle Include Navbar & Footer', category: 'Settings',
+                run: () => includeNavFooterCheckbox.click(), isAvailable: () => Boolean(includeNavFooterCheckbox)
+            }
+        ]);
     }
 
     /**
@@ -106,6 +149,14 @@ const Export = (function () {
         if (copySnippetModalBtn) {
             copySnippetModalBtn.addEventListener('click', copySnippetToClipboard);
         }
+
+        // Pick up custom CSS, navbar and footer brought in with a workspace
+        document.addEventListener('workspace:imported', (e) => {
+            if (!e.detail.settings) return;
+            loadCustomCss();
+            loadCustomNavbar();
+            loadCustomFooter();
+        });
     }
 
     /**
@@ -464,6 +515,68 @@ const Export = (function () {
         };
     }
 
+    // Post Details form fields, keyed by metadata property
+    const POST_DETAIL_FIELDS = {
+        title: 'post-title',
+        date: 'post-date',
+        description: 'post-description',
+        type: 'post-type',
+        coverImage: 'cover-image',
+        githubUrl: 'github-url'
+    };
+
+    /**
+     * Get the raw Post Details form values (no defaults applied)
+     * @returns {Object} Field values keyed by metadata property
+     */
+    function getPostDetails() {
+        const details = {};
+        Object.entries(POST_DETAIL_FIELDS).forEach(([key, id]) => {
+            const field = document.getElementById(id);
+            if (field) details[key] = field.value;
+        });
+        return details;
+    }
+
+    /**
+     * Fill the Post Details form, clearing fields missing from details
+     * @param {Object} details - Field values keyed by metadata property
+     */
+    function setPostDetails(details = {}) {
+        Object.entries(POST_DETAIL_FIELDS).forEach(([key, id]) => {
+            const field = document.getElementById(id);
+            if (!field) return;
+
+            field.value = details[key] || (key === 'type' ? 'article' : '');
+            // Let counters, filename and project-only toggles refresh
+            field.dispatchEvent(new Event(field.tagName === 'SELECT' ? 'change' : 'input'));
+        });
+    }
+
+    /**
+     * Get the export option checkboxes
+     * @returns {{useCustomCss: boolean, includeNavFooter: boolean}}
+     */
+    function getExportOptions() {
+        return {
+            useCustomCss: useCustomCssCheckbox ? useCustomCssCheckbox.checked : true,
+            includeNavFooter: includeNavFooterCheckbox ? includeNavFooterCheckbox.checked : false
+        };
+    }
+
+    /**
+     * Set the export option checkboxes
+     * @param {Object} options - Same shape as getExportOptions()
+     */
+    function setExportOptions(options = {}) {
+        if (useCustomCssCheckbox && 'useCustomCss' in options) {
+            useCustomCssCheckbox.checked = options.useCustomCss;
+        }
+        if (includeNavFooterCheckbox && 'includeNavFooter' in options) {
+            includeNavFooterCheckbox.checked = options.includeNavFooter;
+        }
+    }
+
     /**
      * Fetch CSS - Uses custom CSS if enabled, otherwise minimal fallback
      * @returns {Promise<string>} The CSS content
@@ -648,11 +761,11 @@ img {
 
     /**
      * Generate full HTML document
+     * @param {string} markdown - Post body, defaults to the editor content
      * @returns {Promise<string>} Complete HTML document
      */
-    async function generateHtml() {
+    async function generateHtml(markdown = Editor.getContent()) {
         const metadata = getMetadata();
-        const markdown = Editor.getContent();
         const renderedContent = marked.parse(markdown);
         const css = await fetchCss();
         const isProject = metadata.type === 'project';
@@ -774,6 +887,7 @@ ${footerHtml}
 
             downloadFile(html, filename, 'text/html');
             showToast(`Downloaded ${filename}`, 'success');
+            notifyExport('html', filename);
         } catch (error) {
             console.error('Export: Error generating HTML', error);
             showToast('Error generating HTML file', 'error');
@@ -788,25 +902,28 @@ ${footerHtml}
         const markdown = Editor.getContent();
         const filename = generateFilename(metadata.title) + '.md';
 
-        // Add frontmatter
-        const frontmatter = `---
-title: ${metadata.title}
-date: ${metadata.date}
-description: ${metadata.description}
-type: ${metadata.type}
-${metadata.coverImage ? `coverImage: ${metadata.coverImage}` : ''}
-${metadata.githubUrl ? `githubUrl: ${metadata.githubUrl}` : ''}
----
-
-`;
+        // Add frontmatter (empty optional fields are left out)
+        const frontmatter = FrontMatter.serialize(metadata);
 
         downloadFile(frontmatter + markdown, filename, 'text/markdown');
         showToast(`Downloaded ${filename}`, 'success');
+        notifyExport('markdown', filename);
+    }
+
+    /**
+     * Announce a finished export so other modules can react
+     * @param {string} format - 'html', 'markdown' or 'publish'
+     * @param {string} filename - Downloaded or published file name
+     */
+    function notifyExport(format, filename) {
+        document.dispatchEvent(new CustomEvent('export:complete', {
+            detail: { format, filename }
+        }));
     }
 
     /**
      * Download a file
-     * @param {string} content - File content
+     * @param {string|Blob} content - File content
      * @param {string} filename - File name
      * @param {string} mimeType - MIME type
      */
@@ -926,6 +1043,14 @@ ${metadata.githubUrl ? `githubUrl: ${metadata.githubUrl}` : ''}
         init,
         generateHtml,
         generateSnippet,
+        generateFilename,
+        downloadFile,
+        notifyExport,
+        getMetadata,
+        getPostDetails,
+        setPostDetails,
+        getExportOptions,
+        setExportOptions,
         showToast
     };
 })();
@@ -0,0 +1,503 @@
+/**
+ * Find & Replace Module
+ * Search bar for the Markdown editor (Ctrl+F, Ctrl+H to replace) with
+ * regex, case-sensitive and whole-word options. Matches are highlighted
+ * on the editing surface; replacements are single undo steps.
+ */
+
+const FindReplace = (function () {
+    const OPTIONS_KEY = 'blog-editor-find-options';
+    const MAX_MATCHES = 10000; // Matches highlighted and counted
+    const SEARCH_DELAY = 100;
+
+    // DOM Elements
+    let bar;
+    let findInput;
+    let replaceInput;
+    let replaceRow;
+    let countDisplay;
+    let textarea;
+
+    let options = {
+        caseSensitive: false,
+        wholeWord: false,
+        regex: false,
+        skipCode: false
+    };
+
+    // Current search results: [{from, to, match}]
+    let matches = [];
+    let current = -1;
+    let capped = false;
+    let searchTimer;
+
+    /**
+     * Initialize the find & replace module
+     */
+    function init() {
+        bar = document.getElementById('find-bar');
+        findInput = document.getElementById('find-input');
+        replaceInput = document.getElementById('replace-input');
+        replaceRow = document.getElementById('replace-row');
+        countDisplay = document.getElementById('find-count');
+        textarea = document.getElementById('markdown-editor');
+
+        if (!bar || !textarea) return;
+
+        loadOptions();
+        setupEventListeners();
+        registerCommands();
+    }
+
+    /**
+     * Add find & replace commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        CommandPalette.register([
+            // Elsewhere on the page the shortcuts are left to the browser's own find
+            {
+                id: 'find.open', title: 'Find', category: 'Find', shortcut: 'Ctrl+F', keywords: 'search',
+                run: () => open(false), when: (e) => isEditorContext(e.target)
+            },
+            {
+                id: 'find.replace', title: 'Replace', category: 'Find', shortcut: 'Ctrl+H', keywords: 'search',
+                run: () => open(true), when: (e) => isEditorContext(e.target)
+            },
+            { id: 'find.next', title: 'Next Match', category: 'Find', run: next, isAvailable: isOpen },
+            { id: 'find.previous', title: 'Previous Match', category: 'Find', run: previous, isAvailable: isOpen }
+        ]);
+    }
+
+    /**
+     * Load search options saved by the last session
+     */
+    function loadOptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(OPTIONS_KEY) || '{}');
+            Object.keys(options).forEach(key => {
+                if (typeof saved[key] === 'boolean') options[key] = saved[key];
+            });
+        } catch (e) {
+            // Keep defaults
+        }
+
+        bar.querySelectorAll('[data-find-option]').forEach(button => {
+            button.classList.toggle('active', options[button.dataset.findOption]);
+        });
+    }
+
+    /**
+     * Set up event listeners for the find bar
+     */
+    function setupEventListeners() {
+        findInput.addEventListener('input', () => {
+            current = -1;
+            search();
+            selectCurrent(false);
+        });
+        findInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (e.shiftKey) previous();
+                else next();
+            }
+        });
+
+        replaceInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (e.ctrlKey || e.metaKey) replaceAll();
+                else replaceOne();
+            }
+        });
+
+        bar.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            }
+        });
+
+        bar.querySelectorAll('[data-find-option]').forEach(button => {
+            button.addEventListener('click', () => toggleOption(button));
+        });
+
+        document.getElementById('find-next')?.addEventListener('click', next);
+        document.getElementById('find-prev')?.addEventListener('click', previous);
+        document.getElementById('find-close')?.addEventListener('click', close);
+        document.getElementById('find-toggle-replace')?.addEventListener('click', () => {
+            setReplaceVisible(replaceRow.style.display === 'none');
+        });
+        document.getElementById('replace-one')?.addEventListener('click', replaceOne);
+        document.getElementById('replace-all')?.addEventListener('click', replaceAll);
+
+        // Keep results current while the text changes underneath
+        ['editor:update', 'undo:change'].forEach(eventName => {
+            document.addEventListener(eventName, scheduleSearch);
+        });
+        textarea.addEventListener('input', scheduleSearch);
+    }
+
+    /**
+     * Whether a shortcut should open our bar rather than the browser's find
+     * @param {EventTarget} target
+     * @returns {boolean}
+     */
+    function isEditorContext(target) {
+        if (!target || target === document.body) return true;
+        return Boolean(target.closest && target.closest('.editor-panel'));
+    }
+
+    /**
+     * Check whether the find bar is showing
+     * @returns {boolean}
+     */
+    function isOpen() {
+        return bar.style.display !== 'none';
+    }
+
+    /**
+     * Open the find bar
+     * @param {boolean} withReplace - Also show the replace row
+     */
+    function open(withReplace) {
+        const wasOpen = isOpen();
+        bar.style.display = 'flex';
+        setReplaceVisible(withReplace || (wasOpen && replaceRow.style.display !== 'none'));
+
+        // Search for a single-line selection
+        const selected = textarea.value.substring(textarea.selectionStart, textarea.selectionEnd);
+        if (selected && !selected.includes('\n')) {
+            findInput.value = options.regex ? escapeRegExp(selected) : selected;
+        }
+
+        current = -1;
+        search();
+
+        const input = withReplace && findInput.value ? replaceInput : findInput;
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Close the find bar and return to the editor
+     */
+    function close() {
+        bar.style.display = 'none';
+        clearTimeout(searchTimer);
+        matches = [];
+        current = -1;
+        if (typeof EditorSurface !== 'undefined') {
+            EditorSurface.clearDecorations('find');
+        }
+        textarea.focus();
+    }
+
+    /**
+     * Show or hide the replace row
+     * @param {boolean} visible
+     */
+    function setReplaceVisible(visible) {
+        replaceRow.style.display = visible ? 'flex' : 'none';
+        const toggle = document.getElementById('find-toggle-replace');
+        if (toggle) {
+            toggle.textContent = visible ? '▾' : '▸';
+            toggle.setAttribute('aria-expanded', String(visible));
+        }
+    }
+
+    /**
+     * Flip a search option
+     * @param {HTMLButtonElement} button
+     */
+    function toggleOption(button) {
+        const key = button.dataset.findOption;
+        options[key] = !options[key];
+        button.classList.toggle('active', options[key]);
+        localStorage.setItem(OPTIONS_KEY, JSON.stringify(options));
+
+        current = -1;
+        search();
+        selectCurrent(false);
+        findInput.focus();
+    }
+
+    /**
+     * Re-run the search shortly, if the bar is open
+     */
+    function scheduleSearch() {
+        if (!isOpen()) return;
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            const previousMatch = matches[current];
+            search();
+            // Stay on the match we were at, or the next one after it
+            if (previousMatch) {
+                current = matches.findIndex(m => m.from >= previousMatch.from);
+                if (current === -1 && matches.length > 0) current = 0;
+            }
+            render();
+        }, SEARCH_DELAY);
+    }
+
+    /**
+     * Escape text for use in a regular expression
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Build the search pattern from the query and options
+     * @returns {RegExp|null} Null for an empty query
+     * @throws {SyntaxError} For an invalid regular expression
+     */
+    function buildPattern() {
+        const query = findInput.value;
+        if (!query) return null;
+
+        let source = options.regex ? query : escapeRegExp(query);
+        if (options.wholeWord) {
+            source = `(?<![\\w])(?:${source})(?![\\w])`;
+        }
+
+        return new RegExp(source, 'gm' + (options.caseSensitive ? '' : 'i'));
+    }
+
+    /**
+     * Collect the matches of a pattern
+     * @param {RegExp} pattern - Global pattern
+     * @param {number} limit - Stop after this many matches
+     * @returns {{list: Array<{from: number, to: number, match: Array}>, capped: boolean}}
+     */
+    function collectMatches(pattern, limit) {
+        const text = textarea.value;
+        const skipped = options.skipCode ? MarkdownHighlighter.findFencedBlocks(text) : [];
+        const list = [];
+        let block = 0;
+        let m;
+
+        while ((m = pattern.exec(text)) !== null) {
+            // Empty matches (e.g. /^/) can't be highlighted or replaced sensibly
+            if (m[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+
+            const from = m.index;
+            const to = from + m[0].length;
+            while (block < skipped.length && skipped[block].to <= from) block++;
+            if (block < skipped.length && skipped[block].from < to) continue;
+
+            if (list.length === limit) {
+                return { list, capped: true };
+            }
+            list.push({ from, to, match: m });
+        }
+
+        return { list, capped: false };
+    }
+
+    /**
+     * Find all matches of the current query
+     */
+    function search() {
+        matches = [];
+        capped = false;
+        findInput.classList.remove('invalid');
+
+        let pattern;
+        try {
+            pattern = buildPattern();
+        } catch (error) {
+            findInput.classList.add('invalid');
+            findInput.title = error.message;
+            render();
+            return;
+        }
+        findInput.title = '';
+
+        if (pattern) {
+            const result = collectMatches(pattern, MAX_MATCHES);
+            matches = result.list;
+            capped = result.capped;
+        }
+
+        if (current >= matches.length) current = -1;
+        if (current === -1) {
+            // Start from the caret, like most editors
+            current = matches.findIndex(m => m.from >= textarea.selectionStart);
+            if (current === -1 && matches.length > 0) current = 0;
+        }
+
+        render();
+    }
+
+    /**
+     * Highlight matches and update the count
+     */
+    function render() {
+        updateCount();
+
+        if (typeof EditorSurface === 'undefined') return;
+        EditorSurface.setDecorations('find', matches.map((m, i) => ({
+            from: m.from,
+            to: m.to,
+            className: i === current ? 'cm-find-match cm-find-current' : 'cm-find-match'
+        })));
+    }
+
+    /**
+     * Show "n of m" for the current query
+     */
+    function updateCount() {
+        if (findInput.classList.contains('invalid')) {
+            countDisplay.textContent = 'Invalid regex';
+        } else if (!findInput.value) {
+            countDisplay.textContent = '';
+        } else if (matches.length === 0) {
+            countDisplay.textContent = 'No results';
+        } else {
+            const total = matches.length + (capped ? '+' : '');
+            countDisplay.textContent = `${current + 1} of ${total}`;
+        }
+        countDisplay.classList.toggle('no-results', Boolean(findInput.value) && matches.length === 0);
+    }
+
+    /**
+     * Select the current match in the editor and scroll to it
+     * @param {boolean} focusEditor - Move focus into the editor
+     */
+    function selectCurrent(focusEditor) {
+        const match = matches[current];
+        if (!match) return;
+
+        textarea.setSelectionRange(match.from, match.to);
+        if (focusEditor) textarea.focus();
+
+        if (typeof EditorSurface !== 'undefined') {
+            EditorSurface.scrollToOffset(match.from);
+        }
+    }
+
+    /**
+     * Go to the next match
+     */
+    function next() {
+        if (matches.length === 0) return;
+        current = (current + 1) % matches.length;
+        render();
+        selectCurrent(false);
+    }
+
+    /**
+     * Go to the previous match
+     */
+    function previous() {
+        if (matches.length === 0) return;
+        current = (current - 1 + matches.length) % matches.length;
+        render();
+        selectCurrent(false);
+    }
+
+    /**
+     * Work out the replacement text for a match
+     * @param {Object} match - Entry of matches
+     * @returns {string}
+     */
+    function replacementFor(match) {
+        const template = replaceInput.value;
+        if (!options.regex) return template;
+
+        const m = match.match;
+        const text = m.input;
+
+        // Same substitutions as String.prototype.replace
+        return template.replace(/\$([$&`']|\d{1,2}|<([^>]*)>)/g, (token, key, name) => {
+            if (key === '$') return '$';
+            if (key === '&') return m[0];
+            if (key === '`') return text.substring(0, m.index);
+            if (key === "'") return text.substring(m.index + m[0].length);
+            if (name !== undefined) return m.groups ? (m.groups[name] ?? '') : token;
+
+            // Prefer a two-digit group when it exists
+            if (key.length === 2 && Number(key) < m.length) return m[Number(key)] ?? '';
+            const index = Number(key[0]);
+            if (index > 0 && index < m.length) return (m[index] ?? '') + key.substring(1);
+            return token;
+        });
+    }
+
+    /**
+     * Replace the current match and go to the next one
+     */
+    function replaceOne() {
+        if (matches.length === 0) return;
+        if (current === -1) current = 0;
+
+        const match = matches[current];
+        const replacement = replacementFor(match);
+        const resumeAt = match.from + replacement.length;
+
+        Editor.replaceRange(match.from, match.to, replacement, match.from, resumeAt);
+
+        search();
+        current = matches.findIndex(m => m.from >= resumeAt);
+        if (current === -1 && matches.length > 0) current = 0;
+        render();
+        selectCurrent(false);
+    }
+
+    /**
+     * Replace every match as one undo step
+     */
+    function replaceAll() {
+        if (matches.length === 0) return;
+
+        // Highlighting stops at MAX_MATCHES, replacing doesn't
+        const all = capped ? collectMatches(buildPattern(), Infinity).list : matches;
+
+        const text = textarea.value;
+        const first = all[0].from;
+        const last = all[all.length - 1].to;
+
+        let replaced = '';
+        let position = first;
+        all.forEach(match => {
+            replaced += text.substring(position, match.from) + replacementFor(match);
+            position = match.to;
+        });
+
+        Editor.replaceRange(first, last, replaced, first);
+
+        current = -1;
+        search();
+        showToast(`Replaced ${all.length} occurrence${all.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        next,
+        previous
+    };
+})();
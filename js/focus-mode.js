@@ -0,0 +1,341 @@
+/**
+ * Focus Mode Module
+ * Distraction-free writing: hides everything but the editor, keeps the caret
+ * line in the middle of the screen (typewriter scrolling), dims the other
+ * paragraphs, and tracks a writing session against a word goal. Sessions are
+ * logged on the draft they were written in.
+ */
+
+const FocusMode = (function () {
+    const GOAL_KEY = 'blog-editor-focus-goal';
+    const DEFAULT_GOAL = 500;
+    const MIN_SESSION_MS = 60 * 1000; // Shorter sessions without new words aren't logged
+
+    let textarea;
+    let focusBtn;
+    let bar;
+    let timerDisplay;
+    let wordsDisplay;
+    let progressBar;
+    let goalInput;
+    let sessionsModal;
+
+    let active = false;
+    let timer = null;
+    let scrollFrame = null;
+
+    // Session in progress: {draftId, startedAt, startWords, goalReached}
+    let session = null;
+
+    /**
+     * Initialize the focus mode module
+     */
+    function init() {
+        textarea = document.getElementById('markdown-editor');
+        focusBtn = document.getElementById('focus-btn');
+        bar = document.getElementById('focus-bar');
+        timerDisplay = document.getElementById('focus-timer');
+        wordsDisplay = document.getElementById('focus-words');
+        progressBar = document.getElementById('focus-progress-bar');
+        goalInput = document.getElementById('focus-goal');
+        sessionsModal = document.getElementById('sessions-modal');
+
+        if (!textarea || !bar) return;
+
+        goalInput.value = getGoal();
+        setupEventListeners();
+        registerCommands();
+    }
+
+    /**
+     * Set up event listeners for focus mode
+     */
+    function setupEventListeners() {
+        focusBtn?.addEventListener('click', toggle);
+        document.getElementById('exit-focus-btn')?.addEventListener('click', () => setActive(false));
+        document.getElementById('focus-sessions-btn')?.addEventListener('click', showSessions);
+
+        goalInput.addEventListener('change', () => {
+            const goal = Math.max(0, Math.round(Number(goalInput.value)) || 0);
+            goalInput.value = goal;
+            localStorage.setItem(GOAL_KEY, String(goal));
+            if (session) session.goalReached = countWords() - session.startWords >= goal && goal > 0;
+            updateStats();
+        });
+
+        // Typewriter scrolling follows every caret move
+        ['input', 'keyup', 'mouseup'].forEach(eventName => {
+            textarea.addEventListener(eventName, scheduleCenter);
+        });
+        document.addEventListener('editor:update', () => {
+            if (!active) return;
+            updateStats();
+            scheduleCenter();
+        });
+
+        // A session belongs to one draft: close it while the editor still
+        // shows that draft, and start over once the other one is loaded
+        document.addEventListener('draft:beforeswitch', () => {
+            if (active) endSession(true);
+        });
+        document.addEventListener('draft:switched', () => {
+            if (active) startSession();
+        });
+        document.addEventListener('draft:saved', (e) => {
+            // A brand-new draft just got its id
+            if (session && !session.draftId) session.draftId = e.detail.draft.id;
+        });
+
+        window.addEventListener('pagehide', () => {
+            if (active) endSession();
+        });
+
+        if (sessionsModal) {
+            document.getElementById('close-sessions')?.addEventListener('click', () => {
+                sessionsModal.style.display = 'none';
+            });
+            sessionsModal.addEventListener('click', (e) => {
+                if (e.target === sessionsModal) sessionsModal.style.display = 'none';
+            });
+        }
+    }
+
+    /**
+     * Add focus mode commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        CommandPalette.register([
+            { id: 'view.focus', title: 'Toggle Focus Mode', category: 'View', shortcut: 'Ctrl+Shift+F', keywords: 'distraction free zen typewriter writing goal', run: toggle },
+            { id: 'view.focusSessions', title: 'Writing Sessions', category: 'View', keywords: 'focus goal log history timer', run: showSessions }
+        ]);
+    }
+
+    /**
+     * Turn focus mode on or off
+     */
+    function toggle() {
+        setActive(!active);
+    }
+
+    /**
+     * Enter or leave focus mode
+     * @param {boolean} enable
+     */
+    function setActive(enable) {
+        if (enable === active) return;
+        active = enable;
+
+        document.body.classList.toggle('focus-mode', enable);
+        bar.style.display = enable ? 'flex' : 'none';
+        if (focusBtn) focusBtn.classList.toggle('active', enable);
+        if (typeof EditorSurface !== 'undefined') EditorSurface.setParagraphFocus(enable);
+
+        if (enable) {
+            startSession();
+            timer = setInterval(updateStats, 1000);
+            textarea.focus();
+            scheduleCenter();
+        } else {
+            clearInterval(timer);
+            timer = null;
+            endSession();
+            if (typeof EditorSurface !== 'undefined') EditorSurface.scrollToOffset(textarea.selectionStart);
+        }
+    }
+
+    /**
+     * Current session word goal
+     * @returns {number}
+     */
+    function getGoal() {
+        const saved = localStorage.getItem(GOAL_KEY);
+        return saved === null ? DEFAULT_GOAL : Number(saved) || 0;
+    }
+
+    /**
+     * Count the prose words in the editor
+     * @returns {number}
+     */
+    function countWords() {
+        return Statistics.countWords(textarea.value);
+    }
+
+    /**
+     * Start timing a session on the current draft
+     */
+    function startSession() {
+        session = {
+            draftId: typeof Drafts !== 'undefined' ? Drafts.getCurrentDraftId() : null,
+            startedAt: Date.now(),
+            startWords: countWords(),
+            goalReached: false
+        };
+        updateStats();
+    }
+
+    /**
+     * Log the session in progress on its draft
+     * @param {boolean} [switching] - Another draft is about to be loaded
+     */
+    function endSession(switching = false) {
+        if (!session) return;
+
+        const record = {
+            startedAt: session.startedAt,
+            endedAt: Date.now(),
+            words: countWords() - session.startWords,
+            goal: getGoal()
+        };
+        const draftId = session.draftId;
+        session = null;
+
+        if (record.words === 0 && record.endedAt - record.startedAt < MIN_SESSION_MS) return;
+        if (typeof Drafts === 'undefined' || !Database.isSupported()) return;
+
+        // A draft that was never saved gets its id now, unless the editor is
+        // about to be reloaded with another draft
+        let logging;
+        if (draftId) {
+            logging = Drafts.logSession(draftId, record);
+        } else if (switching) {
+            return;
+        } else {
+            logging = Drafts.saveCurrent().then(() => Drafts.logSession(Drafts.getCurrentDraftId(), record));
+        }
+
+        logging.then(logged => {
+            if (logged) showToast(`Session logged: ${formatWords(record.words)} in ${formatDuration(record.endedAt - record.startedAt)}`, 'success');
+        }).catch(error => {
+            console.error('Failed to log writing session:', error);
+        });
+    }
+
+    /**
+     * Refresh the timer, word count and goal progress
+     */
+    function updateStats() {
+        if (!session) return;
+
+        const goal = getGoal();
+        const words = countWords() - session.startWords;
+        timerDisplay.textContent = `⏱ ${formatDuration(Date.now() - session.startedAt)}`;
+        wordsDisplay.textContent = goal > 0 ? `${words} / ${goal} words` : formatWords(words);
+        progressBar.style.width = goal > 0 ? `${Math.max(0, Math.min(100, (words / goal) * 100))}%` : '0%';
+        bar.classList.toggle('goal-reached', goal > 0 && words >= goal);
+
+        if (goal > 0 && words >= goal && !session.goalReached) {
+            session.goalReached = true;
+            showToast(`🎯 Goal reached: ${goal} words`, 'success');
+        }
+    }
+
+    /**
+     * Center the caret line on the next frame
+     */
+    function scheduleCenter() {
+        if (!active || scrollFrame) return;
+        scrollFrame = requestAnimationFrame(() => {
+            scrollFrame = null;
+            centerCaret();
+        });
+    }
+
+    /**
+     * Scroll so the caret's row sits in the middle of the editor
+     */
+    function centerCaret() {
+        if (typeof EditorSurface === 'undefined') return;
+
+        const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 0;
+        const top = EditorSurface.offsetTop(textarea.selectionEnd);
+        textarea.scrollTop = Math.max(0, top + lineHeight / 2 - textarea.clientHeight / 2);
+    }
+
+    /**
+     * Show the writing sessions logged on the current draft
+     */
+    async function showSessions() {
+        if (!sessionsModal) return;
+
+        const list = document.getElementById('sessions-list');
+        const summary = document.getElementById('sessions-summary');
+        const draftId = typeof Drafts !== 'undefined' ? Drafts.getCurrentDraftId() : null;
+
+        let sessions = [];
+        try {
+            const draft = draftId && Database.isSupported() ? await Database.get('drafts', draftId) : null;
+            sessions = draft && draft.sessions ? [...draft.sessions].reverse() : [];
+        } catch (error) {
+            console.error('Failed to load writing sessions:', error);
+        }
+
+        if (sessions.length === 0) {
+            summary.textContent = '';
+            list.innerHTML = '<li class="drafts-empty">No sessions yet. Sessions are logged when you leave focus mode.</li>';
+        } else {
+            const words = sessions.reduce((sum, entry) => sum + entry.words, 0);
+            const time = sessions.reduce((sum, entry) => sum + (entry.endedAt - entry.startedAt), 0);
+            summary.textContent = `${sessions.length} session${sessions.length === 1 ? '' : 's'} · ${formatWords(words)} · ${formatDuration(time)}`;
+            list.innerHTML = sessions.map(entry => {
+                const met = entry.goal > 0 && entry.words >= entry.goal;
+                return `
+                    <li class="draft-item">
+                        <div class="draft-info">
+                            <span class="draft-name">${new Date(entry.startedAt).toLocaleString()}</span>
+                            <span class="draft-meta">${formatDuration(entry.endedAt - entry.startedAt)}${entry.goal > 0 ? ` · goal ${entry.goal}` : ''}</span>
+                        </div>
+                        <span class="session-words${met ? ' goal-met' : ''}">${met ? '🎯 ' : ''}${formatWords(entry.words)}</span>
+                    </li>
+                `;
+            }).join('');
+        }
+
+        sessionsModal.style.display = 'flex';
+    }
+
+    /**
+     * Format a duration as h:mm:ss or m:ss
+     * @param {number} ms
+     * @returns {string}
+     */
+    function formatDuration(ms) {
+        const seconds = Math.max(0, Math.floor(ms / 1000));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const pad = (n) => String(n).padStart(2, '0');
+        return hours > 0
+            ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+            : `${minutes}:${pad(seconds % 60)}`;
+    }
+
+    /**
+     * Format a word count
+     * @param {number} words
+     * @returns {string}
+     */
+    function formatWords(words) {
+        return `${words} word${Math.abs(words) === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        toggle,
+        isActive: () => active
+    };
+})();
@@ -0,0 +1,488 @@
+/**
+ * Formatting Module
+ * Toggle logic for the toolbar's formatting actions: detects existing
+ * Markdown around or inside the selection so an action removes it instead
+ * of stacking more markup, switches heading levels in place and applies
+ * line prefixes to every selected line.
+ *
+ * Like SmartLists, functions take plain text and return the edit to apply.
+ */
+
+const Formatting = (function () {
+    // Inline spans on a single line; marker length is how much to strip each side
+    const INLINE = {
+        bold: {
+            marker: '**',
+            pattern: /(?<!\\)(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g,
+            markerLength: () => 2
+        },
+        italic: {
+            marker: '*',
+            pattern: /(?<![*\\])\*(?=[^\s*])(.+?)(?<=[^\s*\\])\*(?!\*)|(?<![\w\\_])_(?=[^\s_])(.+?)(?<=[^\s_])_(?![\w_])/g,
+            markerLength: () => 1
+        },
+        code: {
+            marker: '`',
+            pattern: /(`+)(?!`)(.+?)(?<!`)\1(?!`)/g,
+            markerLength: (m) => m[1].length
+        },
+        strikethrough: {
+            marker: '~~',
+            pattern: /~~(?=\S)(.+?)(?<=\S)~~/g,
+            markerLength: () => 2
+        }
+    };
+
+    // Bold and italic at once, e.g. ***text***
+    const STRONG_EMPHASIS = /(?<![*_\\])(\*\*\*|___)(?=[^\s*_])(.+?)(?<=[^\s*_\\])\1(?![*_])/g;
+
+    const LINK_PATTERN = /(?<!!)\[([^\]]*)\]\([^)\s]*(?:\s+"[^"]*")?\)/g;
+    const IMAGE_PATTERN = /!\[([^\]]*)\]\([^)\s]*(?:\s+"[^"]*")?\)/g;
+
+    const HEADING = /^(\s{0,3})(#{1,6})(?:\s+|$)/;
+    const QUOTE = /^(\s{0,3})>\s?/;
+    const BULLET = /^(\s*)[-*+]\s+(\[[ xX]\]\s+)?/;
+    const ORDERED = /^(\s*)(\d{1,9})[.)]\s+/;
+    const HR = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+
+    /**
+     * Get the bounds of the line holding an offset
+     * @param {string} value
+     * @param {number} offset
+     * @returns {{start: number, end: number}}
+     */
+    function lineAt(value, offset) {
+        const start = value.lastIndexOf('\n', offset - 1) + 1;
+        let end = value.indexOf('\n', offset);
+        if (end === -1) end = value.length;
+        return { start, end };
+    }
+
+    /**
+     * Find all matches of a pattern in a line, as absolute ranges
+     * @param {RegExp} pattern - Global pattern
+     * @param {string} value
+     * @param {{start: number, end: number}} line
+     * @returns {Array<{from: number, to: number, match: Array}>}
+     */
+    function spansOnLine(pattern, value, line) {
+        const text = value.substring(line.start, line.end);
+        const regex = new RegExp(pattern.source, pattern.flags);
+        const spans = [];
+        let m;
+        while ((m = regex.exec(text)) !== null) {
+            spans.push({ from: line.start + m.index, to: line.start + m.index + m[0].length, match: m });
+        }
+        return spans;
+    }
+
+    /**
+     * Find the spans of an inline type on a line. Bold and italic also match
+     * combined ***text*** spans, stripping their own share of the markers.
+     * @param {string} type - Key of INLINE
+     * @param {string} value
+     * @param {{start: number, end: number}} line
+     * @returns {Array<{from: number, to: number, markerLength: number}>}
+     */
+    function inlineSpans(type, value, line) {
+        const config = INLINE[type];
+        const spans = spansOnLine(config.pattern, value, line)
+            .map(s => ({ from: s.from, to: s.to, markerLength: config.markerLength(s.match) }));
+        if (type !== 'bold' && type !== 'italic') return spans;
+
+        const combined = spansOnLine(STRONG_EMPHASIS, value, line)
+            .map(s => ({ from: s.from, to: s.to, markerLength: type === 'bold' ? 2 : 1 }));
+        return combined
+            .concat(spans.filter(s => !combined.some(c => s.from < c.to && c.from < s.to)))
+            .sort((a, b) => a.from - b.from);
+    }
+
+    /**
+     * Find the inline span of a type that encloses the selection
+     * @param {string} type - Key of INLINE
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {{from: number, to: number, markerLength: number}|null}
+     */
+    function findInlineSpan(type, value, start, end) {
+        const line = lineAt(value, start);
+        if (end > line.end) return null;
+
+        return inlineSpans(type, value, line)
+            .find(s => s.from <= start && end <= s.to && !(start === end && (start === s.from || start === s.to))) || null;
+    }
+
+    /**
+     * Find the inline spans of a type inside or overlapping the selection
+     * @param {string} type - Key of INLINE
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {Array<{from: number, to: number, markerLength: number}>}
+     */
+    function spansInSelection(type, value, start, end) {
+        const spans = [];
+        let line = lineAt(value, start);
+        for (;;) {
+            spans.push(...inlineSpans(type, value, line).filter(s => s.from < end && start < s.to));
+            if (line.end >= end || line.end >= value.length) break;
+            line = lineAt(value, line.end + 1);
+        }
+        return spans;
+    }
+
+    /**
+     * Strip the spans inside a selection, then wrap the whole selection in one
+     * span unless it was already fully formatted
+     * @param {string} type - Key of INLINE
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @param {Array<Object>} spans - From spansInSelection, in order
+     * @returns {Object} Edit
+     */
+    function mergeInline(type, value, start, end, spans) {
+        const from = Math.min(start, spans[0].from);
+        const to = Math.max(end, spans[spans.length - 1].to);
+
+        let text = '';
+        let unformatted = '';
+        let cursor = from;
+        spans.forEach(span => {
+            const between = value.substring(cursor, span.from);
+            text += between + value.substring(span.from + span.markerLength, span.to - span.markerLength);
+            unformatted += between;
+            cursor = span.to;
+        });
+        text += value.substring(cursor, to);
+        unformatted += value.substring(cursor, to);
+
+        if (unformatted.trim() === '') {
+            return { from, to, text, selectionStart: from, selectionEnd: from + text.length };
+        }
+
+        return wrapInline(type, from, to, text);
+    }
+
+    /**
+     * Wrap text in an inline type's markers, keeping surrounding whitespace
+     * outside them so the span stays valid
+     * @param {string} type - Key of INLINE
+     * @param {number} from - Start of the replaced range
+     * @param {number} to - End of the replaced range
+     * @param {string} text - Text to wrap; blank text becomes a placeholder
+     * @returns {Object} Edit with the wrapped text selected
+     */
+    function wrapInline(type, from, to, text) {
+        const marker = INLINE[type].marker;
+        const lead = text.match(/^\s*/)[0];
+        const trimmed = text.trim();
+        const trail = text.substring(lead.length + trimmed.length);
+        const body = trimmed || 'text';
+        const bodyStart = from + lead.length + marker.length;
+        return {
+            from,
+            to,
+            text: lead + marker + body + marker + trail,
+            selectionStart: bodyStart,
+            selectionEnd: bodyStart + body.length
+        };
+    }
+
+    /**
+     * Add or remove inline formatting
+     * @param {string} type - 'bold', 'italic', 'code' or 'strikethrough'
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {{from: number, to: number, text: string, selectionStart: number, selectionEnd: number}}
+     */
+    function toggleInline(type, value, start, end) {
+        const span = findInlineSpan(type, value, start, end);
+
+        if (span) {
+            // Strip the markers, keeping the selection on the same text
+            const length = span.markerLength;
+            const inner = value.substring(span.from + length, span.to - length);
+            const clamp = (offset) => Math.min(Math.max(offset - length, span.from), span.from + inner.length);
+            const wholeSpan = start === span.from && end === span.to;
+            return {
+                from: span.from,
+                to: span.to,
+                text: inner,
+                selectionStart: wholeSpan ? span.from : clamp(start),
+                selectionEnd: wholeSpan ? span.from + inner.length : clamp(end)
+            };
+        }
+
+        const inside = start < end ? spansInSelection(type, value, start, end) : [];
+        if (inside.length > 0) return mergeInline(type, value, start, end, inside);
+
+        return wrapInline(type, start, end, value.substring(start, end));
+    }
+
+    /**
+     * Find the link or image around the selection
+     * @param {string} kind - 'link' or 'image'
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {{from: number, to: number, label: string}|null}
+     */
+    function findLink(kind, value, start, end) {
+        const line = lineAt(value, start);
+        if (end > line.end) return null;
+
+        const span = spansOnLine(kind === 'image' ? IMAGE_PATTERN : LINK_PATTERN, value, line)
+            .find(s => s.from <= start && end <= s.to && !(start === end && start === s.to));
+        return span ? { from: span.from, to: span.to, label: span.match[1] } : null;
+    }
+
+    /**
+     * Turn a link or image back into its plain text
+     * @param {string} kind - 'link' or 'image'
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {Object|null} Edit, or null when the selection isn't in one
+     */
+    function removeLink(kind, value, start, end) {
+        const span = findLink(kind, value, start, end);
+        if (!span) return null;
+        return {
+            from: span.from,
+            to: span.to,
+            text: span.label,
+            selectionStart: span.from,
+            selectionEnd: span.from + span.label.length
+        };
+    }
+
+    /**
+     * Get the range of whole lines covered by a selection
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {{from: number, to: number}}
+     */
+    function selectedLines(value, start, end) {
+        // A selection ending at the start of a line doesn't include that line
+        const last = end > start && value[end - 1] === '\n' ? end - 1 : end;
+        return { from: lineAt(value, start).start, to: lineAt(value, last).end };
+    }
+
+    /**
+     * Rewrite the prefix of each selected line
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @param {Function} change - (line) => {at, remove, insert}, or null to leave the line alone
+     * @returns {{from: number, to: number, text: string, selectionStart: number, selectionEnd: number}}
+     */
+    function transformLines(value, start, end, change) {
+        const range = selectedLines(value, start, end);
+        let offset = range.from;
+        let selectionStart = start;
+        let selectionEnd = end;
+
+        const lines = value.substring(range.from, range.to).split('\n').map(line => {
+            const lineStart = offset;
+            offset += line.length + 1;
+
+            const edit = change(line);
+            if (!edit) return line;
+
+            // Where a position in this line ends up
+            const map = (position) => {
+                const column = position - lineStart;
+                if (column < edit.at) return 0;
+                // Inside the replaced prefix (or right at it): move after the new prefix
+                if (column === edit.at || column < edit.at + edit.remove) return edit.at + edit.insert.length - column;
+                return edit.insert.length - edit.remove;
+            };
+            if (start >= lineStart) selectionStart += start <= lineStart + line.length ? map(start) : edit.insert.length - edit.remove;
+            if (end >= lineStart) selectionEnd += end <= lineStart + line.length ? map(end) : edit.insert.length - edit.remove;
+
+            return line.substring(0, edit.at) + edit.insert + line.substring(edit.at + edit.remove);
+        });
+
+        return { from: range.from, to: range.to, text: lines.join('\n'), selectionStart, selectionEnd };
+    }
+
+    /**
+     * Check whether a selection spans more than one line
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {boolean}
+     */
+    function isMultiLine(value, start, end) {
+        const range = selectedLines(value, start, end);
+        return value.substring(range.from, range.to).includes('\n');
+    }
+
+    /**
+     * Lines an edit should touch: blank lines are skipped in multi-line selections
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {Array<string>}
+     */
+    function targetLines(value, start, end) {
+        const range = selectedLines(value, start, end);
+        const lines = value.substring(range.from, range.to).split('\n');
+        return lines.length > 1 ? lines.filter(line => line.trim() !== '') : lines;
+    }
+
+    /**
+     * Set, switch or remove a heading level on the selected lines
+     * @param {number} level - 1 to 6
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {Object} Edit
+     */
+    function toggleHeading(level, value, start, end) {
+        const levelOf = (line) => {
+            const match = line.match(HEADING);
+            return match ? match[2].length : 0;
+        };
+        const remove = targetLines(value, start, end).every(line => levelOf(line) === level);
+        const multiLine = isMultiLine(value, start, end);
+
+        return transformLines(value, start, end, (line) => {
+            if (multiLine && line.trim() === '') return null;
+            const match = line.match(HEADING);
+            const existing = match ? match[0] : '';
+            return { at: 0, remove: existing.length, insert: remove ? '' : '#'.repeat(level) + ' ' };
+        });
+    }
+
+    /**
+     * Add or remove a blockquote, bullet or numbered prefix on the selected lines
+     * @param {string} kind - 'quote', 'ul' or 'ol'
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {Object} Edit
+     */
+    function toggleLinePrefix(kind, value, start, end) {
+        const patterns = { quote: QUOTE, ul: BULLET, ol: ORDERED };
+        const remove = targetLines(value, start, end).every(line => patterns[kind].test(line));
+        const multiLine = isMultiLine(value, start, end);
+
+        // Numbered lists continue from a numbered line just above
+        let number = 1;
+        const lineStart = selectedLines(value, start, end).from;
+        const previous = value.substring(value.lastIndexOf('\n', lineStart - 2) + 1, Math.max(0, lineStart - 1));
+        const previousNumber = lineStart > 0 && previous.match(ORDERED);
+        if (previousNumber) number = parseInt(previousNumber[2], 10) + 1;
+
+        return transformLines(value, start, end, (line) => {
+            if (multiLine && line.trim() === '') return null;
+
+            const indent = line.match(/^\s*/)[0].length;
+            if (kind === 'quote') {
+                const quote = line.match(QUOTE);
+                if (remove) return { at: quote[1].length, remove: quote[0].length - quote[1].length, insert: '' };
+                return quote ? null : { at: 0, remove: 0, insert: '> ' };
+            }
+
+            // Lists replace the other kind of list marker
+            const marker = line.match(BULLET) || line.match(ORDERED);
+            const existing = marker ? marker[0].length - indent : 0;
+            if (remove) return { at: indent, remove: existing, insert: '' };
+            if (patterns[kind].test(line)) {
+                if (kind === 'ol') number++;
+                return null;
+            }
+            return { at: indent, remove: existing, insert: kind === 'ul' ? '- ' : `${number++}. ` };
+        });
+    }
+
+    /**
+     * Remove the fences of the code block around the selection
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {Object|null} Edit, or null when the selection isn't in fenced code
+     */
+    function removeCodeBlock(value, start, end) {
+        const block = MarkdownHighlighter.findFencedBlocks(value)
+            .find(b => b.from <= start && end <= b.to);
+        if (!block) return null;
+
+        const lines = value.substring(block.from, block.to).split('\n');
+        const closed = lines.length > 1 && /^\s{0,3}(`{3,}|~{3,})\s*$/.test(lines[lines.length - 1]);
+        const body = lines.slice(1, closed ? -1 : undefined).join('\n');
+        const removedBefore = lines[0].length + 1;
+
+        const clamp = (offset) => Math.min(Math.max(offset - removedBefore, block.from), block.from + body.length);
+        return {
+            from: block.from,
+            to: block.to,
+            text: body,
+            selectionStart: clamp(start),
+            selectionEnd: clamp(end)
+        };
+    }
+
+    /**
+     * Remove the horizontal rule on the caret's line
+     * @param {string} value
+     * @param {number} start
+     * @returns {Object|null} Edit, or null when the line isn't a rule
+     */
+    function removeHorizontalRule(value, start) {
+        const line = lineAt(value, start);
+        if (!HR.test(value.substring(line.start, line.end))) return null;
+
+        const to = Math.min(value.length, line.end + 1);
+        return { from: line.start, to, text: '', selectionStart: line.start, selectionEnd: line.start };
+    }
+
+    /**
+     * Work out which toolbar actions are in effect at the selection
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {Array<string>} Toolbar action names
+     */
+    function getActiveFormats(value, start, end) {
+        const active = [];
+        const line = lineAt(value, start);
+        const text = value.substring(line.start, line.end);
+
+        const inCode = MarkdownHighlighter.findFencedBlocks(value)
+            .some(b => b.from <= start && end <= b.to);
+        if (inCode) return ['codeblock'];
+
+        Object.keys(INLINE).forEach(type => {
+            if (findInlineSpan(type, value, start, end)) active.push(type);
+        });
+        if (findLink('link', value, start, end)) active.push('link');
+        if (findLink('image', value, start, end)) active.push('image');
+
+        const heading = text.match(HEADING);
+        if (heading && heading[2].length <= 3) active.push('h' + heading[2].length);
+        if (BULLET.test(text)) active.push('ul');
+        if (ORDERED.test(text)) active.push('ol');
+        if (QUOTE.test(text)) active.push('quote');
+        if (HR.test(text)) active.push('hr');
+        if (/^\s*\|/.test(text)) active.push('table');
+
+        return active;
+    }
+
+    // Public API
+    return {
+        toggleInline,
+        toggleHeading,
+        toggleLinePrefix,
+        removeLink,
+        removeCodeBlock,
+        removeHorizontalRule,
+        getActiveFormats
+    };
+})();
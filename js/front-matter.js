@@ -0,0 +1,205 @@
+/**
+ * Front Matter Module
+ * Parses and writes the YAML front matter block at the top of Markdown files.
+ * Covers the flat key/value subset used for post details: plain, single and
+ * double quoted scalars, block scalars (| and >) and comments.
+ */
+
+const FrontMatter = (function () {
+    // Order keys are written in; other keys follow in insertion order
+    const KEY_ORDER = ['title', 'date', 'description', 'type', 'coverImage', 'githubUrl'];
+
+    // Plain scalars YAML would read as something other than a string
+    const RESERVED_WORDS = /^(true|false|yes|no|on|off|null|~)$/i;
+
+    /**
+     * Split a Markdown document into its front matter and body
+     * @param {string} text - Full file content
+     * @returns {{data: Object, body: string, hasFrontMatter: boolean}}
+     */
+    function parse(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const lines = source.split(/\r?\n/);
+
+        if (!/^---\s*$/.test(lines[0])) {
+            return { data: {}, body: text, hasFrontMatter: false };
+        }
+
+        const end = lines.findIndex((line, i) => i > 0 && /^(---|\.\.\.)\s*$/.test(line));
+        if (end === -1) {
+            return { data: {}, body: text, hasFrontMatter: false };
+        }
+
+        const data = parseYaml(lines.slice(1, end));
+        const body = lines.slice(end + 1).join('\n').replace(/^(\s*\n)+/, '');
+
+        return { data, body, hasFrontMatter: true };
+    }
+
+    /**
+     * Parse flat YAML key/value lines
+     * @param {Array<string>} lines
+     * @returns {Object}
+     */
+    function parseYaml(lines) {
+        const data = {};
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            i++;
+
+            if (!line.trim() || line.trim().startsWith('#')) continue;
+
+            const match = line.match(/^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/);
+            if (!match) {
+                console.warn('FrontMatter: Skipping unsupported line:', line);
+                continue;
+            }
+
+            const key = match[1];
+            const raw = (match[2] || '').trim();
+
+            // Collect indented continuation lines (block scalars, wrapped plain scalars)
+            const continuation = [];
+            while (i < lines.length && (/^\s+\S/.test(lines[i]) || (!lines[i].trim() && hasMoreIndented(lines, i)))) {
+                continuation.push(lines[i]);
+                i++;
+            }
+
+            data[key] = parseValue(raw, continuation);
+        }
+
+        return data;
+    }
+
+    /**
+     * Check whether indented lines follow a blank line
+     * @param {Array<string>} lines
+     * @param {number} index - Index of the blank line
+     * @returns {boolean}
+     */
+    function hasMoreIndented(lines, index) {
+        for (let i = index; i < lines.length; i++) {
+            if (lines[i].trim()) return /^\s+\S/.test(lines[i]);
+        }
+        return false;
+    }
+
+    /**
+     * Turn a raw YAML scalar into a string
+     * @param {string} raw - Text after the colon
+     * @param {Array<string>} continuation - Indented lines that follow
+     * @returns {string}
+     */
+    function parseValue(raw, continuation) {
+        const blockMatch = raw.match(/^([|>])([+-]?)\s*(#.*)?$/);
+        if (blockMatch) {
+            return parseBlockScalar(blockMatch[1], blockMatch[2], continuation);
+        }
+
+        // Quoted or plain scalars may wrap onto indented lines, folded with spaces
+        const text = [raw].concat(continuation.map(line => line.trim())).join(' ').trim();
+
+        if (text.startsWith('"')) {
+            const closing = findClosingQuote(text);
+            const quoted = text.substring(0, closing + 1);
+            try {
+                return JSON.parse(quoted);
+            } catch (e) {
+                return quoted.slice(1, -1).replace(/\\"/g, '"');
+            }
+        }
+
+        if (text.startsWith("'")) {
+            const match = text.match(/^'((?:[^']|'')*)'/);
+            return match ? match[1].replace(/''/g, "'") : text.slice(1);
+        }
+
+        // Plain scalar: drop a trailing comment
+        return text.replace(/\s+#.*$/, '').trim();
+    }
+
+    /**
+     * Find the closing quote of a double-quoted scalar
+     * @param {string} text - Starts with the opening quote
+     * @returns {number} Index of the closing quote
+     */
+    function findClosingQuote(text) {
+        for (let i = 1; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '"') {
+                return i;
+            }
+        }
+        return text.length - 1;
+    }
+
+    /**
+     * Parse a literal (|) or folded (>) block scalar
+     * @param {string} style - '|' or '>'
+     * @param {string} chomping - '', '+' (keep) or '-' (strip)
+     * @param {Array<string>} lines - Indented lines of the block
+     * @returns {string}
+     */
+    function parseBlockScalar(style, chomping, lines) {
+        const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+        const indent = indents.length > 0 ? Math.min(...indents) : 0;
+        const content = lines.map(line => line.substring(indent));
+
+        let text;
+        if (style === '|') {
+            text = content.join('\n');
+        } else {
+            // Folded: single newlines become spaces, blank lines become newlines
+            text = content.reduce((result, line, i) => {
+                if (i === 0) return line;
+                if (!line) return result + '\n';
+                return result + (result.endsWith('\n') ? '' : ' ') + line;
+            }, '');
+        }
+
+        if (chomping === '+') return text + '\n';
+        if (chomping === '-') return text.replace(/\n+$/, '');
+        return text.replace(/\n+$/, '') + '\n';
+    }
+
+    /**
+     * Write a front matter block, skipping empty values
+     * @param {Object} data - Values keyed by front matter key
+     * @returns {string} Block including the --- fences and a trailing blank line
+     */
+    function serialize(data) {
+        const keys = KEY_ORDER.filter(key => key in data)
+            .concat(Object.keys(data).filter(key => !KEY_ORDER.includes(key)));
+
+        const lines = keys
+            .filter(key => data[key] !== undefined && data[key] !== null && String(data[key]).trim() !== '')
+            .map(key => `${key}: ${formatValue(String(data[key]))}`);
+
+        return `---\n${lines.join('\n')}\n---\n\n`;
+    }
+
+    /**
+     * Format a string as a YAML scalar, quoting it when needed
+     * @param {string} value
+     * @returns {string}
+     */
+    function formatValue(value) {
+        const needsQuotes =
+            value !== value.trim() ||
+            /[:#\n\r\t]/.test(value) ||
+            /^[-?:,[\]{}&*!|>'"%@`]/.test(value) ||
+            RESERVED_WORDS.test(value);
+
+        // JSON strings are valid YAML double-quoted scalars
+        return needsQuotes ? JSON.stringify(value) : value;
+    }
+
+    // Public API
+    return {
+        parse,
+        serialize
+    };
+})();
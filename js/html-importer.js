@@ -0,0 +1,198 @@
+/**
+ * HTML Importer Module
+ * Loads a post published by Export.generateHtml() back into the editor:
+ * title, description and GitHub link go to Post Details, the article body
+ * is converted back into Markdown
+ */
+
+const HtmlImporter = (function () {
+
+    /**
+     * Initialize the HTML importer module
+     */
+    function init() {
+        setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for HTML import
+     */
+    function setupEventListeners() {
+        const fileInput = document.getElementById('html-input');
+        const dropZone = document.getElementById('html-drop-zone');
+
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files?.[0];
+                fileInput.value = '';
+                if (file) importFile(file);
+            });
+        }
+
+        if (fileInput && typeof CommandPalette !== 'undefined') {
+            CommandPalette.register({
+                id: 'import.html',
+                title: 'Published Post (.html)',
+                category: 'Import',
+                keywords: 'html site convert open',
+                run: () => fileInput.click()
+            });
+        }
+
+        if (dropZone) {
+            dropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                dropZone.classList.add('drag-over');
+            });
+            dropZone.addEventListener('dragleave', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                dropZone.classList.remove('drag-over');
+            });
+            dropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                dropZone.classList.remove('drag-over');
+
+                const file = e.dataTransfer?.files?.[0];
+                if (file) importFile(file);
+            });
+            dropZone.addEventListener('click', () => fileInput?.click());
+        }
+    }
+
+    /**
+     * Import a published post file
+     * @param {File} file
+     */
+    async function importFile(file) {
+        if (!/\.html?$/i.test(file.name) && file.type !== 'text/html') {
+            showToast('Please select a published post (.html)', 'error');
+            return;
+        }
+
+        try {
+            const html = await file.text();
+            await importHtml(html, file.name);
+        } catch (error) {
+            console.error('HtmlImporter: Import failed', error);
+            showToast('Error importing post: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Split a published page into Post Details and a Markdown body
+     * @param {string} html - Full HTML document
+     * @returns {{markdown: string, details: Object}}
+     */
+    function parse(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const main = doc.querySelector('main.article-content') || doc.querySelector('main') || doc.body;
+
+        const heading = main.querySelector('h1');
+        const subtitle = main.querySelector('.subtitle');
+        const githubLink = main.querySelector('a.github-link');
+        const metaDescription = doc.querySelector('meta[name="description"]');
+
+        const details = {
+            title: (heading ? heading.textContent : doc.title).trim(),
+            description: (subtitle ? subtitle.textContent : metaDescription?.getAttribute('content') || '').trim(),
+            githubUrl: githubLink ? githubLink.getAttribute('href') : '',
+            // Only project pages get a GitHub button
+            type: githubLink ? 'project' : 'article'
+        };
+
+        // Everything else in <main> is the post body
+        [heading, subtitle, githubLink].forEach(element => element?.remove());
+
+        const markdown = DocxConverter.htmlToMarkdown(main, {
+            boldParagraphsAsCode: false,
+            indentAfterLists: false,
+            markdownImages: true
+        });
+
+        return { markdown: collapseBlankLines(markdown), details };
+    }
+
+    /**
+     * Squeeze runs of blank lines down to one, leaving fenced code alone
+     * @param {string} markdown
+     * @returns {string}
+     */
+    function collapseBlankLines(markdown) {
+        return markdown
+            .split(/(^```[\s\S]*?^```)/m)
+            .map((part, i) => (i % 2 === 1 ? part : part.replace(/\n{3,}/g, '\n\n')))
+            .join('');
+    }
+
+    /**
+     * Load a published page into the editor
+     * @param {string} html - Full HTML document
+     * @param {string} source - Where it came from, e.g. the file name
+     * @param {Object} overrides - Post Details known from elsewhere (type, date)
+     * @param {Function} loadImage - Optional, resolves a relative image src to a data URL (or null)
+     */
+    async function importHtml(html, source, overrides = {}, loadImage = null) {
+        const post = parse(html);
+        let markdown = post.markdown;
+
+        if (loadImage) {
+            markdown = await inlineImages(markdown, loadImage);
+        }
+
+        Editor.importContent(markdown, source, { ...post.details, ...overrides });
+
+        // Published pages don't include the date, so remind to set it
+        const note = overrides.date ? '' : ' Set the date before republishing.';
+        showToast(`Imported "${post.details.title || source}".${note}`, 'success');
+    }
+
+    /**
+     * Embed relatively linked images so the draft is self-contained
+     * @param {string} markdown
+     * @param {Function} loadImage
+     * @returns {Promise<string>}
+     */
+    async function inlineImages(markdown, loadImage) {
+        const sources = new Set();
+        const pattern = /(?:!\[[^\]]*\]\(|<img[^>]*\ssrc=")([^)"\s]+)/g;
+        let match;
+        while ((match = pattern.exec(markdown)) !== null) {
+            if (!/^(data:|https?:|\/\/)/.test(match[1])) sources.add(match[1]);
+        }
+
+        const dataUrls = {};
+        for (const src of sources) {
+            try {
+                const dataUrl = await loadImage(src);
+                if (dataUrl) dataUrls[src] = dataUrl;
+            } catch (e) {
+                console.warn('HtmlImporter: Could not load image', src, e);
+            }
+        }
+
+        return EmbeddedImages.inline(markdown, '', dataUrls);
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        parse,
+        importHtml
+    };
+})();
@@ -0,0 +1,321 @@
+/**
+ * Hunspell Module
+ * A small reader for Hunspell dictionaries (.aff affix rules and .dic word
+ * lists): checks words by stripping prefixes and suffixes back to a
+ * dictionary stem, and suggests corrections one edit away. Supports the
+ * single-character flags, PFX/SFX, REP, TRY, ICONV, NOSUGGEST and
+ * ONLYINCOMPOUND parts of the format, which is what the English
+ * dictionaries use; compound words aren't built.
+ */
+
+const Hunspell = (function () {
+    const MAX_SUGGESTIONS = 6;
+
+    /**
+     * Parse an affix file
+     * @param {string} text - Contents of the .aff file
+     * @returns {Object} Rules and options
+     */
+    function parseAffix(text) {
+        const affix = {
+            prefixes: [],
+            suffixes: [],
+            replacements: [],
+            conversions: [],
+            tryChars: 'abcdefghijklmnopqrstuvwxyz',
+            noSuggest: null,
+            onlyInCompound: null
+        };
+        const groups = {};
+
+        text.split('\n').forEach(rawLine => {
+            const parts = rawLine.replace(/#.*$/, '').trim().split(/\s+/);
+            const [type, ...args] = parts;
+
+            switch (type) {
+                case 'PFX':
+                case 'SFX': {
+                    // Header: SFX flag cross count. Rule: SFX flag strip add condition
+                    const [flag, strip, add, condition] = args;
+                    if (args.length === 3 && /^[YN]$/.test(strip)) {
+                        groups[type + flag] = strip === 'Y';
+                        return;
+                    }
+                    const rule = {
+                        flag,
+                        strip: strip === '0' ? '' : strip,
+                        add: add === '0' ? '' : add.split('/')[0],
+                        cross: groups[type + flag] === true
+                    };
+                    const pattern = !condition || condition === '.' ? null : condition;
+                    rule.condition = pattern && new RegExp(type === 'SFX' ? `${pattern}$` : `^${pattern}`);
+                    (type === 'SFX' ? affix.suffixes : affix.prefixes).push(rule);
+                    break;
+                }
+                case 'REP':
+                    if (args.length === 2) affix.replacements.push([args[0], args[1].replace(/_/g, ' ')]);
+                    break;
+                case 'ICONV':
+                    if (args.length === 2) affix.conversions.push(args);
+                    break;
+                case 'TRY':
+                    affix.tryChars = args[0];
+                    break;
+                case 'NOSUGGEST':
+                    affix.noSuggest = args[0];
+                    break;
+                case 'ONLYINCOMPOUND':
+                    affix.onlyInCompound = args[0];
+                    break;
+            }
+        });
+
+        return affix;
+    }
+
+    /**
+     * Parse a word list
+     * @param {string} text - Contents of the .dic file
+     * @returns {Map<string, string>} Word to its flags
+     */
+    function parseWords(text) {
+        const words = new Map();
+        const lines = text.split('\n');
+
+        // The first line is the (approximate) word count
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line) continue;
+
+            const slash = line.indexOf('/');
+            const word = slash === -1 ? line : line.substring(0, slash);
+            const flags = slash === -1 ? '' : line.substring(slash + 1);
+            words.set(word, (words.get(word) || '') + flags);
+        }
+        return words;
+    }
+
+    /**
+     * Create a dictionary
+     * @param {string} affText - Contents of the .aff file
+     * @param {string} dicText - Contents of the .dic file
+     * @returns {{check: Function, suggest: Function}}
+     */
+    function create(affText, dicText) {
+        const affix = parseAffix(affText);
+        const words = parseWords(dicText);
+
+        /**
+         * Check that a stem is in the dictionary, optionally with a flag
+         * @param {string} stem
+         * @param {string} [flag]
+         * @returns {string|null} The stem's flags, or null
+         */
+        function stemFlags(stem, flag) {
+            const flags = words.get(stem);
+            if (flags === undefined) return null;
+            if (flag && !flags.includes(flag)) return null;
+            return flags;
+        }
+
+        /**
+         * Find the dictionary entry a word form comes from
+         * @param {string} word - Exact case
+         * @returns {string|null} Flags of the stem, or null if not a word
+         */
+        function lookup(word) {
+            const direct = words.get(word);
+            if (direct !== undefined && !(affix.onlyInCompound && direct.includes(affix.onlyInCompound))) {
+                return direct;
+            }
+
+            for (const suffix of affix.suffixes) {
+                if (!word.endsWith(suffix.add) || word.length <= suffix.add.length) continue;
+
+                const stem = word.substring(0, word.length - suffix.add.length) + suffix.strip;
+                if (suffix.condition && !suffix.condition.test(stem)) continue;
+
+                const flags = stemFlags(stem, suffix.flag);
+                if (flags !== null) return flags;
+
+                // Prefix and suffix together, e.g. un-do-able
+                if (!suffix.cross) continue;
+                for (const prefix of affix.prefixes) {
+                    if (!prefix.cross || !stem.startsWith(prefix.add) || stem.length <= prefix.add.length) continue;
+
+                    const root = prefix.strip + stem.substring(prefix.add.length);
+                    if (prefix.condition && !prefix.condition.test(root)) continue;
+
+                    const rootFlags = stemFlags(root, suffix.flag);
+                    if (rootFlags !== null && rootFlags.includes(prefix.flag)) return rootFlags;
+                }
+            }
+
+            for (const prefix of affix.prefixes) {
+                if (!word.startsWith(prefix.add) || word.length <= prefix.add.length) continue;
+
+                const stem = prefix.strip + word.substring(prefix.add.length);
+                if (prefix.condition && !prefix.condition.test(stem)) continue;
+
+                const flags = stemFlags(stem, prefix.flag);
+                if (flags !== null) return flags;
+            }
+
+            return null;
+        }
+
+        /**
+         * Get the spellings a word may be listed under: as typed, and
+         * lowercased if it's capitalized or in capitals
+         * @param {string} word
+         * @returns {Array<string>}
+         */
+        function caseForms(word) {
+            const forms = [word];
+            const lower = word.toLowerCase();
+            if (lower === word) return forms;
+
+            if (word === word.toUpperCase()) {
+                forms.push(lower.charAt(0).toUpperCase() + lower.substring(1));
+            }
+            if (word.substring(1) === lower.substring(1) || word === word.toUpperCase()) {
+                forms.push(lower);
+            }
+            return forms;
+        }
+
+        /**
+         * Apply the input conversions (e.g. curly to straight apostrophes)
+         * @param {string} word
+         * @returns {string}
+         */
+        function convert(word) {
+            return affix.conversions.reduce((result, [from, to]) => result.split(from).join(to), word);
+        }
+
+        /**
+         * Find the stem flags of a word in any of its case forms
+         * @param {string} word
+         * @returns {string|null}
+         */
+        function find(word) {
+            for (const form of caseForms(convert(word))) {
+                const flags = lookup(form);
+                if (flags !== null) return flags;
+            }
+            return null;
+        }
+
+        /**
+         * Check whether a word is spelled correctly
+         * @param {string} word
+         * @returns {boolean}
+         */
+        function check(word) {
+            return find(word) !== null;
+        }
+
+        /**
+         * Check a suggestion: a word, and not one marked as never suggested
+         * @param {string} word
+         * @returns {boolean}
+         */
+        function isSuggestable(word) {
+            return word.split(' ').every(part => {
+                const flags = find(part);
+                return flags !== null && !(affix.noSuggest && flags.includes(affix.noSuggest));
+            });
+        }
+
+        /**
+         * Suggest corrections for a misspelled word
+         * @param {string} word
+         * @returns {Array<string>} Best first
+         */
+        function suggest(word) {
+            const input = convert(word);
+            const lower = input.toLowerCase();
+            const candidates = [];
+            const seen = new Set([lower]);
+
+            const consider = (candidate, priority) => {
+                if (seen.has(candidate)) return;
+                seen.add(candidate);
+
+                // Names are only listed capitalized
+                const capitalized = candidate.charAt(0).toUpperCase() + candidate.substring(1);
+                if (isSuggestable(candidate)) candidates.push({ word: candidate, priority });
+                else if (isSuggestable(capitalized)) candidates.push({ word: capitalized, priority });
+            };
+
+            // Known confusions from the affix file
+            affix.replacements.forEach(([from, to]) => {
+                let index = lower.indexOf(from);
+                while (index !== -1) {
+                    consider(lower.substring(0, index) + to + lower.substring(index + from.length), 0);
+                    index = lower.indexOf(from, index + 1);
+                }
+            });
+
+            // Swapped neighbours
+            for (let i = 0; i < lower.length - 1; i++) {
+                consider(lower.substring(0, i) + lower[i + 1] + lower[i] + lower.substring(i + 2), 1);
+            }
+
+            const letters = affix.tryChars.toLowerCase().replace(/(.)(?=.*\1)/g, '');
+            for (let i = 0; i <= lower.length; i++) {
+                const before = lower.substring(0, i);
+                if (i < lower.length) consider(before + lower.substring(i + 1), 2);
+                for (const letter of letters) {
+                    if (i < lower.length) consider(before + letter + lower.substring(i + 1), 2);
+                    consider(before + letter + lower.substring(i), 2);
+                }
+            }
+
+            // Two words run together
+            for (let i = 1; i < lower.length; i++) {
+                consider(lower.substring(0, i) + ' ' + lower.substring(i), 3);
+            }
+
+            return candidates
+                .sort((a, b) => a.priority - b.priority || similarity(lower, b.word) - similarity(lower, a.word))
+                .slice(0, MAX_SUGGESTIONS)
+                .map(candidate => matchCase(word, candidate.word));
+        }
+
+        return { check, suggest };
+    }
+
+    /**
+     * Score how alike two words are by their shared letter pairs
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    function similarity(a, b) {
+        let score = a[0] === b[0] ? 1 : 0;
+        for (let i = 0; i < a.length - 1; i++) {
+            if (b.includes(a.substring(i, i + 2))) score++;
+        }
+        return score;
+    }
+
+    /**
+     * Give a suggestion the capitalization of the word it replaces
+     * @param {string} original
+     * @param {string} suggestion - Lowercase unless the dictionary has it capitalized
+     * @returns {string}
+     */
+    function matchCase(original, suggestion) {
+        if (original.length > 1 && original === original.toUpperCase()) return suggestion.toUpperCase();
+        if (original[0] !== original[0].toLowerCase()) {
+            return suggestion.charAt(0).toUpperCase() + suggestion.substring(1);
+        }
+        return suggestion;
+    }
+
+    // Public API
+    return {
+        create
+    };
+})();
@@ -0,0 +1,592 @@
+/**
+ * Keymap Module
+ * Binds keyboard shortcuts to command palette commands. Commands bring a
+ * default shortcut when they register; the user can rebind or clear any of
+ * them in the Customize Shortcuts screen, and the choices are saved.
+ *
+ * Bindings are written 'Ctrl+Shift+P': modifiers in the order Ctrl, Alt,
+ * Shift, then the key. Ctrl also stands for Cmd on a Mac.
+ */
+
+const Keymap = (function () {
+    const STORAGE_KEY = 'blog-editor-keymap';
+
+    // Keys the editor handles itself; listed in the shortcuts modal but not rebindable
+    const FIXED_KEYS = [
+        ['Tab', 'Indent list item / lines, next table cell'],
+        ['Shift+Tab', 'Outdent, previous table cell'],
+        ['Enter', 'Continue / end list or table'],
+        ['Ctrl+Shift+V', 'Paste as plain text']
+    ];
+
+    // Readable names for keys that are awkward inside a binding string
+    const KEY_NAMES = {
+        ' ': 'Space',
+        '+': 'Plus',
+        'ArrowUp': 'Up',
+        'ArrowDown': 'Down',
+        'ArrowLeft': 'Left',
+        'ArrowRight': 'Right',
+        'Esc': 'Escape'
+    };
+
+    // Elements whose tooltip shows a command's shortcut, besides toolbar data-action buttons
+    const TOOLTIP_TARGETS = {
+        'edit.undo': 'undo-btn',
+        'edit.redo': 'redo-btn',
+        'help.shortcuts': 'shortcuts-help',
+        'help.markdown': 'markdown-help',
+        'palette.open': 'command-palette-btn',
+        'view.focus': 'focus-btn',
+        'view.fullscreen': 'fullscreen-btn'
+    };
+
+    // User choices by command id: binding string, '' for none
+    let overrides = {};
+
+    // Command whose new shortcut is being recorded
+    let recordingId = null;
+
+    // DOM Elements
+    let keymapModal;
+    let keymapList;
+    let filterInput;
+
+    /**
+     * Initialize the keymap module
+     */
+    function init() {
+        keymapModal = document.getElementById('keymap-modal');
+        keymapList = document.getElementById('keymap-list');
+        filterInput = document.getElementById('keymap-filter');
+
+        loadOverrides();
+        setupEventListeners();
+
+        if (typeof CommandPalette !== 'undefined') {
+            CommandPalette.register({
+                id: 'settings.keymap',
+                title: 'Customize Keyboard Shortcuts',
+                category: 'Settings',
+                keywords: 'keymap keybindings hotkeys',
+                run: showModal
+            });
+        }
+
+        // Commands register as their modules start; label buttons once they have
+        setTimeout(updateTooltips, 0);
+    }
+
+    /**
+     * Set up shortcut handling and the settings screen
+     */
+    function setupEventListeners() {
+        document.addEventListener('keydown', handleKeydown);
+
+        // Recording takes the key before anything else sees it
+        window.addEventListener('keydown', recordKey, true);
+
+        document.getElementById('customize-shortcuts-btn')?.addEventListener('click', () => {
+            const shortcutsModal = document.getElementById('shortcuts-modal');
+            if (shortcutsModal) shortcutsModal.style.display = 'none';
+            showModal();
+        });
+
+        document.getElementById('close-keymap')?.addEventListener('click', hideModal);
+        document.getElementById('reset-keymap-btn')?.addEventListener('click', resetAll);
+
+        if (keymapModal) {
+            keymapModal.addEventListener('click', (e) => {
+                if (e.target === keymapModal) hideModal();
+            });
+        }
+
+        if (keymapList) {
+            keymapList.addEventListener('click', handleListClick);
+        }
+
+        if (filterInput) {
+            filterInput.addEventListener('input', renderList);
+        }
+
+        // Settings brought in with a workspace may include a keymap
+        document.addEventListener('workspace:imported', (e) => {
+            if (!e.detail.settings) return;
+            loadOverrides();
+            notifyChange();
+        });
+    }
+
+    /**
+     * Load the saved bindings
+     */
+    function loadOverrides() {
+        overrides = {};
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            Object.keys(saved).forEach(id => {
+                if (typeof saved[id] === 'string') overrides[id] = normalize(saved[id]);
+            });
+        } catch (e) {
+            console.warn('Keymap: Ignoring unreadable saved shortcuts');
+        }
+    }
+
+    /**
+     * Save the bindings and tell the rest of the app
+     */
+    function saveOverrides() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+        notifyChange();
+    }
+
+    /**
+     * Refresh everything that shows shortcuts
+     */
+    function notifyChange() {
+        updateTooltips();
+        if (keymapModal && keymapModal.style.display !== 'none') renderList();
+
+        document.dispatchEvent(new CustomEvent('keymap:change', {
+            detail: { overrides: { ...overrides } }
+        }));
+    }
+
+    /**
+     * Put a binding into canonical form
+     * @param {string} binding - e.g. 'shift+ctrl+p' or 'Cmd+K'
+     * @returns {string} e.g. 'Ctrl+Shift+P', or '' if empty
+     */
+    function normalize(binding) {
+        if (!binding) return '';
+
+        // A trailing '+' is the plus key itself
+        const parts = binding.replace(/\+\+$/, '+Plus').split('+').map(part => part.trim()).filter(Boolean);
+        const modifiers = new Set();
+        let key = '';
+
+        parts.forEach(part => {
+            const lower = part.toLowerCase();
+            if (['ctrl', 'control', 'cmd', 'meta', 'command'].includes(lower)) modifiers.add('Ctrl');
+            else if (['alt', 'option'].includes(lower)) modifiers.add('Alt');
+            else if (lower === 'shift') modifiers.add('Shift');
+            else key = KEY_NAMES[part] || (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1));
+        });
+
+        if (!key) return '';
+        return ['Ctrl', 'Alt', 'Shift'].filter(modifier => modifiers.has(modifier)).concat(key).join('+');
+    }
+
+    /**
+     * Turn a key event into a binding
+     * @param {KeyboardEvent} e
+     * @returns {string|null} Null for a lone modifier key
+     */
+    function fromEvent(e) {
+        if (['Control', 'Shift', 'Alt', 'Meta', 'AltGraph'].includes(e.key)) return null;
+
+        let key = e.key;
+        // Alt changes the character on some layouts (Alt+B is ∫ on a Mac); use the physical key
+        if (e.altKey) {
+            const physical = (e.code || '').match(/^(?:Key|Digit)(\w)$/);
+            if (physical) key = physical[1];
+        }
+
+        const name = KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        // Shift is part of a symbol already ('?' is Shift+/), so only count it for letters and named keys
+        if (e.shiftKey && (key.length > 1 || /[a-z]/i.test(key))) parts.push('Shift');
+        parts.push(name);
+        return parts.join('+');
+    }
+
+    /**
+     * Check whether a binding can be used without getting in the way of typing
+     * @param {string} binding
+     * @returns {string|null} Why the binding can't be used, or null if it can
+     */
+    function validate(binding) {
+        const parts = binding.split('+');
+        const key = parts[parts.length - 1];
+
+        const fixed = FIXED_KEYS.find(([fixedBinding]) => fixedBinding === binding);
+        if (fixed) return `${binding} is reserved (${fixed[1]})`;
+        if (parts.includes('Ctrl') || parts.includes('Alt') || /^F\d{1,2}$/.test(key)) return null;
+        return 'Shortcuts need Ctrl or Alt (function keys work alone)';
+    }
+
+    /**
+     * Get a command's current shortcut
+     * @param {string} id
+     * @returns {string} '' if none
+     */
+    function getBinding(id) {
+        if (Object.prototype.hasOwnProperty.call(overrides, id)) return overrides[id];
+        const command = findCommand(id);
+        return command ? normalize(command.shortcut) : '';
+    }
+
+    /**
+     * Find a registered command
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    function findCommand(id) {
+        return getCommands().find(command => command.id === id);
+    }
+
+    /**
+     * Every registered command
+     * @returns {Array<Object>}
+     */
+    function getCommands() {
+        return typeof CommandPalette !== 'undefined' ? CommandPalette.getCommands() : [];
+    }
+
+    /**
+     * Change a command's shortcut
+     * @param {string} id
+     * @param {string} binding - '' to leave the command without a shortcut
+     */
+    function setBinding(id, binding) {
+        const normalized = normalize(binding);
+        const command = findCommand(id);
+
+        if (command && normalized === normalize(command.shortcut)) {
+            delete overrides[id];
+        } else {
+            overrides[id] = normalized;
+        }
+        saveOverrides();
+    }
+
+    /**
+     * Put a command back to its default shortcut
+     * @param {string} id
+     */
+    function resetBinding(id) {
+        delete overrides[id];
+        saveOverrides();
+    }
+
+    /**
+     * Put every command back to its default shortcut
+     */
+    function resetAll() {
+        if (Object.keys(overrides).length === 0) return;
+        if (!confirm('Reset all keyboard shortcuts to their defaults?')) return;
+
+        overrides = {};
+        saveOverrides();
+        showToast('Shortcuts reset to defaults', 'info');
+    }
+
+    /**
+     * Find the commands bound to a binding
+     * @param {string} binding
+     * @returns {Array<Object>}
+     */
+    function commandsFor(binding) {
+        if (!binding) return [];
+        return getCommands().filter(command => getBinding(command.id) === binding);
+    }
+
+    /**
+     * Run the command bound to a key press
+     * @param {KeyboardEvent} e
+     */
+    function handleKeydown(e) {
+        if (recordingId || e.defaultPrevented || e.isComposing) return;
+
+        const binding = fromEvent(e);
+        if (!binding || validate(binding)) return;
+
+        const inOtherField = isTextField(e.target) && e.target.id !== 'markdown-editor';
+
+        const command = commandsFor(binding).find(candidate => {
+            // Commands decide for themselves where they apply; by default not while typing in other fields
+            if (typeof candidate.when === 'function') return candidate.when(e);
+            return !inOtherField;
+        });
+        if (!command) return;
+
+        if (CommandPalette.run(command.id)) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Check whether an element takes typed text
+     * @param {EventTarget} target
+     * @returns {boolean}
+     */
+    function isTextField(target) {
+        if (!target || !target.tagName) return false;
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    /**
+     * Show a command's shortcut in the tooltips of its buttons
+     */
+    function updateTooltips() {
+        const targets = Array.from(document.querySelectorAll('.toolbar button[data-action]'))
+            .map(button => ({ id: `format.${button.dataset.action}`, element: button }));
+        Object.entries(TOOLTIP_TARGETS).forEach(([id, elementId]) => {
+            const element = document.getElementById(elementId);
+            if (element) targets.push({ id, element });
+        });
+
+        targets.forEach(({ id, element }) => {
+            if (!element.dataset.baseTitle) {
+                element.dataset.baseTitle = (element.title || '').replace(/\s*\([^)]*\)$/, '');
+            }
+            const binding = getBinding(id);
+            element.title = binding ? `${element.dataset.baseTitle} (${binding})` : element.dataset.baseTitle;
+        });
+    }
+
+    /**
+     * Render a binding as keycaps
+     * @param {string} binding
+     * @returns {string} HTML
+     */
+    function formatKeys(binding) {
+        return binding.split('+')
+            .map(key => `<kbd>${escapeHtml(key === 'Plus' ? '+' : key)}</kbd>`)
+            .join(' + ');
+    }
+
+    /**
+     * Text shown for a command
+     * @param {Object} command
+     * @returns {string}
+     */
+    function labelFor(command) {
+        return command.category ? `${command.category}: ${command.title}` : command.title;
+    }
+
+    /**
+     * Fill the shortcuts modal with the live keymap
+     * @param {HTMLElement} container
+     */
+    function renderShortcuts(container) {
+        if (!container) return;
+
+        const sections = new Map();
+        getCommands().forEach(command => {
+            const binding = getBinding(command.id);
+            if (!binding) return;
+
+            const category = command.category || 'General';
+            if (!sections.has(category)) sections.set(category, []);
+            sections.get(category).push({ binding, title: command.title });
+        });
+
+        sections.set('Editing', (sections.get('Editing') || []).concat(
+            FIXED_KEYS.map(([binding, title]) => ({ binding, title }))));
+
+        container.innerHTML = Array.from(sections.entries()).map(([category, items]) => `
+            <div class="shortcut-section">
+                <h4>${escapeHtml(category)}</h4>
+                ${items.map(item => `
+                    <div class="shortcut-item">${formatKeys(item.binding)} <span>${escapeHtml(item.title)}</span></div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show the shortcut settings screen
+     */
+    function showModal() {
+        if (!keymapModal) return;
+        if (filterInput) filterInput.value = '';
+        renderList();
+        keymapModal.style.display = 'flex';
+        if (filterInput) filterInput.focus();
+    }
+
+    /**
+     * Hide the shortcut settings screen
+     */
+    function hideModal() {
+        stopRecording();
+        if (keymapModal) keymapModal.style.display = 'none';
+    }
+
+    /**
+     * Render the rebindable commands, flagging shared shortcuts
+     */
+    function renderList() {
+        if (!keymapList) return;
+
+        const query = filterInput ? filterInput.value.trim().toLowerCase() : '';
+        const commands = getCommands()
+            .filter(command => command.id !== 'settings.keymap')
+            .sort((a, b) => labelFor(a).localeCompare(labelFor(b)));
+
+        // Count every binding, filtered or not, so conflicts show either way
+        const usage = new Map();
+        commands.forEach(command => {
+            const binding = getBinding(command.id);
+            if (!binding) return;
+            if (!usage.has(binding)) usage.set(binding, []);
+            usage.get(binding).push(command);
+        });
+
+        const visible = commands.filter(command => {
+            if (!query) return true;
+            return `${labelFor(command)} ${getBinding(command.id)}`.toLowerCase().includes(query);
+        });
+
+        if (visible.length === 0) {
+            keymapList.innerHTML = '<p class="keymap-empty">No matching commands</p>';
+            return;
+        }
+
+        keymapList.innerHTML = visible.map(command => {
+            const binding = getBinding(command.id);
+            const others = binding ? usage.get(binding).filter(other => other !== command) : [];
+            const isCustom = Object.prototype.hasOwnProperty.call(overrides, command.id);
+            const isRecording = recordingId === command.id;
+
+            let keys = '<span class="keymap-unset">Not set</span>';
+            if (isRecording) keys = '<span class="keymap-recording">Press keys… (Esc to cancel)</span>';
+            else if (binding) keys = formatKeys(binding);
+
+            return `
+                <div class="keymap-row${others.length ? ' conflict' : ''}${isCustom ? ' custom' : ''}" data-command="${escapeHtml(command.id)}">
+                    <div class="keymap-name">
+                        ${escapeHtml(labelFor(command))}
+                        ${others.length ? `<span class="keymap-conflict">⚠️ Also bound to ${escapeHtml(others.map(labelFor).join(', '))}</span>` : ''}
+                    </div>
+                    <button type="button" class="keymap-binding${isRecording ? ' recording' : ''}" data-keymap-action="record"
+                        title="Click, then press the new shortcut">${keys}</button>
+                    <button type="button" class="keymap-btn" data-keymap-action="reset" title="Restore default${command.shortcut ? ` (${escapeHtml(normalize(command.shortcut))})` : ''}"
+                        ${isCustom ? '' : 'disabled'}>↺</button>
+                    <button type="button" class="keymap-btn" data-keymap-action="clear" title="Remove shortcut"
+                        ${binding ? '' : 'disabled'}>×</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Handle clicks on a command row
+     * @param {MouseEvent} e
+     */
+    function handleListClick(e) {
+        const button = e.target.closest('button[data-keymap-action]');
+        if (!button) return;
+
+        const id = button.closest('.keymap-row').dataset.command;
+        switch (button.dataset.keymapAction) {
+            case 'record':
+                recordingId = recordingId === id ? null : id;
+                renderList();
+                keymapList.querySelector('.keymap-binding.recording')?.focus();
+                break;
+            case 'reset':
+                stopRecording();
+                resetBinding(id);
+                break;
+            case 'clear':
+                stopRecording();
+                setBinding(id, '');
+                break;
+        }
+    }
+
+    /**
+     * Stop waiting for a new shortcut
+     */
+    function stopRecording() {
+        if (!recordingId) return;
+        recordingId = null;
+        renderList();
+    }
+
+    /**
+     * Take the next key press as the shortcut being recorded
+     * @param {KeyboardEvent} e
+     */
+    function recordKey(e) {
+        if (!recordingId) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            stopRecording();
+            return;
+        }
+
+        const binding = fromEvent(e);
+        if (!binding) return; // Wait for the rest of the combination
+
+        const problem = validate(binding);
+        if (problem) {
+            showToast(`${binding}: ${problem}`, 'error');
+            return;
+        }
+
+        const id = recordingId;
+        recordingId = null;
+
+        // Offer to move the shortcut over from the command that has it
+        const others = commandsFor(binding).filter(command => command.id !== id);
+        if (others.length > 0) {
+            const names = others.map(command => `"${labelFor(command)}"`).join(', ');
+            if (!confirm(`${binding} is already used by ${names}. Move it to this command?`)) {
+                renderList();
+                return;
+            }
+            others.forEach(command => {
+                overrides[command.id] = '';
+            });
+        }
+
+        setBinding(id, binding);
+        showToast(`${labelFor(findCommand(id))}: ${binding}`, 'success');
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        getBinding,
+        setBinding,
+        resetBinding,
+        normalize,
+        fromEvent,
+        renderShortcuts,
+        showModal
+    };
+})();
@@ -0,0 +1,927 @@
+/**
+ * Link Dialog Module
+ * Dialog for inserting and editing links and images: the URL field
+ * suggests our own posts (drafts and the site folder) and the headings of
+ * this post, checks the address, and the link can carry a title and be
+ * written inline or reference-style. Also converts every link in the post
+ * between inline ([text](url)) and reference style ([text][id] with an
+ * [id]: url definition at the end).
+ *
+ * Links are handled as {from, to, image, text, url, title, style, label};
+ * style is 'inline', 'reference', 'collapsed' ([text][]) or 'shortcut'
+ * ([text]), and label is the definition a reference link uses.
+ */
+
+const LinkDialog = (function () {
+    const STYLE_KEY = 'blog-editor-link-reference';
+    const MAX_SUGGESTIONS = 8;
+
+    // Link syntax: labels may hold escaped brackets, targets may be <wrapped>
+    // or hold balanced parentheses, and titles are quoted or parenthesized.
+    // Labels with bare brackets aren't matched, so [![alt](image)](url) is
+    // seen as its image.
+    const LABEL = String.raw`(?:\\.|[^[\]\\\n])*`;
+    const TITLE = String.raw`"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\((?:\\.|[^)\\])*\)`;
+    const INLINE_LINK = new RegExp(
+        String.raw`(!?)\[(${LABEL})\]\([ \t]*(<[^>\n]*>|(?:[^\s()]|\([^\s()]*\))*)(?:[ \t]+(${TITLE}))?[ \t]*\)`, 'g');
+    const REFERENCE_LINK = new RegExp(String.raw`(!?)\[(${LABEL})\]\[(${LABEL})\]`, 'g');
+    const SHORTCUT_LINK = new RegExp(String.raw`(!?)\[(${LABEL})\](?![[(:])`, 'g');
+    const DEFINITION = new RegExp(
+        String.raw`^ {0,3}\[(${LABEL})\]:[ \t]*(<[^>\n]*>|\S+)(?:[ \t]+(${TITLE}))?[ \t]*$`, 'gm');
+    const DEFINITION_LINE = new RegExp(DEFINITION.source);
+
+    // Dialog state: 'link' or 'image', the link being edited (or the
+    // selection a new one replaces), and the URL suggestions
+    let kind = 'link';
+    let target = null;
+    let posts = [];
+    let anchors = [];
+    let suggestions = [];
+    let activeSuggestion = -1;
+    let loadToken = 0;
+
+    // DOM Elements
+    let textarea;
+    let modal;
+    let form;
+    let textInput;
+    let urlInput;
+    let titleInput;
+    let referenceInput;
+    let suggestionList;
+    let hint;
+    let applyBtn;
+    let removeBtn;
+
+    /**
+     * Initialize the link dialog
+     */
+    function init() {
+        textarea = document.getElementById('markdown-editor');
+        modal = document.getElementById('link-modal');
+        form = document.getElementById('link-form');
+        textInput = document.getElementById('link-text');
+        urlInput = document.getElementById('link-url');
+        titleInput = document.getElementById('link-title');
+        referenceInput = document.getElementById('link-reference');
+        suggestionList = document.getElementById('link-suggestions');
+        hint = document.getElementById('link-url-hint');
+        applyBtn = document.getElementById('apply-link-btn');
+        removeBtn = document.getElementById('remove-link-btn');
+
+        if (!textarea) return;
+
+        setupEventListeners();
+        registerCommands();
+    }
+
+    /**
+     * Set up event listeners for the dialog
+     */
+    function setupEventListeners() {
+        if (!modal || !form) return;
+
+        document.getElementById('close-link')?.addEventListener('click', close);
+        document.getElementById('cancel-link-btn')?.addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            apply();
+        });
+        removeBtn?.addEventListener('click', removeLink);
+
+        document.getElementById('links-to-reference')?.addEventListener('click', () => {
+            close();
+            convertAll('reference');
+        });
+        document.getElementById('links-to-inline')?.addEventListener('click', () => {
+            close();
+            convertAll('inline');
+        });
+
+        urlInput.addEventListener('input', () => {
+            renderSuggestions();
+            showValidation();
+        });
+        urlInput.addEventListener('focus', renderSuggestions);
+        urlInput.addEventListener('blur', () => {
+            // Let a click on a suggestion land first
+            setTimeout(hideSuggestions, 150);
+        });
+        urlInput.addEventListener('keydown', handleUrlKeydown);
+
+        suggestionList?.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-suggestion]');
+            if (!item) return;
+            e.preventDefault();
+            pickSuggestion(Number(item.dataset.suggestion));
+        });
+
+        hint?.addEventListener('click', (e) => {
+            const fix = e.target.closest('[data-url-fix]');
+            if (!fix) return;
+            urlInput.value = fix.dataset.urlFix;
+            showValidation();
+            urlInput.focus();
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            }
+        });
+    }
+
+    /**
+     * Add link commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        const hasStyle = (styles) => () => parseLinks(textarea.value).some(link => styles.includes(link.style));
+
+        CommandPalette.register([
+            {
+                id: 'link.toReference', title: 'Convert Links to Reference Style', category: 'Link',
+                keywords: 'reference definitions footer inline urls',
+                run: () => convertAll('reference'),
+                isAvailable: hasStyle(['inline'])
+            },
+            {
+                id: 'link.toInline', title: 'Convert Links to Inline', category: 'Link',
+                keywords: 'reference definitions inline urls',
+                run: () => convertAll('inline'),
+                isAvailable: hasStyle(['reference', 'collapsed', 'shortcut'])
+            }
+        ]);
+    }
+
+    // ---------------------------------------------------------------
+    // Parsing and writing links
+    // ---------------------------------------------------------------
+
+    /**
+     * Find the ranges of code, where brackets aren't links
+     * @param {string} value
+     * @returns {Array<{from: number, to: number}>}
+     */
+    function codeRanges(value) {
+        const ranges = MarkdownHighlighter.findFencedBlocks(value).map(block => ({ from: block.from, to: block.to }));
+        const codeSpan = /(`+)(?!`)[\s\S]*?[^`]\1(?!`)/g;
+        let match;
+        while ((match = codeSpan.exec(value)) !== null) {
+            if (!match[0].includes('\n\n')) ranges.push({ from: match.index, to: match.index + match[0].length });
+            else codeSpan.lastIndex = match.index + match[1].length;
+        }
+        return ranges;
+    }
+
+    /**
+     * Normalize a reference label for matching: case and spacing don't count
+     * @param {string} label
+     * @returns {string}
+     */
+    function normalizeLabel(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Read a link target, unwrapping <...>
+     * @param {string} target
+     * @returns {string}
+     */
+    function readUrl(target) {
+        return /^<.*>$/.test(target) ? target.slice(1, -1) : target;
+    }
+
+    /**
+     * Read a link title, without its quotes and escapes
+     * @param {string} [title]
+     * @returns {string}
+     */
+    function readTitle(title) {
+        if (!title) return '';
+        return title.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    /**
+     * Find the reference definitions of a document
+     * @param {string} value
+     * @returns {Map<string, {label: string, url: string, title: string, from: number, to: number}>}
+     *          By normalized label; from/to cover the whole line
+     */
+    function parseDefinitions(value) {
+        const code = codeRanges(value);
+        const definitions = new Map();
+
+        DEFINITION.lastIndex = 0;
+        let match;
+        while ((match = DEFINITION.exec(value)) !== null) {
+            const from = match.index;
+            if (code.some(range => from >= range.from && from < range.to)) continue;
+
+            // The first definition of a label wins
+            const key = normalizeLabel(match[1]);
+            if (!key || key.startsWith('^') || definitions.has(key)) continue;
+            definitions.set(key, {
+                label: match[1],
+                url: readUrl(match[2]),
+                title: readTitle(match[3]),
+                from,
+                to: from + match[0].length
+            });
+        }
+        return definitions;
+    }
+
+    /**
+     * Find the links and images of a document, outside code
+     * @param {string} value
+     * @param {Map} [definitions] - From parseDefinitions()
+     * @returns {Array<Object>} Links in document order
+     */
+    function parseLinks(value, definitions = parseDefinitions(value)) {
+        const code = codeRanges(value);
+        const taken = [...code, ...[...definitions.values()].map(def => ({ from: def.from, to: def.to }))];
+        const links = [];
+
+        const isFree = (from, to) => !taken.some(range => from < range.to && to > range.from);
+        const add = (link) => {
+            links.push(link);
+            taken.push({ from: link.from, to: link.to });
+        };
+
+        const scan = (pattern, build) => {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(value)) !== null) {
+                const from = match.index;
+                const to = from + match[0].length;
+                // A backslash before the bracket makes it literal text
+                if (value[from - 1] === '\\' || !isFree(from, to)) continue;
+                const link = build(match);
+                if (link) add({ from, to, image: match[1] === '!', text: match[2], ...link });
+            }
+        };
+
+        scan(INLINE_LINK, (match) => ({
+            style: 'inline', url: readUrl(match[3]), title: readTitle(match[4]), label: null
+        }));
+        scan(REFERENCE_LINK, (match) => {
+            const label = match[3] || match[2];
+            const definition = definitions.get(normalizeLabel(label));
+            if (!definition) return null;
+            return {
+                style: match[3] ? 'reference' : 'collapsed',
+                url: definition.url, title: definition.title, label: definition.label
+            };
+        });
+        scan(SHORTCUT_LINK, (match) => {
+            // [a][b] was handled above; [b] on its own after a ] isn't a link
+            if (value[match.index - 1] === ']') return null;
+            const definition = definitions.get(normalizeLabel(match[2]));
+            if (!definition) return null;
+            return { style: 'shortcut', url: definition.url, title: definition.title, label: definition.label };
+        });
+
+        return links.sort((a, b) => a.from - b.from);
+    }
+
+    /**
+     * Write a link target, wrapped in <...> when it has spaces or unbalanced parentheses
+     * @param {string} url
+     * @returns {string}
+     */
+    function writeUrl(url) {
+        let depth = 0;
+        for (const char of url) {
+            depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+            if (depth < 0) break;
+        }
+        return /\s/.test(url) || depth !== 0 ? `<${url}>` : url;
+    }
+
+    /**
+     * Write a link's target and title
+     * @param {string} url
+     * @param {string} title
+     * @returns {string}
+     */
+    function writeTarget(url, title) {
+        return writeUrl(url) + (title ? ` "${title.replace(/(["\\])/g, '\\$1')}"` : '');
+    }
+
+    /**
+     * Escape brackets in link text that would end it early
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeLabel(text) {
+        return text.replace(/\\?([[\]])/g, '\\$1');
+    }
+
+    /**
+     * Write an inline link or image
+     * @param {{image: boolean, text: string, url: string, title: string}} link
+     * @returns {string}
+     */
+    function writeInline(link) {
+        return `${link.image ? '!' : ''}[${escapeLabel(link.text)}](${writeTarget(link.url, link.title)})`;
+    }
+
+    /**
+     * Write a reference link or image, collapsed ([text][]) when the label is the text
+     * @param {{image: boolean, text: string}} link
+     * @param {string} label
+     * @returns {string}
+     */
+    function writeReference(link, label) {
+        const text = escapeLabel(link.text);
+        return `${link.image ? '!' : ''}[${text}]` + (normalizeLabel(label) === normalizeLabel(text) ? '[]' : `[${label}]`);
+    }
+
+    /**
+     * Write a reference definition line
+     * @param {string} label
+     * @param {string} url
+     * @param {string} title
+     * @returns {string}
+     */
+    function writeDefinition(label, url, title) {
+        return `[${label}]: ${writeTarget(url, title)}`;
+    }
+
+    /**
+     * Make a reference label from link text, unlike any already used
+     * @param {string} text
+     * @param {Set<string>} used - Normalized labels; the new one is added
+     * @returns {string}
+     */
+    function makeLabel(text, used) {
+        const base = text.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-')
+            .substring(0, 30).replace(/-+$/, '') || 'link';
+
+        let label = base;
+        for (let n = 2; used.has(label); n++) label = `${base}-${n}`;
+        used.add(label);
+        return label;
+    }
+
+    /**
+     * Add definition lines to the end of a document, after any already there
+     * @param {string} value
+     * @param {Array<string>} lines
+     * @returns {{from: number, to: number, text: string}} Edit
+     */
+    function appendDefinitions(value, lines) {
+        const end = value.replace(/\s+$/, '').length;
+        const lastLine = value.substring(value.lastIndexOf('\n', end - 1) + 1, end);
+        const separator = end === 0 ? '' : DEFINITION_LINE.test(lastLine) ? '\n' : '\n\n';
+        return { from: end, to: value.length, text: separator + lines.join('\n') + '\n' };
+    }
+
+    /**
+     * Remove a definition's line
+     * @param {string} value
+     * @param {{from: number, to: number}} definition
+     * @returns {{from: number, to: number, text: string}} Edit
+     */
+    function removeDefinition(value, definition) {
+        const to = value[definition.to] === '\n' ? definition.to + 1 : definition.to;
+        return { from: definition.from, to, text: '' };
+    }
+
+    /**
+     * Apply non-overlapping edits to a document
+     * @param {string} value
+     * @param {Array<{from: number, to: number, text: string}>} edits
+     * @returns {string}
+     */
+    function applyEdits(value, edits) {
+        let result = value;
+        [...edits].sort((a, b) => b.from - a.from).forEach(edit => {
+            result = result.substring(0, edit.from) + edit.text + result.substring(edit.to);
+        });
+
+        // Removed definitions can leave blank lines at the end
+        const trailing = value.match(/\n*$/)[0].length;
+        if (result.match(/\n*$/)[0].length > trailing) {
+            result = result.replace(/\n*$/, '\n'.repeat(Math.max(1, trailing)));
+        }
+        return result;
+    }
+
+    /**
+     * Map an offset through edits
+     * @param {number} offset - Not inside an edit
+     * @param {Array<{from: number, to: number, text: string}>} edits
+     * @returns {number}
+     */
+    function mapOffset(offset, edits) {
+        return edits.reduce((result, edit) =>
+            edit.to <= offset ? result + edit.text.length - (edit.to - edit.from) : result, offset);
+    }
+
+    /**
+     * Put a new document into the editor as one undo step, replacing only
+     * the part that changed
+     * @param {string} value
+     * @param {string} updated
+     * @param {number} caret - In the updated document
+     */
+    function replaceDocument(value, updated, caret) {
+        let from = 0;
+        while (from < value.length && from < updated.length && value[from] === updated[from]) from++;
+        let end = 0;
+        while (end < value.length - from && end < updated.length - from &&
+            value[value.length - 1 - end] === updated[updated.length - 1 - end]) end++;
+
+        textarea.focus();
+        Editor.replaceRange(from, value.length - end, updated.substring(from, updated.length - end), caret);
+    }
+
+    /**
+     * Convert every link in the post to one style, as one undo step
+     * @param {string} style - 'reference' or 'inline'
+     */
+    function convertAll(style) {
+        const value = textarea.value;
+        const definitions = parseDefinitions(value);
+        const links = parseLinks(value, definitions);
+        const edits = [];
+        let count = 0;
+
+        if (style === 'reference') {
+            const used = new Set(definitions.keys());
+            const byTarget = new Map();
+            definitions.forEach(definition => {
+                const key = definition.url + '\n' + definition.title;
+                if (!byTarget.has(key)) byTarget.set(key, definition.label);
+            });
+
+            const added = [];
+            // Embedded images stay inline: their data is what collapses in the editor
+            links.filter(link => link.style === 'inline' && !/^data:/i.test(link.url)).forEach(link => {
+                const key = link.url + '\n' + link.title;
+                let label = byTarget.get(key);
+                if (!label) {
+                    label = makeLabel(link.text || link.url.replace(/^\w+:\/\/|\.\w+$/g, ''), used);
+                    byTarget.set(key, label);
+                    added.push(writeDefinition(label, link.url, link.title));
+                }
+                edits.push({ from: link.from, to: link.to, text: writeReference(link, label) });
+                count++;
+            });
+            if (added.length > 0) edits.push(appendDefinitions(value, added));
+        } else {
+            const usedLabels = new Set();
+            links.filter(link => link.style !== 'inline').forEach(link => {
+                usedLabels.add(normalizeLabel(link.label));
+                edits.push({ from: link.from, to: link.to, text: writeInline(link) });
+                count++;
+            });
+            // Definitions nothing uses any more go; unused ones were there before
+            usedLabels.forEach(key => edits.push(removeDefinition(value, definitions.get(key))));
+        }
+
+        if (count === 0) {
+            showToast(style === 'reference' ? 'No inline links to convert' : 'No reference links to convert', 'info');
+            return;
+        }
+
+        const updated = applyEdits(value, edits);
+        const caret = Math.min(updated.length, mapOffset(Math.min(textarea.selectionStart, value.length), edits));
+        replaceDocument(value, updated, caret);
+        showToast(`Converted ${count} link${count === 1 ? '' : 's'} to ${style === 'reference' ? 'reference style' : 'inline'}`, 'success');
+    }
+
+    // ---------------------------------------------------------------
+    // URL suggestions and checks
+    // ---------------------------------------------------------------
+
+    /**
+     * Make a heading's anchor, as the table of contents does
+     * @param {string} text
+     * @returns {string}
+     */
+    function anchorFor(text) {
+        return text.toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
+    }
+
+    /**
+     * Collect the headings of the post as anchor suggestions
+     * @returns {Array<{title: string, url: string, meta: string}>}
+     */
+    function loadAnchors() {
+        if (typeof Outline === 'undefined') return [];
+
+        const seen = new Set();
+        return Outline.parse(textarea.value)
+            .map(heading => ({ title: heading.text, url: '#' + anchorFor(heading.text), meta: 'H' + heading.level }))
+            .filter(anchor => anchor.url !== '#' && !seen.has(anchor.url) && seen.add(anchor.url));
+    }
+
+    /**
+     * Collect our posts from the draft library and the site folder
+     * @returns {Promise<Array<{title: string, url: string, meta: string}>>}
+     */
+    async function loadPosts() {
+        if (typeof SiteFolder === 'undefined' || typeof Export === 'undefined') return [];
+
+        const found = new Map();
+        const currentSlug = Export.generateFilename(Export.getPostDetails().title);
+
+        try {
+            (await SiteFolder.listPosts()).forEach(post => {
+                if (post.slug === currentSlug) return;
+                found.set('../' + post.path, { title: post.title, url: '../' + post.path, meta: 'Site folder' });
+            });
+        } catch (e) {
+            console.warn('Could not list the site folder posts:', e);
+        }
+
+        if (typeof Drafts !== 'undefined') {
+            const currentId = Drafts.getCurrentDraftId();
+            (await Drafts.list()).forEach(draft => {
+                const title = draft.details && draft.details.title && draft.details.title.trim();
+                if (!title || draft.id === currentId) return;
+
+                const slug = Export.generateFilename(title);
+                const url = '../' + SiteFolder.postPath(draft.details.type, slug);
+                if (slug !== currentSlug && !found.has(url)) found.set(url, { title, url, meta: 'Draft' });
+            });
+        }
+
+        return [...found.values()];
+    }
+
+    /**
+     * Show the suggestions matching the URL field
+     */
+    function renderSuggestions() {
+        if (!suggestionList) return;
+
+        const query = urlInput.value.trim().toLowerCase();
+        const matches = (item) => !query ||
+            item.title.toLowerCase().includes(query.replace(/^#/, '')) || item.url.toLowerCase().includes(query);
+
+        if (kind === 'image' || /^[a-z][a-z0-9+.-]*:/.test(query)) suggestions = [];
+        else if (query.startsWith('#')) suggestions = anchors.filter(matches);
+        else suggestions = [...posts, ...anchors].filter(matches);
+
+        // Nothing to suggest once the field holds a suggestion exactly
+        if (suggestions.length === 1 && suggestions[0].url.toLowerCase() === query) suggestions = [];
+        suggestions = suggestions.slice(0, MAX_SUGGESTIONS);
+        activeSuggestion = -1;
+
+        if (suggestions.length === 0 || document.activeElement !== urlInput) {
+            hideSuggestions();
+            return;
+        }
+
+        suggestionList.innerHTML = suggestions.map((item, index) => `
+            <li id="link-suggestion-${index}" class="link-suggestion" role="option" data-suggestion="${index}">
+                <span class="link-suggestion-title">${escapeHtml(item.title)}</span>
+                <span class="link-suggestion-meta">${escapeHtml(item.meta)} · ${escapeHtml(item.url)}</span>
+            </li>
+        `).join('');
+        suggestionList.style.display = '';
+        urlInput.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Hide the suggestion list
+     */
+    function hideSuggestions() {
+        if (!suggestionList) return;
+        suggestionList.style.display = 'none';
+        urlInput.setAttribute('aria-expanded', 'false');
+        urlInput.removeAttribute('aria-activedescendant');
+        activeSuggestion = -1;
+    }
+
+    /**
+     * Highlight a suggestion for the keyboard
+     * @param {number} index
+     */
+    function setActiveSuggestion(index) {
+        activeSuggestion = index;
+        suggestionList.querySelectorAll('.link-suggestion').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', String(i === index));
+        });
+        urlInput.setAttribute('aria-activedescendant', `link-suggestion-${index}`);
+    }
+
+    /**
+     * Use a suggestion: its URL, and its title as the text if there's none yet
+     * @param {number} index
+     */
+    function pickSuggestion(index) {
+        const item = suggestions[index];
+        if (!item) return;
+
+        urlInput.value = item.url;
+        if (!textInput.value.trim()) textInput.value = item.title;
+        hideSuggestions();
+        showValidation();
+        urlInput.focus();
+    }
+
+    /**
+     * Arrow keys move through the suggestions; Enter picks one
+     * @param {KeyboardEvent} e
+     */
+    function handleUrlKeydown(e) {
+        const open = suggestionList && suggestionList.style.display !== 'none' && suggestions.length > 0;
+        if (!open) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveSuggestion((activeSuggestion + step + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter' && activeSuggestion !== -1) {
+            e.preventDefault();
+            pickSuggestion(activeSuggestion);
+        } else if (e.key === 'Escape') {
+            // Close the list, not the dialog
+            e.preventDefault();
+            e.stopPropagation();
+            hideSuggestions();
+        }
+    }
+
+    /**
+     * Check a link target
+     * @param {string} url
+     * @returns {{error?: string, warning?: string, fix?: string}}
+     */
+    function validateUrl(url) {
+        if (!url) return { error: 'Enter a URL' };
+        if (/\s/.test(url)) return { error: 'URLs can\'t contain spaces (write them as %20)', fix: url.replace(/\s/g, '%20') };
+
+        const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (scheme) {
+            const name = scheme[1].toLowerCase();
+            if (name === 'javascript' || name === 'vbscript') return { error: 'Script URLs aren\'t allowed' };
+            if (name === 'http' || name === 'https') {
+                let parsed = null;
+                try {
+                    parsed = /^https?:\/\//i.test(url) ? new URL(url) : null;
+                } catch (e) {
+                    parsed = null;
+                }
+                if (!parsed) return { error: 'Not a valid web address' };
+                if (!parsed.hostname.includes('.') && parsed.hostname !== 'localhost') {
+                    return { error: `"${parsed.hostname}" isn't a full domain name` };
+                }
+            }
+            if (name === 'mailto' && !/^mailto:[^@\s]+@[^@\s]+\.[^@\s]+$/i.test(url)) {
+                return { error: 'Not a valid email address' };
+            }
+            return {};
+        }
+
+        if (/^[^@/\s]+@[^@/\s]+\.[a-z]{2,}$/i.test(url)) {
+            return { error: 'Email addresses need mailto:', fix: 'mailto:' + url };
+        }
+        if (/^(www\.|[\w-]+\.(com|org|net|io|dev|app|edu|gov|co)(\/|$))/i.test(url)) {
+            return { error: 'Web addresses need https://', fix: 'https://' + url };
+        }
+
+        if (url.startsWith('#')) {
+            if (kind === 'link' && !anchors.some(anchor => anchor.url === url)) {
+                return { warning: 'No heading in this post has this anchor' };
+            }
+            return {};
+        }
+
+        // Links to our own posts should point at one that exists
+        const page = url.replace(/[#?].*$/, '');
+        if (kind === 'link' && posts.length > 0 && /^\.\.\/[^/]+\/[^/]+\.html$/.test(page) &&
+            !posts.some(post => post.url === page)) {
+            return { warning: 'No draft or site folder post has this address' };
+        }
+        return {};
+    }
+
+    /**
+     * Show the URL check under the field
+     * @returns {Object} The check, from validateUrl()
+     */
+    function showValidation() {
+        const result = validateUrl(urlInput.value.trim());
+        if (!hint) return result;
+
+        const message = result.error || result.warning || '';
+        hint.className = 'link-hint' + (result.error ? ' error' : result.warning ? ' warning' : '');
+        hint.innerHTML = escapeHtml(message) + (result.fix
+            ? ` <button type="button" class="btn-smart-small" data-url-fix="${escapeHtml(result.fix)}">Use ${escapeHtml(result.fix)}</button>`
+            : '');
+        urlInput.setAttribute('aria-invalid', String(Boolean(result.error)));
+        return result;
+    }
+
+    // ---------------------------------------------------------------
+    // Dialog
+    // ---------------------------------------------------------------
+
+    /**
+     * Open the dialog for the link or image at the cursor, or a new one
+     * @param {string} [linkKind] - 'link' or 'image'
+     */
+    function open(linkKind = 'link') {
+        if (!modal) return;
+
+        const value = textarea.value;
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const existing = parseLinks(value).find(link =>
+            link.from <= start && end <= link.to && !(start === end && start === link.to) &&
+            link.image === (linkKind === 'image'));
+
+        kind = linkKind;
+        if (existing) {
+            target = existing;
+        } else {
+            const selected = value.substring(start, end);
+            const isUrl = /^(https?:\/\/|mailto:|#|\.\.?\/)\S*$/i.test(selected.trim());
+            target = {
+                from: start,
+                to: end,
+                text: isUrl ? '' : selected,
+                url: isUrl ? selected.trim() : '',
+                title: '',
+                style: localStorage.getItem(STYLE_KEY) === 'on' ? 'reference' : 'inline',
+                label: null,
+                isNew: true
+            };
+        }
+
+        const noun = kind === 'image' ? 'Image' : 'Link';
+        document.getElementById('link-modal-title').textContent =
+            `${kind === 'image' ? '🖼️' : '🔗'} ${target.isNew ? 'Insert' : 'Edit'} ${noun}`;
+        document.getElementById('link-text-label').textContent = kind === 'image' ? 'Alt text' : 'Text';
+        if (applyBtn) applyBtn.textContent = `${target.isNew ? 'Insert' : 'Update'} ${noun}`;
+        if (removeBtn) {
+            removeBtn.textContent = `Remove ${noun}`;
+            removeBtn.style.display = target.isNew ? 'none' : '';
+        }
+
+        textInput.value = target.text;
+        urlInput.value = target.url;
+        titleInput.value = target.title;
+        referenceInput.checked = target.style !== 'inline';
+        urlInput.placeholder = kind === 'image' ? 'https://… or Images/…' : 'https://…, a post title or #heading';
+        if (hint) {
+            hint.textContent = '';
+            hint.className = 'link-hint';
+        }
+
+        anchors = loadAnchors();
+        posts = [];
+        hideSuggestions();
+        modal.style.display = 'flex';
+        (target.text || kind === 'image' ? urlInput : textInput).focus();
+        if (target.url) urlInput.select();
+
+        // Posts load in the background; a later open() supersedes this one
+        const token = ++loadToken;
+        if (kind === 'link') {
+            loadPosts().then(found => {
+                if (token !== loadToken || modal.style.display === 'none') return;
+                posts = found;
+                if (document.activeElement === urlInput) renderSuggestions();
+            }).catch(error => console.warn('Could not load post suggestions:', error));
+        }
+    }
+
+    /**
+     * Close the dialog without changing the post
+     */
+    function close() {
+        if (modal) modal.style.display = 'none';
+        hideSuggestions();
+        target = null;
+        textarea.focus();
+    }
+
+    /**
+     * Write the dialog's link into the post
+     */
+    function apply() {
+        if (!target) return;
+
+        const url = urlInput.value.trim();
+        if (showValidation().error) {
+            urlInput.focus();
+            return;
+        }
+
+        const value = textarea.value;
+        const definitions = parseDefinitions(value);
+        const link = {
+            image: kind === 'image',
+            text: textInput.value.trim() || (kind === 'image' ? '' : url),
+            url,
+            title: titleInput.value.trim()
+        };
+        const edits = [];
+
+        // The definition the link used before, if no other link shares it
+        const previous = target.label ? definitions.get(normalizeLabel(target.label)) : null;
+        const shared = previous && parseLinks(value, definitions)
+            .filter(other => other.label && normalizeLabel(other.label) === normalizeLabel(target.label)).length > 1;
+
+        let text;
+        if (referenceInput.checked) {
+            let label;
+            if (previous && !shared) {
+                label = previous.label;
+                edits.push({ from: previous.from, to: previous.to, text: writeDefinition(label, url, link.title) });
+            } else if (previous && previous.url === url && previous.title === link.title) {
+                label = previous.label;
+            } else {
+                const match = [...definitions.values()].find(definition => definition.url === url && definition.title === link.title);
+                label = match ? match.label : makeLabel(link.text || 'link', new Set(definitions.keys()));
+                if (!match) edits.push(appendDefinitions(value, [writeDefinition(label, url, link.title)]));
+            }
+            text = writeReference(link, label);
+        } else {
+            if (previous && !shared) edits.push(removeDefinition(value, previous));
+            text = writeInline(link);
+        }
+
+        const linkEdit = { from: target.from, to: target.to, text };
+        edits.push(linkEdit);
+        localStorage.setItem(STYLE_KEY, referenceInput.checked ? 'on' : 'off');
+
+        const updated = applyEdits(value, edits);
+        const caret = mapOffset(linkEdit.from, edits.filter(edit => edit !== linkEdit)) + text.length;
+        modal.style.display = 'none';
+        hideSuggestions();
+        target = null;
+        replaceDocument(value, updated, caret);
+    }
+
+    /**
+     * Turn the edited link back into plain text
+     */
+    function removeLink() {
+        if (!target || target.isNew) return;
+
+        const value = textarea.value;
+        const definitions = parseDefinitions(value);
+        const edits = [{ from: target.from, to: target.to, text: target.text }];
+
+        const previous = target.label ? definitions.get(normalizeLabel(target.label)) : null;
+        if (previous && parseLinks(value, definitions)
+            .filter(other => other.label && normalizeLabel(other.label) === normalizeLabel(target.label)).length === 1) {
+            edits.push(removeDefinition(value, previous));
+        }
+
+        const caret = mapOffset(target.from, edits.slice(1)) + target.text.length;
+        const updated = applyEdits(value, edits);
+        modal.style.display = 'none';
+        hideSuggestions();
+        target = null;
+        replaceDocument(value, updated, caret);
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        parseLinks,
+        convertAll
+    };
+})();
@@ -0,0 +1,812 @@
+/**
+ * Linter Module
+ * Checks the post for Markdown problems as you write: heading level jumps,
+ * H1s (the export adds the title as the page's H1), images without alt text,
+ * empty links, duplicate heading anchors, unclosed code fences, trailing
+ * whitespace and bare URLs. Problems are listed in the problems panel,
+ * underlined in the editor and marked in the gutter; most have a one-click
+ * fix. Each rule can be set to error, warning, info or off.
+ */
+
+const Linter = (function () {
+    const PANEL_KEY = 'blog-editor-problems';
+    const RULES_KEY = 'blog-editor-lint-rules';
+    const LINT_DELAY = 300;
+
+    const SEVERITIES = ['error', 'warning', 'info'];
+    const ICONS = { error: '✕', warning: '⚠', info: 'ℹ' };
+
+    const RULES = [
+        {
+            id: 'heading-increment', severity: 'warning', check: checkHeadingIncrement,
+            title: 'Heading levels', description: 'Headings go down one level at a time (H2, then H3), starting below the title'
+        },
+        {
+            id: 'no-h1', severity: 'warning', check: checkH1,
+            title: 'No H1 headings', description: 'The export already shows the title as the page\'s H1'
+        },
+        {
+            id: 'image-alt', severity: 'warning', check: checkImageAlt,
+            title: 'Image alt text', description: 'Images describe themselves for screen readers and broken links'
+        },
+        {
+            id: 'empty-link', severity: 'error', check: checkEmptyLinks,
+            title: 'Empty links', description: 'Links have both text and a target'
+        },
+        {
+            id: 'duplicate-anchor', severity: 'warning', check: checkDuplicateAnchors,
+            title: 'Duplicate heading anchors', description: 'Table of contents links need each heading to have its own anchor'
+        },
+        {
+            id: 'unclosed-fence', severity: 'error', check: checkUnclosedFences,
+            title: 'Unclosed code fences', description: 'A code block without its closing fence swallows the rest of the post'
+        },
+        {
+            id: 'trailing-whitespace', severity: 'info', check: checkTrailingWhitespace,
+            title: 'Trailing whitespace', description: 'Spaces at line ends, except the two spaces of a line break'
+        },
+        {
+            id: 'bare-url', severity: 'info', check: checkBareUrls,
+            title: 'Bare URLs', description: 'URLs are written as links, so every renderer turns them into links'
+        }
+    ];
+
+    let textarea;
+    let panel;
+    let list;
+    let statusBtn;
+    let rulesModal;
+
+    let visible = false;
+    let lintTimer = null;
+    let ruleSettings = {};
+
+    // Problems as last found, and the text they were found in
+    let diagnostics = [];
+    let lintedValue = null;
+
+    /**
+     * Initialize the linter
+     */
+    function init() {
+        textarea = document.getElementById('markdown-editor');
+        panel = document.getElementById('problems-panel');
+        list = document.getElementById('problems-list');
+        statusBtn = document.getElementById('problems-btn');
+        rulesModal = document.getElementById('lint-rules-modal');
+
+        if (!textarea || !panel || !list || typeof EditorSurface === 'undefined') return;
+
+        loadRuleSettings();
+        setupEventListeners();
+        registerCommands();
+        setVisible(localStorage.getItem(PANEL_KEY) === 'on');
+        run();
+    }
+
+    /**
+     * Set up event listeners for linting and the problems panel
+     */
+    function setupEventListeners() {
+        document.addEventListener('editor:update', scheduleLint);
+        document.addEventListener('draft:switched', scheduleLint);
+
+        statusBtn?.addEventListener('click', () => setVisible(!visible));
+        document.getElementById('close-problems')?.addEventListener('click', () => setVisible(false));
+        document.getElementById('problems-fix-all')?.addEventListener('click', fixAll);
+        document.getElementById('problems-rules')?.addEventListener('click', showRules);
+
+        list.addEventListener('click', (e) => {
+            const fixButton = e.target.closest('[data-fix-index]');
+            if (fixButton) {
+                applyFix(Number(fixButton.dataset.fixIndex));
+                return;
+            }
+            const item = e.target.closest('.problem-item');
+            if (item) select(diagnostics[Number(item.dataset.index)]);
+        });
+
+        // A workspace import may bring its own rule settings
+        document.addEventListener('workspace:imported', (e) => {
+            if (!e.detail.settings) return;
+            loadRuleSettings();
+            run();
+        });
+
+        if (rulesModal) {
+            document.getElementById('close-lint-rules')?.addEventListener('click', hideRules);
+            rulesModal.addEventListener('click', (e) => {
+                if (e.target === rulesModal) hideRules();
+            });
+            document.getElementById('lint-rules-list')?.addEventListener('change', (e) => {
+                const select = e.target.closest('[data-rule]');
+                if (!select) return;
+                setRuleSeverity(select.dataset.rule, select.value);
+            });
+        }
+    }
+
+    /**
+     * Add linter commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        const hasProblems = () => diagnostics.length > 0;
+        const hasFixes = () => diagnostics.some(diagnostic => diagnostic.fix);
+
+        CommandPalette.register([
+            { id: 'view.problems', title: 'Toggle Problems Panel', category: 'View', keywords: 'lint diagnostics warnings errors markdown', run: () => setVisible(!visible) },
+            { id: 'lint.next', title: 'Next Problem', category: 'Lint', shortcut: 'F8', keywords: 'diagnostic warning error jump', run: nextProblem, isAvailable: hasProblems },
+            { id: 'lint.quickFix', title: 'Quick Fix', category: 'Lint', shortcut: 'Ctrl+.', keywords: 'fix problem at cursor', run: quickFix, isAvailable: hasFixes },
+            { id: 'lint.fixAll', title: 'Fix All Problems', category: 'Lint', keywords: 'quick fix everything', run: fixAll, isAvailable: hasFixes },
+            { id: 'lint.rules', title: 'Configure Lint Rules', category: 'Lint', keywords: 'settings severity disable enable', run: showRules }
+        ]);
+    }
+
+    /**
+     * Show or hide the problems panel
+     * @param {boolean} show
+     */
+    function setVisible(show) {
+        visible = show;
+        localStorage.setItem(PANEL_KEY, show ? 'on' : 'off');
+        panel.style.display = show ? '' : 'none';
+        if (statusBtn) statusBtn.classList.toggle('active', show);
+        if (show) renderList();
+    }
+
+    /**
+     * Lint again shortly after the last change
+     */
+    function scheduleLint() {
+        clearTimeout(lintTimer);
+        lintTimer = setTimeout(run, LINT_DELAY);
+    }
+
+    /**
+     * Lint the editor content and show the results
+     */
+    function run() {
+        clearTimeout(lintTimer);
+        lintedValue = textarea.value;
+        diagnostics = lint(lintedValue);
+        render();
+    }
+
+    /**
+     * Read the rule settings from localStorage
+     */
+    function loadRuleSettings() {
+        try {
+            ruleSettings = JSON.parse(localStorage.getItem(RULES_KEY) || '{}') || {};
+        } catch (e) {
+            console.warn('Linter: Ignoring unreadable rule settings:', e);
+            ruleSettings = {};
+        }
+    }
+
+    /**
+     * Get the severity a rule is set to
+     * @param {Object} rule
+     * @returns {string} 'error', 'warning', 'info' or 'off'
+     */
+    function severityOf(rule) {
+        const setting = ruleSettings[rule.id];
+        return setting === 'off' || SEVERITIES.includes(setting) ? setting : rule.severity;
+    }
+
+    /**
+     * Change a rule's severity, or turn it off
+     * @param {string} id
+     * @param {string} severity
+     */
+    function setRuleSeverity(id, severity) {
+        const rule = RULES.find(candidate => candidate.id === id);
+        if (!rule) return;
+
+        if (severity === rule.severity) {
+            delete ruleSettings[id];
+        } else {
+            ruleSettings[id] = severity;
+        }
+        localStorage.setItem(RULES_KEY, JSON.stringify(ruleSettings));
+        run();
+    }
+
+    /**
+     * Lint a markdown document
+     * @param {string} value
+     * @returns {Array<{rule: string, severity: string, from: number, to: number, line: number, message: string, fix: Object|null}>}
+     *          Sorted by position; fix is {title, from, to, text}
+     */
+    function lint(value) {
+        const context = createContext(value);
+        const found = [];
+
+        RULES.forEach(rule => {
+            const severity = severityOf(rule);
+            if (severity === 'off') return;
+
+            rule.check(context).forEach(diagnostic => {
+                found.push({
+                    rule: rule.id,
+                    severity,
+                    line: context.lineAt(diagnostic.from),
+                    fix: null,
+                    ...diagnostic
+                });
+            });
+        });
+
+        return found.sort((a, b) => a.from - b.from || SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    }
+
+    /**
+     * Gather what the rules share: lines, headings and code ranges
+     * @param {string} value
+     * @returns {Object}
+     */
+    function createContext(value) {
+        const lines = [];
+        let offset = 0;
+        value.split('\n').forEach(text => {
+            lines.push({ text, from: offset });
+            offset += text.length + 1;
+        });
+
+        const fences = MarkdownHighlighter.findFencedBlocks(value);
+        const code = fences.map(block => [block.from, block.to]);
+
+        // Inline code, looked for between the fenced blocks
+        let segmentStart = 0;
+        fences.concat([{ from: value.length, to: value.length }]).forEach(block => {
+            const segment = value.substring(segmentStart, block.from);
+            const pattern = /(`+)[\s\S]*?[^`]\1(?!`)/g;
+            let match;
+            while ((match = pattern.exec(segment)) !== null) {
+                code.push([segmentStart + match.index, segmentStart + match.index + match[0].length]);
+            }
+            segmentStart = block.to;
+        });
+
+        return {
+            value,
+            lines,
+            fences,
+            headings: typeof Outline !== 'undefined' ? Outline.parse(value) : [],
+            lineEnd: (position) => {
+                const end = value.indexOf('\n', position);
+                return end === -1 ? value.length : end;
+            },
+            isCode: (from, to = from + 1) => code.some(([start, end]) => start < to && end > from),
+            lineAt: (position) => {
+                let low = 0;
+                let high = lines.length - 1;
+                while (low < high) {
+                    const middle = Math.ceil((low + high) / 2);
+                    if (lines[middle].from <= position) low = middle;
+                    else high = middle - 1;
+                }
+                return low;
+            }
+        };
+    }
+
+    /**
+     * Find all matches of a pattern outside code
+     * @param {Object} context
+     * @param {RegExp} pattern - Global
+     * @returns {Array<RegExpExecArray>}
+     */
+    function matchesOutsideCode(context, pattern) {
+        const matches = [];
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(context.value)) !== null) {
+            if (!context.isCode(match.index)) matches.push(match);
+        }
+        return matches;
+    }
+
+    /**
+     * Build the fix that sets a heading's level
+     * @param {Object} heading - From Outline.parse()
+     * @param {number} level
+     * @returns {Object}
+     */
+    function headingLevelFix(heading, level) {
+        return { title: `Change to H${level}`, from: heading.from, to: heading.from + heading.level, text: '#'.repeat(level) };
+    }
+
+    /**
+     * Headings that skip a level. The title is the page's H1, so the
+     * first heading is compared with that.
+     * @param {Object} context
+     * @returns {Array}
+     */
+    function checkHeadingIncrement(context) {
+        const found = [];
+        let previous = 1;
+
+        context.headings.forEach(heading => {
+            if (heading.level > previous + 1) {
+                found.push({
+                    from: heading.from,
+                    to: heading.from + heading.level,
+                    message: `Heading jumps from H${previous} to H${heading.level}`,
+                    fix: headingLevelFix(heading, previous + 1)
+                });
+            }
+            previous = heading.level;
+        });
+        return found;
+    }
+
+    /**
+     * H1 headings, which repeat the title's role
+     * @param {Object} context
+     * @returns {Array}
+     */
+    function checkH1(context) {
+        return context.headings.filter(heading => heading.level === 1).map(heading => ({
+            from: heading.from,
+            to: context.lineEnd(heading.from),
+            message: 'H1 in the post; the title is already the page\'s H1',
+            fix: headingLevelFix(heading, 2)
+        }));
+    }
+
+    /**
+     * Images with empty alt text. Markdown images get their file name as a fix.
+     * @param {Object} context
+     * @returns {Array}
+     */
+    function checkImageAlt(context) {
+        const found = [];
+
+        matchesOutsideCode(context, /!\[([^\]]*)\]\(\s*<?([^)\s>]*)[^)]*\)/g).forEach(match => {
+            if (match[1].trim()) return;
+
+            const diagnostic = {
+                from: match.index,
+                to: match.index + match[1].length + 3,
+                message: 'Image has no alt text'
+            };
+
+            const name = match[2].startsWith('data:') ? '' : match[2].split(/[?#]/)[0].split('/').pop();
+            const alt = safeDecode(name.replace(/\.\w+$/, '')).replace(/[-_+]+/g, ' ').trim();
+            if (alt) {
+                diagnostic.fix = { title: `Use "${alt}" as alt text`, from: match.index + 2, to: match.index + 2 + match[1].length, text: alt };
+            }
+            found.push(diagnostic);
+        });
+
+        matchesOutsideCode(context, /<img\b[^>]*>/gi).forEach(match => {
+            const alt = match[0].match(/\balt\s*=\s*("([^"]*)"|'([^']*)'|[^\s>]+)/i);
+            if (alt && (alt[2] || alt[3] || (alt[1] && !/^["']/.test(alt[1])))) return;
+            found.push({ from: match.index, to: match.index + 4, message: 'Image has no alt text' });
+        });
+
+        return found;
+    }
+
+    /**
+     * Links without text or without a target
+     * @param {Object} context
+     * @returns {Array}
+     */
+    function checkEmptyLinks(context) {
+        const found = [];
+
+        matchesOutsideCode(context, /(?<!!)\[([^\]]*)\]\(([^)]*)\)/g).forEach(match => {
+            const [whole, text, target] = match;
+            const url = target.trim().split(/\s+/)[0] || '';
+            const range = { from: match.index, to: match.index + whole.length };
+
+            if (!text.trim() && url && url !== '#') {
+                found.push({
+                    ...range,
+                    message: 'Link has no text',
+                    fix: { title: 'Use the URL as the text', ...range, text: `[${url}](${target})` }
+                });
+            } else if (!url || url === '#' || url === '<>') {
+                found.push({
+                    ...range,
+                    message: text.trim() ? 'Link has no target' : 'Link has no text and no target',
+                    fix: text.trim()
+                        ? { title: 'Remove the link, keep the text', ...range, text }
+                        : { title: 'Remove the empty link', ...range, text: '' }
+                });
+            }
+        });
+
+        return found;
+    }
+
+    /**
+     * Headings whose anchors (as the table of contents makes them) collide
+     * @param {Object} context
+     * @returns {Array}
+     */
+    function checkDuplicateAnchors(context) {
+        const seen = new Map();
+        const found = [];
+
+        context.headings.forEach(heading => {
+            const anchor = heading.text.toLowerCase().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
+            if (!anchor) return;
+
+            if (seen.has(anchor)) {
+                found.push({
+                    from: heading.from,
+                    to: context.lineEnd(heading.from),
+                    message: `Anchor #${anchor} is also used by the heading on line ${context.lineAt(seen.get(anchor).from) + 1}`
+                });
+            } else {
+                seen.set(anchor, heading);
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Code fences that are never closed
+     * @param {Object} context
+     * @returns {Array}
+     */
+    function checkUnclosedFences(context) {
+        const value = context.value;
+        const found = [];
+
+        context.fences.forEach(block => {
+            const firstLineEnd = value.indexOf('\n', block.from);
+            const opening = value.substring(block.from, firstLineEnd === -1 ? value.length : firstLineEnd);
+            const marker = opening.trim().match(/^(`{3,}|~{3,})/)[1];
+
+            const lastLine = value.substring(value.lastIndexOf('\n', block.to - 1) + 1, block.to).trim();
+            const closed = firstLineEnd !== -1 && firstLineEnd < block.to &&
+                lastLine[0] === marker[0] && /^(`{3,}|~{3,})$/.test(lastLine) && lastLine.length >= marker.length;
+            if (closed) return;
+
+            found.push({
+                from: block.from,
+                to: block.from + opening.length,
+                message: 'Code block is never closed',
+                fix: {
+                    title: 'Close it at the end of the post',
+                    from: value.length,
+                    to: value.length,
+                    text: (value.endsWith('\n') ? '' : '\n') + marker + '\n'
+                }
+            });
+        });
+        return found;
+    }
+
+    /**
+     * Spaces and tabs at line ends; two spaces after text are a line break
+     * @param {Object} context
+     * @returns {Array}
+     */
+    function checkTrailingWhitespace(context) {
+        const found = [];
+
+        context.lines.forEach(line => {
+            const match = line.text.match(/[ \t]+$/);
+            if (!match) return;
+
+            // Code keeps its whitespace as written
+            const from = line.from + match.index;
+            if (context.isCode(from)) return;
+
+            const isLineBreak = match[0] === '  ' && line.text.trim() !== '';
+            if (isLineBreak) return;
+
+            found.push({
+                from,
+                to: line.from + line.text.length,
+                message: 'Trailing whitespace',
+                fix: { title: 'Remove trailing whitespace', from, to: line.from + line.text.length, text: '' }
+            });
+        });
+        return found;
+    }
+
+    /**
+     * URLs outside links, autolinks, HTML and code
+     * @param {Object} context
+     * @returns {Array}
+     */
+    function checkBareUrls(context) {
+        const value = context.value;
+        const found = [];
+
+        // Places a URL belongs: tags, link targets, autolinks, reference definitions
+        const allowed = [];
+        [/<[^>\n]+>/g, /\]\([^)]*\)/g, /^ {0,3}\[[^\]]+\]:.*$/gm].forEach(pattern => {
+            let match;
+            while ((match = pattern.exec(value)) !== null) {
+                allowed.push([match.index, match.index + match[0].length]);
+            }
+        });
+
+        matchesOutsideCode(context, /\bhttps?:\/\/[^\s<>"'`[\]]+/g).forEach(match => {
+            let url = match[0].replace(/[.,;:!?*_~]+$/, '');
+            // A closing parenthesis belongs to the URL only when it opened one too
+            while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+                url = url.slice(0, -1).replace(/[.,;:!?*_~]+$/, '');
+            }
+
+            const from = match.index;
+            const to = from + url.length;
+            if (allowed.some(([start, end]) => start <= from && end >= to)) return;
+            // Link text that is itself the URL: [https://...](https://...)
+            if (value[from - 1] === '[' && value.substring(to, to + 2) === '](') return;
+
+            found.push({
+                from,
+                to,
+                message: 'Bare URL',
+                fix: { title: 'Make it a link', from, to, text: `<${url}>` }
+            });
+        });
+        return found;
+    }
+
+    /**
+     * Decode a URL component, keeping it as it is if malformed
+     * @param {string} text
+     * @returns {string}
+     */
+    function safeDecode(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (e) {
+            return text;
+        }
+    }
+
+    /**
+     * Show the problems in the editor, the gutter, the status button and the panel
+     */
+    function render() {
+        EditorSurface.setDecorations('lint', diagnostics.map(diagnostic => ({
+            from: diagnostic.from,
+            to: diagnostic.to,
+            className: `cm-lint-${diagnostic.severity}`
+        })));
+
+        // The most severe problem of each line marks the gutter
+        const worst = new Map();
+        diagnostics.forEach(diagnostic => {
+            const current = worst.get(diagnostic.line);
+            if (!current || SEVERITIES.indexOf(diagnostic.severity) < SEVERITIES.indexOf(current)) {
+                worst.set(diagnostic.line, diagnostic.severity);
+            }
+        });
+        EditorSurface.setLineMarkers('lint', Array.from(worst, ([line, severity]) => ({ line, className: `cm-gutter-${severity}` })));
+
+        renderStatus();
+        if (visible) renderList();
+    }
+
+    /**
+     * Count the problems by severity
+     * @returns {Object} e.g. {error: 1, warning: 2, info: 0}
+     */
+    function countBySeverity() {
+        const counts = { error: 0, warning: 0, info: 0 };
+        diagnostics.forEach(diagnostic => counts[diagnostic.severity]++);
+        return counts;
+    }
+
+    /**
+     * Update the problem counts on the status button
+     */
+    function renderStatus() {
+        if (!statusBtn) return;
+
+        const counts = countBySeverity();
+        statusBtn.textContent = diagnostics.length === 0
+            ? '✓ No problems'
+            : SEVERITIES.filter(severity => counts[severity] > 0).map(severity => `${ICONS[severity]} ${counts[severity]}`).join(' ');
+        statusBtn.classList.toggle('has-errors', counts.error > 0);
+        statusBtn.classList.toggle('has-warnings', counts.error === 0 && counts.warning > 0);
+    }
+
+    /**
+     * Render the problems panel list
+     */
+    function renderList() {
+        const fixable = diagnostics.filter(diagnostic => diagnostic.fix).length;
+        const fixAllBtn = document.getElementById('problems-fix-all');
+        if (fixAllBtn) fixAllBtn.disabled = fixable === 0;
+
+        if (diagnostics.length === 0) {
+            list.innerHTML = '<li class="problems-empty">No problems found</li>';
+            return;
+        }
+
+        list.innerHTML = diagnostics.map((diagnostic, i) => `
+            <li class="problem-item severity-${diagnostic.severity}" data-index="${i}">
+                <span class="problem-icon" title="${diagnostic.severity}">${ICONS[diagnostic.severity]}</span>
+                <span class="problem-message">${escapeHtml(diagnostic.message)}</span>
+                <span class="problem-rule">${diagnostic.rule}</span>
+                <span class="problem-line">Ln ${diagnostic.line + 1}</span>
+                ${diagnostic.fix
+                    ? `<button type="button" class="btn-smart-small" data-fix-index="${i}" title="${escapeHtml(diagnostic.fix.title)}">Fix</button>`
+                    : ''}
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Select a problem's text in the editor
+     * @param {Object} diagnostic
+     */
+    function select(diagnostic) {
+        if (!diagnostic) return;
+        textarea.focus();
+        textarea.setSelectionRange(diagnostic.from, diagnostic.to);
+        EditorSurface.scrollToOffset(diagnostic.from);
+    }
+
+    /**
+     * Make sure the problems match the editor content before acting on them
+     * @returns {boolean} True if they were already current
+     */
+    function ensureCurrent() {
+        if (lintedValue === textarea.value) return true;
+        run();
+        return false;
+    }
+
+    /**
+     * Apply the fix of one problem
+     * @param {number} index
+     */
+    function applyFix(index) {
+        // The list may be out of date; refresh it rather than fix the wrong text
+        if (!ensureCurrent()) return;
+
+        const diagnostic = diagnostics[index];
+        if (!diagnostic || !diagnostic.fix) return;
+
+        const fix = diagnostic.fix;
+        textarea.focus();
+        Editor.replaceRange(fix.from, fix.to, fix.text, fix.from + fix.text.length);
+        run();
+    }
+
+    /**
+     * Apply every fix in one undo step
+     */
+    function fixAll() {
+        ensureCurrent();
+
+        // Fixes that overlap an earlier one wait for the next run
+        const fixes = [];
+        diagnostics.map(diagnostic => diagnostic.fix).filter(Boolean)
+            .sort((a, b) => a.from - b.from)
+            .forEach(fix => {
+                const last = fixes[fixes.length - 1];
+                if (!last || fix.from >= last.to) fixes.push(fix);
+            });
+
+        if (fixes.length === 0) {
+            showToast('Nothing to fix automatically', 'info');
+            return;
+        }
+
+        const value = textarea.value;
+        const from = fixes[0].from;
+        const to = fixes[fixes.length - 1].to;
+        let text = '';
+        let position = from;
+        fixes.forEach(fix => {
+            text += value.substring(position, fix.from) + fix.text;
+            position = fix.to;
+        });
+        text += value.substring(position, to);
+
+        const caret = Math.min(textarea.selectionStart, from);
+        Editor.replaceRange(from, to, text, caret);
+        run();
+        showToast(`Fixed ${fixes.length} problem${fixes.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    /**
+     * Apply the fix of the problem at the caret
+     */
+    function quickFix() {
+        ensureCurrent();
+
+        const caret = textarea.selectionStart;
+        const index = diagnostics.findIndex(diagnostic => diagnostic.fix && diagnostic.from <= caret && caret <= diagnostic.to);
+        if (index === -1) {
+            showToast('No fixable problem at the cursor', 'info');
+            return;
+        }
+        applyFix(index);
+    }
+
+    /**
+     * Select the next problem after the caret, wrapping around
+     */
+    function nextProblem() {
+        ensureCurrent();
+        if (diagnostics.length === 0) {
+            showToast('No problems found', 'success');
+            return;
+        }
+
+        const caret = textarea.selectionEnd;
+        select(diagnostics.find(diagnostic => diagnostic.from >= caret && diagnostic.to > caret) || diagnostics[0]);
+    }
+
+    /**
+     * Open the rule settings
+     */
+    function showRules() {
+        if (!rulesModal) return;
+
+        const options = ['error', 'warning', 'info', 'off'];
+        document.getElementById('lint-rules-list').innerHTML = RULES.map(rule => {
+            const current = severityOf(rule);
+            return `
+                <li class="draft-item">
+                    <div class="draft-info">
+                        <span class="draft-name">${escapeHtml(rule.title)}</span>
+                        <span class="draft-meta">${escapeHtml(rule.description)} · <code>${rule.id}</code></span>
+                    </div>
+                    <select data-rule="${rule.id}" aria-label="${escapeHtml(rule.title)} severity">
+                        ${options.map(option => `<option value="${option}"${option === current ? ' selected' : ''}>${option[0].toUpperCase() + option.slice(1)}</option>`).join('')}
+                    </select>
+                </li>
+            `;
+        }).join('');
+
+        rulesModal.style.display = 'flex';
+    }
+
+    /**
+     * Close the rule settings
+     */
+    function hideRules() {
+        rulesModal.style.display = 'none';
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        lint,
+        getDiagnostics: () => diagnostics.slice()
+    };
+})();
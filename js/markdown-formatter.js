@@ -0,0 +1,701 @@
+/**
+ * Markdown Formatter Module
+ * Rewrites the post in one consistent Markdown style: list markers,
+ * numbering and nesting indent, emphasis markers, ATX headings, blank lines
+ * around blocks, aligned tables and code fence markers. Imported documents
+ * mix all of these. Fenced and indented code, HTML blocks and link targets
+ * are left as they are. The style choices are saved with the workspace.
+ */
+
+const MarkdownFormatter = (function () {
+    const PREFS_KEY = 'blog-editor-format';
+
+    const DEFAULTS = {
+        bullet: '-',
+        numbering: 'sequential',
+        listIndent: '4',
+        emphasis: '*',
+        strong: '**',
+        fence: '```',
+        alignTables: 'on'
+    };
+
+    const OPTIONS = [
+        {
+            key: 'bullet', title: 'Bullet marker', description: 'Marker of unordered list items',
+            choices: [['-', '- item'], ['*', '* item'], ['+', '+ item']]
+        },
+        {
+            key: 'numbering', title: 'Ordered lists', description: 'Numbers after the first item',
+            choices: [['sequential', '1. 2. 3.'], ['repeat', '1. 1. 1.']]
+        },
+        {
+            key: 'listIndent', title: 'Nested list indent', description: 'Spaces per level, or more when the parent marker is wider',
+            choices: [['2', '2 spaces'], ['4', '4 spaces']]
+        },
+        {
+            key: 'emphasis', title: 'Emphasis', description: 'Italic markers',
+            choices: [['*', '*italic*'], ['_', '_italic_']]
+        },
+        {
+            key: 'strong', title: 'Strong', description: 'Bold markers',
+            choices: [['**', '**bold**'], ['__', '__bold__']]
+        },
+        {
+            key: 'fence', title: 'Code fences', description: 'Longer when the code contains a fence',
+            choices: [['```', '``` backticks'], ['~~~', '~~~ tildes']]
+        },
+        {
+            key: 'alignTables', title: 'Tables', description: 'Pad cells so columns line up',
+            choices: [['on', 'Align columns'], ['off', 'Leave as is']]
+        }
+    ];
+
+    const FENCE_OPEN = /^([ \t]*)(`{3,}|~{3,})[ \t]*(.*)$/;
+    const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*))?$/;
+    const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+    const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+    const LIST_ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+    const BLOCKQUOTE = /^ {0,3}>/;
+    const HTML_BLOCK = /^ {0,3}<(?:[a-zA-Z][\w-]*|\/[a-zA-Z]|!--)/;
+    const LINK_DEFINITION = /^ {0,3}\[[^\]]+\]:/;
+
+    // Inline text that emphasis markers must not be looked for in: code
+    // spans, tags and autolinks, link targets, bare URLs and escapes
+    const PROTECTED = /(`+)[^`][\s\S]*?\1(?!`)|`+|<[^>\n]+>|\]\([^)\n]*\)|https?:\/\/[^\s)>]+|\\./g;
+
+    let modal;
+    let prefs = { ...DEFAULTS };
+
+    /**
+     * Initialize the formatter
+     */
+    function init() {
+        modal = document.getElementById('format-modal');
+
+        loadPrefs();
+        setupEventListeners();
+        registerCommands();
+    }
+
+    /**
+     * Set up event listeners for the toolbar button and preferences
+     */
+    function setupEventListeners() {
+        document.getElementById('format-btn')?.addEventListener('click', formatDocument);
+
+        // A workspace import may bring its own preferences
+        document.addEventListener('workspace:imported', (e) => {
+            if (e.detail.settings) loadPrefs();
+        });
+
+        if (!modal) return;
+
+        document.getElementById('close-format')?.addEventListener('click', hidePrefs);
+        document.getElementById('format-now')?.addEventListener('click', () => {
+            hidePrefs();
+            formatDocument();
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) hidePrefs();
+        });
+        document.getElementById('format-options')?.addEventListener('change', (e) => {
+            const select = e.target.closest('[data-format-option]');
+            if (!select) return;
+            prefs[select.dataset.formatOption] = select.value;
+            localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+        });
+    }
+
+    /**
+     * Add formatter commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        CommandPalette.register([
+            { id: 'edit.formatDocument', title: 'Format Document', category: 'Edit', shortcut: 'Alt+Shift+F', keywords: 'prettify normalize clean up markdown style', run: formatDocument },
+            { id: 'edit.formatPreferences', title: 'Formatting Preferences', category: 'Edit', keywords: 'format style settings list emphasis fence', run: showPrefs }
+        ]);
+    }
+
+    /**
+     * Read the preferences from localStorage
+     */
+    function loadPrefs() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(PREFS_KEY) || '{}') || {};
+        } catch (e) {
+            console.warn('Ignoring unreadable formatting preferences:', e);
+        }
+
+        prefs = { ...DEFAULTS };
+        OPTIONS.forEach(option => {
+            if (option.choices.some(([value]) => value === saved[option.key])) prefs[option.key] = saved[option.key];
+        });
+    }
+
+    // ---------------------------------------------------------------
+    // Formatting
+    // ---------------------------------------------------------------
+
+    /**
+     * Format a Markdown document
+     * @param {string} value
+     * @param {Object} [options] - Preferences; the saved ones by default
+     * @returns {string}
+     */
+    function format(value, options) {
+        const style = { ...DEFAULTS, ...(options || prefs) };
+        const lines = value.replace(/\r\n?/g, '\n').split('\n');
+        const out = [];
+
+        let i = 0;
+        let pendingBlank = false;
+        // 'blank', 'paragraph', 'list' or 'block': what the previous line was
+        let previous = 'blank';
+        // Open list items, outermost first
+        let items = [];
+
+        const emit = (line) => {
+            if (pendingBlank && out.length > 0) out.push('');
+            pendingBlank = false;
+            out.push(line);
+        };
+        const emitBlock = (blockLines) => {
+            pendingBlank = true;
+            blockLines.forEach(emit);
+            pendingBlank = true;
+            previous = 'block';
+        };
+
+        // Front matter goes through untouched
+        if (/^---[ \t]*$/.test(lines[0])) {
+            const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)[ \t]*$/.test(line));
+            if (end !== -1) {
+                lines.slice(0, end + 1).forEach(emit);
+                pendingBlank = true;
+                previous = 'block';
+                i = end + 1;
+            }
+        }
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const indent = indentWidth(line);
+
+            if (line.trim() === '') {
+                pendingBlank = true;
+                previous = 'blank';
+                i++;
+                continue;
+            }
+
+            // Lines indented under an open list item belong to it, and so
+            // does paragraph text straight after one
+            if (items.length > 0 && !LIST_ITEM.test(line)) {
+                if (indent >= items[0].content || (previous === 'list' && !startsBlock(line))) {
+                    i = formatContinuation(lines, i, items, style, emit);
+                    previous = 'list';
+                    continue;
+                }
+                items = [];
+            }
+
+            // Quotes are formatted as documents of their own, then quoted again.
+            // Text straight after them may be a lazy continuation, so no blank.
+            if (BLOCKQUOTE.test(line)) {
+                let end = i + 1;
+                while (end < lines.length && BLOCKQUOTE.test(lines[end])) end++;
+                pendingBlank = true;
+                formatQuote(lines.slice(i, end), style).forEach(emit);
+                previous = 'paragraph';
+                items = [];
+                i = end;
+                continue;
+            }
+
+            const fence = line.match(FENCE_OPEN);
+            if (fence && indent < 4 && isFenceOpening(fence)) {
+                const end = fenceEnd(lines, i, fence[2]);
+                pendingBlank = true;
+                formatFence(lines.slice(i, end), 0, style).forEach(emit);
+                pendingBlank = true;
+                previous = 'block';
+                items = [];
+                i = end;
+                continue;
+            }
+
+            // Indented code starts after a blank line or a block, outside lists
+            if (indent >= 4 && previous !== 'paragraph' && !(items.length > 0 && LIST_ITEM.test(line))) {
+                const code = [];
+                while (i < lines.length && (lines[i].trim() === '' || indentWidth(lines[i]) >= 4)) code.push(lines[i++]);
+                while (code[code.length - 1].trim() === '') code.pop();
+                emitBlock(code.map(codeLine => codeLine.replace(/[ \t]+$/, '')));
+                continue;
+            }
+
+            const heading = line.match(ATX_HEADING);
+            if (heading) {
+                emitBlock([formatHeading(heading[1].length, heading[2] || '', style)]);
+                items = [];
+                i++;
+                continue;
+            }
+
+            // Setext headings: one line of text underlined with = or -
+            const underline = i + 1 < lines.length && lines[i + 1].match(SETEXT_UNDERLINE);
+            if (underline && previous !== 'paragraph' && !startsBlock(line) && !LINK_DEFINITION.test(line)) {
+                emitBlock([formatHeading(underline[1][0] === '=' ? 1 : 2, line.trim(), style)]);
+                items = [];
+                i += 2;
+                continue;
+            }
+
+            // Under a paragraph, --- and === make it a heading; leave them be
+            if (previous === 'paragraph' && SETEXT_UNDERLINE.test(line)) {
+                emit(line.trim());
+                pendingBlank = true;
+                previous = 'block';
+                i++;
+                continue;
+            }
+
+            if (THEMATIC_BREAK.test(line)) {
+                emitBlock(['---']);
+                items = [];
+                i++;
+                continue;
+            }
+
+            const item = line.match(LIST_ITEM);
+            if (item) {
+                if (previous === 'block') pendingBlank = true;
+                emit(formatItem(item, items, style));
+                previous = 'list';
+                i++;
+                continue;
+            }
+
+            if (HTML_BLOCK.test(line)) {
+                const html = [];
+                while (i < lines.length && lines[i].trim() !== '') html.push(lines[i++].replace(/[ \t]+$/, ''));
+                emitBlock(html);
+                continue;
+            }
+
+            if (LINK_DEFINITION.test(line)) {
+                emit(line.trim());
+                previous = 'paragraph';
+                i++;
+                continue;
+            }
+
+            const table = line.includes('|') && findTableAt(lines, i, style);
+            if (table) {
+                emitBlock(table.lines);
+                i = table.end;
+                continue;
+            }
+
+            if (previous === 'block') pendingBlank = true;
+            emit(formatInline(line.trim(), style) + hardBreak(line, lines[i + 1]));
+            previous = 'paragraph';
+            i++;
+        }
+
+        const result = out.join('\n').replace(/\n+$/, '');
+        return result ? result + '\n' : '';
+    }
+
+    /**
+     * Measure a line's indentation, with tabs to the next multiple of four
+     * @param {string} line
+     * @returns {number}
+     */
+    function indentWidth(line) {
+        let width = 0;
+        for (const char of line) {
+            if (char === ' ') width++;
+            else if (char === '\t') width += 4 - (width % 4);
+            else break;
+        }
+        return width;
+    }
+
+    /**
+     * Check whether a line starts a block of its own rather than continuing
+     * a paragraph
+     * @param {string} line
+     * @returns {boolean}
+     */
+    function startsBlock(line) {
+        return ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || LIST_ITEM.test(line) ||
+            HTML_BLOCK.test(line) || /^ {0,3}>/.test(line) || /^ {0,3}(`{3,}|~{3,})/.test(line);
+    }
+
+    /**
+     * Check whether a fence match opens a code block
+     * @param {Array} fence - Match of FENCE_OPEN
+     * @returns {boolean}
+     */
+    function isFenceOpening(fence) {
+        // A backtick fence's info string may not contain backticks
+        return !(fence[2][0] === '`' && fence[3].includes('`'));
+    }
+
+    /**
+     * Find the line after a fenced block
+     * @param {Array<string>} lines
+     * @param {number} start - Index of the opening fence
+     * @param {string} marker
+     * @returns {number} Index after the closing fence, or the line count if unclosed
+     */
+    function fenceEnd(lines, start, marker) {
+        for (let i = start + 1; i < lines.length; i++) {
+            const close = lines[i].match(/^[ \t]*(`{3,}|~{3,})[ \t]*$/);
+            if (close && close[1][0] === marker[0] && close[1].length >= marker.length) return i + 1;
+        }
+        return lines.length;
+    }
+
+    /**
+     * Rewrite a fenced block's delimiters. The code between them is kept as
+     * written, only moved by shift columns when its list item's indent changes.
+     * @param {Array<string>} block - Opening fence to closing fence
+     * @param {number} shift - Columns to move every line by
+     * @param {Object} style
+     * @returns {Array<string>}
+     */
+    function formatFence(block, shift, style) {
+        const open = block[0].match(FENCE_OPEN);
+        const closed = block.length > 1 && /^[ \t]*(`{3,}|~{3,})[ \t]*$/.test(block[block.length - 1]);
+        const code = block.slice(1, closed ? -1 : undefined);
+        const info = open[3].trim();
+
+        // Backticks in the info string need a tilde fence
+        const char = info.includes('`') ? '~' : style.fence[0];
+        const longest = code.reduce((max, line) => {
+            const run = line.match(/^[ \t]*(`{3,}|~{3,})/);
+            return run && run[1][0] === char ? Math.max(max, run[1].length) : max;
+        }, 0);
+        const marker = char.repeat(Math.max(3, longest + 1));
+
+        const move = (line) => shiftLine(line, shift);
+        const result = [move(open[1] + marker + info)];
+        code.forEach(line => result.push(line.trim() === '' ? line : move(line)));
+        if (closed) result.push(move(open[1] + marker));
+        return result;
+    }
+
+    /**
+     * Move a line left or right
+     * @param {string} line
+     * @param {number} shift - Columns; negative removes leading spaces
+     * @returns {string}
+     */
+    function shiftLine(line, shift) {
+        if (shift > 0) return ' '.repeat(shift) + line;
+        if (shift < 0) {
+            const width = indentWidth(line);
+            const leading = line.match(/^[ \t]*/)[0];
+            return ' '.repeat(Math.max(0, width + shift)) + line.substring(leading.length);
+        }
+        return line;
+    }
+
+    /**
+     * Write an ATX heading
+     * @param {number} level
+     * @param {string} text - May include closing #s
+     * @param {Object} style
+     * @returns {string}
+     */
+    function formatHeading(level, text, style) {
+        const content = text.replace(/(^|[ \t]+)#+[ \t]*$/, '').trim();
+        return '#'.repeat(level) + (content ? ' ' + formatInline(content, style) : '');
+    }
+
+    /**
+     * Write a list item, tracking its nesting among the open items
+     * @param {Array} match - Match of LIST_ITEM
+     * @param {Array<Object>} items - Open items, outermost first; updated
+     * @param {Object} style
+     * @returns {string}
+     */
+    function formatItem(match, items, style) {
+        const indent = indentWidth(match[1]);
+        const ordered = match[2].match(/^(\d+)([.)])$/);
+
+        while (items.length > 0 && items[items.length - 1].indent > indent) items.pop();
+
+        let parent = items[items.length - 1];
+        let sibling = null;
+        // Markers indented less than the item's text are siblings
+        if (parent && (parent.indent === indent || indent < parent.content)) {
+            sibling = items.pop();
+            parent = items[items.length - 1];
+        }
+
+        const newIndent = parent
+            ? Math.max(parent.newIndent + Number(style.listIndent), parent.newContent)
+            : 0;
+
+        let marker = style.bullet;
+        let number = null;
+        if (ordered) {
+            const continues = sibling && sibling.number !== null && sibling.delimiter === ordered[2];
+            number = continues ? sibling.number + 1 : parseInt(ordered[1], 10);
+            const first = continues ? sibling.first : number;
+            marker = (style.numbering === 'repeat' ? first : number) + ordered[2];
+            items.push({ first, number, delimiter: ordered[2] });
+        } else {
+            items.push({ number: null });
+        }
+
+        const text = match[3].replace(/^\[([ xX])\][ \t]+/, (_, mark) => `[${mark === ' ' ? ' ' : 'x'}] `);
+        const spacing = match[0].substring(match[1].length + match[2].length).match(/^[ \t]*/)[0];
+        Object.assign(items[items.length - 1], {
+            indent,
+            content: indent + match[2].length + (spacing.length > 4 ? 1 : spacing.length),
+            newIndent,
+            newContent: newIndent + marker.length + 1
+        });
+
+        return ' '.repeat(newIndent) + marker + ' ' + formatInline(text.trim(), style);
+    }
+
+    /**
+     * Write the lines that continue a list item: paragraphs, nested code and
+     * quotes, moved with the item
+     * @param {Array<string>} lines
+     * @param {number} i - Index of the first line
+     * @param {Array<Object>} items - Open items, outermost first
+     * @param {Object} style
+     * @param {Function} emit
+     * @returns {number} Index of the next line to format
+     */
+    function formatContinuation(lines, i, items, style, emit) {
+        const line = lines[i];
+        const indent = indentWidth(line);
+
+        // The innermost item whose text the line lines up under, else a lazy line
+        let owner = items[items.length - 1];
+        for (let k = items.length - 1; k >= 0; k--) {
+            if (indent >= items[k].content) {
+                owner = items[k];
+                items.length = k + 1;
+                break;
+            }
+        }
+        const shift = owner.newContent - owner.content;
+
+        const fence = line.match(FENCE_OPEN);
+        if (fence && isFenceOpening(fence)) {
+            const end = fenceEnd(lines, i, fence[2]);
+            formatFence(lines.slice(i, end), shift, style).forEach(emit);
+            return end;
+        }
+
+        const extra = Math.max(0, indent - owner.content);
+        if (/^[ \t]*>/.test(line)) {
+            let end = i + 1;
+            while (end < lines.length && /^[ \t]*>/.test(lines[end]) && indentWidth(lines[end]) >= owner.content) end++;
+            const pad = ' '.repeat(owner.newContent + extra);
+            formatQuote(lines.slice(i, end), style).forEach(quoted => emit(pad + quoted));
+            return end;
+        }
+
+        emit(' '.repeat(owner.newContent + extra) + formatInline(line.trim(), style) + hardBreak(line, lines[i + 1]));
+        return i + 1;
+    }
+
+    /**
+     * Format the content of a blockquote, including nested quotes and code
+     * @param {Array<string>} block - Lines that each start with >
+     * @param {Object} style
+     * @returns {Array<string>}
+     */
+    function formatQuote(block, style) {
+        const content = block.map(line => line.replace(/^[ \t]*>[ \t]?/, ''));
+        return format(content.join('\n'), style).replace(/\n$/, '').split('\n')
+            .map(line => line ? '> ' + line : '>');
+    }
+
+    /**
+     * Find and format a table starting at a line
+     * @param {Array<string>} lines
+     * @param {number} start
+     * @param {Object} style
+     * @returns {{lines: Array<string>, end: number}|null}
+     */
+    function findTableAt(lines, start, style) {
+        if (typeof TableEditor === 'undefined') return null;
+
+        let end = start;
+        while (end < lines.length && lines[end].includes('|') && lines[end].trim() !== '') end++;
+
+        const rows = lines.slice(start, end).map(row => formatInline(row.trim(), style));
+        const table = TableEditor.findTable(rows.join('\n'), 0);
+        if (!table) return null;
+
+        return {
+            lines: style.alignTables === 'on' ? TableEditor.formatTable(table).text.split('\n') : rows,
+            end
+        };
+    }
+
+    /**
+     * Keep a line's hard break: two trailing spaces before more text
+     * @param {string} line
+     * @param {string} [next]
+     * @returns {string} '  ' or ''
+     */
+    function hardBreak(line, next) {
+        return /\S {2,}$/.test(line) && next !== undefined && next.trim() !== '' ? '  ' : '';
+    }
+
+    /**
+     * Rewrite emphasis markers in a line of text
+     * @param {string} text
+     * @param {Object} style
+     * @returns {string}
+     */
+    function formatInline(text, style) {
+        // Set aside code and link targets; private-use characters hold their places
+        const saved = [];
+        let result = text.replace(PROTECTED, (match) => {
+            saved.push(match);
+            return String.fromCharCode(0xE000 + saved.length - 1);
+        });
+
+        // Emphasis right inside strong (**_x_**) is left alone: swapping the
+        // markers would turn it inside out
+        if (style.strong === '**') {
+            result = result.replace(/(^|[^\w_])__(?=[^\s_*])([\s\S]*?[^\s_*])__(?![\w_])/g, '$1**$2**');
+        } else {
+            // Underscores don't work inside words, so those stay as **
+            result = result.replace(/(^|[^\w*])\*\*(?=[^\s*_])([\s\S]*?[^\s*_])\*\*(?![\w*])/g, '$1__$2__');
+        }
+
+        if (style.emphasis === '*') {
+            result = result.replace(/(^|[^\w_*])_(?=[^\s_])([^_]*?[^\s_])_(?![\w_*])/g, '$1*$2*');
+        } else {
+            result = result.replace(/(^|[^\w*_])\*(?=[^\s*])([^*]*?[^\s*])\*(?![\w*_])/g, '$1_$2_');
+        }
+
+        return result.replace(/[\uE000-\uF8FF]/g, (char) => saved[char.charCodeAt(0) - 0xE000] || char);
+    }
+
+    // ---------------------------------------------------------------
+    // Editor
+    // ---------------------------------------------------------------
+
+    /**
+     * Format the post in the editor as one undo step
+     */
+    function formatDocument() {
+        const textarea = document.getElementById('markdown-editor');
+        if (!textarea || typeof Editor === 'undefined') return;
+
+        const value = textarea.value;
+        const formatted = format(value);
+        if (formatted === value) {
+            showToast('Already formatted', 'info');
+            return;
+        }
+
+        // Replace only the part that changed, keeping the undo step small
+        let from = 0;
+        while (from < value.length && from < formatted.length && value[from] === formatted[from]) from++;
+        let end = 0;
+        while (end < value.length - from && end < formatted.length - from &&
+            value[value.length - 1 - end] === formatted[formatted.length - 1 - end]) end++;
+
+        const to = value.length - end;
+        const text = formatted.substring(from, formatted.length - end);
+        Editor.replaceRange(from, to, text, mapCaret(value, formatted, textarea.selectionStart));
+        showToast('Document formatted', 'success');
+    }
+
+    /**
+     * Find where the caret goes in the formatted text: after as many
+     * non-space characters as were before it
+     * @param {string} value
+     * @param {string} formatted
+     * @param {number} caret
+     * @returns {number}
+     */
+    function mapCaret(value, formatted, caret) {
+        let count = value.substring(0, caret).replace(/\s/g, '').length;
+        let position = 0;
+        while (position < formatted.length && count > 0) {
+            if (!/\s/.test(formatted[position])) count--;
+            position++;
+        }
+        return position;
+    }
+
+    /**
+     * Open the formatting preferences
+     */
+    function showPrefs() {
+        if (!modal) return;
+
+        document.getElementById('format-options').innerHTML = OPTIONS.map(option => `
+            <li class="draft-item">
+                <div class="draft-info">
+                    <span class="draft-name">${escapeHtml(option.title)}</span>
+                    <span class="draft-meta">${escapeHtml(option.description)}</span>
+                </div>
+                <select data-format-option="${option.key}" aria-label="${escapeHtml(option.title)}">
+                    ${option.choices.map(([value, label]) => `<option value="${escapeHtml(value)}"${value === prefs[option.key] ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+                </select>
+            </li>
+        `).join('');
+
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the formatting preferences
+     */
+    function hidePrefs() {
+        modal.style.display = 'none';
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        format,
+        formatDocument
+    };
+})();
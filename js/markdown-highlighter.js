@@ -0,0 +1,246 @@
+/**
+ * Markdown Highlighter Module
+ * Line-by-line Markdown tokenizer for the editing surface. Produces HTML
+ * with md-* classes; fenced code is highlighted with highlight.js by language.
+ */
+
+const MarkdownHighlighter = (function () {
+    // State carried from one line to the next
+    const INITIAL_STATE = Object.freeze({ fence: null });
+
+    // Fenced code delimiters
+    const FENCE_OPEN = /^(\s{0,3})(`{3,}|~{3,})\s*([^\s`]*)(.*)$/;
+    const FENCE_CLOSE = /^\s{0,3}(`{3,}|~{3,})\s*$/;
+
+    // Inline syntax, tried left to right
+    const INLINE_PARTS = [
+        '(`+)([^`]|[^`][\\s\\S]*?[^`])\\1(?!`)',                  // 1-2 code span
+        '(!?)\\[([^\\]]*)\\]\\(([^)\\s]*)((?:\\s+"[^"]*")?)\\)',  // 3-6 link or image
+        '(\\*\\*|__)(?=\\S)(.+?)(?<=\\S)\\7',                     // 7-8 bold
+        '(\\*|(?<!\\w)_)(?=[^\\s*_])(.+?)(?<=[^\\s*_])\\9(?!\\9)(?!(?<=_)\\w)', // 9-10 italic
+        '~~(?=\\S)(.+?)(?<=\\S)~~',                               // 11 strikethrough
+        '(<!--.*?-->|<\\/?[A-Za-z][^>]*>)',                       // 12 HTML
+        '(https?:\\/\\/[^\\s<>()]+)',                             // 13 autolink
+        '(\\\\[\\\\`*_{}\\[\\]()#+\\-.!|~<>])'                    // 14 escape
+    ];
+    const INLINE_SOURCE = INLINE_PARTS.join('|');
+    const TABLE_INLINE_SOURCE = INLINE_PARTS.concat('(\\|)').join('|'); // 15 cell pipe
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Wrap HTML in a token span
+     * @param {string} className
+     * @param {string} html
+     * @returns {string}
+     */
+    function span(className, html) {
+        return `<span class="${className}">${html}</span>`;
+    }
+
+    /**
+     * Highlight one line
+     * @param {string} line - Line text without the newline
+     * @param {Object} state - State from the previous line (INITIAL_STATE for the first)
+     * @returns {{html: string, state: Object}}
+     */
+    function highlightLine(line, state) {
+        if (state.fence) {
+            if (closesFence(line, state.fence)) {
+                return { html: span('md-fence', escapeHtml(line)), state: INITIAL_STATE };
+            }
+            return { html: span('md-code-block', highlightCode(line, state.fence.language)), state };
+        }
+
+        const open = openFence(line);
+        if (open) {
+            const html = escapeHtml(open[1] + open[2]) +
+                (open[3] ? span('md-fence-lang', escapeHtml(open[3])) : '') + escapeHtml(open[4]);
+            return {
+                html: span('md-fence', html),
+                state: { fence: { marker: open[2], language: open[3].toLowerCase() } }
+            };
+        }
+
+        return { html: highlightBlock(line), state };
+    }
+
+    /**
+     * Match a line that opens fenced code
+     * @param {string} line
+     * @returns {Array|null} Indent, marker, language and rest of the line
+     */
+    function openFence(line) {
+        const open = line.match(FENCE_OPEN);
+        // A backtick fence's info string may not contain backticks
+        return open && !(open[2][0] === '`' && open[4].includes('`')) ? open : null;
+    }
+
+    /**
+     * Check whether a line closes the open fence
+     * @param {string} line
+     * @param {Object} fence - {marker}
+     * @returns {boolean}
+     */
+    function closesFence(line, fence) {
+        const close = line.match(FENCE_CLOSE);
+        return Boolean(close && close[1][0] === fence.marker[0] && close[1].length >= fence.marker.length);
+    }
+
+    /**
+     * Find the fenced code blocks of a document, delimiter lines included
+     * @param {string} text
+     * @returns {Array<{from: number, to: number, language: string}>} Offsets into text; an
+     *          unclosed fence runs to the end
+     */
+    function findFencedBlocks(text) {
+        const blocks = [];
+        let fence = null;
+        let offset = 0;
+
+        text.split('\n').forEach(line => {
+            const lineEnd = offset + line.length;
+
+            if (fence) {
+                if (closesFence(line, fence)) {
+                    blocks.push({ from: fence.from, to: lineEnd, language: fence.language });
+                    fence = null;
+                }
+            } else {
+                const open = openFence(line);
+                if (open) fence = { from: offset, marker: open[2], language: open[3].toLowerCase() };
+            }
+
+            offset = lineEnd + 1;
+        });
+
+        if (fence) blocks.push({ from: fence.from, to: text.length, language: fence.language });
+        return blocks;
+    }
+
+    /**
+     * Highlight a line outside fenced code
+     * @param {string} line
+     * @returns {string}
+     */
+    function highlightBlock(line) {
+        let match;
+
+        if ((match = line.match(/^(\s{0,3}#{1,6})(\s.*)?$/))) {
+            return span('md-heading', span('md-marker', escapeHtml(match[1])) + inline(match[2] || ''));
+        }
+
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            return span('md-hr', escapeHtml(line));
+        }
+
+        if ((match = line.match(/^(\s{0,3}(?:>\s?)+)(.*)$/))) {
+            return span('md-quote', span('md-marker', escapeHtml(match[1])) + inline(match[2]));
+        }
+
+        if ((match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])(\s+)(\[[ xX]\](?=\s))?(.*)$/))) {
+            return escapeHtml(match[1]) + span('md-list-marker', escapeHtml(match[2])) + match[3] +
+                (match[4] ? span('md-task', escapeHtml(match[4])) : '') + inline(match[5]);
+        }
+
+        if ((match = line.match(/^(\s{0,3}\[[^\]]+\]:)(\s*)(\S+)(.*)$/))) {
+            return span('md-link-text', escapeHtml(match[1])) + match[2] +
+                span('md-url', escapeHtml(match[3])) + escapeHtml(match[4]);
+        }
+
+        if (/^\s*\|/.test(line)) {
+            if (/^\s*\|?(\s*:?-+:?\s*\|)+\s*(:?-+:?\s*)?$/.test(line)) {
+                return span('md-table-sep', escapeHtml(line));
+            }
+            return inline(line, true);
+        }
+
+        return inline(line);
+    }
+
+    /**
+     * Highlight inline Markdown
+     * @param {string} text
+     * @param {boolean} isTableRow - Also mark cell pipes
+     * @returns {string}
+     */
+    function inline(text, isTableRow = false) {
+        // Fresh regex per call, since nested calls would reset a shared lastIndex
+        const pattern = new RegExp(isTableRow ? TABLE_INLINE_SOURCE : INLINE_SOURCE, 'g');
+
+        let html = '';
+        let last = 0;
+        let m;
+
+        while ((m = pattern.exec(text)) !== null) {
+            html += escapeHtml(text.substring(last, m.index));
+            last = pattern.lastIndex;
+
+            if (m[1] !== undefined) {
+                html += span('md-code', escapeHtml(m[0]));
+            } else if (m[3] !== undefined) {
+                html += span(m[3] ? 'md-image' : 'md-link',
+                    escapeHtml(m[3] + '[') + span('md-link-text', inline(m[4])) + escapeHtml('](') +
+                    span('md-url', escapeHtml(m[5])) + escapeHtml(m[6] + ')'));
+            } else if (m[7] !== undefined) {
+                html += span('md-bold', escapeHtml(m[7]) + inline(m[8]) + escapeHtml(m[7]));
+            } else if (m[9] !== undefined) {
+                html += span('md-italic', escapeHtml(m[9]) + inline(m[10]) + escapeHtml(m[9]));
+            } else if (m[11] !== undefined) {
+                html += span('md-strike', '~~' + inline(m[11]) + '~~');
+            } else if (m[12] !== undefined) {
+                html += span('md-html', escapeHtml(m[12]));
+            } else if (m[13] !== undefined) {
+                html += span('md-url', escapeHtml(m[13]));
+            } else if (m[14] !== undefined) {
+                html += span('md-escape', escapeHtml(m[14]));
+            } else if (m[15] !== undefined) {
+                html += span('md-table-pipe', '|');
+            }
+        }
+
+        return html + escapeHtml(text.substring(last));
+    }
+
+    /**
+     * Highlight a line of fenced code by its language
+     * @param {string} line
+     * @param {string} language - Info string language, may be empty
+     * @returns {string}
+     */
+    function highlightCode(line, language) {
+        if (language && typeof hljs !== 'undefined' && hljs.getLanguage(language)) {
+            try {
+                return hljs.highlight(line, { language, ignoreIllegals: true }).value;
+            } catch (e) {
+                // Fall through to plain text
+            }
+        }
+        return escapeHtml(line);
+    }
+
+    /**
+     * Key identifying a state, for caching highlighted lines
+     * @param {Object} state
+     * @returns {string}
+     */
+    function stateKey(state) {
+        return state.fence ? state.fence.marker + state.fence.language : '';
+    }
+
+    // Public API
+    return {
+        INITIAL_STATE,
+        highlightLine,
+        stateKey,
+        findFencedBlocks,
+        escapeHtml
+    };
+})();
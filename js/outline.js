@@ -0,0 +1,368 @@
+/**
+ * Outline Module
+ * Live outline of the post's headings beside the editor. Clicking a heading
+ * jumps to it, each entry shows its section's word count, and dragging an
+ * entry moves the whole section (heading plus everything up to the next
+ * heading of the same or a higher level) as one undo step.
+ */
+
+const Outline = (function () {
+    const STORAGE_KEY = 'blog-editor-outline';
+    const HEADING = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+
+    let textarea;
+    let panel;
+    let list;
+    let toggleBtn;
+    let visible = false;
+
+    // Sections as last rendered, and the one being dragged
+    let sections = [];
+    let dragIndex = null;
+
+    /**
+     * Initialize the outline module
+     */
+    function init() {
+        textarea = document.getElementById('markdown-editor');
+        panel = document.getElementById('outline-panel');
+        list = document.getElementById('outline-list');
+        toggleBtn = document.getElementById('outline-btn');
+
+        if (!textarea || !panel || !list) return;
+
+        setupEventListeners();
+        registerCommands();
+        setVisible(localStorage.getItem(STORAGE_KEY) === 'on');
+    }
+
+    /**
+     * Set up event listeners for the outline
+     */
+    function setupEventListeners() {
+        toggleBtn?.addEventListener('click', () => setVisible(!visible));
+        document.getElementById('close-outline')?.addEventListener('click', () => setVisible(false));
+
+        document.addEventListener('editor:update', () => {
+            if (visible) render();
+        });
+        ['keyup', 'mouseup'].forEach(eventName => {
+            textarea.addEventListener(eventName, () => {
+                if (visible) updateCurrent();
+            });
+        });
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.outline-item');
+            if (item) jumpTo(Number(item.dataset.index));
+        });
+
+        list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.outline-item');
+            if (!item) return;
+            dragIndex = Number(item.dataset.index);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', sections[dragIndex].text);
+        });
+
+        list.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.outline-item');
+            if (dragIndex === null || !item) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            clearDropMarkers();
+            item.classList.add(isLowerHalf(item, e) ? 'drop-after' : 'drop-before');
+        });
+
+        list.addEventListener('dragleave', (e) => {
+            if (!list.contains(e.relatedTarget)) clearDropMarkers();
+        });
+
+        list.addEventListener('drop', (e) => {
+            const item = e.target.closest('.outline-item');
+            if (dragIndex === null || !item) return;
+            e.preventDefault();
+            moveSection(dragIndex, Number(item.dataset.index), isLowerHalf(item, e));
+            endDrag();
+        });
+
+        list.addEventListener('dragend', endDrag);
+    }
+
+    /**
+     * Add outline commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        const inSection = () => sectionIndexAt(parse(textarea.value), textarea.selectionStart) !== -1;
+
+        CommandPalette.register([
+            { id: 'view.outline', title: 'Toggle Outline', category: 'View', keywords: 'headings sections sidebar', run: () => setVisible(!visible) },
+            { id: 'outline.moveUp', title: 'Move Section Up', category: 'Outline', keywords: 'reorder heading', run: () => moveAdjacent(-1), isAvailable: inSection },
+            { id: 'outline.moveDown', title: 'Move Section Down', category: 'Outline', keywords: 'reorder heading', run: () => moveAdjacent(1), isAvailable: inSection }
+        ]);
+    }
+
+    /**
+     * Show or hide the outline
+     * @param {boolean} show
+     */
+    function setVisible(show) {
+        visible = show;
+        localStorage.setItem(STORAGE_KEY, show ? 'on' : 'off');
+        panel.style.display = show ? '' : 'none';
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', show);
+            toggleBtn.title = show ? 'Hide the outline' : 'Show the outline';
+        }
+        if (show) render();
+    }
+
+    /**
+     * Find the sections of a document, skipping fenced code
+     * @param {string} value
+     * @returns {Array<{level: number, text: string, from: number, to: number, bodyFrom: number, words: number}>}
+     *          from..to spans the heading and its section, subsections included
+     */
+    function parse(value) {
+        const fences = MarkdownHighlighter.findFencedBlocks(value);
+        const found = [];
+        let offset = 0;
+
+        value.split('\n').forEach(line => {
+            const match = line.match(HEADING);
+            if (match && !fences.some(block => offset >= block.from && offset <= block.to)) {
+                found.push({
+                    level: match[1].length,
+                    text: match[2],
+                    from: offset,
+                    bodyFrom: Math.min(value.length, offset + line.length + 1)
+                });
+            }
+            offset += line.length + 1;
+        });
+
+        return found.map((section, i) => {
+            const next = found.slice(i + 1).find(other => other.level <= section.level);
+            const to = next ? next.from : value.length;
+            return { ...section, to, words: Statistics.countWords(value.substring(section.bodyFrom, to)) };
+        });
+    }
+
+    /**
+     * Find the innermost section containing an offset
+     * @param {Array} list - From parse()
+     * @param {number} offset
+     * @returns {number} Index, -1 before the first heading
+     */
+    function sectionIndexAt(list, offset) {
+        let index = -1;
+        list.forEach((section, i) => {
+            if (section.from <= offset) index = i;
+        });
+        return index;
+    }
+
+    /**
+     * Render the outline list
+     */
+    function render() {
+        sections = parse(textarea.value);
+
+        if (sections.length === 0) {
+            list.innerHTML = '<li class="outline-empty">Add headings (#, ##, ###) to see an outline</li>';
+            return;
+        }
+
+        list.innerHTML = sections.map((section, i) => `
+            <li class="outline-item level-${section.level}" data-index="${i}" draggable="true"
+                title="${escapeHtml(section.text)} — ${section.words} word${section.words === 1 ? '' : 's'} in this section">
+                <span class="outline-text">${escapeHtml(section.text)}</span>
+                <span class="outline-count">${section.words}</span>
+            </li>
+        `).join('');
+        updateCurrent();
+    }
+
+    /**
+     * Highlight the section the caret is in
+     */
+    function updateCurrent() {
+        const current = sectionIndexAt(sections, textarea.selectionStart);
+        list.querySelectorAll('.outline-item').forEach(item => {
+            item.classList.toggle('current', Number(item.dataset.index) === current);
+        });
+    }
+
+    /**
+     * Put the caret on a section's heading
+     * @param {number} index
+     */
+    function jumpTo(index) {
+        const section = sections[index];
+        if (!section) return;
+
+        textarea.focus();
+        textarea.setSelectionRange(section.from, section.from);
+        EditorSurface.scrollToOffset(section.from);
+        updateCurrent();
+    }
+
+    /**
+     * Move a section before or after another
+     * @param {number} sourceIndex
+     * @param {number} targetIndex
+     * @param {boolean} after - Drop after the target's whole section
+     */
+    function moveSection(sourceIndex, targetIndex, after) {
+        const value = textarea.value;
+        const source = sections[sourceIndex];
+        const target = sections[targetIndex];
+        if (!source || !target) return;
+
+        const insertAt = after ? target.to : target.from;
+
+        // Dropping a section inside itself, or where it already is, changes nothing
+        if (insertAt > source.from && insertAt < source.to) return;
+        if (insertAt === source.from || insertAt === source.to) return;
+
+        const edit = buildMove(value, source, insertAt);
+        Editor.replaceRange(edit.from, edit.to, edit.text, edit.selectionStart);
+        EditorSurface.scrollToOffset(edit.selectionStart);
+    }
+
+    /**
+     * Build the edit that moves a section to another offset
+     * @param {string} value
+     * @param {{from: number, to: number}} source
+     * @param {number} insertAt - Offset at a line start outside the section
+     * @returns {{from: number, to: number, text: string, selectionStart: number}}
+     */
+    function buildMove(value, source, insertAt) {
+        let moved = value.substring(source.from, source.to);
+        let rest = value.substring(0, source.from) + value.substring(source.to);
+        let position = insertAt > source.from ? insertAt - moved.length : insertAt;
+
+        // The last section may lack its final newline
+        if (!moved.endsWith('\n')) {
+            moved += '\n';
+            if (rest.endsWith('\n')) rest = rest.substring(0, rest.length - 1);
+            position = Math.min(position, rest.length);
+        }
+
+        let selectionStart = position;
+        if (position === rest.length && rest) {
+            // Now last: starts after a blank line
+            const gap = rest.endsWith('\n\n') ? '' : rest.endsWith('\n') ? '\n' : '\n\n';
+            moved = gap + moved.replace(/\n+$/, '\n');
+            selectionStart += gap.length;
+        } else if (position < rest.length && !moved.endsWith('\n\n')) {
+            // Keep a blank line before the heading that now follows
+            moved += '\n';
+        }
+
+        const result = rest.substring(0, position) + moved + rest.substring(position);
+
+        // Everything after the later of the two positions is unchanged
+        const from = Math.min(source.from, insertAt);
+        const to = Math.max(source.to, insertAt);
+        return {
+            from,
+            to,
+            text: result.substring(from, result.length - (value.length - to)),
+            selectionStart
+        };
+    }
+
+    /**
+     * Move the section at the caret past its previous or next sibling
+     * @param {number} direction - -1 up, 1 down
+     */
+    function moveAdjacent(direction) {
+        sections = parse(textarea.value);
+        const index = sectionIndexAt(sections, textarea.selectionStart);
+        const source = sections[index];
+        if (!source) return;
+
+        // Siblings have the same level and sit in the same parent section
+        const parentOf = (section) => sections.filter(other =>
+            other.level < section.level && other.from < section.from && other.to >= section.to).pop();
+        const siblings = sections.filter(other => other !== source && other.level === source.level &&
+            parentOf(other) === parentOf(source));
+
+        const target = direction < 0
+            ? siblings.filter(other => other.to <= source.from).pop()
+            : siblings.find(other => other.from >= source.to);
+
+        if (!target) {
+            showToast(`No section ${direction < 0 ? 'above' : 'below'} at this level`, 'info');
+            return;
+        }
+
+        moveSection(index, sections.indexOf(target), direction > 0);
+        if (visible) render();
+    }
+
+    /**
+     * Check whether the pointer is over the lower half of an item
+     * @param {HTMLElement} item
+     * @param {DragEvent} e
+     * @returns {boolean}
+     */
+    function isLowerHalf(item, e) {
+        const rect = item.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+    }
+
+    /**
+     * Remove the drop position markers
+     */
+    function clearDropMarkers() {
+        list.querySelectorAll('.drop-before, .drop-after').forEach(item => {
+            item.classList.remove('drop-before', 'drop-after');
+        });
+    }
+
+    /**
+     * Reset drag state
+     */
+    function endDrag() {
+        dragIndex = null;
+        clearDropMarkers();
+        list.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        parse
+    };
+})();
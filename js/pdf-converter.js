@@ -38,6 +38,16 @@ const PdfConverter = (function () {
             importBtn.addEventListener('click', () => fileInput?.click());
         }
 
+        if (fileInput && typeof CommandPalette !== 'undefined') {
+            CommandPalette.register({
+                id: 'import.pdf',
+                title: 'PDF',
+                category: 'Import',
+                keywords: 'pdf convert open',
+                run: () => fileInput.click()
+            });
+        }
+
         if (dropZone) {
             dropZone.addEventListener('dragover', handleDragOver);
             dropZone.addEventListener('dragleave', handleDragLeave);
@@ -117,7 +127,7 @@ const PdfConverter = (function () {
             }
 
             // Set the markdown content in editor
-            Editor.setContent(result.markdown);
+            Editor.importContent(result.markdown, file.name);
 
             // Store extracted images for export
             extractedImages = result.images;
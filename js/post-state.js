@@ -0,0 +1,121 @@
+/**
+ * Post State Module
+ * Captures and restores the whole post state (markdown, Post Details,
+ * export options and editor view) using a versioned schema
+ */
+
+const PostState = (function () {
+    // v1: { content, details } (first draft library records)
+    // v2: adds export options and editor view state
+    const SCHEMA_VERSION = 2;
+
+    const DEFAULT_OPTIONS = {
+        useCustomCss: true,
+        includeNavFooter: false
+    };
+
+    const DEFAULT_VIEW = {
+        imagesCollapsed: false
+    };
+
+    /**
+     * Read the current post state from the page
+     * @returns {Object} Post state
+     */
+    function capture() {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            content: Editor.getContent(),
+            details: Export.getPostDetails(),
+            options: Export.getExportOptions(),
+            view: {
+                imagesCollapsed: Editor.isImagesCollapsed()
+            }
+        };
+    }
+
+    /**
+     * Bring a stored state up to the current schema
+     * @param {Object} state - State or record of any schema version
+     * @returns {Object} State in the current schema
+     */
+    function migrate(state) {
+        const version = state.schemaVersion || 1;
+
+        if (version > SCHEMA_VERSION) {
+            console.warn(`PostState: State schema v${version} is newer than supported v${SCHEMA_VERSION}`);
+        }
+
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            content: state.content || '',
+            details: state.details || {},
+            options: { ...DEFAULT_OPTIONS, ...(state.options || {}) },
+            view: { ...DEFAULT_VIEW, ...(state.view || {}) }
+        };
+    }
+
+    /**
+     * Load a state into the editor, Post Details form and export options
+     * @param {Object} state - State of any schema version
+     */
+    function apply(state) {
+        const current = migrate(state);
+
+        Editor.setContent(current.content);
+        Export.setPostDetails(current.details);
+        Export.setExportOptions(current.options);
+
+        if (current.view.imagesCollapsed) {
+            Editor.setImagesCollapsed(true);
+        }
+    }
+
+    /**
+     * Check whether two states hold the same post
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {boolean}
+     */
+    function isSame(a, b) {
+        const left = migrate(a);
+        const right = migrate(b);
+
+        return left.content === right.content &&
+            JSON.stringify(left.details) === JSON.stringify(right.details) &&
+            JSON.stringify(left.options) === JSON.stringify(right.options) &&
+            JSON.stringify(left.view) === JSON.stringify(right.view);
+    }
+
+    /**
+     * Build a short human readable summary of a state, for previews
+     * @param {Object} state
+     * @returns {{title: string, type: string, date: string, words: number, excerpt: string}}
+     */
+    function summarize(state) {
+        const current = migrate(state);
+
+        // Keep base64 image data out of the preview text
+        const text = current.content
+            .replace(/!\[([^\]]*)\]\(data:image[^)]*\)/g, '[🖼️ $1]')
+            .replace(/<img[^>]*src="data:image[^"]*"[^>]*>/g, '[🖼️ image]');
+
+        return {
+            title: current.details.title || '',
+            type: current.details.type === 'project' ? 'Project' : 'Article',
+            date: current.details.date || '',
+            words: text.trim().split(/\s+/).filter(w => w.length > 0).length,
+            excerpt: text.trim().substring(0, 280)
+        };
+    }
+
+    // Public API
+    return {
+        SCHEMA_VERSION,
+        capture,
+        migrate,
+        apply,
+        isSame,
+        summarize
+    };
+})();
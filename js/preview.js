@@ -4,6 +4,10 @@
  */
 
 const Preview = (function () {
+    // Elements that never have a closing tag
+    const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+        'link', 'meta', 'source', 'track', 'wbr']);
+
     // DOM Elements
     let previewContent;
     let toggleStyleButton;
@@ -23,6 +27,7 @@ const Preview = (function () {
 
         configureMarked();
         setupEventListeners();
+        registerCommands();
     }
 
     /**
@@ -71,18 +76,38 @@ const Preview = (function () {
 
         // Toggle preview style button
         if (toggleStyleButton) {
-            toggleStyleButton.addEventListener('click', () => {
-                useConnorStyle = !useConnorStyle;
-                toggleStyleButton.textContent = useConnorStyle ? '🎨' : '📝';
-                toggleStyleButton.title = useConnorStyle
-                    ? 'Toggle to plain preview'
-                    : 'Toggle to connorhorning.com styling';
-
-                // Re-render with new style
-                const content = Editor.getContent();
-                render(content);
-            });
+            toggleStyleButton.addEventListener('click', toggleStyle);
+        }
+    }
+
+    /**
+     * Add preview commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        CommandPalette.register([
+            { id: 'view.previewStyle', title: 'Toggle Preview Style', category: 'View', keywords: 'plain site styling connorhorning theme', run: toggleStyle }
+        ]);
+    }
+
+    /**
+     * Switch the preview between the site's styling and a plain one
+     */
+    function toggleStyle() {
+        useConnorStyle = !useConnorStyle;
+        previewContent.classList.toggle('preview-plain', !useConnorStyle);
+
+        if (toggleStyleButton) {
+            toggleStyleButton.textContent = useConnorStyle ? '🎨' : '📝';
+            toggleStyleButton.title = useConnorStyle
+                ? 'Toggle to plain preview'
+                : 'Toggle to connorhorning.com styling';
         }
+
+        // Re-render with new style
+        const content = Editor.getContent();
+        render(content);
     }
 
     /**
@@ -98,8 +123,7 @@ const Preview = (function () {
         }
 
         try {
-            const html = marked.parse(markdown);
-            previewContent.innerHTML = html;
+            previewContent.replaceChildren(renderBlocks(markdown));
 
             // Add target="_blank" to external links
             previewContent.querySelectorAll('a').forEach(link => {
@@ -121,6 +145,114 @@ const Preview = (function () {
         }
     }
 
+    /**
+     * Render markdown block by block, tagging each block with the
+     * line it starts on (data-source-line) for scroll sync. An HTML block
+     * left open, like <details> around Markdown, is rendered together with
+     * the tokens up to its closing tag.
+     * @param {string} markdown
+     * @returns {DocumentFragment}
+     */
+    function renderBlocks(markdown) {
+        const tokens = marked.lexer(markdown);
+        const fragment = document.createDocumentFragment();
+        const template = document.createElement('template');
+        const locate = createLocator(markdown);
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const line = locate(token.raw);
+            if (token.type === 'space') continue;
+
+            const group = [token];
+            const open = [];
+            if (token.type === 'html') trackTags(token.raw, open);
+            while (open.length > 0 && i + 1 < tokens.length) {
+                const next = tokens[++i];
+                locate(next.raw);
+                group.push(next);
+                if (next.type === 'html') trackTags(next.raw, open);
+            }
+
+            group.links = tokens.links;
+            template.innerHTML = marked.parser(group);
+
+            const first = template.content.firstElementChild;
+            if (first) {
+                first.dataset.sourceLine = line;
+                if (token.type === 'list') tagListItems(first, token, line);
+            }
+            fragment.appendChild(template.content);
+        }
+
+        return fragment;
+    }
+
+    /**
+     * Update the stack of HTML elements left open by a block of raw HTML.
+     * A closing tag also closes anything opened inside it, as browsers do.
+     * @param {string} html
+     * @param {Array<string>} open - Open tag names, innermost last
+     */
+    function trackTags(html, open) {
+        const pattern = /<(\/?)([a-zA-Z][\w-]*)(?:\s[^>]*?)?(\/?)>/g;
+        let m;
+        while ((m = pattern.exec(html)) !== null) {
+            const name = m[2].toLowerCase();
+            if (m[1]) {
+                const index = open.lastIndexOf(name);
+                if (index !== -1) open.length = index;
+            } else if (!m[3] && !VOID_TAGS.has(name)) {
+                open.push(name);
+            }
+        }
+    }
+
+    /**
+     * Create a function that finds successive token sources in the markdown
+     * and returns their line numbers. Searching (rather than adding up raw
+     * lengths) copes with text the lexer drops, like link definitions.
+     * @param {string} markdown
+     * @param {number} baseLine - Line the markdown starts on
+     * @returns {Function} raw => line index
+     */
+    function createLocator(markdown, baseLine = 0) {
+        let offset = 0;
+        let line = baseLine;
+
+        return (raw) => {
+            const index = raw ? markdown.indexOf(raw, offset) : -1;
+            const start = index === -1 ? offset : index;
+
+            for (let i = offset; i < start; i++) {
+                if (markdown.charCodeAt(i) === 10) line++;
+            }
+            const startLine = line;
+
+            const end = index === -1 ? offset : index + raw.length;
+            for (let i = start; i < end; i++) {
+                if (markdown.charCodeAt(i) === 10) line++;
+            }
+            offset = end;
+            return startLine;
+        };
+    }
+
+    /**
+     * Tag the items of a rendered list with their source lines
+     * @param {HTMLElement} list - Rendered <ul>/<ol>
+     * @param {Object} token - List token
+     * @param {number} line - Line the list starts on
+     */
+    function tagListItems(list, token, line) {
+        const items = Array.from(list.children).filter(child => child.tagName === 'LI');
+        const locate = createLocator(token.raw, line);
+        token.items.forEach((item, i) => {
+            const itemLine = locate(item.raw);
+            if (items[i]) items[i].dataset.sourceLine = itemLine;
+        });
+    }
+
     /**
      * Get rendered HTML content
      * @returns {string} The rendered HTML
@@ -0,0 +1,606 @@
+/**
+ * Revisions Module
+ * Durable, timestamped revision history for each draft with a timeline,
+ * side-by-side diff and one-click restore
+ */
+
+const Revisions = (function () {
+    const STORE = 'revisions';
+    const AUTOSAVE_INTERVAL = 10 * 60 * 1000; // Capture on save at most every 10 minutes
+    const MAX_AUTO_REVISIONS = 100; // Checkpoints are never pruned
+    const DIFF_CONTEXT = 3; // Unchanged lines shown around each change
+    const MAX_DISPLAY_LINE = 300; // Longer lines (base64 images) are truncated in the diff
+
+    const REASON_LABELS = {
+        autosave: '💾 Autosave',
+        import: '📥 Import',
+        export: '📤 Export',
+        checkpoint: '📌 Checkpoint',
+        restore: '↩️ Before restore'
+    };
+
+    // Revisions of the current draft, newest first
+    let revisions = [];
+
+    // DOM Elements
+    let historyBtn;
+    let historyModal;
+    let closeHistoryBtn;
+    let checkpointBtn;
+    let timeline;
+    let fromSelect;
+    let toSelect;
+    let diffView;
+
+    /**
+     * Initialize the revisions module
+     */
+    function init() {
+        historyBtn = document.getElementById('history-btn');
+        historyModal = document.getElementById('history-modal');
+        closeHistoryBtn = document.getElementById('close-history');
+        checkpointBtn = document.getElementById('checkpoint-btn');
+        timeline = document.getElementById('revision-timeline');
+        fromSelect = document.getElementById('revision-from');
+        toSelect = document.getElementById('revision-to');
+        diffView = document.getElementById('revision-diff');
+
+        if (!Database.isSupported()) {
+            if (historyBtn) historyBtn.disabled = true;
+            return;
+        }
+
+        setupEventListeners();
+        registerCommands();
+    }
+
+    /**
+     * Add revision commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        CommandPalette.register([
+            {
+                id: 'revisions.history', title: 'Revision History', category: 'Drafts',
+                keywords: 'versions diff compare restore', run: showModal
+            },
+            { id: 'revisions.checkpoint', title: 'Add Checkpoint', category: 'Drafts', keywords: 'snapshot', run: createCheckpoint }
+        ]);
+    }
+
+    /**
+     * Set up automatic capture hooks and panel listeners
+     */
+    function setupEventListeners() {
+        // Keep what was in the editor before an import replaces it
+        document.addEventListener('editor:beforeimport', (e) => {
+            capture('import', `Before importing ${e.detail.source}`);
+        });
+        document.addEventListener('editor:import', (e) => {
+            capture('import', `Imported ${e.detail.source}`);
+        });
+        document.addEventListener('export:complete', (e) => {
+            capture('export', `Exported ${e.detail.filename}`);
+        });
+        document.addEventListener('draft:saved', (e) => {
+            captureOnSave(e.detail.draft);
+        });
+        document.addEventListener('draft:deleted', (e) => {
+            removeForDraft(e.detail.id);
+        });
+
+        if (historyBtn) {
+            historyBtn.addEventListener('click', showModal);
+        }
+
+        if (closeHistoryBtn) {
+            closeHistoryBtn.addEventListener('click', hideModal);
+        }
+
+        if (historyModal) {
+            historyModal.addEventListener('click', (e) => {
+                if (e.target === historyModal) hideModal();
+            });
+        }
+
+        if (checkpointBtn) {
+            checkpointBtn.addEventListener('click', createCheckpoint);
+        }
+
+        if (timeline) {
+            timeline.addEventListener('click', handleTimelineClick);
+        }
+
+        [fromSelect, toSelect].forEach(select => {
+            if (select) select.addEventListener('change', renderDiff);
+        });
+    }
+
+    /**
+     * Store a revision of the current draft
+     * @param {string} reason - 'autosave', 'import', 'export', 'checkpoint' or 'restore'
+     * @param {string} label - Human readable description
+     * @param {Object} snapshot - Post state, captured now unless given
+     * @returns {Promise<Object|null>} The stored revision, or null if skipped
+     */
+    async function capture(reason, label = '', snapshot = PostState.capture()) {
+        try {
+            if (!snapshot.content.trim() && !snapshot.details.title) return null;
+
+            // Revisions belong to a draft, so make sure there is one
+            let draftId = Drafts.getCurrentDraftId();
+            if (!draftId) {
+                await Drafts.saveCurrent(snapshot);
+                draftId = Drafts.getCurrentDraftId();
+                if (!draftId) return null;
+            }
+
+            const existing = await listForDraft(draftId);
+            const latest = existing[0];
+            if (reason !== 'checkpoint' && latest && PostState.isSame(latest, snapshot)) {
+                return null;
+            }
+
+            const revision = {
+                ...PostState.migrate(snapshot),
+                id: Database.generateId('rev'),
+                draftId: draftId,
+                createdAt: Date.now(),
+                reason: reason,
+                label: label
+            };
+
+            await Database.put(STORE, revision);
+            await prune([revision, ...existing]);
+            return revision;
+        } catch (e) {
+            console.warn('Revisions: Failed to capture revision:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Capture a revision on autosave when enough time has passed
+     * @param {Object} draft - The saved draft record
+     */
+    async function captureOnSave(draft) {
+        try {
+            const existing = await listForDraft(draft.id);
+            if (existing.length > 0 && draft.updatedAt - existing[0].createdAt < AUTOSAVE_INTERVAL) {
+                return;
+            }
+            capture('autosave', 'Autosaved', draft);
+        } catch (e) {
+            console.warn('Revisions: Failed to check autosave revision:', e);
+        }
+    }
+
+    /**
+     * Get the revisions of a draft, newest first
+     * @param {string} draftId
+     * @returns {Promise<Array>}
+     */
+    async function listForDraft(draftId) {
+        const records = await Database.getAllByIndex(STORE, 'draftId', draftId);
+        return records.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Drop the oldest automatic revisions beyond the limit
+     * @param {Array} records - Revisions of one draft, newest first
+     */
+    async function prune(records) {
+        const automatic = records.filter(r => r.reason !== 'checkpoint');
+        const excess = automatic.slice(MAX_AUTO_REVISIONS);
+
+        for (const revision of excess) {
+            await Database.remove(STORE, revision.id);
+        }
+    }
+
+    /**
+     * Delete all revisions of a deleted draft
+     * @param {string} draftId
+     */
+    async function removeForDraft(draftId) {
+        try {
+            const records = await listForDraft(draftId);
+            for (const revision of records) {
+                await Database.remove(STORE, revision.id);
+            }
+        } catch (e) {
+            console.warn('Revisions: Failed to delete revisions:', e);
+        }
+    }
+
+    /**
+     * Ask for a label and store a manual checkpoint
+     */
+    async function createCheckpoint() {
+        const label = prompt('Checkpoint label:', 'Checkpoint');
+        if (label === null) return;
+
+        const revision = await capture('checkpoint', label.trim() || 'Checkpoint');
+        if (revision) {
+            showToast('Checkpoint saved', 'success');
+            await reload();
+        } else {
+            showToast('Nothing to save yet', 'info');
+        }
+    }
+
+    /**
+     * Restore a revision into the editor, keeping the current state as a revision
+     * @param {string} id - Revision id
+     */
+    async function restore(id) {
+        const revision = revisions.find(r => r.id === id);
+        if (!revision) return;
+
+        if (!confirm(`Restore the revision from ${new Date(revision.createdAt).toLocaleString()}? ` +
+            'The current content is kept in the history.')) {
+            return;
+        }
+
+        await capture('restore', 'Before restoring ' + formatRevisionName(revision));
+
+        PostState.apply(revision);
+
+        showToast('Revision restored', 'success');
+        hideModal();
+    }
+
+    /**
+     * Handle timeline button clicks
+     * @param {MouseEvent} e
+     */
+    function handleTimelineClick(e) {
+        const button = e.target.closest('button[data-revision-action]');
+        if (!button) return;
+
+        const id = button.closest('.revision-item').dataset.id;
+
+        if (button.dataset.revisionAction === 'restore') {
+            restore(id);
+        } else if (button.dataset.revisionAction === 'compare') {
+            fromSelect.value = id;
+            toSelect.value = 'current';
+            renderDiff();
+        }
+    }
+
+    /**
+     * Reload revisions for the current draft and redraw the panel
+     */
+    async function refresh() {
+        const draftId = Drafts.getCurrentDraftId();
+        revisions = draftId ? await listForDraft(draftId) : [];
+        renderTimeline();
+        renderSelects();
+        renderDiff();
+    }
+
+    /**
+     * Refresh the panel, reporting a failure to read the history
+     * @returns {Promise<boolean>} True if the history loaded
+     */
+    async function reload() {
+        try {
+            await refresh();
+            return true;
+        } catch (e) {
+            console.error('Revisions: Failed to load history', e);
+            showToast('Failed to load revision history', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Build the display name of a revision
+     * @param {Object} revision
+     * @returns {string}
+     */
+    function formatRevisionName(revision) {
+        return `${revision.label || REASON_LABELS[revision.reason]} (${new Date(revision.createdAt).toLocaleString()})`;
+    }
+
+    /**
+     * Render the revision timeline
+     */
+    function renderTimeline() {
+        if (!timeline) return;
+        timeline.innerHTML = '';
+
+        if (revisions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'drafts-empty';
+            empty.textContent = 'No revisions yet. They are captured on save, import and export, or add a checkpoint.';
+            timeline.appendChild(empty);
+            return;
+        }
+
+        revisions.forEach((revision, index) => {
+            const item = document.createElement('li');
+            item.className = 'revision-item revision-' + revision.reason;
+            item.dataset.id = revision.id;
+
+            const title = document.createElement('span');
+            title.className = 'revision-title';
+            title.textContent = `${REASON_LABELS[revision.reason]} · ${revision.label}`;
+
+            // Change summary against the previous (older) revision
+            const previous = revisions[index + 1];
+            const stats = Diff.summarize(Diff.diffLines(previous ? previous.content : '', revision.content));
+            const meta = document.createElement('span');
+            meta.className = 'revision-meta';
+            meta.textContent = `${new Date(revision.createdAt).toLocaleString()} · +${stats.added} −${stats.removed} lines`;
+
+            const actions = document.createElement('div');
+            actions.className = 'draft-actions';
+            [['compare', '🔍 Compare'], ['restore', '↩️ Restore']].forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn-smart-small';
+                button.dataset.revisionAction = action;
+                button.textContent = label;
+                actions.appendChild(button);
+            });
+
+            item.append(title, meta, actions);
+            timeline.appendChild(item);
+        });
+    }
+
+    /**
+     * Fill the compare selects with the revisions plus the current content
+     */
+    function renderSelects() {
+        [fromSelect, toSelect].forEach(select => {
+            if (!select) return;
+            select.innerHTML = '';
+
+            const current = document.createElement('option');
+            current.value = 'current';
+            current.textContent = 'Current content';
+            select.appendChild(current);
+
+            revisions.forEach(revision => {
+                const option = document.createElement('option');
+                option.value = revision.id;
+                option.textContent = formatRevisionName(revision);
+                select.appendChild(option);
+            });
+        });
+
+        if (fromSelect && revisions.length > 0) fromSelect.value = revisions[0].id;
+        if (toSelect) toSelect.value = 'current';
+    }
+
+    /**
+     * Get the content for a compare select value
+     * @param {string} value - Revision id or 'current'
+     * @returns {string}
+     */
+    function getCompareContent(value) {
+        if (value === 'current') return Editor.getContent();
+        const revision = revisions.find(r => r.id === value);
+        return revision ? revision.content : '';
+    }
+
+    /**
+     * Render a side-by-side diff of the selected pair
+     */
+    function renderDiff() {
+        if (!diffView || !fromSelect || !toSelect) return;
+        diffView.innerHTML = '';
+
+        if (revisions.length === 0) return;
+
+        const oldText = getCompareContent(fromSelect.value);
+        const newText = getCompareContent(toSelect.value);
+        const runs = Diff.diffLines(oldText, newText);
+
+        if (runs.every(run => run.type === 'equal')) {
+            const same = document.createElement('p');
+            same.className = 'revision-diff-empty';
+            same.textContent = 'No differences.';
+            diffView.appendChild(same);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'diff-table';
+        buildRows(runs).forEach(row => table.appendChild(row));
+        diffView.appendChild(table);
+    }
+
+    /**
+     * Turn line runs into side-by-side table rows
+     * @param {Array} runs - Result of Diff.diffLines
+     * @returns {Array<HTMLTableRowElement>}
+     */
+    function buildRows(runs) {
+        const rows = [];
+        let oldLine = 1;
+        let newLine = 1;
+
+        for (let i = 0; i < runs.length; i++) {
+            const run = runs[i];
+
+            if (run.type === 'equal') {
+                const lines = run.items;
+                const isFirst = i === 0;
+                const isLast = i === runs.length - 1;
+                const head = isFirst ? 0 : DIFF_CONTEXT;
+                const tail = isLast ? 0 : DIFF_CONTEXT;
+
+                if (lines.length > head + tail + 1) {
+                    lines.slice(0, head).forEach((line, j) => {
+                        rows.push(createRow('equal', oldLine + j, line, newLine + j, line));
+                    });
+                    rows.push(createSkipRow(lines.length - head - tail));
+                    lines.slice(lines.length - tail).forEach((line, j) => {
+                        const offset = lines.length - tail + j;
+                        rows.push(createRow('equal', oldLine + offset, line, newLine + offset, line));
+                    });
+                } else {
+                    lines.forEach((line, j) => {
+                        rows.push(createRow('equal', oldLine + j, line, newLine + j, line));
+                    });
+                }
+                oldLine += lines.length;
+                newLine += lines.length;
+                continue;
+            }
+
+            // Pair a deletion with the following insertion as modified lines
+            const deleted = run.type === 'delete' ? run.items : [];
+            const next = runs[i + 1];
+            const inserted = run.type === 'insert' ? run.items
+                : (next && next.type === 'insert' ? next.items : []);
+            if (run.type === 'delete' && next && next.type === 'insert') i++;
+
+            const count = Math.max(deleted.length, inserted.length);
+            for (let j = 0; j < count; j++) {
+                const hasOld = j < deleted.length;
+                const hasNew = j < inserted.length;
+                rows.push(createRow(
+                    hasOld && hasNew ? 'modified' : (hasOld ? 'delete' : 'insert'),
+                    hasOld ? oldLine + j : null, hasOld ? deleted[j] : null,
+                    hasNew ? newLine + j : null, hasNew ? inserted[j] : null
+                ));
+            }
+            oldLine += deleted.length;
+            newLine += inserted.length;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Create a diff row
+     * @param {string} type - 'equal', 'delete', 'insert' or 'modified'
+     * @param {number|null} oldNumber
+     * @param {string|null} oldText
+     * @param {number|null} newNumber
+     * @param {string|null} newText
+     * @returns {HTMLTableRowElement}
+     */
+    function createRow(type, oldNumber, oldText, newNumber, newText) {
+        const row = document.createElement('tr');
+        row.className = 'diff-row diff-' + type;
+
+        const isLong = (oldText || '').length > MAX_DISPLAY_LINE || (newText || '').length > MAX_DISPLAY_LINE;
+        const words = type === 'modified' && !isLong ? Diff.diffWords(oldText, newText) : null;
+
+        row.append(
+            createCell('diff-num', oldNumber),
+            createTextCell('diff-old', oldText, words, 'insert'),
+            createCell('diff-num', newNumber),
+            createTextCell('diff-new', newText, words, 'delete')
+        );
+        return row;
+    }
+
+    /**
+     * Create a "N unchanged lines" row
+     * @param {number} count
+     * @returns {HTMLTableRowElement}
+     */
+    function createSkipRow(count) {
+        const row = document.createElement('tr');
+        row.className = 'diff-row diff-skip';
+        const cell = document.createElement('td');
+        cell.colSpan = 4;
+        cell.textContent = `⋯ ${count} unchanged line${count === 1 ? '' : 's'}`;
+        row.appendChild(cell);
+        return row;
+    }
+
+    /**
+     * Create a plain table cell
+     * @param {string} className
+     * @param {*} value
+     * @returns {HTMLTableCellElement}
+     */
+    function createCell(className, value) {
+        const cell = document.createElement('td');
+        cell.className = className;
+        cell.textContent = value === null ? '' : value;
+        return cell;
+    }
+
+    /**
+     * Create a text cell, highlighting changed words when a word diff is given
+     * @param {string} className
+     * @param {string|null} text
+     * @param {Array|null} words - Result of Diff.diffWords
+     * @param {string} skipType - Word run type that belongs to the other side
+     * @returns {HTMLTableCellElement}
+     */
+    function createTextCell(className, text, words, skipType) {
+        const cell = document.createElement('td');
+        cell.className = 'diff-text ' + className;
+        if (text === null) return cell;
+
+        if (!words) {
+            cell.textContent = text.length > MAX_DISPLAY_LINE
+                ? text.substring(0, MAX_DISPLAY_LINE) + ` … (${text.length - MAX_DISPLAY_LINE} more chars)`
+                : text;
+            return cell;
+        }
+
+        words.forEach(word => {
+            if (word.type === skipType) return;
+            if (word.type === 'equal') {
+                cell.appendChild(document.createTextNode(word.text));
+            } else {
+                const mark = document.createElement(word.type === 'delete' ? 'del' : 'ins');
+                mark.textContent = word.text;
+                cell.appendChild(mark);
+            }
+        });
+        return cell;
+    }
+
+    /**
+     * Show the history panel
+     */
+    async function showModal() {
+        if (!historyModal) return;
+
+        if (!await reload()) return;
+        historyModal.style.display = 'flex';
+    }
+
+    /**
+     * Hide the history panel
+     */
+    function hideModal() {
+        if (historyModal) {
+            historyModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        capture,
+        listForDraft,
+        restore
+    };
+})();
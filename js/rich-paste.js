@@ -0,0 +1,314 @@
+/**
+ * Rich Paste Module
+ * Converts formatted clipboard content (Google Docs, Word, web pages) to
+ * Markdown on paste, using DocxConverter's HTML walker, and embeds pasted
+ * image files as base64 images. Ctrl+Shift+V pastes plain text instead.
+ */
+
+const RichPaste = (function () {
+    // htmlToMarkdown() options for clipboard HTML
+    const CONVERT_OPTIONS = {
+        boldParagraphsAsCode: false,
+        indentAfterLists: false,
+        markdownImages: true
+    };
+
+    // Elements that never hold post content
+    const DROPPED_ELEMENTS = 'script, style, meta, link, title, head, noscript, template, iframe, object, svg';
+
+    const BLOCK_ELEMENTS = new Set([
+        'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'TABLE', 'THEAD',
+        'TBODY', 'TR', 'TD', 'TH', 'BLOCKQUOTE', 'PRE', 'HR', 'BR', 'SECTION', 'ARTICLE', 'FIGURE'
+    ]);
+
+    let textarea;
+
+    // Ctrl+Shift+V is down: leave the next paste alone
+    let plainPaste = false;
+
+    /**
+     * Initialize the rich paste module
+     */
+    function init() {
+        textarea = document.getElementById('markdown-editor');
+        if (!textarea || typeof DocxConverter === 'undefined') return;
+
+        setupEventListeners();
+    }
+
+    /**
+     * Set up paste and plain-paste key listeners
+     */
+    function setupEventListeners() {
+        textarea.addEventListener('keydown', (e) => {
+            plainPaste = (e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'v';
+        });
+        textarea.addEventListener('keyup', () => {
+            plainPaste = false;
+        });
+
+        // Capture on document so this runs before the textarea's own paste
+        // listeners (table paste), and can keep them out of a plain paste
+        document.addEventListener('paste', handlePaste, true);
+    }
+
+    /**
+     * Convert clipboard HTML or images pasted into the editor
+     * @param {ClipboardEvent} e
+     */
+    function handlePaste(e) {
+        if (e.target !== textarea || !e.clipboardData) return;
+
+        if (plainPaste) {
+            plainPaste = false;
+            e.stopImmediatePropagation();
+            return;
+        }
+
+        const data = e.clipboardData;
+        const text = data.getData('text/plain');
+        const html = data.getData('text/html');
+
+        if (isInCode(textarea.selectionStart)) return;
+
+        // Copied image, screenshot: only a file (and maybe an <img> tag) on the clipboard
+        const images = Array.from(data.files || []).filter(file => file.type.startsWith('image/'));
+        if (images.length > 0 && !text.trim()) {
+            e.preventDefault();
+            pasteImages(images);
+            return;
+        }
+
+        // Spreadsheet cells are better served by the table paste, but only
+        // when the rich version is nothing more than that one table
+        if (typeof TableEditor !== 'undefined' &&
+            TableEditor.detectDelimited(text, Array.from(data.types || []).includes('text/csv')) &&
+            (!html || isSingleTable(html))) {
+            return;
+        }
+
+        if (!html) return;
+
+        const markdown = htmlToMarkdown(html);
+        if (!markdown || normalizeSpace(markdown) === normalizeSpace(text)) return;
+
+        // Paste the plain text first so one Undo gets it back. The table
+        // paste mustn't see this paste as well.
+        e.preventDefault();
+        e.stopPropagation();
+        const start = textarea.selectionStart;
+        Editor.replaceRange(start, textarea.selectionEnd, text);
+        Editor.replaceRange(start, start + text.length, Editor.collapseInserted(markdown));
+        showToast('Pasted as Markdown — Undo for plain text, Ctrl+Shift+V to paste plain', 'success');
+    }
+
+    /**
+     * Check whether clipboard HTML holds a single table and nothing else
+     * @param {string} html
+     * @returns {boolean}
+     */
+    function isSingleTable(html) {
+        const body = new DOMParser().parseFromString(html, 'text/html').body;
+        body.querySelectorAll(DROPPED_ELEMENTS).forEach(element => element.remove());
+
+        const tables = body.querySelectorAll('table');
+        return tables.length === 1 && body.textContent.trim() === tables[0].textContent.trim();
+    }
+
+    /**
+     * Check whether an offset is inside fenced code, where pastes stay as they are
+     * @param {number} offset
+     * @returns {boolean}
+     */
+    function isInCode(offset) {
+        return MarkdownHighlighter.findFencedBlocks(textarea.value)
+            .some(block => offset > block.from && offset <= block.to);
+    }
+
+    /**
+     * Convert clipboard HTML to Markdown
+     * @param {string} html
+     * @returns {string}
+     */
+    function htmlToMarkdown(html) {
+        const body = new DOMParser().parseFromString(html, 'text/html').body;
+        cleanUp(body);
+
+        const markdown = DocxConverter.htmlToMarkdown(body, CONVERT_OPTIONS);
+        return collapseBlankLines(markdown.replace(/[ \t]+$/gm, ''));
+    }
+
+    /**
+     * Turn clipboard HTML into the plain structure DocxConverter understands:
+     * drop non-content elements, turn Google Docs / Word styled spans into
+     * real emphasis, give divs paragraph breaks and tidy whitespace
+     * @param {HTMLElement} root
+     */
+    function cleanUp(root) {
+        root.querySelectorAll(DROPPED_ELEMENTS).forEach(element => element.remove());
+
+        // Comments, e.g. <!--StartFragment-->
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_COMMENT);
+        const comments = [];
+        while (walker.nextNode()) comments.push(walker.currentNode);
+        comments.forEach(comment => comment.remove());
+
+        // Google Docs wraps everything in <b style="font-weight:normal">
+        root.querySelectorAll('b[id^="docs-internal-guid"], b[style*="font-weight:normal"], b[style*="font-weight: normal"]')
+            .forEach(unwrap);
+
+        root.querySelectorAll('span[style]').forEach(styleSpan);
+
+        // Links that don't go anywhere
+        root.querySelectorAll('a').forEach(link => {
+            const href = link.getAttribute('href') || '';
+            if (!href || href.startsWith('#') || /^javascript:/i.test(href)) unwrap(link);
+        });
+
+        // Divs holding only inline content are paragraphs; others are just containers
+        Array.from(root.querySelectorAll('div')).reverse().forEach(div => {
+            const hasBlocks = Array.from(div.children).some(child => BLOCK_ELEMENTS.has(child.tagName));
+            if (!hasBlocks) replaceTag(div, 'p');
+        });
+
+        normalizeWhitespace(root);
+    }
+
+    /**
+     * Replace a styled span with the emphasis it shows
+     * @param {HTMLElement} span
+     */
+    function styleSpan(span) {
+        const style = span.style;
+        const weight = style.fontWeight;
+        const wrappers = [];
+
+        if (weight === 'bold' || Number(weight) >= 600) wrappers.push('strong');
+        if (style.fontStyle === 'italic') wrappers.push('em');
+        if (/line-through/.test(style.textDecoration || style.textDecorationLine || '')) wrappers.push('del');
+        if (/mono|courier|consolas/i.test(style.fontFamily || '')) wrappers.push('code');
+
+        // Headings are bold already
+        const inHeading = span.closest('h1, h2, h3, h4, h5, h6');
+        wrappers.filter(tag => !(tag === 'strong' && inHeading)).forEach(tag => {
+            const wrapper = document.createElement(tag);
+            while (span.firstChild) wrapper.appendChild(span.firstChild);
+            span.appendChild(wrapper);
+        });
+        unwrap(span);
+    }
+
+    /**
+     * Collapse whitespace like a browser would, outside <pre>, and drop
+     * whitespace-only text between blocks
+     * @param {HTMLElement} root
+     */
+    function normalizeWhitespace(root) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+        textNodes.forEach(node => {
+            if (node.parentElement && node.parentElement.closest('pre')) return;
+
+            node.textContent = node.textContent.replace(/\s+/g, ' ');
+
+            if (node.textContent.trim() === '') {
+                const isBlock = (sibling) => !sibling || (sibling.nodeType === Node.ELEMENT_NODE && BLOCK_ELEMENTS.has(sibling.tagName));
+                if (isBlock(node.previousSibling) || isBlock(node.nextSibling)) node.remove();
+            }
+        });
+    }
+
+    /**
+     * Replace an element with its children
+     * @param {Element} element
+     */
+    function unwrap(element) {
+        element.replaceWith(...element.childNodes);
+    }
+
+    /**
+     * Replace an element with a new one of another tag, keeping its children
+     * @param {Element} element
+     * @param {string} tag
+     */
+    function replaceTag(element, tag) {
+        const replacement = document.createElement(tag);
+        while (element.firstChild) replacement.appendChild(element.firstChild);
+        element.replaceWith(replacement);
+    }
+
+    /**
+     * Squeeze runs of blank lines down to one, leaving fenced code alone
+     * @param {string} markdown
+     * @returns {string}
+     */
+    function collapseBlankLines(markdown) {
+        return markdown
+            .split(/(^```[\s\S]*?^```)/m)
+            .map((part, i) => (i % 2 === 1 ? part : part.replace(/\n{3,}/g, '\n\n')))
+            .join('');
+    }
+
+    /**
+     * Compare texts ignoring whitespace differences
+     * @param {string} text
+     * @returns {string}
+     */
+    function normalizeSpace(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Embed pasted image files at the cursor, selecting the first alt text
+     * @param {Array<File>} files
+     */
+    async function pasteImages(files) {
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+
+        let dataUrls;
+        try {
+            dataUrls = await Promise.all(files.map(file => EmbeddedImages.blobToDataUrl(file)));
+        } catch (error) {
+            console.error('Failed to read pasted image:', error);
+            showToast('Could not read the pasted image', 'error');
+            return;
+        }
+
+        const alt = 'image';
+        const markdown = dataUrls.map(dataUrl => `![${alt}](${dataUrl})`).join('\n\n');
+        const text = Editor.collapseInserted(markdown);
+
+        // The alt text comes first either way; collapsed images hide it, so place the caret after
+        const altStart = start + 2;
+        if (Editor.isImagesCollapsed()) {
+            Editor.replaceRange(start, end, text);
+        } else {
+            Editor.replaceRange(start, end, text, altStart, altStart + alt.length);
+        }
+
+        const size = files.reduce((sum, file) => sum + file.size, 0);
+        showToast(`Embedded ${files.length} image(s) (${Math.ceil(size / 1024)} KB)`, 'success');
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        htmlToMarkdown
+    };
+})();
@@ -0,0 +1,278 @@
+/**
+ * Scroll Sync Module
+ * Keeps the editor and the live preview at the same place in the post,
+ * using the source lines Preview tags onto rendered blocks. Scrolling either
+ * side moves the other, the preview follows the caret, and double-clicking
+ * in the preview puts the caret on the matching Markdown.
+ */
+
+const ScrollSync = (function () {
+    const STORAGE_KEY = 'blog-editor-sync-scroll';
+
+    let textarea;
+    let preview;
+    let toggleBtn;
+    let enabled = true;
+
+    // Preview block positions: [{line, top}], rebuilt after renders and image loads
+    let anchors = null;
+
+    // Pane whose next scroll event we caused ourselves
+    let ignoreScroll = null;
+
+    /**
+     * Initialize the scroll sync module
+     */
+    function init() {
+        textarea = document.getElementById('markdown-editor');
+        preview = document.getElementById('preview-content');
+        toggleBtn = document.getElementById('sync-scroll-btn');
+
+        if (!textarea || !preview || typeof EditorSurface === 'undefined') return;
+
+        enabled = localStorage.getItem(STORAGE_KEY) !== 'off';
+        updateToggleButton();
+
+        setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for both panes
+     */
+    function setupEventListeners() {
+        textarea.addEventListener('scroll', () => {
+            if (consumeIgnore('editor') || !enabled) return;
+            syncPreviewToLine(EditorSurface.lineAtY(textarea.scrollTop), 0);
+        });
+
+        preview.addEventListener('scroll', () => {
+            if (consumeIgnore('preview') || !enabled) return;
+            syncEditorToPreview();
+        });
+
+        // Follow the caret as it moves
+        ['keyup', 'mouseup'].forEach(eventName => {
+            textarea.addEventListener(eventName, followCaret);
+        });
+
+        // Preview re-renders after editor:update; positions have changed
+        document.addEventListener('editor:update', () => {
+            anchors = null;
+            if (document.activeElement === textarea) {
+                requestAnimationFrame(followCaret);
+            }
+        });
+
+        // Images change the layout once they load
+        preview.addEventListener('load', () => {
+            anchors = null;
+        }, true);
+        window.addEventListener('resize', () => {
+            anchors = null;
+        });
+
+        preview.addEventListener('dblclick', jumpToSource);
+
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', toggle);
+        }
+
+        if (typeof CommandPalette !== 'undefined') {
+            CommandPalette.register({
+                id: 'view.syncScroll',
+                title: 'Toggle Scroll Sync',
+                category: 'View',
+                keywords: 'preview follow',
+                run: toggle
+            });
+        }
+    }
+
+    /**
+     * Turn syncing on or off
+     */
+    function toggle() {
+        enabled = !enabled;
+        localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+        updateToggleButton();
+        if (enabled) followCaret();
+    }
+
+    /**
+     * Show whether syncing is on
+     */
+    function updateToggleButton() {
+        if (!toggleBtn) return;
+        toggleBtn.classList.toggle('active', enabled);
+        toggleBtn.title = enabled ? 'Scroll sync is on' : 'Scroll sync is off';
+    }
+
+    /**
+     * Check (and clear) whether a pane's scroll event was caused by us
+     * @param {string} pane - 'editor' or 'preview'
+     * @returns {boolean}
+     */
+    function consumeIgnore(pane) {
+        if (ignoreScroll !== pane) return false;
+        ignoreScroll = null;
+        return true;
+    }
+
+    /**
+     * Scroll a pane without echoing the scroll back
+     * @param {HTMLElement} element
+     * @param {string} pane - 'editor' or 'preview'
+     * @param {number} top
+     */
+    function scrollPane(element, pane, top) {
+        const target = Math.max(0, Math.min(top, element.scrollHeight - element.clientHeight));
+        if (Math.abs(element.scrollTop - target) < 1) return;
+        ignoreScroll = pane;
+        element.scrollTop = target;
+    }
+
+    /**
+     * Collect the preview's tagged blocks with their positions
+     * @returns {Array<{line: number, top: number, element: HTMLElement}>}
+     */
+    function getAnchors() {
+        if (anchors) return anchors;
+
+        const base = preview.getBoundingClientRect().top - preview.scrollTop;
+        anchors = [];
+        preview.querySelectorAll('[data-source-line]').forEach(element => {
+            const line = Number(element.dataset.sourceLine);
+            const top = element.getBoundingClientRect().top - base;
+            const last = anchors[anchors.length - 1];
+
+            // Keep lines and positions both increasing so we can interpolate
+            if (last && (line <= last.line || top < last.top)) return;
+            anchors.push({ line, top, element });
+        });
+        return anchors;
+    }
+
+    /**
+     * Find the anchors around a value
+     * @param {Array} list - Anchors
+     * @param {string} key - 'line' or 'top'
+     * @param {number} value
+     * @returns {number} Index of the last anchor at or before value (-1 if none)
+     */
+    function anchorIndex(list, key, value) {
+        let index = -1;
+        for (let i = 0; i < list.length && list[i][key] <= value; i++) index = i;
+        return index;
+    }
+
+    /**
+     * Get the preview position that matches a source line
+     * @param {number} line - Line index, may be fractional
+     * @returns {number|null}
+     */
+    function previewTopForLine(line) {
+        const list = getAnchors();
+        if (list.length === 0) return null;
+
+        const i = anchorIndex(list, 'line', line);
+        if (i === -1) return (line / Math.max(1, list[0].line)) * list[0].top;
+
+        const from = list[i];
+        const to = list[i + 1] || {
+            line: textarea.value.split('\n').length,
+            top: preview.scrollHeight
+        };
+        const fraction = to.line > from.line ? (line - from.line) / (to.line - from.line) : 0;
+        return from.top + Math.min(1, fraction) * (to.top - from.top);
+    }
+
+    /**
+     * Get the source line that matches a preview position
+     * @param {number} top
+     * @returns {number|null}
+     */
+    function lineForPreviewTop(top) {
+        const list = getAnchors();
+        if (list.length === 0) return null;
+
+        const i = anchorIndex(list, 'top', top);
+        if (i === -1) return list[0].top > 0 ? (top / list[0].top) * list[0].line : 0;
+
+        const from = list[i];
+        const to = list[i + 1] || {
+            line: textarea.value.split('\n').length,
+            top: preview.scrollHeight
+        };
+        const fraction = to.top > from.top ? (top - from.top) / (to.top - from.top) : 0;
+        return from.line + Math.min(1, fraction) * (to.line - from.line);
+    }
+
+    /**
+     * Scroll the preview so a source line sits at a given distance from its top
+     * @param {number} line
+     * @param {number} viewportOffset - Pixels between the pane top and the line
+     */
+    function syncPreviewToLine(line, viewportOffset) {
+        const top = previewTopForLine(line);
+        if (top === null) return;
+        scrollPane(preview, 'preview', top - viewportOffset);
+    }
+
+    /**
+     * Scroll the editor to match the preview
+     */
+    function syncEditorToPreview() {
+        const line = lineForPreviewTop(preview.scrollTop);
+        if (line === null) return;
+        scrollPane(textarea, 'editor', EditorSurface.lineTop(line));
+    }
+
+    /**
+     * Line the preview up with the caret's line
+     */
+    function followCaret() {
+        if (!enabled) return;
+        const line = EditorSurface.lineIndexAt(textarea.selectionStart);
+        syncPreviewToLine(line, EditorSurface.lineTop(line) - textarea.scrollTop);
+    }
+
+    /**
+     * Put the caret on the Markdown behind a double-clicked preview block
+     * @param {MouseEvent} e
+     */
+    function jumpToSource(e) {
+        const block = e.target.closest('[data-source-line]');
+        if (!block || !preview.contains(block)) return;
+
+        const line = Number(block.dataset.sourceLine);
+        const value = textarea.value;
+        const lines = value.split('\n');
+
+        // The block runs until the next tagged block
+        const list = getAnchors();
+        const next = list.find(anchor => anchor.line > line);
+        const endLine = next ? next.line : lines.length;
+
+        const start = lines.slice(0, line).reduce((sum, text) => sum + text.length + 1, 0);
+        const end = lines.slice(0, endLine).reduce((sum, text) => sum + text.length + 1, 0);
+
+        // Land on the double-clicked word when it can be found in the block's source
+        const word = window.getSelection().toString().trim();
+        const found = word ? value.substring(start, end).indexOf(word) : -1;
+        const caret = found === -1 ? start : start + found;
+
+        textarea.focus();
+        textarea.setSelectionRange(caret, found === -1 ? caret : caret + word.length);
+
+        // Scroll the editor to the block, keeping the preview where the user is looking
+        ignoreScroll = 'editor';
+        const before = textarea.scrollTop;
+        EditorSurface.scrollToOffset(caret);
+        if (textarea.scrollTop === before) ignoreScroll = null;
+    }
+
+    // Public API
+    return {
+        init
+    };
+})();
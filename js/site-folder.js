@@ -0,0 +1,592 @@
+/**
+ * Site Folder Module
+ * Publishes posts straight into the local checkout of the site using the
+ * File System Access API: articles/<slug>.html or Projects/<slug>.html,
+ * with embedded images written to Images/. Falls back to downloads.
+ */
+
+const SiteFolder = (function () {
+    const STORE = 'handles';
+    const HANDLE_KEY = 'site-folder';
+    const IMAGES_FOLDER = 'Images';
+    const MAX_LISTED = 5; // Existing files named in the overwrite question
+
+    // Site folder for each post type
+    const POST_FOLDERS = {
+        article: 'articles',
+        project: 'Projects'
+    };
+
+    // Chosen site folder (FileSystemDirectoryHandle)
+    let rootHandle = null;
+
+    // DOM Elements
+    let publishBtn;
+    let siteFolderBtn;
+    let siteModal;
+    let closeSiteBtn;
+    let chooseFolderBtn;
+    let folderNameEl;
+    let postsList;
+
+    /**
+     * Initialize the site folder module
+     */
+    function init() {
+        publishBtn = document.getElementById('publish-site');
+        siteFolderBtn = document.getElementById('site-folder-btn');
+        siteModal = document.getElementById('site-modal');
+        closeSiteBtn = document.getElementById('close-site');
+        chooseFolderBtn = document.getElementById('choose-folder-btn');
+        folderNameEl = document.getElementById('site-folder-name');
+        postsList = document.getElementById('site-posts-list');
+
+        setupEventListeners();
+        registerCommands();
+        updateFolderLabel();
+        loadSavedHandle();
+    }
+
+    /**
+     * Add site folder commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        CommandPalette.register([
+            { id: 'site.publish', title: 'Publish to Site Folder', category: 'Site', run: publish },
+            { id: 'site.posts', title: 'Site Folder Posts', category: 'Site', keywords: 'open edit published', run: showModal },
+            {
+                id: 'site.chooseFolder', title: 'Choose Site Folder', category: 'Site',
+                run: async () => {
+                    if (await chooseFolder()) renderPosts();
+                },
+                isAvailable: isSupported
+            }
+        ]);
+    }
+
+    /**
+     * Set up button and modal event listeners
+     */
+    function setupEventListeners() {
+        if (publishBtn) {
+            publishBtn.addEventListener('click', publish);
+        }
+
+        if (siteFolderBtn) {
+            siteFolderBtn.addEventListener('click', showModal);
+        }
+
+        if (closeSiteBtn) {
+            closeSiteBtn.addEventListener('click', hideModal);
+        }
+
+        if (siteModal) {
+            siteModal.addEventListener('click', (e) => {
+                if (e.target === siteModal) hideModal();
+            });
+        }
+
+        if (chooseFolderBtn) {
+            chooseFolderBtn.addEventListener('click', async () => {
+                if (await chooseFolder()) renderPosts();
+            });
+        }
+    }
+
+    /**
+     * Check whether the browser can write to local folders
+     * @returns {boolean}
+     */
+    function isSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    /**
+     * Load the folder chosen in an earlier session
+     */
+    async function loadSavedHandle() {
+        if (!isSupported() || !Database.isSupported()) return;
+
+        try {
+            const saved = await Database.get(STORE, HANDLE_KEY);
+            if (saved) {
+                rootHandle = saved.handle;
+                updateFolderLabel();
+            }
+        } catch (e) {
+            console.warn('SiteFolder: Failed to load saved folder:', e);
+        }
+    }
+
+    /**
+     * Ask the user for the site folder and remember it
+     * @returns {Promise<boolean>} True if a folder was chosen
+     */
+    async function chooseFolder() {
+        if (!isSupported()) {
+            showToast('This browser cannot open folders. Publish will download the files instead.', 'error');
+            return false;
+        }
+
+        try {
+            rootHandle = await window.showDirectoryPicker({ id: HANDLE_KEY, mode: 'readwrite' });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('SiteFolder: Could not open folder', error);
+                showToast('Could not open folder: ' + error.message, 'error');
+            }
+            return false;
+        }
+
+        try {
+            await Database.put(STORE, { name: HANDLE_KEY, handle: rootHandle });
+        } catch (e) {
+            console.warn('SiteFolder: Failed to remember folder:', e);
+        }
+
+        updateFolderLabel();
+        showToast(`Site folder set to ${rootHandle.name}`, 'success');
+        return true;
+    }
+
+    /**
+     * Make sure we may write to the site folder, asking if needed
+     * @param {FileSystemDirectoryHandle} handle
+     * @returns {Promise<boolean>}
+     */
+    async function ensurePermission(handle) {
+        const options = { mode: 'readwrite' };
+        if (await handle.queryPermission(options) === 'granted') return true;
+        return await handle.requestPermission(options) === 'granted';
+    }
+
+    /**
+     * Get the site folder with write access, choosing one first if needed
+     * @returns {Promise<FileSystemDirectoryHandle|null>}
+     */
+    async function getWritableFolder() {
+        if (!rootHandle && !(await chooseFolder())) return null;
+
+        if (!(await ensurePermission(rootHandle))) {
+            showToast('Permission to write to the site folder was denied', 'error');
+            return null;
+        }
+        return rootHandle;
+    }
+
+    /**
+     * Show the chosen folder name in the UI
+     */
+    function updateFolderLabel() {
+        const name = rootHandle ? rootHandle.name : null;
+
+        if (folderNameEl) {
+            folderNameEl.textContent = isSupported()
+                ? (name || 'No folder chosen')
+                : 'Not supported in this browser. Publish downloads the files instead.';
+        }
+        if (chooseFolderBtn) {
+            chooseFolderBtn.disabled = !isSupported();
+            chooseFolderBtn.textContent = name ? '📂 Change Folder' : '📂 Choose Folder';
+        }
+        if (publishBtn) {
+            publishBtn.title = name
+                ? `Write the post into ${name}`
+                : 'Choose the site folder and write the post into it';
+        }
+    }
+
+    /**
+     * Write a file into a folder, replacing any existing file
+     * @param {FileSystemDirectoryHandle} folder
+     * @param {string} filename
+     * @param {string|Blob} content
+     */
+    async function writeFile(folder, filename, content) {
+        const fileHandle = await folder.getFileHandle(filename, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(content);
+        await writable.close();
+    }
+
+    /**
+     * Check whether a file exists in a folder
+     * @param {FileSystemDirectoryHandle} folder
+     * @param {string} filename
+     * @returns {Promise<boolean>}
+     */
+    async function fileExists(folder, filename) {
+        try {
+            await folder.getFileHandle(filename);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Read a file from a folder
+     * @param {FileSystemDirectoryHandle} folder
+     * @param {string} filename
+     * @returns {Promise<File|null>} The file, or null if it doesn't exist
+     */
+    async function readFile(folder, filename) {
+        try {
+            return await (await folder.getFileHandle(filename)).getFile();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether two blobs hold the same bytes
+     * @param {Blob} a
+     * @param {Blob} b
+     * @returns {Promise<boolean>}
+     */
+    async function sameContent(a, b) {
+        if (a.size !== b.size) return false;
+
+        const [bytesA, bytesB] = await Promise.all([a.arrayBuffer(), b.arrayBuffer()]);
+        const viewA = new Uint8Array(bytesA);
+        const viewB = new Uint8Array(bytesB);
+        for (let i = 0; i < viewA.length; i++) {
+            if (viewA[i] !== viewB[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Build the question asked before existing files are overwritten
+     * @param {Array<string>} paths - Paths relative to the site folder
+     * @param {string} rootName
+     * @returns {string}
+     */
+    function describeConflicts(paths, rootName) {
+        const listed = paths.slice(0, MAX_LISTED).join(', ') +
+            (paths.length > MAX_LISTED ? ` and ${paths.length - MAX_LISTED} more` : '');
+        return paths.length === 1
+            ? `${listed} already exists in ${rootName}. Overwrite it?`
+            : `${listed} already exist in ${rootName}. Overwrite them?`;
+    }
+
+    /**
+     * Publish the current post into the site folder (or download it)
+     */
+    async function publish() {
+        const details = Export.getPostDetails();
+        if (!details.title || !details.title.trim()) {
+            showToast('Please enter a title first', 'error');
+            return;
+        }
+
+        const metadata = Export.getMetadata();
+        const slug = Export.generateFilename(metadata.title);
+        const folderName = POST_FOLDERS[metadata.type] || POST_FOLDERS.article;
+        const filename = slug + '.html';
+
+        try {
+            if (!isSupported()) {
+                await downloadPost(slug, folderName);
+                return;
+            }
+
+            const root = await getWritableFolder();
+            if (!root) return;
+
+            const postFolder = await root.getDirectoryHandle(folderName, { create: true });
+            const { markdown, images } = EmbeddedImages.extract(Editor.getContent(), slug, `../${IMAGES_FOLDER}/`);
+            const imagesFolder = images.length > 0
+                ? await root.getDirectoryHandle(IMAGES_FOLDER, { create: true })
+                : null;
+
+            // Images already published unchanged are left alone; any other
+            // existing file is only replaced if the user agrees
+            const conflicts = [];
+            if (await fileExists(postFolder, filename)) conflicts.push(`${folderName}/${filename}`);
+            const changedImages = [];
+            for (const image of images) {
+                const existing = await readFile(imagesFolder, image.filename);
+                if (existing && await sameContent(existing, image.blob)) continue;
+                if (existing) conflicts.push(`${IMAGES_FOLDER}/${image.filename}`);
+                changedImages.push(image);
+            }
+            if (conflicts.length > 0 && !confirm(describeConflicts(conflicts, root.name))) {
+                return;
+            }
+
+            showToast('Publishing...', 'info');
+            const html = await Export.generateHtml(markdown);
+
+            for (const image of changedImages) {
+                await writeFile(imagesFolder, image.filename, image.blob);
+            }
+            await writeFile(postFolder, filename, html);
+
+            const imageNote = changedImages.length > 0 ? ` and ${changedImages.length} image(s)` : '';
+            showToast(`Published ${folderName}/${filename}${imageNote}`, 'success');
+            Export.notifyExport('publish', `${folderName}/${filename}`);
+
+            if (siteModal && siteModal.style.display === 'flex') renderPosts();
+        } catch (error) {
+            console.error('SiteFolder: Publish failed', error);
+            showToast('Publish failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Fallback for browsers without folder access: download the post and its images
+     * @param {string} slug
+     * @param {string} folderName - Folder the post belongs in
+     */
+    async function downloadPost(slug, folderName) {
+        const { markdown, images } = EmbeddedImages.extract(Editor.getContent(), slug, `../${IMAGES_FOLDER}/`);
+        const html = await Export.generateHtml(markdown);
+        const filename = slug + '.html';
+
+        Export.downloadFile(html, filename, 'text/html');
+        images.forEach(image => {
+            Export.downloadFile(image.blob, image.filename, image.blob.type);
+        });
+
+        const imageNote = images.length > 0 ? ` and the images into ${IMAGES_FOLDER}/` : '';
+        showToast(`Downloaded ${filename}. Move it into ${folderName}/${imageNote}`, 'success');
+        Export.notifyExport('html', filename);
+    }
+
+    /**
+     * List the posts already in the site folder
+     * @returns {Promise<Array<{type: string, slug: string, path: string, title: string, lastModified: number}>>}
+     */
+    async function listPosts() {
+        if (!rootHandle || await rootHandle.queryPermission({ mode: 'read' }) !== 'granted') {
+            return [];
+        }
+
+        const posts = [];
+        for (const [type, folderName] of Object.entries(POST_FOLDERS)) {
+            let folder;
+            try {
+                folder = await rootHandle.getDirectoryHandle(folderName);
+            } catch (e) {
+                continue; // Folder not created yet
+            }
+
+            for await (const [name, handle] of folder.entries()) {
+                if (handle.kind !== 'file' || !name.endsWith('.html')) continue;
+
+                const file = await handle.getFile();
+                const text = await file.text();
+                const titleMatch = text.match(/<title>([^<]*)<\/title>/i);
+
+                posts.push({
+                    type: type,
+                    slug: name.replace(/\.html$/, ''),
+                    path: `${folderName}/${name}`,
+                    title: titleMatch ? decodeEntities(titleMatch[1].trim()) : name,
+                    lastModified: file.lastModified
+                });
+            }
+        }
+
+        return posts.sort((a, b) => b.lastModified - a.lastModified);
+    }
+
+    /**
+     * Get where a post lives in the site folder
+     * @param {string} type - 'article' or 'project'
+     * @param {string} slug
+     * @returns {string} e.g. articles/my-post.html
+     */
+    function postPath(type, slug) {
+        return `${POST_FOLDERS[type] || POST_FOLDERS.article}/${slug}.html`;
+    }
+
+    /**
+     * Decode HTML entities in a title
+     * @param {string} text
+     * @returns {string}
+     */
+    function decodeEntities(text) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = text;
+        return textarea.value;
+    }
+
+    /**
+     * Render the existing posts into the panel. Never rejects: folder errors
+     * are shown in the list.
+     */
+    async function renderPosts() {
+        if (!postsList) return;
+
+        postsList.innerHTML = '';
+
+        let posts;
+        try {
+            if (rootHandle && await rootHandle.queryPermission({ mode: 'read' }) !== 'granted') {
+                // Access has to be re-granted after a reload
+                if (!(await ensurePermission(rootHandle))) {
+                    postsList.appendChild(createEmptyItem('Allow access to the site folder to list its posts.'));
+                    return;
+                }
+            }
+            posts = await listPosts();
+        } catch (error) {
+            console.error('SiteFolder: Could not list posts', error);
+            postsList.appendChild(createEmptyItem('Could not read the site folder: ' + error.message));
+            return;
+        }
+
+        if (!rootHandle) {
+            postsList.appendChild(createEmptyItem('Choose your site folder to see its posts.'));
+            return;
+        }
+        if (posts.length === 0) {
+            postsList.appendChild(createEmptyItem('No posts in articles/ or Projects/ yet.'));
+            return;
+        }
+
+        const currentSlug = Export.generateFilename(Export.getMetadata().title);
+
+        posts.forEach(post => {
+            const item = document.createElement('li');
+            item.className = 'site-post-item' + (post.slug === currentSlug ? ' current' : '');
+
+            const title = document.createElement('span');
+            title.className = 'site-post-title';
+            title.textContent = post.title;
+
+            const meta = document.createElement('span');
+            meta.className = 'site-post-meta';
+            meta.textContent = `${post.path} · ${new Date(post.lastModified).toLocaleString()}`;
+            if (post.slug === currentSlug) meta.textContent += ' · This post';
+
+            const info = document.createElement('div');
+            info.className = 'draft-info';
+            info.append(title, meta);
+
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'btn-smart-small';
+            editBtn.textContent = '✏️ Edit';
+            editBtn.title = 'Load this post into the editor';
+            editBtn.addEventListener('click', () => editPost(post));
+
+            item.append(info, editBtn);
+            postsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Load a published post from the site folder into the editor
+     * @param {Object} post - Entry from listPosts()
+     */
+    async function editPost(post) {
+        if (Editor.getContent().trim() &&
+            !confirm(`Load ${post.path}? Current content will be replaced (it stays in the revision history).`)) {
+            return;
+        }
+
+        try {
+            const [folderName, filename] = post.path.split('/');
+            const folder = await rootHandle.getDirectoryHandle(folderName);
+            const file = await (await folder.getFileHandle(filename)).getFile();
+
+            await HtmlImporter.importHtml(await file.text(), post.path, { type: post.type }, async (src) => {
+                const image = await resolveFile([folderName], src);
+                return image ? EmbeddedImages.blobToDataUrl(image) : null;
+            });
+            hideModal();
+        } catch (error) {
+            console.error('SiteFolder: Could not load post', error);
+            showToast('Could not load post: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Read a file from the site folder by a path relative to a folder in it
+     * @param {Array<string>} baseParts - Folder the path is relative to, e.g. ['articles']
+     * @param {string} relativePath - e.g. '../Images/photo.png'
+     * @returns {Promise<File|null>}
+     */
+    async function resolveFile(baseParts, relativePath) {
+        const parts = baseParts.slice();
+        for (const part of decodeURI(relativePath).split(/[?#]/)[0].split('/')) {
+            if (part === '..') {
+                if (parts.length === 0) return null; // Outside the site folder
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        }
+
+        try {
+            let folder = rootHandle;
+            for (const part of parts.slice(0, -1)) {
+                folder = await folder.getDirectoryHandle(part);
+            }
+            return await (await folder.getFileHandle(parts[parts.length - 1])).getFile();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Create a placeholder row for the posts list
+     * @param {string} message
+     * @returns {HTMLLIElement}
+     */
+    function createEmptyItem(message) {
+        const item = document.createElement('li');
+        item.className = 'drafts-empty';
+        item.textContent = message;
+        return item;
+    }
+
+    /**
+     * Show the site folder panel
+     */
+    function showModal() {
+        if (!siteModal) return;
+
+        updateFolderLabel();
+        siteModal.style.display = 'flex';
+        renderPosts();
+    }
+
+    /**
+     * Hide the site folder panel
+     */
+    function hideModal() {
+        if (siteModal) {
+            siteModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        isSupported,
+        chooseFolder,
+        publish,
+        listPosts,
+        postPath,
+        getFolderName: () => (rootHandle ? rootHandle.name : null)
+    };
+})();
@@ -0,0 +1,260 @@
+/**
+ * Smart Lists Module
+ * List-aware editing for the Markdown textarea: Enter continues or ends a
+ * list item, Tab/Shift+Tab indent or outdent whole blocks, and ordered
+ * lists are renumbered after every change.
+ *
+ * All functions work on plain text and return the edit to apply, so the
+ * editor stays in charge of the textarea and undo history.
+ */
+
+const SmartLists = (function () {
+    const INDENT = '    ';
+
+    // Indent, marker, spacing, optional task box, content
+    const ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])(\s+)(\[[ xX]\]\s+)?(.*)$/;
+    const ORDERED_PATTERN = /^(\s*)(\d{1,9})([.)])(?=\s)/;
+
+    /**
+     * Parse a list item line
+     * @param {string} line
+     * @returns {{indent: string, marker: string, spacing: string, task: string, content: string}|null}
+     */
+    function parseItem(line) {
+        const match = line.match(ITEM_PATTERN);
+        if (!match) return null;
+        return {
+            indent: match[1],
+            marker: match[2],
+            spacing: match[3],
+            task: match[4] || '',
+            content: match[5]
+        };
+    }
+
+    /**
+     * Check whether an offset lies inside fenced code
+     * @param {string} value
+     * @param {number} offset
+     * @returns {boolean}
+     */
+    function isInFencedCode(value, offset) {
+        return MarkdownHighlighter.findFencedBlocks(value)
+            .some(block => offset > block.from && offset <= block.to);
+    }
+
+    /**
+     * Work out what Enter should do in a list item
+     * @param {string} value - Editor text
+     * @param {number} start - Selection start
+     * @param {number} end - Selection end
+     * @returns {{from: number, to: number, text: string, selectionStart: number, selectionEnd: number}|null}
+     *          Edit to apply, or null to let Enter behave normally
+     */
+    function continueList(value, start, end) {
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        let lineEnd = value.indexOf('\n', end);
+        if (lineEnd === -1) lineEnd = value.length;
+
+        const item = parseItem(value.substring(lineStart, lineEnd));
+        if (!item || isInFencedCode(value, start)) return null;
+
+        // Enter inside the marker itself is plain typing
+        const contentStart = lineStart + item.indent.length + item.marker.length + item.spacing.length + item.task.length;
+        if (start < contentStart) return null;
+
+        // Enter on an empty item ends the list
+        if (item.content.trim() === '' && value.substring(end, lineEnd).trim() === '') {
+            return { from: lineStart, to: lineEnd, text: '', selectionStart: lineStart, selectionEnd: lineStart };
+        }
+
+        let marker = item.marker;
+        const ordered = marker.match(/^(\d+)([.)])$/);
+        if (ordered) {
+            marker = (parseInt(ordered[1], 10) + 1) + ordered[2];
+        }
+
+        const task = item.task ? '[ ] ' : '';
+        const text = '\n' + item.indent + marker + item.spacing + task;
+        const caret = start + text.length;
+        return { from: start, to: end, text, selectionStart: caret, selectionEnd: caret };
+    }
+
+    /**
+     * Find the lines a block edit applies to: every selected line, and for a
+     * caret on a list item, that item with its nested lines
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {{from: number, to: number}}
+     */
+    function blockRange(value, start, end) {
+        const from = value.lastIndexOf('\n', start - 1) + 1;
+        // A selection ending at the start of a line doesn't include that line
+        const last = end > start && value[end - 1] === '\n' ? end - 1 : end;
+        let to = value.indexOf('\n', last);
+        if (to === -1) to = value.length;
+
+        if (start !== end) return { from, to };
+
+        const item = parseItem(value.substring(from, to));
+        if (!item) return { from, to };
+
+        // Take along following lines indented deeper than the item
+        while (to < value.length) {
+            let next = value.indexOf('\n', to + 1);
+            if (next === -1) next = value.length;
+            const line = value.substring(to + 1, next);
+
+            if (line.trim() === '') {
+                // Blank lines belong to the item only if nested content follows
+                const rest = value.substring(next + 1).match(/^(?:[ \t]*\n)*([ \t]*)\S/);
+                if (!rest || rest[1].length <= item.indent.length) break;
+            } else if (line.match(/^\s*/)[0].length <= item.indent.length) {
+                break;
+            }
+            to = next;
+        }
+
+        return { from, to };
+    }
+
+    /**
+     * Indent or outdent a block of lines
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @param {boolean} outdent
+     * @returns {{from: number, to: number, text: string, selectionStart: number, selectionEnd: number}|null}
+     *          Edit to apply, or null when nothing changes
+     */
+    function indentLines(value, start, end, outdent) {
+        const range = blockRange(value, start, end);
+        const lines = value.substring(range.from, range.to).split('\n');
+
+        let offset = range.from;
+        let selectionStart = start;
+        let selectionEnd = end;
+
+        const changed = lines.map(line => {
+            let result;
+            if (outdent) {
+                result = line.replace(/^( {1,4}|\t)/, '');
+            } else {
+                // Leave blank lines alone
+                result = line.trim() === '' ? line : INDENT + line;
+            }
+
+            // A moved numbered item restarts at 1; renumbering then fits it into its new list
+            if (result !== line) {
+                result = result.replace(ORDERED_PATTERN, (match, indent, number, delimiter) => indent + '1' + delimiter);
+            }
+            const delta = result.length - line.length;
+
+            // Move the selection with the text it sits in
+            if (start > offset) selectionStart += Math.max(delta, offset - start);
+            if (end > offset) selectionEnd += Math.max(delta, offset - end);
+
+            offset += line.length + 1;
+            return result;
+        });
+
+        const text = changed.join('\n');
+        if (text === value.substring(range.from, range.to)) return null;
+
+        return {
+            from: range.from,
+            to: range.to,
+            text,
+            selectionStart: Math.max(range.from, selectionStart),
+            selectionEnd: Math.max(range.from, selectionEnd)
+        };
+    }
+
+    /**
+     * Renumber ordered lists so items count up from each list's first number
+     * @param {string} value
+     * @param {number} selectionStart - Kept in place across the changes
+     * @param {number} selectionEnd
+     * @returns {{value: string, selectionStart: number, selectionEnd: number}|null} Null if already in order
+     */
+    function renumber(value, selectionStart, selectionEnd) {
+        if (!/^\s*\d{1,9}[.)]\s/m.test(value)) return null;
+
+        const fences = MarkdownHighlighter.findFencedBlocks(value);
+        let fence = 0;
+
+        // Open ordered lists by indent: [{indent, delimiter, next}]
+        let lists = [];
+        const changes = [];
+        let offset = 0;
+
+        value.split('\n').forEach(line => {
+            const lineStart = offset;
+            offset += line.length + 1;
+
+            while (fence < fences.length && fences[fence].to < lineStart) fence++;
+            const inFence = fence < fences.length && fences[fence].from <= lineStart;
+            if (inFence && fences[fence].from !== lineStart) return; // Code, not structure
+            if (line.trim() === '') return;
+
+            const indent = line.match(/^\s*/)[0].length;
+            const ordered = inFence ? null : line.match(ORDERED_PATTERN);
+
+            if (!ordered) {
+                // Bullets and other blocks end the ordered lists at their level and deeper
+                lists = lists.filter(list => list.indent < indent);
+                return;
+            }
+
+            lists = lists.filter(list => list.indent <= indent);
+            let list = lists[lists.length - 1];
+            const number = parseInt(ordered[2], 10);
+
+            if (!list || list.indent !== indent || list.delimiter !== ordered[3]) {
+                if (list && list.indent === indent) lists.pop();
+                list = { indent, delimiter: ordered[3], next: number };
+                lists.push(list);
+            }
+
+            if (number !== list.next) {
+                changes.push({
+                    from: lineStart + ordered[1].length,
+                    to: lineStart + ordered[1].length + ordered[2].length,
+                    text: String(list.next)
+                });
+            }
+            list.next++;
+        });
+
+        if (changes.length === 0) return null;
+
+        let result = '';
+        let position = 0;
+        let startShift = 0;
+        let endShift = 0;
+        changes.forEach(change => {
+            result += value.substring(position, change.from) + change.text;
+            position = change.to;
+
+            const delta = change.text.length - (change.to - change.from);
+            if (change.to <= selectionStart) startShift += delta;
+            if (change.to <= selectionEnd) endShift += delta;
+        });
+        result += value.substring(position);
+
+        return {
+            value: result,
+            selectionStart: selectionStart + startShift,
+            selectionEnd: selectionEnd + endShift
+        };
+    }
+
+    // Public API
+    return {
+        parseItem,
+        continueList,
+        indentLines,
+        renumber
+    };
+})();
@@ -0,0 +1,559 @@
+/**
+ * Spell Check Module
+ * Offline spell checking of the post's prose with the bundled Hunspell
+ * dictionary. Misspellings are underlined through EditorSurface decorations;
+ * inline code, fenced blocks, URLs and HTML are never checked. Right-click a
+ * misspelling for suggestions. Words added to the personal dictionary are
+ * kept in localStorage, so they travel with workspace exports.
+ */
+
+const SpellCheck = (function () {
+    const ENABLED_KEY = 'blog-editor-spellcheck';
+    const DICTIONARY_KEY = 'blog-editor-dictionary';
+    const DICTIONARY_SCRIPT = 'js/dictionaries/en-us.js';
+    const CHECK_DELAY = 300;
+
+    // Markdown and HTML that isn't prose: code, URLs, tags, link targets
+    const SKIPPED = [
+        /(`+)[\s\S]*?[^`]\1(?!`)/g, // Inline code
+        /<!--[\s\S]*?-->/g, // HTML comments
+        /<\/?[a-zA-Z][^>]*>/g, // HTML tags
+        /<[a-z]+:[^>\s]*>/gi, // Autolinks
+        /\]\([^)]*\)/g, // Link and image targets
+        /\]\[[^\]]*\]/g, // Reference link labels
+        /^ {0,3}\[[^\]]+\]:.*$/gm, // Link reference definitions
+        /\b(?:https?:\/\/|www\.|mailto:)\S+/gi, // Bare URLs
+        /\S+@\S+\.\w+/g, // Email addresses
+        /\[📷 IMAGE-COLLAPSED-[^\]]+\]/g, // Collapsed images
+        /&#?\w+;/g // HTML entities
+    ];
+
+    let textarea;
+    let toggleBtn;
+    let menu;
+    let dictionaryModal;
+
+    let enabled = true;
+    let dictionary = null;
+    let loading = null;
+    let checkTimer = null;
+
+    // Personal dictionary, words ignored this session, and results by word
+    let personalWords = new Set();
+    const ignoredWords = new Set();
+    const cache = new Map();
+
+    // Misspellings as last checked: [{from, to, word}]
+    let misspellings = [];
+
+    /**
+     * Initialize the spell check module
+     */
+    function init() {
+        textarea = document.getElementById('markdown-editor');
+        toggleBtn = document.getElementById('spellcheck-btn');
+        menu = document.getElementById('spell-menu');
+        dictionaryModal = document.getElementById('dictionary-modal');
+
+        if (!textarea || !menu || typeof EditorSurface === 'undefined') return;
+
+        loadPersonalWords();
+        setupEventListeners();
+        registerCommands();
+        setEnabled(localStorage.getItem(ENABLED_KEY) !== 'off');
+    }
+
+    /**
+     * Set up event listeners for checking and the suggestions menu
+     */
+    function setupEventListeners() {
+        toggleBtn?.addEventListener('click', () => setEnabled(!enabled));
+
+        document.addEventListener('editor:update', scheduleCheck);
+        document.addEventListener('draft:switched', scheduleCheck);
+
+        // The word being typed isn't marked until the caret leaves it
+        ['keyup', 'mouseup', 'blur'].forEach(eventName => {
+            textarea.addEventListener(eventName, () => {
+                if (enabled && dictionary) render();
+            });
+        });
+
+        textarea.addEventListener('contextmenu', (e) => {
+            const misspelling = misspellingAt(textarea.selectionStart);
+            if (!misspelling) return; // Browser menu for everything else
+
+            e.preventDefault();
+            showMenu(misspelling, e.clientX, e.clientY);
+        });
+
+        menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-spell-action]');
+            if (item) runMenuAction(item);
+        });
+        menu.addEventListener('keydown', handleMenuKeydown);
+        document.addEventListener('mousedown', (e) => {
+            if (!menu.contains(e.target)) hideMenu();
+        });
+        textarea.addEventListener('scroll', hideMenu);
+        window.addEventListener('resize', hideMenu);
+
+        // A workspace import may bring its own personal dictionary
+        document.addEventListener('workspace:imported', (e) => {
+            if (!e.detail.settings) return;
+            loadPersonalWords();
+            scheduleCheck();
+        });
+
+        if (dictionaryModal) {
+            document.getElementById('close-dictionary')?.addEventListener('click', hideDictionary);
+            dictionaryModal.addEventListener('click', (e) => {
+                if (e.target === dictionaryModal) hideDictionary();
+            });
+            document.getElementById('dictionary-form')?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = document.getElementById('dictionary-word');
+                if (addWord(input.value)) input.value = '';
+                renderDictionary();
+            });
+            document.getElementById('dictionary-list')?.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-remove-word]');
+                if (!button) return;
+                removeWord(button.dataset.removeWord);
+                renderDictionary();
+            });
+        }
+    }
+
+    /**
+     * Add spell check commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        const hasMisspellings = () => enabled && misspellings.length > 0;
+
+        CommandPalette.register([
+            { id: 'spell.toggle', title: 'Toggle Spell Check', category: 'Spelling', keywords: 'spelling typos dictionary underline', run: () => setEnabled(!enabled) },
+            { id: 'spell.next', title: 'Next Misspelling', category: 'Spelling', shortcut: 'F7', keywords: 'typo spelling jump', run: nextMisspelling, isAvailable: hasMisspellings },
+            { id: 'spell.suggest', title: 'Spelling Suggestions', category: 'Spelling', keywords: 'correct typo replace', run: suggestAtCaret, isAvailable: () => enabled && !!misspellingAt(textarea.selectionStart) },
+            { id: 'spell.dictionary', title: 'Personal Dictionary', category: 'Spelling', keywords: 'custom words terms add remove', run: showDictionary }
+        ]);
+    }
+
+    /**
+     * Turn spell checking on or off
+     * @param {boolean} enable
+     */
+    function setEnabled(enable) {
+        enabled = enable;
+        localStorage.setItem(ENABLED_KEY, enable ? 'on' : 'off');
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', enable);
+            toggleBtn.title = enable ? 'Spell check is on' : 'Spell check is off';
+        }
+
+        if (enable) {
+            loadDictionary().then(check).catch(() => { });
+        } else {
+            clearTimeout(checkTimer);
+            misspellings = [];
+            EditorSurface.clearDecorations('spellcheck');
+            hideMenu();
+        }
+    }
+
+    /**
+     * Load the bundled dictionary on first use
+     * @returns {Promise<Object>} The Hunspell dictionary
+     */
+    function loadDictionary() {
+        if (dictionary) return Promise.resolve(dictionary);
+        if (loading) return loading;
+
+        loading = new Promise((resolve, reject) => {
+            if (typeof EnglishDictionary !== 'undefined') {
+                resolve();
+                return;
+            }
+            // A script rather than fetch() so it loads from file:// too
+            const script = document.createElement('script');
+            script.src = DICTIONARY_SCRIPT;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Could not load ${DICTIONARY_SCRIPT}`));
+            document.head.appendChild(script);
+        }).then(() => {
+            dictionary = Hunspell.create(EnglishDictionary.aff, EnglishDictionary.dic);
+            return dictionary;
+        }).catch(error => {
+            console.error('Failed to load the spelling dictionary:', error);
+            showToast('Could not load the spelling dictionary', 'error');
+            loading = null;
+            throw error;
+        });
+        return loading;
+    }
+
+    /**
+     * Check again shortly after the last change
+     */
+    function scheduleCheck() {
+        if (!enabled) return;
+        clearTimeout(checkTimer);
+        checkTimer = setTimeout(() => {
+            loadDictionary().then(check).catch(() => { });
+        }, CHECK_DELAY);
+    }
+
+    /**
+     * Check the whole post and mark its misspellings
+     */
+    function check() {
+        if (!enabled || !dictionary) return;
+
+        misspellings = findWords(textarea.value).filter(entry => !isCorrect(entry.word));
+        render();
+    }
+
+    /**
+     * Mark the misspellings, except one the caret is at the end of
+     */
+    function render() {
+        const typing = document.activeElement === textarea && textarea.selectionStart === textarea.selectionEnd
+            ? textarea.selectionStart
+            : -1;
+
+        EditorSurface.setDecorations('spellcheck', misspellings
+            .filter(entry => entry.to !== typing)
+            .map(entry => ({ from: entry.from, to: entry.to, className: 'cm-misspelled' })));
+    }
+
+    /**
+     * Find the words of the prose in a markdown document
+     * @param {string} value
+     * @returns {Array<{from: number, to: number, word: string}>}
+     */
+    function findWords(value) {
+        const skipped = MarkdownHighlighter.findFencedBlocks(value).map(block => [block.from, block.to]);
+        SKIPPED.forEach(pattern => {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(value)) !== null) {
+                skipped.push([match.index, match.index + match[0].length]);
+            }
+        });
+        skipped.sort((a, b) => a[0] - b[0]);
+
+        const found = [];
+        const wordPattern = /[\p{L}\p{M}\p{N}_'’]+/gu;
+        let next = 0; // First skipped range that may still cover a word
+        let match;
+
+        while ((match = wordPattern.exec(value)) !== null) {
+            // Trim quotes used as quotation marks
+            const leading = match[0].match(/^['’]*/)[0].length;
+            const word = match[0].substring(leading).replace(/['’]+$/, '');
+            const from = match.index + leading;
+            const to = from + word.length;
+
+            while (next < skipped.length && skipped[next][1] <= from) next++;
+            let covered = false;
+            for (let i = next; i < skipped.length && skipped[i][0] < to && !covered; i++) {
+                covered = skipped[i][1] > from;
+            }
+
+            if (!covered && isCheckable(word, value[match.index - 1], value[match.index + match[0].length], value[match.index + match[0].length + 1])) {
+                found.push({ from, to, word });
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Decide whether a word is prose worth checking, rather than an
+     * identifier, number, file name or path
+     * @param {string} word
+     * @param {string} before - Character before the word
+     * @param {string} after - Character after the word
+     * @param {string} afterNext - Character after that
+     * @returns {boolean}
+     */
+    function isCheckable(word, before, after, afterNext) {
+        if (word.length < 2) return false;
+        if (/[\p{N}_]/u.test(word)) return false;
+        if (/\p{Ll}\p{Lu}/u.test(word)) return false; // camelCase
+        if (before === '/' || before === '\\' || before === '@' || before === '.') return false;
+        if (after === '/' || after === '\\' || after === '@') return false;
+        if (after === '.' && afterNext && /[\p{L}\p{N}]/u.test(afterNext)) return false; // file.ext, example.com
+        return true;
+    }
+
+    /**
+     * Check a word against the dictionary and the personal words
+     * @param {string} word
+     * @returns {boolean}
+     */
+    function isCorrect(word) {
+        if (personalWords.has(word) || personalWords.has(word.toLowerCase()) || ignoredWords.has(word)) return true;
+
+        if (!cache.has(word)) cache.set(word, dictionary.check(word));
+        return cache.get(word);
+    }
+
+    /**
+     * Find the misspelling at an offset
+     * @param {number} offset
+     * @returns {Object|undefined}
+     */
+    function misspellingAt(offset) {
+        if (!enabled) return undefined;
+        return misspellings.find(entry => entry.from <= offset && offset <= entry.to &&
+            textarea.value.substring(entry.from, entry.to) === entry.word);
+    }
+
+    /**
+     * Open the suggestions menu for a misspelling
+     * @param {{from: number, to: number, word: string}} misspelling
+     * @param {number} x - Viewport position
+     * @param {number} y
+     */
+    function showMenu(misspelling, x, y) {
+        const suggestions = dictionary.suggest(misspelling.word);
+        const word = escapeHtml(misspelling.word);
+
+        menu.innerHTML = (suggestions.length > 0
+            ? suggestions.map(suggestion =>
+                `<button type="button" class="spell-menu-item spell-suggestion" data-spell-action="replace" data-word="${escapeHtml(suggestion)}">${escapeHtml(suggestion)}</button>`
+            ).join('')
+            : '<div class="spell-menu-empty">No suggestions</div>') +
+            '<div class="spell-menu-separator"></div>' +
+            `<button type="button" class="spell-menu-item" data-spell-action="add">Add “${word}” to dictionary</button>` +
+            '<button type="button" class="spell-menu-item" data-spell-action="ignore">Ignore</button>';
+
+        menu.dataset.from = misspelling.from;
+        menu.dataset.to = misspelling.to;
+        menu.dataset.word = misspelling.word;
+        menu.style.display = 'block';
+
+        // Keep the menu on screen
+        const rect = menu.getBoundingClientRect();
+        menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - rect.width - 8))}px`;
+        menu.style.top = `${Math.max(0, y + rect.height > window.innerHeight ? y - rect.height : y)}px`;
+
+        menu.querySelector('.spell-menu-item')?.focus();
+    }
+
+    /**
+     * Close the suggestions menu
+     */
+    function hideMenu() {
+        if (menu.style.display === 'none') return;
+        menu.style.display = 'none';
+    }
+
+    /**
+     * Apply the chosen menu entry
+     * @param {HTMLElement} item
+     */
+    function runMenuAction(item) {
+        const from = Number(menu.dataset.from);
+        const to = Number(menu.dataset.to);
+        const word = menu.dataset.word;
+        hideMenu();
+
+        // The text may have changed since the menu opened
+        if (textarea.value.substring(from, to) !== word) return;
+
+        switch (item.dataset.spellAction) {
+            case 'replace': {
+                const replacement = item.dataset.word;
+                textarea.focus();
+                Editor.replaceRange(from, to, replacement, from + replacement.length);
+                break;
+            }
+            case 'add':
+                addWord(word);
+                textarea.focus();
+                break;
+            case 'ignore':
+                ignoredWords.add(word);
+                check();
+                textarea.focus();
+                break;
+        }
+    }
+
+    /**
+     * Move between menu entries with the arrow keys
+     * @param {KeyboardEvent} e
+     */
+    function handleMenuKeydown(e) {
+        const items = Array.from(menu.querySelectorAll('.spell-menu-item'));
+        const index = items.indexOf(document.activeElement);
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            hideMenu();
+            textarea.focus();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + step + items.length) % items.length]?.focus();
+        } else if (e.key === 'Tab') {
+            hideMenu();
+        }
+    }
+
+    /**
+     * Open the suggestions menu for the misspelling at the caret
+     */
+    function suggestAtCaret() {
+        const misspelling = misspellingAt(textarea.selectionStart);
+        if (!misspelling) {
+            showToast('No misspelling at the cursor', 'info');
+            return;
+        }
+
+        const rect = textarea.getBoundingClientRect();
+        const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+        const y = rect.top + EditorSurface.offsetTop(misspelling.from) - textarea.scrollTop + lineHeight;
+        showMenu(misspelling, rect.left + rect.width / 4, Math.min(y, rect.bottom));
+    }
+
+    /**
+     * Select the next misspelling after the caret, wrapping around
+     */
+    function nextMisspelling() {
+        if (misspellings.length === 0) {
+            showToast('No misspellings found', 'success');
+            return;
+        }
+
+        const caret = textarea.selectionEnd;
+        const next = misspellings.find(entry => entry.from >= caret) || misspellings[0];
+        textarea.focus();
+        textarea.setSelectionRange(next.from, next.to);
+        EditorSurface.scrollToOffset(next.from);
+    }
+
+    /**
+     * Read the personal dictionary from localStorage
+     */
+    function loadPersonalWords() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(DICTIONARY_KEY) || '[]');
+            personalWords = new Set(Array.isArray(saved) ? saved : []);
+        } catch (e) {
+            console.warn('SpellCheck: Ignoring unreadable personal dictionary:', e);
+            personalWords = new Set();
+        }
+    }
+
+    /**
+     * Save the personal dictionary to localStorage
+     */
+    function savePersonalWords() {
+        const sorted = Array.from(personalWords).sort((a, b) => a.localeCompare(b));
+        localStorage.setItem(DICTIONARY_KEY, JSON.stringify(sorted));
+    }
+
+    /**
+     * Add a word to the personal dictionary
+     * @param {string} word
+     * @returns {boolean} True if added
+     */
+    function addWord(word) {
+        const trimmed = String(word).trim();
+        if (!trimmed || /\s/.test(trimmed)) {
+            if (trimmed) showToast('Add one word at a time', 'error');
+            return false;
+        }
+        if (personalWords.has(trimmed)) return false;
+
+        personalWords.add(trimmed);
+        savePersonalWords();
+        showToast(`Added "${trimmed}" to the dictionary`, 'success');
+        check();
+        return true;
+    }
+
+    /**
+     * Remove a word from the personal dictionary
+     * @param {string} word
+     */
+    function removeWord(word) {
+        if (!personalWords.delete(word)) return;
+        savePersonalWords();
+        check();
+    }
+
+    /**
+     * Open the personal dictionary
+     */
+    function showDictionary() {
+        if (!dictionaryModal) return;
+        renderDictionary();
+        dictionaryModal.style.display = 'flex';
+        document.getElementById('dictionary-word')?.focus();
+    }
+
+    /**
+     * Close the personal dictionary
+     */
+    function hideDictionary() {
+        dictionaryModal.style.display = 'none';
+    }
+
+    /**
+     * Render the personal dictionary's words
+     */
+    function renderDictionary() {
+        const list = document.getElementById('dictionary-list');
+        if (!list) return;
+
+        const words = Array.from(personalWords).sort((a, b) => a.localeCompare(b));
+        list.innerHTML = words.length === 0
+            ? '<li class="drafts-empty">No words yet. Right-click an underlined word and choose "Add to dictionary".</li>'
+            : words.map(word => `
+                <li class="draft-item">
+                    <span class="draft-name">${escapeHtml(word)}</span>
+                    <button type="button" class="btn-smart-small" data-remove-word="${escapeHtml(word)}"
+                        title="Remove from the dictionary">Remove</button>
+                </li>
+            `).join('');
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        findWords,
+        isEnabled: () => enabled
+    };
+})();
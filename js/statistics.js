@@ -0,0 +1,562 @@
+/**
+ * Statistics Module
+ * Writing statistics for the post, opened from the word count: word counts
+ * per section, sentence and paragraph length distributions, Flesch reading
+ * ease and grade level, the most repeated words, how much of the post is
+ * code, and the draft's word count over time. Counts cover prose only —
+ * code blocks, inline code and embedded image data are left out.
+ */
+
+const Statistics = (function () {
+    const WORDS_PER_MINUTE = 200;
+    const TOP_WORDS = 12;
+    const HISTORY_DAYS = 30;
+
+    const SENTENCE_BUCKETS = [
+        { label: '1–10', max: 10 },
+        { label: '11–20', max: 20 },
+        { label: '21–30', max: 30 },
+        { label: '31–40', max: 40 },
+        { label: '41+', max: Infinity }
+    ];
+
+    const PARAGRAPH_BUCKETS = [
+        { label: '1–25', max: 25 },
+        { label: '26–50', max: 50 },
+        { label: '51–100', max: 100 },
+        { label: '101–150', max: 150 },
+        { label: '151+', max: Infinity }
+    ];
+
+    // Left out of the repeated words
+    const STOP_WORDS = new Set((
+        'a an and are as at be been but by can could did do does for from had has have he her his how i if in ' +
+        'into is it its just me more my no not of on or our out so some than that the their them then there ' +
+        'these they this those to too up us was we were what when which who why will with would you your ' +
+        'about after all also any because before being both each few here most much only other over own same ' +
+        'she should such through under very while may might must shall one two get got use used using like'
+    ).split(' '));
+
+    const HEADING = /^\s{0,3}#{1,6}\s+/;
+    const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/;
+    const THEMATIC_BREAK = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+    const LINK_DEFINITION = /^\s*\[[^\]]+\]:\s/;
+    const TABLE_DELIMITER = /^\s*\|?\s*:?-{3,}/;
+
+    let modal;
+    let body;
+
+    /**
+     * Initialize the statistics module
+     */
+    function init() {
+        modal = document.getElementById('statistics-modal');
+        body = document.getElementById('statistics-body');
+
+        if (!modal || !body) return;
+
+        setupEventListeners();
+        registerCommands();
+    }
+
+    /**
+     * Set up event listeners for the statistics panel
+     */
+    function setupEventListeners() {
+        const wordCount = document.getElementById('word-count');
+        if (wordCount) {
+            wordCount.addEventListener('click', show);
+            wordCount.title = 'Show writing statistics';
+        }
+
+        document.getElementById('close-statistics')?.addEventListener('click', hide);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) hide();
+        });
+    }
+
+    /**
+     * Add statistics commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        CommandPalette.register({
+            id: 'view.statistics', title: 'Writing Statistics', category: 'View',
+            keywords: 'word count readability flesch grade sentences paragraphs history', run: show
+        });
+    }
+
+    /**
+     * Split markdown into prose and code, dropping embedded image data
+     * @param {string} markdown
+     * @returns {{prose: string, code: Array<string>, codeBlocks: number}} Prose keeps
+     *          its line and blank line structure; code holds each code block and span
+     */
+    function separateCode(markdown) {
+        const code = [];
+        let prose = '';
+        let offset = 0;
+
+        const blocks = MarkdownHighlighter.findFencedBlocks(markdown);
+        blocks.forEach(block => {
+            prose += markdown.substring(offset, block.from);
+            code.push(markdown.substring(block.from, block.to).split('\n').slice(1, -1).join('\n'));
+            offset = block.to;
+        });
+        prose += markdown.substring(offset);
+
+        prose = prose
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[📷 IMAGE-COLLAPSED-[^\]]+\]/g, '')
+            .replace(/<img[^>]*>/gi, '')
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, span) => {
+                code.push(span);
+                return '';
+            });
+
+        return { prose, code, codeBlocks: blocks.length };
+    }
+
+    /**
+     * Reduce a line of markdown to its words
+     * @param {string} line
+     * @returns {string}
+     */
+    function plainText(line) {
+        return line
+            .replace(HEADING, '')
+            .replace(/\s#+\s*$/, '')
+            .replace(/^\s*(?:>\s*)+/, '')
+            .replace(LIST_ITEM, '')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+            .replace(/<https?:[^>]*>/g, '')
+            .replace(/<\/?[a-z][^>]*>/gi, '')
+            .replace(/\|/g, ' ')
+            .replace(/[*~]+/g, '')
+            .replace(/(^|\W)_+|_+(?=\W|$)/g, '$1');
+    }
+
+    /**
+     * Get the words of plain text
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    function wordsOf(text) {
+        return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word));
+    }
+
+    /**
+     * Check whether a line is pure markup: a rule, link definition or table delimiter row
+     * @param {string} line
+     * @returns {boolean}
+     */
+    function isMarkupLine(line) {
+        return THEMATIC_BREAK.test(line) || LINK_DEFINITION.test(line) || TABLE_DELIMITER.test(line);
+    }
+
+    /**
+     * Count the prose words of markdown, leaving out code and image data
+     * @param {string} markdown
+     * @returns {number}
+     */
+    function countWords(markdown) {
+        const lines = separateCode(markdown).prose.split('\n').filter(line => !isMarkupLine(line));
+        return wordsOf(lines.map(plainText).join('\n')).length;
+    }
+
+    /**
+     * Estimate how long a text takes to read
+     * @param {number} words - Prose words
+     * @returns {number} Minutes, at least one
+     */
+    function readingMinutes(words) {
+        return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+    }
+
+    /**
+     * Estimate the syllables of an English word
+     * @param {string} word
+     * @returns {number}
+     */
+    function countSyllables(word) {
+        let letters = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (!letters) return 1; // Numbers and non-Latin words count as one
+        if (letters.length <= 3) return 1;
+
+        letters = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+        const groups = letters.match(/[aeiouy]{1,2}/g);
+        return groups ? groups.length : 1;
+    }
+
+    /**
+     * Split a paragraph into sentences. List items end a sentence even
+     * without a full stop.
+     * @param {Array<string>} lines - Raw markdown lines of the paragraph
+     * @returns {Array<number>} Word count of each sentence
+     */
+    function sentenceLengths(lines) {
+        const items = [];
+        lines.forEach(line => {
+            if (LIST_ITEM.test(line) || items.length === 0) {
+                items.push(plainText(line));
+            } else {
+                items[items.length - 1] += ' ' + plainText(line);
+            }
+        });
+
+        const lengths = [];
+        items.forEach(item => {
+            item.split(/[.!?…]+["')\]”’]*(?=\s|$)/).forEach(sentence => {
+                const words = wordsOf(sentence).length;
+                if (words > 0) lengths.push(words);
+            });
+        });
+        return lengths;
+    }
+
+    /**
+     * Compute the statistics of a post
+     * @param {string} markdown
+     * @returns {Object} Counts, distributions, readability and sections
+     */
+    function analyze(markdown) {
+        const { prose, code, codeBlocks } = separateCode(markdown);
+
+        const sentences = [];
+        const paragraphs = [];
+        const proseWords = [];
+        let readableWords = [];
+
+        prose.split(/\n[ \t]*\n/).forEach(block => {
+            const lines = block.split('\n').filter(line => line.trim());
+            const text = [];
+
+            // Headings, rules, tables and link definitions aren't paragraphs
+            const paragraphLines = [];
+            lines.forEach(line => {
+                if (isMarkupLine(line)) return;
+                text.push(plainText(line));
+                if (!HEADING.test(line) && !line.trim().startsWith('|')) paragraphLines.push(line);
+            });
+
+            proseWords.push(...wordsOf(text.join(' ')));
+
+            if (paragraphLines.length > 0) {
+                const words = wordsOf(paragraphLines.map(plainText).join(' '));
+                if (words.length === 0) return;
+                paragraphs.push(words.length);
+                sentences.push(...sentenceLengths(paragraphLines));
+                readableWords = readableWords.concat(words);
+            }
+        });
+
+        const codeWords = code.reduce((sum, part) => sum + wordsOf(part).length, 0);
+        const syllables = readableWords.reduce((sum, word) => sum + countSyllables(word), 0);
+
+        let readingEase = null;
+        let gradeLevel = null;
+        if (sentences.length > 0 && readableWords.length > 0) {
+            const wordsPerSentence = readableWords.length / sentences.length;
+            const syllablesPerWord = syllables / readableWords.length;
+            readingEase = 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord;
+            gradeLevel = Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59);
+        }
+
+        return {
+            words: proseWords.length,
+            characters: proseWords.join(' ').length,
+            readingMinutes: readingMinutes(proseWords.length),
+            sentences,
+            paragraphs,
+            readingEase,
+            gradeLevel,
+            codeWords,
+            codeBlocks,
+            codeSpans: code.length - codeBlocks,
+            sections: sectionCounts(markdown),
+            repeated: repeatedWords(proseWords)
+        };
+    }
+
+    /**
+     * Count the prose words under each heading, not counting subsections
+     * @param {string} markdown
+     * @returns {Array<{level: number, text: string, words: number}>}
+     */
+    function sectionCounts(markdown) {
+        if (typeof Outline === 'undefined') return [];
+
+        const sections = Outline.parse(markdown);
+        const counts = sections.map((section, i) => {
+            const end = i + 1 < sections.length ? sections[i + 1].from : markdown.length;
+            return { level: section.level, text: section.text, words: countWords(markdown.substring(section.bodyFrom, end)) };
+        });
+
+        // Text before the first heading
+        const intro = countWords(markdown.substring(0, sections.length > 0 ? sections[0].from : markdown.length));
+        if (intro > 0) counts.unshift({ level: 0, text: 'Introduction', words: intro });
+        return counts;
+    }
+
+    /**
+     * Find the most used words, leaving out common ones
+     * @param {Array<string>} words
+     * @returns {Array<{word: string, count: number}>}
+     */
+    function repeatedWords(words) {
+        const counts = new Map();
+        words.forEach(raw => {
+            const word = raw.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').replace(/['’]s$/, '');
+            if (word.length < 3 || STOP_WORDS.has(word) || /^\d+$/.test(word)) return;
+            counts.set(word, (counts.get(word) || 0) + 1);
+        });
+
+        return Array.from(counts, ([word, count]) => ({ word, count }))
+            .filter(entry => entry.count > 1)
+            .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+            .slice(0, TOP_WORDS);
+    }
+
+    /**
+     * Describe a Flesch reading ease score
+     * @param {number} score
+     * @returns {string}
+     */
+    function describeEase(score) {
+        if (score >= 90) return 'Very easy';
+        if (score >= 80) return 'Easy';
+        if (score >= 70) return 'Fairly easy';
+        if (score >= 60) return 'Plain English';
+        if (score >= 50) return 'Fairly difficult';
+        if (score >= 30) return 'Difficult';
+        return 'Very difficult';
+    }
+
+    /**
+     * Get the draft's word count per day: the last count of each day, from
+     * the draft's saves and its revisions
+     * @returns {Promise<Array<{day: string, at: number, words: number}>>} Oldest first
+     */
+    async function loadHistory() {
+        const draftId = typeof Drafts !== 'undefined' ? Drafts.getCurrentDraftId() : null;
+        if (!draftId || !Database.isSupported()) return [];
+
+        const points = [];
+        try {
+            const draft = await Database.get('drafts', draftId);
+            if (draft && draft.wordHistory) points.push(...draft.wordHistory);
+
+            if (typeof Revisions !== 'undefined') {
+                const revisions = await Revisions.listForDraft(draftId);
+                revisions.forEach(revision => {
+                    points.push({ at: revision.createdAt, words: countWords(revision.content) });
+                });
+            }
+        } catch (error) {
+            console.error('Failed to load word count history:', error);
+        }
+
+        const days = new Map();
+        points.sort((a, b) => a.at - b.at).forEach(point => {
+            const day = new Date(point.at).toDateString();
+            days.set(day, { day, at: point.at, words: point.words });
+        });
+        return Array.from(days.values()).slice(-HISTORY_DAYS);
+    }
+
+    /**
+     * Add today's count to a draft's word history, replacing an earlier
+     * count from today
+     * @param {Array|undefined} history - The draft's wordHistory
+     * @param {string} content - Saved markdown
+     * @param {number} at - Save time
+     * @returns {Array<{at: number, words: number}>}
+     */
+    function recordHistory(history, content, at) {
+        const points = (history || []).slice();
+        const last = points[points.length - 1];
+        if (last && new Date(last.at).toDateString() === new Date(at).toDateString()) points.pop();
+
+        points.push({ at, words: countWords(content) });
+        return points;
+    }
+
+    /**
+     * Open the statistics panel for the current post
+     */
+    async function show() {
+        const markdown = Editor.getContent();
+        const stats = analyze(markdown);
+        const history = await loadHistory();
+
+        // Include unsaved edits in today's count
+        const today = new Date().toDateString();
+        if (history.length > 0 && history[history.length - 1].day === today) history.pop();
+        history.push({ day: today, at: Date.now(), words: stats.words });
+
+        body.innerHTML = renderSummary(stats) +
+            renderSections(stats.sections) +
+            '<div class="stats-columns">' +
+            renderDistribution('Sentence length', 'words per sentence', stats.sentences, SENTENCE_BUCKETS) +
+            renderDistribution('Paragraph length', 'words per paragraph', stats.paragraphs, PARAGRAPH_BUCKETS) +
+            '</div>' +
+            renderRepeated(stats.repeated) +
+            renderHistory(history);
+
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the statistics panel
+     */
+    function hide() {
+        modal.style.display = 'none';
+    }
+
+    /**
+     * Render the headline numbers
+     * @param {Object} stats - From analyze()
+     * @returns {string} HTML
+     */
+    function renderSummary(stats) {
+        const total = stats.words + stats.codeWords;
+        const codeShare = total > 0 ? Math.round((stats.codeWords / total) * 100) : 0;
+        const average = (lengths) => lengths.length > 0
+            ? (lengths.reduce((sum, n) => sum + n, 0) / lengths.length).toFixed(1)
+            : '—';
+
+        const tiles = [
+            ['Words', stats.words, `${stats.characters} characters`],
+            ['Reading time', `${stats.readingMinutes} min`, `at ${WORDS_PER_MINUTE} words/min`],
+            ['Sentences', stats.sentences.length, `${average(stats.sentences)} words on average`],
+            ['Paragraphs', stats.paragraphs.length, `${average(stats.paragraphs)} words on average`],
+            ['Reading ease', stats.readingEase === null ? '—' : Math.round(stats.readingEase),
+                stats.readingEase === null ? 'Flesch' : `Flesch · ${describeEase(stats.readingEase)}`],
+            ['Grade level', stats.gradeLevel === null ? '—' : stats.gradeLevel.toFixed(1), 'Flesch–Kincaid'],
+            ['Code', `${codeShare}%`,
+                `${stats.codeWords} words in ${stats.codeBlocks} block${stats.codeBlocks === 1 ? '' : 's'}, ${stats.codeSpans} inline`]
+        ];
+
+        return `<div class="stats-summary">${tiles.map(([label, value, note]) => `
+            <div class="stats-tile">
+                <span class="stats-label">${label}</span>
+                <span class="stats-value">${value}</span>
+                <span class="stats-note">${escapeHtml(note)}</span>
+            </div>
+        `).join('')}</div>`;
+    }
+
+    /**
+     * Render word counts per section
+     * @param {Array} sections - From sectionCounts()
+     * @returns {string} HTML
+     */
+    function renderSections(sections) {
+        if (sections.length === 0) return '';
+
+        const most = Math.max(1, ...sections.map(section => section.words));
+        return `
+            <h4 class="stats-heading">Sections</h4>
+            <ul class="stats-bars">${sections.map(section => `
+                <li class="stats-bar-row level-${section.level}">
+                    <span class="stats-bar-label" title="${escapeHtml(section.text)}">${escapeHtml(section.text)}</span>
+                    <span class="stats-bar"><span class="stats-bar-fill" style="width: ${(section.words / most) * 100}%"></span></span>
+                    <span class="stats-bar-count">${section.words}</span>
+                </li>
+            `).join('')}</ul>
+        `;
+    }
+
+    /**
+     * Render a length distribution as bars
+     * @param {string} title
+     * @param {string} unit - What the bucket labels count
+     * @param {Array<number>} lengths
+     * @param {Array<{label: string, max: number}>} buckets
+     * @returns {string} HTML
+     */
+    function renderDistribution(title, unit, lengths, buckets) {
+        const counts = buckets.map(() => 0);
+        lengths.forEach(length => {
+            counts[buckets.findIndex(bucket => length <= bucket.max)]++;
+        });
+        const most = Math.max(1, ...counts);
+        const longest = lengths.length > 0 ? Math.max(...lengths) : 0;
+
+        return `
+            <div class="stats-column">
+                <h4 class="stats-heading">${title} <span class="stats-note">longest ${longest}</span></h4>
+                <ul class="stats-bars" title="${unit}">${buckets.map((bucket, i) => `
+                    <li class="stats-bar-row">
+                        <span class="stats-bar-label">${bucket.label}</span>
+                        <span class="stats-bar"><span class="stats-bar-fill" style="width: ${(counts[i] / most) * 100}%"></span></span>
+                        <span class="stats-bar-count">${counts[i]}</span>
+                    </li>
+                `).join('')}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the most repeated words
+     * @param {Array<{word: string, count: number}>} repeated
+     * @returns {string} HTML
+     */
+    function renderRepeated(repeated) {
+        const content = repeated.length === 0
+            ? '<p class="stats-note">No words repeated yet</p>'
+            : `<div class="stats-words">${repeated.map(entry =>
+                `<span class="stats-word">${escapeHtml(entry.word)} <span class="stats-bar-count">${entry.count}</span></span>`
+            ).join('')}</div>`;
+
+        return `<h4 class="stats-heading">Most repeated words</h4>${content}`;
+    }
+
+    /**
+     * Render the word count history as a column chart
+     * @param {Array<{day: string, at: number, words: number}>} history
+     * @returns {string} HTML
+     */
+    function renderHistory(history) {
+        const most = Math.max(1, ...history.map(point => point.words));
+        const date = (point) => new Date(point.at).toLocaleDateString();
+
+        return `
+            <h4 class="stats-heading">Word count history</h4>
+            <div class="stats-history">${history.map(point => `
+                <span class="stats-history-bar" style="height: ${Math.max(2, (point.words / most) * 100)}%"
+                    title="${escapeHtml(date(point))}: ${point.words} words"></span>
+            `).join('')}</div>
+            <div class="stats-history-axis">
+                <span>${escapeHtml(date(history[0]))}</span>
+                <span>${history.length > 1 ? escapeHtml(date(history[history.length - 1])) : ''}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Public API
+    return {
+        init,
+        show,
+        analyze,
+        countWords,
+        readingMinutes,
+        recordHistory
+    };
+})();
@@ -0,0 +1,906 @@
+/**
+ * Table Editor Module
+ * Markdown table tools: a dialog with a grid editor for new tables and the
+ * table under the cursor, pipe re-alignment (also on Tab / Enter inside a
+ * table), and turning pasted CSV/TSV or spreadsheet cells into a table.
+ *
+ * Tables are handled as {header: [], align: [], rows: [[]]}; align entries
+ * are 'left', 'center', 'right' or '' (none). Text functions return edits
+ * {from, to, text, selectionStart, selectionEnd} for the editor to apply.
+ */
+
+const TableEditor = (function () {
+    const MIN_WIDTH = 3;
+    const MAX_SIZE = 50;
+    const DELIMITER_CELL = /^:?-+:?$/;
+    // Unquoted comma fields that read like a sentence or code rather than data
+    const CSV_NOT_A_FIELD = /[.!?;:]$|[(){}\[\]=;]/;
+
+    // Dialog state: the table being edited, where it came from, and the focused cell
+    let grid = null;
+    let target = null;
+    let current = { row: 0, col: 0 };
+
+    // DOM Elements
+    let textarea;
+    let modal;
+    let gridContainer;
+    let rowsInput;
+    let colsInput;
+    let applyBtn;
+
+    /**
+     * Initialize the table editor module
+     */
+    function init() {
+        textarea = document.getElementById('markdown-editor');
+        modal = document.getElementById('table-modal');
+        gridContainer = document.getElementById('table-grid');
+        rowsInput = document.getElementById('table-rows');
+        colsInput = document.getElementById('table-cols');
+        applyBtn = document.getElementById('apply-table-btn');
+
+        if (!textarea) return;
+
+        setupEventListeners();
+        registerCommands();
+    }
+
+    /**
+     * Set up paste handling and the dialog
+     */
+    function setupEventListeners() {
+        textarea.addEventListener('paste', handlePaste);
+
+        if (!modal) return;
+
+        document.getElementById('close-table')?.addEventListener('click', close);
+        document.getElementById('cancel-table-btn')?.addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+        applyBtn?.addEventListener('click', apply);
+
+        [rowsInput, colsInput].forEach(input => {
+            input?.addEventListener('change', resizeFromInputs);
+        });
+
+        modal.querySelector('.table-toolbar')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-table-action]');
+            if (button) runGridAction(button.dataset.tableAction);
+        });
+
+        gridContainer?.addEventListener('input', (e) => {
+            const cell = e.target.closest('input[data-row]');
+            if (!cell) return;
+            const row = Number(cell.dataset.row);
+            const col = Number(cell.dataset.col);
+            if (row === 0) grid.header[col] = cell.value;
+            else grid.rows[row - 1][col] = cell.value;
+        });
+
+        gridContainer?.addEventListener('focusin', (e) => {
+            const cell = e.target.closest('input[data-row]');
+            if (!cell) return;
+            current = { row: Number(cell.dataset.row), col: Number(cell.dataset.col) };
+            updateCurrentCell();
+        });
+
+        gridContainer?.addEventListener('keydown', (e) => {
+            const cell = e.target.closest('input[data-row]');
+            if (!cell) return;
+
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                apply();
+            } else if (e.key === 'Enter') {
+                // Move down a row, adding one at the bottom
+                e.preventDefault();
+                if (current.row === grid.rows.length) runGridAction('row-below');
+                else focusCell(current.row + 1, current.col);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            }
+        });
+    }
+
+    /**
+     * Add table commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        const inTable = () => Boolean(findTable(textarea.value, textarea.selectionStart));
+
+        CommandPalette.register([
+            { id: 'table.realign', title: 'Realign Table', category: 'Table', keywords: 'format pipes columns', run: realignAtCursor, isAvailable: inTable },
+            {
+                id: 'table.fromSelection', title: 'Convert CSV/TSV Selection to Table', category: 'Table',
+                keywords: 'spreadsheet comma tab separated',
+                run: convertSelection,
+                isAvailable: () => textarea.selectionStart !== textarea.selectionEnd
+            }
+        ]);
+    }
+
+    // ---------------------------------------------------------------
+    // Parsing and formatting
+    // ---------------------------------------------------------------
+
+    /**
+     * Split a table row into cells
+     * @param {string} line
+     * @returns {Array<string>} Trimmed cell text, with \| still escaped
+     */
+    function splitRow(line) {
+        let text = line.trim();
+        if (text.startsWith('|')) text = text.substring(1);
+        if (text.endsWith('|') && !text.endsWith('\\|')) text = text.substring(0, text.length - 1);
+
+        const cells = [];
+        let cell = '';
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && text[i + 1] === '|') {
+                cell += '\\|';
+                i++;
+            } else if (text[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += text[i];
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    /**
+     * Check whether a line is a table's delimiter row (|---|:--:|)
+     * @param {string} line
+     * @returns {boolean}
+     */
+    function isDelimiterRow(line) {
+        if (!line.includes('-')) return false;
+        return splitRow(line).every(cell => DELIMITER_CELL.test(cell));
+    }
+
+    /**
+     * Read a column alignment from a delimiter cell
+     * @param {string} cell
+     * @returns {string} 'left', 'center', 'right' or ''
+     */
+    function alignmentOf(cell) {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        return left ? 'left' : '';
+    }
+
+    /**
+     * Find the Markdown table containing an offset
+     * @param {string} value
+     * @param {number} offset
+     * @returns {{from: number, to: number, header: Array, align: Array, rows: Array, lineStarts: Array<number>}|null}
+     *          lineStarts holds the start offset of each table line
+     */
+    function findTable(value, offset) {
+        if (MarkdownHighlighter.findFencedBlocks(value).some(block => offset >= block.from && offset <= block.to)) {
+            return null;
+        }
+
+        const isTableLine = (start, end) => {
+            const line = value.substring(start, end);
+            return line.includes('|') && line.trim() !== '';
+        };
+
+        let from = value.lastIndexOf('\n', offset - 1) + 1;
+        let to = value.indexOf('\n', offset);
+        if (to === -1) to = value.length;
+        if (!isTableLine(from, to)) return null;
+
+        // Grow over neighbouring lines that contain pipes
+        while (from > 0) {
+            const previous = value.lastIndexOf('\n', from - 2) + 1;
+            if (!isTableLine(previous, from - 1)) break;
+            from = previous;
+        }
+        while (to < value.length) {
+            let next = value.indexOf('\n', to + 1);
+            if (next === -1) next = value.length;
+            if (!isTableLine(to + 1, next)) break;
+            to = next;
+        }
+
+        const lines = value.substring(from, to).split('\n');
+        if (lines.length < 2 || !isDelimiterRow(lines[1])) return null;
+
+        const lineStarts = [];
+        let position = from;
+        lines.forEach(line => {
+            lineStarts.push(position);
+            position += line.length + 1;
+        });
+
+        return {
+            from,
+            to,
+            header: splitRow(lines[0]),
+            align: splitRow(lines[1]).map(alignmentOf),
+            rows: lines.slice(2).map(splitRow),
+            lineStarts
+        };
+    }
+
+    /**
+     * Pad a cell to a width
+     * @param {string} text
+     * @param {number} width
+     * @param {string} align
+     * @returns {{text: string, start: number}} Padded text and where the content starts in it
+     */
+    function padCell(text, width, align) {
+        const space = width - text.length;
+        if (align === 'right') return { text: ' '.repeat(space) + text, start: space };
+        if (align === 'center') {
+            const left = Math.floor(space / 2);
+            return { text: ' '.repeat(left) + text + ' '.repeat(space - left), start: left };
+        }
+        return { text: text + ' '.repeat(space), start: 0 };
+    }
+
+    /**
+     * Write a table as aligned Markdown
+     * @param {{header: Array, align: Array, rows: Array}} table
+     * @returns {{text: string, cells: Array<Array<{from: number, to: number}>>}}
+     *          The Markdown, and the content range of every cell (header row first)
+     *          relative to the start of the text
+     */
+    function formatTable(table) {
+        const columns = Math.max(1, table.header.length, ...table.rows.map(row => row.length));
+        const allRows = [table.header, ...table.rows].map(row =>
+            Array.from({ length: columns }, (_, col) => (row[col] || '').trim()));
+        const align = Array.from({ length: columns }, (_, col) => table.align[col] || '');
+
+        const widths = align.map((_, col) =>
+            Math.max(MIN_WIDTH, ...allRows.map(row => row[col].length)));
+
+        const lines = [];
+        const cells = [];
+        let offset = 0;
+
+        const writeRow = (row) => {
+            let line = '|';
+            const ranges = [];
+            row.forEach((text, col) => {
+                const padded = padCell(text, widths[col], align[col]);
+                const start = offset + line.length + 1 + padded.start;
+                ranges.push({ from: start, to: start + text.length });
+                line += ' ' + padded.text + ' |';
+            });
+            lines.push(line);
+            cells.push(ranges);
+            offset += line.length + 1;
+        };
+
+        writeRow(allRows[0]);
+
+        const delimiter = '|' + widths.map((width, col) => {
+            const a = align[col];
+            const dashes = '-'.repeat(width - (a === 'center' ? 2 : a ? 1 : 0));
+            if (a === 'center') return ` :${dashes}: |`;
+            if (a === 'left') return ` :${dashes} |`;
+            if (a === 'right') return ` ${dashes}: |`;
+            return ` ${dashes} |`;
+        }).join('');
+        lines.push(delimiter);
+        offset += delimiter.length + 1;
+
+        allRows.slice(1).forEach(writeRow);
+
+        return { text: lines.join('\n'), cells };
+    }
+
+    /**
+     * Work out which cell an offset is in
+     * @param {string} value
+     * @param {Object} table - From findTable()
+     * @param {number} offset
+     * @returns {{row: number, col: number}} row 0 is the header; the delimiter row counts as the header
+     */
+    function cellAt(value, table, offset) {
+        let line = table.lineStarts.length - 1;
+        while (line > 0 && table.lineStarts[line] > offset) line--;
+
+        const before = value.substring(table.lineStarts[line], offset);
+        const pipes = (before.match(/(^|[^\\])\|/g) || []).length;
+        const leading = /^\s*\|/.test(before) ? 1 : 0;
+
+        return {
+            row: line <= 1 ? 0 : line - 1,
+            col: Math.max(0, pipes - leading)
+        };
+    }
+
+    // ---------------------------------------------------------------
+    // Editing in the textarea
+    // ---------------------------------------------------------------
+
+    /**
+     * Re-align the table at the cursor
+     * @param {string} value
+     * @param {number} offset
+     * @returns {{from: number, to: number, text: string, selectionStart: number, selectionEnd: number}|null}
+     */
+    function realign(value, offset) {
+        const table = findTable(value, offset);
+        if (!table) return null;
+
+        const cell = cellAt(value, table, offset);
+        const formatted = formatTable(table);
+        const range = formatted.cells[cell.row][Math.min(cell.col, formatted.cells[cell.row].length - 1)];
+        return {
+            from: table.from,
+            to: table.to,
+            text: formatted.text,
+            selectionStart: table.from + range.to,
+            selectionEnd: table.from + range.to
+        };
+    }
+
+    /**
+     * Tab / Shift+Tab in a table: realign and select the next or previous cell,
+     * adding a row after the last cell
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @param {boolean} backwards
+     * @returns {Object|null} Edit, or null when not in a table
+     */
+    function nextCell(value, start, end, backwards) {
+        const table = findTable(value, start);
+        if (!table || findTable(value, end)?.from !== table.from) return null;
+
+        const columns = Math.max(table.header.length, ...table.rows.map(row => row.length));
+        let { row, col } = cellAt(value, table, start);
+        col = Math.min(col, columns - 1);
+
+        if (backwards) {
+            if (col > 0) col--;
+            else if (row > 0) {
+                row--;
+                col = columns - 1;
+            }
+        } else if (col < columns - 1) {
+            col++;
+        } else {
+            row++;
+            col = 0;
+            if (row > table.rows.length) table.rows.push([]);
+        }
+
+        const formatted = formatTable(table);
+        const range = formatted.cells[row][col];
+        return {
+            from: table.from,
+            to: table.to,
+            text: formatted.text,
+            selectionStart: table.from + range.from,
+            selectionEnd: table.from + range.to
+        };
+    }
+
+    /**
+     * Enter at the end of a table row: add a row below, or leave the table
+     * from an empty last row
+     * @param {string} value
+     * @param {number} start
+     * @param {number} end
+     * @returns {Object|null} Edit, or null to let Enter behave normally
+     */
+    function continueTable(value, start, end) {
+        if (start !== end) return null;
+
+        let lineEnd = value.indexOf('\n', start);
+        if (lineEnd === -1) lineEnd = value.length;
+        if (value.substring(start, lineEnd).trim() !== '') return null;
+
+        const table = findTable(value, start);
+        if (!table) return null;
+
+        const { row } = cellAt(value, table, start);
+        const lineIndex = table.lineStarts.findIndex((lineStart, i) =>
+            start >= lineStart && (i === table.lineStarts.length - 1 || start < table.lineStarts[i + 1]));
+        if (lineIndex === 1) return null; // On the delimiter row
+
+        // An empty last row ends the table
+        const isLast = row === table.rows.length && row > 0;
+        if (isLast && table.rows[row - 1].every(cell => cell === '')) {
+            table.rows.pop();
+            const formatted = formatTable(table);
+            const text = formatted.text + '\n';
+            const caret = table.from + text.length;
+            return { from: table.from, to: table.to, text, selectionStart: caret, selectionEnd: caret };
+        }
+
+        table.rows.splice(row, 0, []);
+        const formatted = formatTable(table);
+        const range = formatted.cells[row + 1][0];
+        return {
+            from: table.from,
+            to: table.to,
+            text: formatted.text,
+            selectionStart: table.from + range.from,
+            selectionEnd: table.from + range.from
+        };
+    }
+
+    /**
+     * Apply an edit through the editor
+     * @param {Object|null} edit
+     * @returns {boolean} Whether there was an edit
+     */
+    function applyEdit(edit) {
+        if (!edit) return false;
+        Editor.replaceRange(edit.from, edit.to, edit.text, edit.selectionStart, edit.selectionEnd);
+        return true;
+    }
+
+    /**
+     * Realign the table at the cursor
+     */
+    function realignAtCursor() {
+        const edit = realign(textarea.value, textarea.selectionStart);
+        if (!edit) {
+            showToast('Put the cursor in a table first', 'info');
+            return;
+        }
+        if (edit.text === textarea.value.substring(edit.from, edit.to)) return;
+        applyEdit(edit);
+    }
+
+    // ---------------------------------------------------------------
+    // CSV / TSV
+    // ---------------------------------------------------------------
+
+    /**
+     * Parse delimited text, honouring "quoted" fields with newlines and ""
+     * @param {string} text
+     * @param {string} delimiter - ',' or '\t'
+     * @returns {Array<Array<string>>}
+     */
+    function parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        const input = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+        return rows;
+    }
+
+    /**
+     * Recognise clipboard text as spreadsheet cells or CSV
+     * @param {string} text
+     * @param {boolean} isCsv - The clipboard said it is CSV
+     * @returns {Array<Array<string>>|null} Rows, or null if it doesn't look like a table
+     */
+    function detectDelimited(text, isCsv = false) {
+        if (!text || /^\s*\|/m.test(text)) return null;
+
+        const delimiter = text.includes('\t') ? '\t' : ',';
+        const rows = parseDelimited(text, delimiter);
+        if (rows.length < 2) return null;
+
+        const columns = rows[0].length;
+        if (columns < 2) return null;
+
+        // Explicit CSV converts as it is. Tabs and commas also appear in code
+        // and prose, so other text needs a table's shape; the rest is left to
+        // the Convert CSV/TSV Selection command.
+        if (isCsv) return rows;
+        const consistent = rows.every(row => row.length === columns);
+        if (delimiter === '\t') {
+            // Tab-indented code leaves the first column empty
+            const hasFirstColumn = rows.some(row => row[0].trim() !== '');
+            return consistent && hasFirstColumn ? rows : null;
+        }
+
+        const short = rows.every(row => row.every(field => field.length <= 100));
+        const quoted = /(^|,)"/m.test(text);
+        const plain = rows.every(row => row.every(field => !CSV_NOT_A_FIELD.test(field.trim())));
+        return consistent && short && (quoted || (columns > 2 && plain)) ? rows : null;
+    }
+
+    /**
+     * Build a table from parsed rows, first row as header
+     * @param {Array<Array<string>>} rows
+     * @returns {{header: Array, align: Array, rows: Array}}
+     */
+    function tableFromRows(rows) {
+        const clean = rows.map(row => row.map(field =>
+            field.trim().replace(/\|/g, '\\|').replace(/\n/g, '<br>')));
+        const columns = Math.max(...clean.map(row => row.length));
+        return {
+            header: clean[0],
+            align: Array.from({ length: columns }, (_, col) =>
+                clean.slice(1).every(row => row[col] === undefined || /^-?[\d.,]+%?$/.test(row[col])) ? 'right' : ''),
+            rows: clean.slice(1)
+        };
+    }
+
+    /**
+     * Turn pasted CSV/TSV into a table. The raw text is pasted first so Undo
+     * gets it back.
+     * @param {ClipboardEvent} e
+     */
+    function handlePaste(e) {
+        const data = e.clipboardData;
+        if (!data) return;
+
+        const text = data.getData('text/plain');
+        const rows = detectDelimited(text, Array.from(data.types || []).includes('text/csv'));
+        if (!rows) return;
+
+        const start = textarea.selectionStart;
+        if (MarkdownHighlighter.findFencedBlocks(textarea.value).some(block => start > block.from && start <= block.to)) {
+            return;
+        }
+
+        e.preventDefault();
+        const end = textarea.selectionEnd;
+        Editor.replaceRange(start, end, text);
+        insertBlock(start, start + text.length, formatTable(tableFromRows(rows)).text);
+        showToast(`Pasted ${rows.length - 1} row(s) as a table — Undo for the raw text`, 'success');
+    }
+
+    /**
+     * Turn the selected CSV/TSV into a table
+     */
+    function convertSelection() {
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const rows = detectDelimited(textarea.value.substring(start, end), true);
+        if (!rows) {
+            showToast('The selection needs at least two rows of comma- or tab-separated values', 'error');
+            return;
+        }
+        insertBlock(start, end, formatTable(tableFromRows(rows)).text);
+    }
+
+    /**
+     * Put a table in place of a range, on its own lines with a blank line around it
+     * @param {number} from
+     * @param {number} to
+     * @param {string} table
+     */
+    function insertBlock(from, to, table) {
+        const value = textarea.value;
+        const before = value.substring(0, from);
+        const after = value.substring(to);
+
+        let prefix = '';
+        if (before && !before.endsWith('\n')) prefix = '\n\n';
+        else if (before && !before.endsWith('\n\n')) prefix = '\n';
+
+        let suffix = '\n';
+        if (after.startsWith('\n\n')) suffix = '';
+        else if (after.startsWith('\n')) suffix = '\n';
+        else if (after) suffix = '\n\n';
+
+        const text = prefix + table + suffix;
+        const caret = from + prefix.length + table.length;
+        Editor.replaceRange(from, to, text, caret, caret);
+    }
+
+    // ---------------------------------------------------------------
+    // Dialog
+    // ---------------------------------------------------------------
+
+    /**
+     * Open the table dialog for the table under the cursor, or a new one
+     */
+    function open() {
+        if (!modal) return;
+
+        const table = findTable(textarea.value, textarea.selectionStart);
+        if (table) {
+            target = { from: table.from, to: table.to };
+            grid = { header: table.header, align: table.align, rows: table.rows };
+            current = cellAt(textarea.value, table, textarea.selectionStart);
+        } else {
+            target = null;
+            grid = {
+                header: ['Header 1', 'Header 2', 'Header 3'],
+                align: ['', '', ''],
+                rows: [['', '', ''], ['', '', '']]
+            };
+            current = { row: 0, col: 0 };
+        }
+
+        normalizeGrid();
+        document.getElementById('table-modal-title').textContent = table ? '📊 Edit Table' : '📊 Insert Table';
+        if (applyBtn) applyBtn.textContent = table ? 'Update Table' : 'Insert Table';
+
+        modal.style.display = 'flex';
+        renderGrid();
+    }
+
+    /**
+     * Close the dialog without changing the post
+     */
+    function close() {
+        if (modal) modal.style.display = 'none';
+        grid = null;
+        target = null;
+        textarea.focus();
+    }
+
+    /**
+     * Write the dialog's table into the post
+     */
+    function apply() {
+        if (!grid) return;
+
+        const text = formatTable(grid).text;
+        const range = target;
+        modal.style.display = 'none';
+        grid = null;
+        target = null;
+
+        textarea.focus();
+        if (range) {
+            Editor.replaceRange(range.from, range.to, text, range.from + text.length);
+        } else {
+            insertBlock(textarea.selectionStart, textarea.selectionEnd, text);
+        }
+    }
+
+    /**
+     * Give every row the same number of columns
+     */
+    function normalizeGrid() {
+        const columns = Math.max(1, grid.header.length, ...grid.rows.map(row => row.length));
+        const fill = (row) => Array.from({ length: columns }, (_, col) => row[col] || '');
+        grid.header = fill(grid.header);
+        grid.align = Array.from({ length: columns }, (_, col) => grid.align[col] || '');
+        grid.rows = grid.rows.map(fill);
+        current.row = Math.min(current.row, grid.rows.length);
+        current.col = Math.min(current.col, columns - 1);
+    }
+
+    /**
+     * Render the grid of cell inputs
+     */
+    function renderGrid() {
+        if (!gridContainer) return;
+
+        if (rowsInput) rowsInput.value = grid.rows.length;
+        if (colsInput) colsInput.value = grid.header.length;
+
+        const rowHtml = (cells, row) => cells.map((cell, col) => `
+            <td><input type="text" data-row="${row}" data-col="${col}" value="${escapeHtml(cell)}"
+                style="text-align: ${grid.align[col] || 'left'}" spellcheck="false"
+                aria-label="${row === 0 ? 'Header' : 'Row ' + row}, column ${col + 1}"></td>
+        `).join('');
+
+        gridContainer.innerHTML = `
+            <thead><tr>${rowHtml(grid.header, 0)}</tr></thead>
+            <tbody>${grid.rows.map((row, i) => `<tr>${rowHtml(row, i + 1)}</tr>`).join('')}</tbody>
+        `;
+        focusCell(current.row, current.col);
+    }
+
+    /**
+     * Focus a cell input
+     * @param {number} row
+     * @param {number} col
+     */
+    function focusCell(row, col) {
+        const cell = gridContainer.querySelector(`input[data-row="${row}"][data-col="${col}"]`);
+        if (cell) cell.focus();
+        current = { row, col };
+        updateCurrentCell();
+    }
+
+    /**
+     * Show which row, column and alignment the toolbar acts on
+     */
+    function updateCurrentCell() {
+        gridContainer.querySelectorAll('td').forEach(td => {
+            const input = td.querySelector('input');
+            td.classList.toggle('current-col', Number(input.dataset.col) === current.col);
+        });
+        modal.querySelectorAll('[data-table-action^="align-"]').forEach(button => {
+            const align = button.dataset.tableAction.substring('align-'.length);
+            button.classList.toggle('active', (grid.align[current.col] || 'none') === align);
+        });
+    }
+
+    /**
+     * Resize the grid to the Rows / Columns inputs
+     */
+    function resizeFromInputs() {
+        const rows = clamp(Number(rowsInput.value), 0, MAX_SIZE);
+        const columns = clamp(Number(colsInput.value), 1, MAX_SIZE);
+
+        grid.rows = grid.rows.slice(0, rows).map(row => row.slice(0, columns));
+        while (grid.rows.length < rows) grid.rows.push([]);
+        grid.header = grid.header.slice(0, columns);
+        grid.align = grid.align.slice(0, columns);
+        while (grid.header.length < columns) grid.header.push(`Header ${grid.header.length + 1}`);
+
+        normalizeGrid();
+        renderGrid();
+    }
+
+    /**
+     * Limit a number to a range
+     * @param {number} number
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    function clamp(number, min, max) {
+        return Math.max(min, Math.min(max, Number.isFinite(number) ? Math.round(number) : min));
+    }
+
+    /**
+     * Run a grid toolbar action on the current cell
+     * @param {string} action
+     */
+    function runGridAction(action) {
+        if (!grid) return;
+
+        const { row, col } = current;
+        const columns = grid.header.length;
+        const bodyIndex = row - 1; // -1 for the header
+        let next = { row, col };
+
+        const swap = (list, a, b) => {
+            [list[a], list[b]] = [list[b], list[a]];
+        };
+        const eachRow = (callback) => [grid.header, ...grid.rows].forEach(callback);
+
+        switch (action) {
+            case 'row-above':
+                // Nothing goes above the header
+                grid.rows.splice(Math.max(0, bodyIndex), 0, []);
+                next = { row: Math.max(1, row), col };
+                break;
+            case 'row-below':
+                grid.rows.splice(bodyIndex + 1, 0, []);
+                next = { row: row + 1, col };
+                break;
+            case 'row-delete':
+                if (row === 0) {
+                    showToast('The header row can\'t be removed', 'info');
+                    return;
+                }
+                grid.rows.splice(bodyIndex, 1);
+                next = { row: Math.min(row, grid.rows.length), col };
+                break;
+            case 'row-up':
+                if (row <= 1) return;
+                swap(grid.rows, bodyIndex, bodyIndex - 1);
+                next = { row: row - 1, col };
+                break;
+            case 'row-down':
+                if (row === 0 || row >= grid.rows.length) return;
+                swap(grid.rows, bodyIndex, bodyIndex + 1);
+                next = { row: row + 1, col };
+                break;
+            case 'col-left':
+                eachRow(cells => cells.splice(col, 0, ''));
+                grid.align.splice(col, 0, '');
+                break;
+            case 'col-right':
+                eachRow(cells => cells.splice(col + 1, 0, ''));
+                grid.align.splice(col + 1, 0, '');
+                next = { row, col: col + 1 };
+                break;
+            case 'col-delete':
+                if (columns === 1) {
+                    showToast('A table needs at least one column', 'info');
+                    return;
+                }
+                eachRow(cells => cells.splice(col, 1));
+                grid.align.splice(col, 1);
+                next = { row, col: Math.min(col, columns - 2) };
+                break;
+            case 'col-move-left':
+                if (col === 0) return;
+                eachRow(cells => swap(cells, col, col - 1));
+                swap(grid.align, col, col - 1);
+                next = { row, col: col - 1 };
+                break;
+            case 'col-move-right':
+                if (col >= columns - 1) return;
+                eachRow(cells => swap(cells, col, col + 1));
+                swap(grid.align, col, col + 1);
+                next = { row, col: col + 1 };
+                break;
+            case 'align-left':
+            case 'align-center':
+            case 'align-right':
+            case 'align-none': {
+                const align = action.substring('align-'.length);
+                grid.align[col] = align === 'none' ? '' : align;
+                break;
+            }
+            default:
+                return;
+        }
+
+        current = next;
+        normalizeGrid();
+        renderGrid();
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        findTable,
+        formatTable,
+        realign,
+        nextCell,
+        continueTable,
+        parseDelimited,
+        detectDelimited
+    };
+})();
@@ -0,0 +1,693 @@
+/**
+ * Templates Module
+ * Library of post templates (body plus Post Details for a post type) and
+ * snippet blocks. Both may contain placeholders - ${1:label}, ${2}, $0 for
+ * the final cursor position - that Tab and Shift+Tab step through after
+ * inserting. Stored in IndexedDB and carried along in workspace exports.
+ */
+
+const Templates = (function () {
+    const STORE = 'templates';
+    const SEEDED_KEY = 'blog-editor-templates-seeded';
+
+    // Post Details a template carries; title and date belong to each post
+    const TEMPLATE_DETAILS = ['type', 'description', 'coverImage', 'githubUrl'];
+
+    const PLACEHOLDER_PATTERN = /\\\$|\$\{(\d+)(?::([^}]*))?\}|\$(\d+)/g;
+
+    // Starting library, added the first time the module runs
+    const DEFAULT_TEMPLATES = [
+        {
+            kind: 'post',
+            name: 'Project Write-up',
+            details: { type: 'project', description: '${1:One-sentence summary of the project}' },
+            content: '## Overview\n\n${2:What it is and why it exists.}\n\n' +
+                '## Stack\n\n- ${3:Language / framework}\n- ${4:Hosting / tooling}\n\n' +
+                '## Architecture\n\n${5:How the pieces fit together.}\n\n' +
+                '## Lessons Learned\n\n- ${6:What went well, what you would change}\n$0'
+        },
+        {
+            kind: 'snippet',
+            name: 'Image with Caption',
+            content: '![${1:Alt text}](${2:image-url})\n*${3:Caption}*\n$0'
+        },
+        {
+            kind: 'snippet',
+            name: 'Note Callout',
+            content: '> **${1:Note}:** ${2:Text}\n$0'
+        },
+        {
+            kind: 'snippet',
+            name: 'Code Sample',
+            content: '```${1:javascript}\n${2:// code}\n```\n$0'
+        }
+    ];
+
+    // Loaded records: {id, kind: 'post'|'snippet', name, content, details, createdAt, updatedAt}
+    let templates = [];
+
+    // Placeholders still to visit after an insert:
+    // {stops: [{from, to}], index, length} where length is the editor text length we expect
+    let session = null;
+
+    // Record being edited in the form (null for a new one)
+    let editing = null;
+
+    // DOM Elements
+    let textarea;
+    let templatesBtn;
+    let templatesModal;
+    let closeTemplatesBtn;
+    let library;
+    let postList;
+    let snippetList;
+    let form;
+    let nameInput;
+    let typeSelect;
+    let descriptionInput;
+    let contentInput;
+
+    /**
+     * Initialize the templates module
+     */
+    function init() {
+        textarea = document.getElementById('markdown-editor');
+        templatesBtn = document.getElementById('templates-btn');
+        templatesModal = document.getElementById('templates-modal');
+        closeTemplatesBtn = document.getElementById('close-templates');
+        library = document.getElementById('templates-library');
+        postList = document.getElementById('post-templates-list');
+        snippetList = document.getElementById('snippets-list');
+        form = document.getElementById('template-form');
+        nameInput = document.getElementById('template-name');
+        typeSelect = document.getElementById('template-type');
+        descriptionInput = document.getElementById('template-description');
+        contentInput = document.getElementById('template-content');
+
+        if (!textarea) return;
+
+        setupPlaceholderNavigation();
+
+        if (!Database.isSupported()) {
+            if (templatesBtn) templatesBtn.disabled = true;
+            return;
+        }
+
+        setupEventListeners();
+        load();
+    }
+
+    /**
+     * Set up panel event listeners
+     */
+    function setupEventListeners() {
+        if (templatesBtn) {
+            templatesBtn.addEventListener('click', showModal);
+        }
+
+        if (closeTemplatesBtn) {
+            closeTemplatesBtn.addEventListener('click', hideModal);
+        }
+
+        if (templatesModal) {
+            templatesModal.addEventListener('click', (e) => {
+                if (e.target === templatesModal) hideModal();
+            });
+        }
+
+        document.getElementById('save-template-btn')?.addEventListener('click', () => editTemplate(null, 'post'));
+        document.getElementById('new-snippet-btn')?.addEventListener('click', () => editTemplate(null, 'snippet'));
+        document.getElementById('cancel-template-btn')?.addEventListener('click', closeForm);
+
+        [postList, snippetList].forEach(list => {
+            if (list) list.addEventListener('click', handleListClick);
+        });
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                saveForm();
+            });
+        }
+
+        document.addEventListener('workspace:imported', load);
+
+        if (typeof CommandPalette !== 'undefined') {
+            CommandPalette.register([
+                { id: 'templates.library', title: 'Template Library', category: 'Templates', keywords: 'snippets', run: showModal },
+                {
+                    id: 'templates.savePost', title: 'Save Post as Template', category: 'Templates',
+                    run: () => {
+                        showModal();
+                        editTemplate(null, 'post');
+                    }
+                },
+                {
+                    id: 'templates.newSnippet', title: 'New Snippet', category: 'Templates',
+                    run: () => {
+                        showModal();
+                        editTemplate(null, 'snippet');
+                    }
+                }
+            ]);
+        }
+    }
+
+    /**
+     * Load the library, adding the starting templates on first run
+     */
+    async function load() {
+        try {
+            templates = await Database.getAll(STORE);
+
+            if (templates.length === 0 && !localStorage.getItem(SEEDED_KEY)) {
+                for (const template of DEFAULT_TEMPLATES) {
+                    await Database.put(STORE, createRecord(template));
+                }
+                templates = await Database.getAll(STORE);
+            }
+            localStorage.setItem(SEEDED_KEY, 'true');
+        } catch (error) {
+            console.error('Templates: Failed to load', error);
+            templates = [];
+        }
+
+        registerTemplateCommands();
+        if (templatesModal && templatesModal.style.display !== 'none') renderLists();
+    }
+
+    /**
+     * Build a stored record
+     * @param {Object} fields - kind, name, content and (post templates) details
+     * @returns {Object}
+     */
+    function createRecord(fields) {
+        const now = Date.now();
+        return {
+            id: Database.generateId('template'),
+            kind: fields.kind,
+            name: fields.name,
+            content: fields.content || '',
+            details: fields.kind === 'post' ? pickDetails(fields.details || {}) : {},
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Keep only the Post Details a template carries
+     * @param {Object} details
+     * @returns {Object}
+     */
+    function pickDetails(details) {
+        const picked = {};
+        TEMPLATE_DETAILS.forEach(key => {
+            if (details[key]) picked[key] = details[key];
+        });
+        return picked;
+    }
+
+    /**
+     * List templates of one kind, by name
+     * @param {string} kind - 'post' or 'snippet'
+     * @returns {Array<Object>}
+     */
+    function list(kind) {
+        return templates
+            .filter(template => template.kind === kind)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Give every template its own palette command (and so a bindable shortcut)
+     */
+    function registerTemplateCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        CommandPalette.getCommands()
+            .filter(command => command.id.startsWith('template.'))
+            .forEach(command => CommandPalette.unregister(command.id));
+
+        CommandPalette.register(templates.map(template => ({
+            id: `template.${template.id}`,
+            title: template.kind === 'post' ? `New Post from "${template.name}"` : `Insert "${template.name}"`,
+            category: template.kind === 'post' ? 'Templates' : 'Snippets',
+            run: () => (template.kind === 'post' ? applyPostTemplate(template.id) : insertSnippet(template.id))
+        })));
+    }
+
+    /**
+     * Turn placeholder syntax into plain text and the positions to visit
+     * @param {string} text - Text with ${1:label}, ${1} or $1 placeholders and $0
+     * @returns {{text: string, stops: Array<{from: number, to: number}>}}
+     *          Stops in visiting order; $0 (or the end of the text) comes last
+     */
+    function expandPlaceholders(text) {
+        const found = [];
+        let result = '';
+        let position = 0;
+
+        text.replace(PLACEHOLDER_PATTERN, (match, braced, label, bare, offset) => {
+            result += text.substring(position, offset);
+            position = offset + match.length;
+
+            if (match === '\\$') {
+                result += '$';
+                return match;
+            }
+
+            const value = label || '';
+            found.push({ number: Number(braced || bare), from: result.length, to: result.length + value.length });
+            result += value;
+            return match;
+        });
+        result += text.substring(position);
+
+        // Numbered stops in order, then $0
+        const stops = found
+            .filter(stop => stop.number > 0)
+            .sort((a, b) => a.number - b.number || a.from - b.from);
+        const final = found.find(stop => stop.number === 0) || { from: result.length, to: result.length };
+        stops.push(final);
+
+        return { text: result, stops: stops.map(stop => ({ from: stop.from, to: stop.to })) };
+    }
+
+    /**
+     * Insert a snippet at the cursor and select its first placeholder
+     * @param {string} id
+     */
+    function insertSnippet(id) {
+        const snippet = templates.find(template => template.id === id);
+        if (!snippet) return;
+
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+
+        // Continue the indentation of the line the snippet lands on
+        const value = textarea.value;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        const indent = value.substring(lineStart, start).match(/^[ \t]*/)[0];
+        const expanded = expandPlaceholders(snippet.content.replace(/\n/g, '\n' + indent));
+
+        textarea.focus();
+        startSession(start, expanded, () => {
+            Editor.replaceRange(start, end, expanded.text);
+        });
+    }
+
+    /**
+     * Start a new draft from a post template
+     * @param {string} id
+     */
+    async function applyPostTemplate(id) {
+        const template = templates.find(candidate => candidate.id === id);
+        if (!template) return;
+
+        hideModal();
+
+        try {
+            // Keeps the current post in the library and clears the editor
+            await Drafts.createNew();
+        } catch (error) {
+            console.error('Templates: Could not start a new draft', error);
+            showToast('Could not start a new draft: ' + error.message, 'error');
+            return;
+        }
+
+        // Placeholders in the description are filled with their labels
+        const details = { ...template.details };
+        if (details.description) details.description = expandPlaceholders(details.description).text.trim();
+
+        Export.setPostDetails({ ...details, date: new Date().toISOString().split('T')[0] });
+
+        const expanded = expandPlaceholders(template.content);
+        textarea.focus();
+        startSession(0, expanded, () => {
+            Editor.setContent(expanded.text);
+        });
+        showToast(`New ${details.type === 'project' ? 'project' : 'article'} from "${template.name}"`, 'success');
+    }
+
+    /**
+     * Insert expanded text and start stepping through its placeholders
+     * @param {number} offset - Where the text goes in the editor
+     * @param {{text: string, stops: Array}} expanded
+     * @param {Function} insert - Puts expanded.text into the editor
+     */
+    function startSession(offset, expanded, insert) {
+        session = null;
+        insert();
+
+        const stops = expanded.stops.map(stop => ({ from: stop.from + offset, to: stop.to + offset }));
+        session = { stops, index: 0, length: textarea.value.length };
+        selectStop();
+
+        // Nothing to step through: the cursor just lands on the end position
+        if (stops.length === 1) endSession();
+    }
+
+    /**
+     * Select the current placeholder
+     */
+    function selectStop() {
+        const stop = session.stops[session.index];
+        textarea.setSelectionRange(stop.from, stop.to);
+        if (typeof EditorSurface !== 'undefined') {
+            EditorSurface.scrollToOffset(stop.from);
+        }
+        updateDecorations();
+    }
+
+    /**
+     * Highlight the placeholders still ahead
+     */
+    function updateDecorations() {
+        if (!session || typeof EditorSurface === 'undefined') return;
+        EditorSurface.setDecorations('snippet', session.stops.slice(session.index).map(stop => ({
+            from: stop.from,
+            to: Math.max(stop.to, stop.from + 1),
+            className: 'cm-snippet-stop'
+        })));
+    }
+
+    /**
+     * Stop stepping through placeholders
+     */
+    function endSession() {
+        session = null;
+        if (typeof EditorSurface !== 'undefined') {
+            EditorSurface.clearDecorations('snippet');
+        }
+    }
+
+    /**
+     * Move to the next or previous placeholder
+     * @param {number} step - 1 or -1
+     * @returns {boolean} False if there is no placeholder session to move in
+     */
+    function moveStop(step) {
+        // An edit elsewhere (toolbar, undo, another tool) has shifted the text under us
+        if (!session || textarea.value.length !== session.length) {
+            endSession();
+            return false;
+        }
+
+        session.index = Math.max(0, session.index + step);
+        selectStop();
+        if (session.index === session.stops.length - 1) endSession();
+        return true;
+    }
+
+    /**
+     * Set up Tab / Shift+Tab / Escape handling while placeholders are pending
+     */
+    function setupPlaceholderNavigation() {
+        // Capture phase, so this runs before the editor's own Tab handling
+        document.addEventListener('keydown', (e) => {
+            if (!session || e.target !== textarea) return;
+
+            if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                if (moveStop(e.shiftKey ? -1 : 1)) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+            } else if (e.key === 'Escape') {
+                endSession();
+            }
+        }, true);
+
+        // Typing inside the current placeholder grows or shrinks it and moves the ones after it
+        textarea.addEventListener('input', () => {
+            if (!session) return;
+
+            const delta = textarea.value.length - session.length;
+            const stop = session.stops[session.index];
+            const caret = textarea.selectionEnd;
+
+            if (caret < stop.from || caret > stop.to + Math.max(delta, 0)) {
+                endSession();
+                return;
+            }
+
+            session.stops.forEach(other => {
+                if (other === stop) return;
+                if (other.from >= stop.to) {
+                    other.from += delta;
+                    other.to += delta;
+                }
+            });
+            stop.to += delta;
+            session.length = textarea.value.length;
+            updateDecorations();
+        });
+
+        document.addEventListener('draft:switched', endSession);
+    }
+
+    /**
+     * Handle clicks on template row buttons
+     * @param {MouseEvent} e
+     */
+    async function handleListClick(e) {
+        const button = e.target.closest('button[data-template-action]');
+        if (!button) return;
+
+        const id = button.closest('.draft-item').dataset.id;
+        const template = templates.find(candidate => candidate.id === id);
+        if (!template) return;
+
+        try {
+            switch (button.dataset.templateAction) {
+                case 'use':
+                    if (template.kind === 'post') {
+                        await applyPostTemplate(id);
+                    } else {
+                        hideModal();
+                        insertSnippet(id);
+                    }
+                    return;
+                case 'edit':
+                    editTemplate(template, template.kind);
+                    return;
+                case 'delete':
+                    if (!confirm(`Delete template "${template.name}"?`)) return;
+                    await Database.remove(STORE, id);
+                    showToast(`Deleted "${template.name}"`, 'info');
+                    await load();
+                    return;
+            }
+        } catch (error) {
+            console.error('Templates: Action failed', error);
+            showToast('Template action failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Open the form for a template
+     * @param {Object|null} template - Null to create one
+     * @param {string} kind - 'post' or 'snippet'
+     */
+    function editTemplate(template, kind) {
+        if (!form) return;
+
+        editing = template || { kind };
+
+        if (template) {
+            nameInput.value = template.name;
+            contentInput.value = template.content;
+            typeSelect.value = template.details.type || 'article';
+            descriptionInput.value = template.details.description || '';
+        } else if (kind === 'post') {
+            // Start from the post being written
+            const details = Export.getPostDetails();
+            nameInput.value = details.title ? `${details.title} Template` : '';
+            contentInput.value = Editor.getContent();
+            typeSelect.value = details.type || 'article';
+            descriptionInput.value = details.description || '';
+        } else {
+            nameInput.value = '';
+            contentInput.value = textarea.value.substring(textarea.selectionStart, textarea.selectionEnd);
+        }
+
+        form.querySelectorAll('.post-template-only').forEach(field => {
+            field.style.display = kind === 'post' ? 'block' : 'none';
+        });
+        document.getElementById('template-form-title').textContent = template
+            ? `Edit "${template.name}"`
+            : (kind === 'post' ? 'New Post Template' : 'New Snippet');
+
+        if (library) library.style.display = 'none';
+        form.style.display = 'block';
+        nameInput.focus();
+    }
+
+    /**
+     * Hide the form and show the library again
+     */
+    function closeForm() {
+        editing = null;
+        if (form) form.style.display = 'none';
+        if (library) library.style.display = 'block';
+    }
+
+    /**
+     * Save the template in the form
+     */
+    async function saveForm() {
+        const name = nameInput.value.trim();
+        if (!name) {
+            showToast('Give the template a name', 'error');
+            nameInput.focus();
+            return;
+        }
+
+        const fields = {
+            kind: editing.kind,
+            name,
+            content: contentInput.value,
+            details: editing.kind === 'post'
+                ? { ...(editing.details || {}), type: typeSelect.value, description: descriptionInput.value.trim() }
+                : {}
+        };
+
+        try {
+            const record = editing.id
+                ? { ...editing, ...fields, details: pickDetails(fields.details), updatedAt: Date.now() }
+                : createRecord(fields);
+            await Database.put(STORE, record);
+            showToast(`Saved "${name}"`, 'success');
+            closeForm();
+            await load();
+        } catch (error) {
+            console.error('Templates: Failed to save', error);
+            showToast('Could not save template: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Render both lists
+     */
+    function renderLists() {
+        renderList(postList, list('post'), 'No post templates yet. Save a post as a template to reuse its outline.');
+        renderList(snippetList, list('snippet'), 'No snippets yet.');
+    }
+
+    /**
+     * Render one list
+     * @param {HTMLElement} container
+     * @param {Array<Object>} items
+     * @param {string} emptyMessage
+     */
+    function renderList(container, items, emptyMessage) {
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'drafts-empty';
+            empty.textContent = emptyMessage;
+            container.appendChild(empty);
+            return;
+        }
+
+        items.forEach(template => container.appendChild(createListItem(template)));
+    }
+
+    /**
+     * Create a list row for a template
+     * @param {Object} template
+     * @returns {HTMLLIElement}
+     */
+    function createListItem(template) {
+        const item = document.createElement('li');
+        item.className = 'draft-item';
+        item.dataset.id = template.id;
+
+        const info = document.createElement('div');
+        info.className = 'draft-info';
+
+        const name = document.createElement('span');
+        name.className = 'draft-name';
+        name.textContent = template.name;
+
+        const placeholders = expandPlaceholders(template.content).stops.length - 1;
+        const parts = [];
+        if (template.kind === 'post') parts.push(template.details.type === 'project' ? 'Project' : 'Article');
+        parts.push(`${template.content.split('\n').length} lines`);
+        if (placeholders > 0) parts.push(`${placeholders} placeholder${placeholders === 1 ? '' : 's'}`);
+
+        const meta = document.createElement('span');
+        meta.className = 'draft-meta';
+        meta.textContent = parts.join(' · ');
+
+        info.append(name, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'draft-actions';
+        [
+            ['use', template.kind === 'post' ? '📄 New Post' : '➕ Insert'],
+            ['edit', '✏️ Edit'],
+            ['delete', '🗑️ Delete']
+        ].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-smart-small';
+            button.dataset.templateAction = action;
+            button.textContent = label;
+            actions.appendChild(button);
+        });
+
+        item.append(info, actions);
+        return item;
+    }
+
+    /**
+     * Show the template library
+     */
+    function showModal() {
+        if (!templatesModal) return;
+        closeForm();
+        renderLists();
+        templatesModal.style.display = 'flex';
+    }
+
+    /**
+     * Hide the template library
+     */
+    function hideModal() {
+        if (templatesModal) {
+            templatesModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Get every stored template, for workspace export
+     * @returns {Promise<Array<Object>>}
+     */
+    function getAll() {
+        return Database.getAll(STORE);
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        getAll,
+        expandPlaceholders,
+        insertSnippet,
+        applyPostTemplate
+    };
+})();
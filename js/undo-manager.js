@@ -0,0 +1,398 @@
+/**
+ * Undo Manager Module
+ * Operation-based undo/redo for the markdown editor. Each step stores only
+ * the changed text, typing is grouped into word-level steps, and the stack
+ * is persisted per draft in IndexedDB so it survives page reloads.
+ */
+
+const UndoManager = (function () {
+    const STORE = 'undo';
+    const MAX_BYTES = 8 * 1024 * 1024; // Changed text kept across all steps
+    const GROUP_TIMEOUT = 1500; // Typing pause (ms) that ends a step
+    const PERSIST_DELAY = 1000;
+
+    let textarea = null;
+    let undoStack = [];
+    let redoStack = [];
+    let stackBytes = 0;
+
+    // Textarea value and selection the stack is in sync with
+    let lastValue = '';
+    let lastSelection = { start: 0, end: 0 };
+
+    // Whether the top undo step may still absorb more typing
+    let groupOpen = false;
+
+    // Draft the stack belongs to and the pending persist timer
+    let stackDraftId = null;
+    let persistTimer = null;
+
+    // True while a draft is being loaded, so its content is not recorded as a step
+    let switching = false;
+
+    /**
+     * Attach the manager to the editor textarea
+     * @param {HTMLTextAreaElement} element
+     */
+    function attach(element) {
+        textarea = element;
+        lastValue = textarea.value;
+        rememberSelection();
+
+        // Track the selection so each step knows where the caret was before it
+        ['keyup', 'mouseup', 'select', 'focus'].forEach(eventName => {
+            textarea.addEventListener(eventName, () => {
+                if (textarea.value === lastValue) rememberSelection();
+            });
+        });
+
+        // Navigation ends a typing group, like in native editors
+        textarea.addEventListener('mousedown', closeGroup);
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key.startsWith('Arrow') || e.key === 'Home' || e.key === 'End' ||
+                e.key === 'PageUp' || e.key === 'PageDown') {
+                closeGroup();
+            }
+        });
+
+        document.addEventListener('draft:saved', (e) => {
+            // A brand-new draft just got its id
+            if (!stackDraftId) stackDraftId = e.detail.draft.id;
+        });
+        document.addEventListener('draft:beforeswitch', beginSwitch);
+        document.addEventListener('draft:switched', (e) => {
+            switchDraft(e.detail.id);
+        });
+        document.addEventListener('draft:deleted', (e) => {
+            if (stackDraftId === e.detail.id) stackDraftId = null;
+            Database.remove(STORE, e.detail.id).catch(() => { });
+        });
+    }
+
+    /**
+     * Store the current textarea selection
+     */
+    function rememberSelection() {
+        lastSelection = { start: textarea.selectionStart, end: textarea.selectionEnd };
+    }
+
+    /**
+     * Stop merging typing into the current step
+     */
+    function closeGroup() {
+        groupOpen = false;
+    }
+
+    /**
+     * Work out what changed between two texts as a single replacement
+     * @param {string} oldValue
+     * @param {string} newValue
+     * @param {number} caret - Caret after the change, used to place ambiguous edits
+     * @returns {{from: number, removed: string, inserted: string}}
+     */
+    function computeOperation(oldValue, newValue, caret) {
+        const growth = Math.max(0, newValue.length - oldValue.length);
+        const maxPrefix = Math.max(0, Math.min(oldValue.length, newValue.length, caret - growth));
+
+        let prefix = 0;
+        while (prefix < maxPrefix && oldValue[prefix] === newValue[prefix]) prefix++;
+
+        let suffix = 0;
+        const maxSuffix = Math.min(oldValue.length, newValue.length) - prefix;
+        while (suffix < maxSuffix &&
+            oldValue[oldValue.length - 1 - suffix] === newValue[newValue.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        return {
+            from: prefix,
+            removed: oldValue.substring(prefix, oldValue.length - suffix),
+            inserted: newValue.substring(prefix, newValue.length - suffix)
+        };
+    }
+
+    /**
+     * Record the change made to the textarea since the last record
+     * @param {string} kind - 'typing' merges into word-level steps; anything
+     *                        else ('action', 'import') is always its own step
+     */
+    function record(kind = 'action') {
+        if (!textarea) return;
+
+        const value = textarea.value;
+        if (value === lastValue || switching) {
+            lastValue = value;
+            rememberSelection();
+            return;
+        }
+
+        const selAfter = { start: textarea.selectionStart, end: textarea.selectionEnd };
+        const op = computeOperation(lastValue, value, selAfter.end);
+        op.time = Date.now();
+
+        const isTyping = kind === 'typing';
+        const top = undoStack[undoStack.length - 1];
+
+        if (isTyping && groupOpen && top && canMerge(top, op)) {
+            top.ops.push(op);
+            top.selAfter = selAfter;
+        } else {
+            undoStack.push({
+                kind: kind,
+                ops: [op],
+                selBefore: lastSelection,
+                selAfter: selAfter
+            });
+        }
+
+        // Typing groups end at a word boundary; other steps never absorb typing
+        groupOpen = isTyping && !/\s$/.test(op.inserted);
+
+        stackBytes += op.removed.length + op.inserted.length;
+        clearRedo();
+        trimToBudget();
+
+        lastValue = value;
+        lastSelection = selAfter;
+        if (!stackDraftId && typeof Drafts !== 'undefined') {
+            stackDraftId = Drafts.getCurrentDraftId();
+        }
+        schedulePersist();
+    }
+
+    /**
+     * Check whether a typing operation continues the previous step
+     * @param {Object} step - Top of the undo stack
+     * @param {Object} op - New operation
+     * @returns {boolean}
+     */
+    function canMerge(step, op) {
+        const prev = step.ops[step.ops.length - 1];
+        if (op.time - prev.time > GROUP_TIMEOUT) return false;
+
+        const isInsert = op.removed === '' && op.inserted.length === 1;
+        const prevIsInsert = prev.removed === '' && prev.inserted !== '';
+        const isDelete = op.inserted === '' && op.removed.length === 1;
+        const prevIsDelete = prev.inserted === '' && prev.removed !== '';
+
+        // Keep typing forward
+        if (isInsert && prevIsInsert) {
+            return op.from === prev.from + prev.inserted.length;
+        }
+        // Backspace or Delete in the same place
+        if (isDelete && prevIsDelete) {
+            return op.from + op.removed.length === prev.from || op.from === prev.from;
+        }
+        return false;
+    }
+
+    /**
+     * Drop redo history after a new change
+     */
+    function clearRedo() {
+        redoStack.forEach(step => {
+            stackBytes -= stepBytes(step);
+        });
+        redoStack = [];
+    }
+
+    /**
+     * Size of a step's stored text
+     * @param {Object} step
+     * @returns {number}
+     */
+    function stepBytes(step) {
+        return step.ops.reduce((sum, op) => sum + op.removed.length + op.inserted.length, 0);
+    }
+
+    /**
+     * Forget the oldest steps once the stack holds too much text
+     */
+    function trimToBudget() {
+        while (stackBytes > MAX_BYTES && undoStack.length > 1) {
+            stackBytes -= stepBytes(undoStack.shift());
+        }
+    }
+
+    /**
+     * Apply a step's operations to a value
+     * @param {string} value
+     * @param {Object} step
+     * @param {boolean} reverse - True to undo
+     * @returns {string}
+     */
+    function applyStep(value, step, reverse) {
+        const ops = reverse ? step.ops.slice().reverse() : step.ops;
+
+        return ops.reduce((text, op) => {
+            const remove = reverse ? op.inserted : op.removed;
+            const insert = reverse ? op.removed : op.inserted;
+            return text.substring(0, op.from) + insert + text.substring(op.from + remove.length);
+        }, value);
+    }
+
+    /**
+     * Put a value and selection into the textarea
+     * @param {string} value
+     * @param {{start: number, end: number}} selection
+     */
+    function setTextarea(value, selection) {
+        textarea.value = value;
+        textarea.selectionStart = Math.min(selection.start, value.length);
+        textarea.selectionEnd = Math.min(selection.end, value.length);
+        lastValue = value;
+        rememberSelection();
+    }
+
+    /**
+     * Undo the last step
+     * @returns {boolean} True if something was undone
+     */
+    function undo() {
+        if (!textarea) return false;
+        record(); // Capture any edit not recorded yet
+        if (undoStack.length === 0) return false;
+
+        const step = undoStack.pop();
+        setTextarea(applyStep(textarea.value, step, true), step.selBefore);
+        redoStack.push(step);
+        closeGroup();
+        schedulePersist();
+        return true;
+    }
+
+    /**
+     * Redo the last undone step
+     * @returns {boolean} True if something was redone
+     */
+    function redo() {
+        if (!textarea || redoStack.length === 0) return false;
+
+        const step = redoStack.pop();
+        setTextarea(applyStep(textarea.value, step, false), step.selAfter);
+        undoStack.push(step);
+        closeGroup();
+        schedulePersist();
+        return true;
+    }
+
+    /**
+     * Forget all history and resync with the textarea
+     */
+    function reset() {
+        undoStack = [];
+        redoStack = [];
+        stackBytes = 0;
+        closeGroup();
+        if (textarea) {
+            lastValue = textarea.value;
+            rememberSelection();
+        }
+        schedulePersist();
+    }
+
+    /**
+     * Save the outgoing draft's stack while the textarea still holds its text
+     */
+    function beginSwitch() {
+        if (stackDraftId) record();
+        persistNow();
+        switching = true;
+    }
+
+    /**
+     * Persist the stack for the previous draft and load the new draft's stack
+     * @param {string|null} draftId
+     */
+    async function switchDraft(draftId) {
+        if (!switching) persistNow();
+        switching = false;
+
+        undoStack = [];
+        redoStack = [];
+        stackBytes = 0;
+        closeGroup();
+        lastValue = textarea.value;
+        rememberSelection();
+        stackDraftId = draftId;
+
+        if (!draftId || !Database.isSupported()) return;
+
+        try {
+            const saved = await Database.get(STORE, draftId);
+
+            // Only reuse the stack if it matches the text and nothing was typed meanwhile
+            if (!saved || stackDraftId !== draftId || undoStack.length > 0 ||
+                saved.checksum !== checksum(textarea.value)) {
+                return;
+            }
+
+            undoStack = saved.undoStack;
+            redoStack = saved.redoStack;
+            stackBytes = undoStack.concat(redoStack).reduce((sum, step) => sum + stepBytes(step), 0);
+            notifyChange();
+        } catch (e) {
+            console.warn('UndoManager: Failed to load undo history:', e);
+        }
+    }
+
+    /**
+     * Debounce persisting the stack
+     */
+    function schedulePersist() {
+        clearTimeout(persistTimer);
+        persistTimer = setTimeout(persistNow, PERSIST_DELAY);
+    }
+
+    /**
+     * Write the stack to IndexedDB right away
+     */
+    function persistNow() {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+
+        if (!stackDraftId || !textarea || !Database.isSupported()) return;
+
+        Database.put(STORE, {
+            draftId: stackDraftId,
+            checksum: checksum(lastValue),
+            undoStack: undoStack,
+            redoStack: redoStack
+        }).catch(e => {
+            console.warn('UndoManager: Failed to save undo history:', e);
+        });
+    }
+
+    /**
+     * Fast 32-bit FNV-1a hash, used to check a stored stack still fits the text
+     * @param {string} text
+     * @returns {string}
+     */
+    function checksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return text.length + ':' + (hash >>> 0).toString(16);
+    }
+
+    /**
+     * Let the editor refresh its undo/redo buttons
+     */
+    function notifyChange() {
+        document.dispatchEvent(new CustomEvent('undo:change'));
+    }
+
+    // Public API
+    return {
+        attach,
+        record,
+        undo,
+        redo,
+        reset,
+        closeGroup,
+        canUndo: () => undoStack.length > 0 || (textarea !== null && textarea.value !== lastValue),
+        canRedo: () => redoStack.length > 0
+    };
+})();
@@ -0,0 +1,446 @@
+/**
+ * Workspace Module
+ * Backs up the whole workspace (every draft with its revisions and images,
+ * post templates and snippets, plus all settings) into one .zip, and imports
+ * it again on another machine
+ */
+
+const Workspace = (function () {
+    const FORMAT = 'blog-editor-workspace';
+    const VERSION = 1;
+    const ASSETS_PATH = 'assets/';
+
+    // localStorage settings that travel with the workspace
+    const SETTINGS_PREFIX = 'blog-editor-';
+    const LOCAL_ONLY_SETTINGS = [
+        'blog-editor-current-draft',
+        'blog-editor-autosave'
+    ];
+
+    // Archive waiting for the user to pick how to import it
+    let pendingArchive = null;
+
+    // DOM Elements
+    let exportBtn;
+    let importBtn;
+    let importInput;
+    let importModal;
+    let closeImportBtn;
+    let importSummary;
+    let conflictGroup;
+    let importSettingsCheckbox;
+    let confirmImportBtn;
+    let cancelImportBtn;
+
+    /**
+     * Initialize the workspace module
+     */
+    function init() {
+        exportBtn = document.getElementById('export-workspace-btn');
+        importBtn = document.getElementById('import-workspace-btn');
+        importInput = document.getElementById('workspace-input');
+        importModal = document.getElementById('workspace-import-modal');
+        closeImportBtn = document.getElementById('close-workspace-import');
+        importSummary = document.getElementById('workspace-import-summary');
+        conflictGroup = document.getElementById('workspace-conflicts');
+        importSettingsCheckbox = document.getElementById('workspace-import-settings');
+        confirmImportBtn = document.getElementById('confirm-workspace-import');
+        cancelImportBtn = document.getElementById('cancel-workspace-import');
+
+        if (!Database.isSupported()) {
+            if (exportBtn) exportBtn.disabled = true;
+            if (importBtn) importBtn.disabled = true;
+            return;
+        }
+
+        setupEventListeners();
+        registerCommands();
+    }
+
+    /**
+     * Add workspace commands to the command palette
+     */
+    function registerCommands() {
+        if (typeof CommandPalette === 'undefined') return;
+
+        CommandPalette.register([
+            {
+                id: 'workspace.export', title: 'Export Workspace', category: 'Workspace',
+                keywords: 'backup zip', run: exportWorkspace
+            },
+            {
+                id: 'workspace.import', title: 'Import Workspace', category: 'Workspace',
+                keywords: 'restore zip', run: () => importInput.click(), isAvailable: () => Boolean(importInput)
+            }
+        ]);
+    }
+
+    /**
+     * Set up button and modal event listeners
+     */
+    function setupEventListeners() {
+        if (exportBtn) {
+            exportBtn.addEventListener('click', exportWorkspace);
+        }
+
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                importInput.value = '';
+                if (file) openArchive(file);
+            });
+        }
+
+        if (closeImportBtn) {
+            closeImportBtn.addEventListener('click', hideModal);
+        }
+        if (cancelImportBtn) {
+            cancelImportBtn.addEventListener('click', hideModal);
+        }
+
+        if (importModal) {
+            importModal.addEventListener('click', (e) => {
+                if (e.target === importModal) hideModal();
+            });
+        }
+
+        if (confirmImportBtn) {
+            confirmImportBtn.addEventListener('click', confirmImport);
+        }
+    }
+
+    /**
+     * Check that the zip library loaded
+     * @returns {boolean}
+     */
+    function hasZipSupport() {
+        if (typeof JSZip === 'undefined') {
+            showToast('Zip library not loaded. Check your internet connection.', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Read the settings that travel with the workspace
+     * @returns {Object} Values keyed by localStorage key
+     */
+    function collectSettings() {
+        const settings = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(SETTINGS_PREFIX) && !LOCAL_ONLY_SETTINGS.includes(key)) {
+                settings[key] = localStorage.getItem(key);
+            }
+        }
+        return settings;
+    }
+
+    /**
+     * Build the workspace archive and download it
+     */
+    async function exportWorkspace() {
+        if (!hasZipSupport()) return;
+
+        try {
+            showToast('Packing workspace...', 'info');
+            await Drafts.saveCurrent();
+
+            const zip = new JSZip();
+            const drafts = await Database.getAll('drafts');
+
+            for (const draft of drafts) {
+                const folder = zip.folder(`drafts/${draft.id}`);
+                const images = [];
+
+                // Images shared by the draft and its revisions are stored once
+                const record = {
+                    ...draft,
+                    content: EmbeddedImages.extract(draft.content, 'image', ASSETS_PATH, images).markdown
+                };
+                const revisions = (await Database.getAllByIndex('revisions', 'draftId', draft.id))
+                    .map(revision => ({
+                        ...revision,
+                        content: EmbeddedImages.extract(revision.content, 'image', ASSETS_PATH, images).markdown
+                    }));
+
+                folder.file('draft.json', JSON.stringify(record, null, 2));
+                folder.file('revisions.json', JSON.stringify(revisions, null, 2));
+                images.forEach(image => {
+                    folder.file(ASSETS_PATH + image.filename, image.blob);
+                });
+            }
+
+            const templates = await Database.getAll('templates');
+            zip.file('templates.json', JSON.stringify(templates, null, 2));
+
+            zip.file('settings.json', JSON.stringify(collectSettings(), null, 2));
+            zip.file('workspace.json', JSON.stringify({
+                format: FORMAT,
+                version: VERSION,
+                exportedAt: new Date().toISOString(),
+                drafts: drafts.length,
+                templates: templates.length
+            }, null, 2));
+
+            const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+            const filename = `blog-editor-workspace-${new Date().toISOString().split('T')[0]}.zip`;
+            Export.downloadFile(blob, filename, 'application/zip');
+            showToast(`Exported ${drafts.length} draft(s) to ${filename}`, 'success');
+        } catch (error) {
+            console.error('Workspace: Export failed', error);
+            showToast('Workspace export failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Read a workspace archive
+     * @param {File} file - The .zip file
+     * @returns {Promise<{drafts: Array<{draft: Object, revisions: Array}>, templates: Array, settings: Object}>}
+     */
+    async function readArchive(file) {
+        const zip = await JSZip.loadAsync(file);
+
+        const manifestFile = zip.file('workspace.json');
+        const manifest = manifestFile ? JSON.parse(await manifestFile.async('string')) : null;
+        if (!manifest || manifest.format !== FORMAT) {
+            throw new Error('Not a workspace archive');
+        }
+        if (manifest.version > VERSION) {
+            console.warn(`Workspace: Archive version ${manifest.version} is newer than supported ${VERSION}`);
+        }
+
+        const drafts = [];
+        for (const draftFile of zip.file(/^drafts\/[^/]+\/draft\.json$/)) {
+            const base = draftFile.name.replace(/draft\.json$/, '');
+
+            // Turn the image files back into data URLs
+            const dataUrls = {};
+            for (const asset of zip.folder(base + ASSETS_PATH).file(/.*/)) {
+                const filename = asset.name.substring(base.length + ASSETS_PATH.length);
+                dataUrls[filename] = `data:${EmbeddedImages.mimeTypeFor(filename)};base64,` +
+                    await asset.async('base64');
+            }
+            const restore = record => ({
+                ...record,
+                content: EmbeddedImages.inline(record.content || '', ASSETS_PATH, dataUrls)
+            });
+
+            const revisionsFile = zip.file(base + 'revisions.json');
+            const revisions = revisionsFile ? JSON.parse(await revisionsFile.async('string')) : [];
+
+            drafts.push({
+                draft: restore(JSON.parse(await draftFile.async('string'))),
+                revisions: revisions.map(restore)
+            });
+        }
+
+        // Archives from before templates existed have none
+        const templatesFile = zip.file('templates.json');
+        const templates = templatesFile ? JSON.parse(await templatesFile.async('string')) : [];
+
+        const settingsFile = zip.file('settings.json');
+        const settings = settingsFile ? JSON.parse(await settingsFile.async('string')) : {};
+
+        return { drafts, templates, settings };
+    }
+
+    /**
+     * Read an archive and ask how to import it
+     * @param {File} file
+     */
+    async function openArchive(file) {
+        if (!hasZipSupport()) return;
+
+        try {
+            pendingArchive = await readArchive(file);
+        } catch (error) {
+            console.error('Workspace: Could not read archive', error);
+            showToast('Could not read workspace: ' + error.message, 'error');
+            return;
+        }
+
+        const conflicts = [];
+        const templateConflicts = [];
+        try {
+            for (const { draft } of pendingArchive.drafts) {
+                if (await Database.get('drafts', draft.id)) conflicts.push(draft);
+            }
+            for (const template of pendingArchive.templates) {
+                if (await Database.get('templates', template.id)) templateConflicts.push(template);
+            }
+        } catch (error) {
+            pendingArchive = null;
+            console.error('Workspace: Could not check for existing entries', error);
+            showToast('Could not read workspace: ' + error.message, 'error');
+            return;
+        }
+
+        const settingsCount = Object.keys(pendingArchive.settings).length;
+        if (importSummary) {
+            importSummary.textContent =
+                `${file.name} holds ${pendingArchive.drafts.length} draft(s), ` +
+                `${pendingArchive.templates.length} template(s) and ${settingsCount} setting(s). ` +
+                (conflicts.length > 0
+                    ? `${conflicts.length} draft(s) already exist here: ` +
+                    conflicts.map(draft => `"${Drafts.getDraftName(draft)}"`).join(', ') + '.'
+                    : 'None of the drafts exist here yet.') +
+                (templateConflicts.length > 0 ? ` ${templateConflicts.length} template(s) already exist here.` : '');
+        }
+        if (conflictGroup) {
+            conflictGroup.style.display = conflicts.length + templateConflicts.length > 0 ? 'block' : 'none';
+        }
+        if (importSettingsCheckbox) {
+            importSettingsCheckbox.checked = settingsCount > 0;
+            importSettingsCheckbox.disabled = settingsCount === 0;
+        }
+        if (importModal) {
+            importModal.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Import the pending archive with the chosen options
+     */
+    async function confirmImport() {
+        if (!pendingArchive) return;
+
+        const selected = conflictGroup && conflictGroup.querySelector('input[name="workspace-conflict"]:checked');
+        const policy = selected ? selected.value : 'keep';
+        const withSettings = importSettingsCheckbox && importSettingsCheckbox.checked;
+
+        try {
+            const result = await importArchive(pendingArchive, policy, withSettings);
+            hideModal();
+
+            const parts = [`${result.added} added`];
+            if (result.replaced.length > 0) parts.push(`${result.replaced.length} overwritten`);
+            if (result.skipped > 0) parts.push(`${result.skipped} skipped`);
+            showToast(`Workspace imported: ${parts.join(', ')}`, 'success');
+        } catch (error) {
+            console.error('Workspace: Import failed', error);
+            showToast('Workspace import failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Write an archive into the library
+     * @param {Object} archive - From readArchive()
+     * @param {string} policy - For drafts and templates that already exist: 'keep' (both), 'overwrite' or 'skip'
+     * @param {boolean} withSettings - Also replace the settings
+     * @returns {Promise<{added: number, replaced: Array<string>, skipped: number}>}
+     */
+    async function importArchive(archive, policy, withSettings) {
+        await Drafts.saveCurrent();
+
+        const result = { added: 0, replaced: [], skipped: 0 };
+
+        for (const { draft, revisions } of archive.drafts) {
+            let record = { ...draft, ...PostState.migrate(draft) };
+            let keepIds = true;
+
+            if (await Database.get('drafts', draft.id)) {
+                if (policy === 'skip') {
+                    result.skipped++;
+                    continue;
+                }
+                if (policy === 'overwrite') {
+                    await removeHistory(draft.id);
+                    result.replaced.push(draft.id);
+                } else {
+                    record = {
+                        ...record,
+                        id: Database.generateId('draft'),
+                        name: Drafts.getDraftName(draft) + ' (imported)'
+                    };
+                    keepIds = false;
+                    result.added++;
+                }
+            } else {
+                result.added++;
+            }
+
+            await Database.put('drafts', record);
+            for (const revision of revisions) {
+                await Database.put('revisions', {
+                    ...revision,
+                    id: keepIds ? revision.id : Database.generateId('rev'),
+                    draftId: record.id
+                });
+            }
+        }
+
+        for (const template of archive.templates) {
+            if (await Database.get('templates', template.id)) {
+                if (policy === 'skip') continue;
+                if (policy === 'keep') {
+                    await Database.put('templates', {
+                        ...template,
+                        id: Database.generateId('template'),
+                        name: template.name + ' (imported)'
+                    });
+                    continue;
+                }
+            }
+            await Database.put('templates', template);
+        }
+
+        if (withSettings) {
+            Object.entries(archive.settings).forEach(([key, value]) => {
+                if (key.startsWith(SETTINGS_PREFIX) && !LOCAL_ONLY_SETTINGS.includes(key)) {
+                    localStorage.setItem(key, value);
+                }
+            });
+        }
+
+        document.dispatchEvent(new CustomEvent('workspace:imported', {
+            detail: { replaced: result.replaced, settings: withSettings }
+        }));
+
+        return result;
+    }
+
+    /**
+     * Delete the revisions and undo history of a draft about to be overwritten
+     * @param {string} draftId
+     */
+    async function removeHistory(draftId) {
+        const revisions = await Database.getAllByIndex('revisions', 'draftId', draftId);
+        for (const revision of revisions) {
+            await Database.remove('revisions', revision.id);
+        }
+        await Database.remove('undo', draftId);
+    }
+
+    /**
+     * Hide the import dialog and drop the pending archive
+     */
+    function hideModal() {
+        pendingArchive = null;
+        if (importModal) {
+            importModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message
+     * @param {string} type
+     */
+    function showToast(message, type) {
+        if (typeof Export !== 'undefined' && Export.showToast) {
+            Export.showToast(message, type);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        exportWorkspace,
+        readArchive,
+        importArchive
+    };
+})();